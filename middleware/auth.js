@@ -1,4 +1,5 @@
 const authService = require("../services/auth");
+const UserService = require("../services/users");
 const { createResponse, AuthenticationError } = require("./error-handler");
 
 /**
@@ -29,17 +30,119 @@ const authMiddleware = (req, res, next) => {
 };
 
 /**
- * Admin role middleware
- * Ensures user has admin role
+ * Authentication middleware for event streams
+ * EventSource cannot set headers, so it passes a stream token from AuthService.createStreamToken as
+ * ?stream_token=. Access tokens are only accepted in the Authorization header, since query strings
+ * end up in logs. Use before businessAccessMiddleware, which loads the user's role.
  */
-const adminMiddleware = (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return res.status(403).json(createResponse(false, null, "Admin access required", null, "AUTHORIZATION_ERROR"));
+const streamAuthMiddleware = (req, res, next) => {
+  if (req.headers.authorization || typeof req.query.stream_token !== "string") {
+    return authMiddleware(req, res, next);
+  }
+
+  const stream = authService.verifyStreamToken(req.query.stream_token, req.params.businessId);
+  if (!stream) {
+    return res.status(401).json(createResponse(false, null, "Invalid or expired stream token", null, "AUTHENTICATION_ERROR"));
   }
+
+  req.user = { id: stream.userId };
   next();
 };
 
+/**
+ * Role middleware factory
+ * Ensures the user has one of the given roles
+ */
+const requireRole = (roles, message = "Insufficient permissions") => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json(createResponse(false, null, message, null, "AUTHORIZATION_ERROR"));
+  }
+  next();
+};
+
+/**
+ * Admin role middleware
+ * Ensures user is the owner or an admin
+ */
+const adminMiddleware = requireRole(["owner", "admin"], "Admin access required");
+
+/**
+ * Agent role middleware
+ * Ensures user may act on conversations (everyone but viewers)
+ */
+const agentMiddleware = requireRole(["owner", "admin", "agent"], "Agent access required");
+
+/**
+ * Account middleware
+ * For routes not scoped to a business: rejects removed and inactive accounts and refreshes
+ * req.user.role from the database. Use after authMiddleware and before role middleware.
+ */
+const accountMiddleware = async (req, res, next) => {
+  try {
+    const account = await UserService.getAccount(req.user.id);
+    if (!account || account.status !== "active") {
+      return res.status(401).json(createResponse(false, null, "Account not found or inactive", null, "AUTHENTICATION_ERROR"));
+    }
+
+    req.user.role = account.role;
+    next();
+  } catch (error) {
+    console.error("Account middleware error:", error);
+    return res.status(500).json(createResponse(false, null, "Authorization error", null, "INTERNAL_SERVER_ERROR"));
+  }
+};
+
+/**
+ * Business access middleware
+ * Ensures the user may access the business in :businessId, or the business of the conversation in
+ * :conversationId (which must belong to :businessId when both are given). Use after authMiddleware
+ * and before role middleware: it refreshes req.user.role from the database.
+ */
+const businessAccessMiddleware = async (req, res, next) => {
+  try {
+    let { businessId } = req.params;
+    const { conversationId } = req.params;
+
+    if (conversationId) {
+      const conversationBusinessId = await UserService.getConversationBusinessId(conversationId);
+      if (!conversationBusinessId || (businessId && String(conversationBusinessId) !== String(businessId))) {
+        return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+      }
+      businessId = conversationBusinessId;
+    }
+
+    if (!/^[1-9]\d*$/.test(String(businessId))) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "Business ID must be a positive integer", null, "VALIDATION_ERROR"));
+    }
+
+    const access = await UserService.getBusinessAccess(req.user.id, businessId);
+    if (!access || access.status !== "active") {
+      return res.status(401).json(createResponse(false, null, "Account not found or inactive", null, "AUTHENTICATION_ERROR"));
+    }
+
+    req.user.role = access.role;
+    if (!access.allowed) {
+      return res
+        .status(403)
+        .json(createResponse(false, null, "You do not have access to this business", null, "AUTHORIZATION_ERROR"));
+    }
+
+    req.businessId = Number(businessId);
+    next();
+  } catch (error) {
+    console.error("Business access middleware error:", error);
+    return res.status(500).json(createResponse(false, null, "Authorization error", null, "INTERNAL_SERVER_ERROR"));
+  }
+};
+
 module.exports = {
   authMiddleware,
-  adminMiddleware
+  adminMiddleware,
+  agentMiddleware,
+  requireRole,
+  accountMiddleware,
+  businessAccessMiddleware,
+  streamAuthMiddleware
 }; 
\ No newline at end of file
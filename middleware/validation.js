@@ -60,6 +60,10 @@ const commonValidations = {
   phoneNumberId: body("phone_number_id").matches(/^\d+$/).withMessage("Phone number ID must contain only digits"),
   accessToken: body("access_token").isLength({ min: 20 }).withMessage("Access token must be at least 20 characters"),
   verifyToken: body("verify_token").isLength({ min: 10 }).withMessage("Verify token must be at least 10 characters"),
+  appSecret: body("app_secret")
+    .optional()
+    .isLength({ min: 16 })
+    .withMessage("App secret must be at least 16 characters"),
 
   // Google Workspace validations
   clientId: body("client_id").isLength({ min: 10 }).withMessage("Client ID must be at least 10 characters"),
@@ -117,6 +121,7 @@ const validationSets = {
     commonValidations.phoneNumberId,
     commonValidations.accessToken,
     commonValidations.verifyToken,
+    commonValidations.appSecret,
     commonValidations.url("webhook_url"),
     commonValidations.status,
   ],
@@ -126,6 +131,7 @@ const validationSets = {
     body("phone_number_id").optional().matches(/^\d+$/).withMessage("Phone number ID must contain only digits"),
     body("access_token").optional().isLength({ min: 20 }).withMessage("Access token must be at least 20 characters"),
     body("verify_token").optional().isLength({ min: 10 }).withMessage("Verify token must be at least 10 characters"),
+    commonValidations.appSecret,
     commonValidations.url("webhook_url"),
     body("status").optional().isIn(["active", "inactive"]).withMessage("Status must be active or inactive"),
   ],
@@ -264,6 +270,37 @@ const validationSets = {
     commonValidations.email,
   ],
 
+  // User management validations
+  invitation: [
+    commonValidations.email,
+    body("role").isIn(["admin", "agent", "viewer"]).withMessage("Role must be admin, agent or viewer"),
+    body("businessIds")
+      .optional()
+      .isArray()
+      .withMessage("Business IDs must be an array")
+      .custom((ids) => {
+        if (ids.some((id) => !Number.isInteger(id) || id < 1)) {
+          throw new Error("All business IDs must be positive integers");
+        }
+        return true;
+      }),
+  ],
+
+  acceptInvitation: [
+    body("username")
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .withMessage("Username must be between 3 and 50 characters")
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage("Username can only contain letters, numbers, and underscores"),
+    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
+  ],
+
+  updateUser: [
+    body("role").optional().isIn(["admin", "agent", "viewer"]).withMessage("Role must be admin, agent or viewer"),
+    commonValidations.status,
+  ],
+
   // Generic validations
   pagination: [commonValidations.page, commonValidations.limit],
 
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const BusinessService = require("../services/business");
+
+// Rejection counters, exposed through getSignatureStats() for monitoring
+const signatureStats = {
+  verified: 0,
+  rejected: {
+    missing_signature: 0,
+    missing_raw_body: 0,
+    unknown_phone_number: 0,
+    missing_app_secret: 0,
+    signature_mismatch: 0,
+  },
+  lastRejectedAt: null,
+};
+
+const reject = (res, reason) => {
+  signatureStats.rejected[reason]++;
+  signatureStats.lastRejectedAt = new Date().toISOString();
+  console.warn(`Webhook signature verification failed: ${reason}`);
+  return res.status(401).send("Unauthorized");
+};
+
+/**
+ * Compute the X-Hub-Signature-256 value for a raw request body
+ * @param {Buffer} rawBody - Raw request body as received
+ * @param {string} appSecret - Meta app secret
+ * @returns {string} Signature in "sha256=<hex>" format
+ */
+const computeSignature = (rawBody, appSecret) => {
+  return `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody).digest("hex")}`;
+};
+
+/**
+ * Constant-time comparison of two signature strings
+ */
+const signaturesMatch = (expected, received) => {
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Collect every phone_number_id referenced by a webhook payload
+ */
+const getPhoneNumberIds = (body) => {
+  const phoneNumberIds = new Set();
+
+  for (const entry of body?.entry || []) {
+    for (const change of entry?.changes || []) {
+      const phoneNumberId = change?.value?.metadata?.phone_number_id;
+      if (phoneNumberId) {
+        phoneNumberIds.add(phoneNumberId);
+      }
+    }
+  }
+
+  return [...phoneNumberIds];
+};
+
+/**
+ * Webhook signature middleware
+ * Verifies X-Hub-Signature-256 against the raw body using the app secret of
+ * every business the payload addresses. Must run before any payload processing.
+ */
+const verifyWebhookSignature = async (req, res, next) => {
+  try {
+    const signature = req.get("X-Hub-Signature-256");
+    if (!signature) {
+      return reject(res, "missing_signature");
+    }
+
+    if (!req.rawBody || req.rawBody.length === 0) {
+      return reject(res, "missing_raw_body");
+    }
+
+    const phoneNumberIds = getPhoneNumberIds(req.body);
+    if (phoneNumberIds.length === 0) {
+      return reject(res, "unknown_phone_number");
+    }
+
+    const configs = [];
+    for (const phoneNumberId of phoneNumberIds) {
+      const config = await BusinessService.getWhatsAppConfigByPhoneNumber(phoneNumberId);
+      if (!config) {
+        return reject(res, "unknown_phone_number");
+      }
+
+      const appSecret = config.app_secret || process.env.WHATSAPP_APP_SECRET;
+      if (!appSecret) {
+        return reject(res, "missing_app_secret");
+      }
+
+      if (!signaturesMatch(computeSignature(req.rawBody, appSecret), signature)) {
+        return reject(res, "signature_mismatch");
+      }
+
+      configs.push(config);
+    }
+
+    signatureStats.verified++;
+    // Expose the verified tenant configs to the route handler
+    req.webhookConfigs = configs;
+    next();
+  } catch (error) {
+    console.error("Webhook signature middleware error:", error);
+    return res.status(500).send("Internal Server Error");
+  }
+};
+
+/**
+ * Get webhook signature verification counters
+ */
+const getSignatureStats = () => ({
+  verified: signatureStats.verified,
+  rejected: { ...signatureStats.rejected },
+  totalRejected: Object.values(signatureStats.rejected).reduce((sum, count) => sum + count, 0),
+  lastRejectedAt: signatureStats.lastRejectedAt,
+});
+
+module.exports = {
+  verifyWebhookSignature,
+  computeSignature,
+  getSignatureStats,
+};
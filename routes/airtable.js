@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const AirtableService = require("../services/airtable");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const SecretService = require("../services/secrets");
+const { authMiddleware, adminMiddleware, businessAccessMiddleware } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -12,12 +13,19 @@ const { createResponse, asyncHandler } = require("../middleware/error-handler");
 router.get(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await AirtableService.getConfig(parseInt(businessId));
 
-    res.json(createResponse(true, config, config ? "Airtable configuration found" : "No Airtable configuration found"));
+    res.json(
+      createResponse(
+        true,
+        SecretService.redact("airtable_integrations", config),
+        config ? "Airtable configuration found" : "No Airtable configuration found"
+      )
+    );
   })
 );
 
@@ -25,18 +33,11 @@ router.get(
  * Create or update Airtable configuration for a business
  * POST /api/airtable/config/:businessId
  */
-router.post("/config/:businessId", async (req, res) => {
+router.post("/config/:businessId", authMiddleware, businessAccessMiddleware, adminMiddleware, async (req, res) => {
   try {
     const { businessId } = req.params;
     const { access_token, base_id, table_name } = req.body;
 
-    if (!businessId || isNaN(businessId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Valid business ID is required",
-      });
-    }
-
     if (!access_token || !base_id || !table_name) {
       return res.status(400).json({
         success: false,
@@ -52,7 +53,7 @@ router.post("/config/:businessId", async (req, res) => {
 
     res.json({
       success: true,
-      data: config,
+      data: SecretService.redact("airtable_integrations", config),
       message: "Airtable configuration saved successfully",
     });
   } catch (error) {
@@ -71,6 +72,7 @@ router.post("/config/:businessId", async (req, res) => {
 router.put(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -87,9 +89,10 @@ router.put(
  */
 router.delete(
   "/config/:businessId",
-  // authMiddleware,
-  // adminMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     await AirtableService.removeConfig(parseInt(businessId));
@@ -105,6 +108,7 @@ router.delete(
 router.post(
   "/test/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -121,6 +125,7 @@ router.post(
 router.get(
   "/status/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -130,7 +135,7 @@ router.get(
     res.json(
       createResponse(true, {
         isIntegrated,
-        config: config || null,
+        config: SecretService.redact("airtable_integrations", config) || null,
       })
     );
   })
@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const authService = require("../services/auth");
+const UserService = require("../services/users");
 const { authMiddleware } = require("../middleware/auth");
 const { validate, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
@@ -41,6 +42,58 @@ router.post(
   })
 );
 
+/**
+ * Look up an invitation before accepting it
+ * GET /api/auth/invitations/:token
+ */
+router.get(
+  "/invitations/:token",
+  asyncHandler(async (req, res) => {
+    const invitation = await UserService.getInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json(createResponse(false, null, "Invitation not found or expired", null, "NOT_FOUND_ERROR"));
+    }
+
+    const { email, role, expires_at } = invitation;
+    res.json(createResponse(true, { email, role, expires_at }));
+  })
+);
+
+/**
+ * Accept an invitation and create the account
+ * POST /api/auth/invitations/:token/accept
+ */
+router.post(
+  "/invitations/:token/accept",
+  validate(validationSets.acceptInvitation),
+  asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+
+    const invitation = await UserService.getInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res
+        .status(404)
+        .json(createResponse(false, null, "Invitation not found or expired", null, "NOT_FOUND_ERROR"));
+    }
+
+    if (await authService.findUserByUsernameOrEmail(username, invitation.email)) {
+      return res.status(409).json(createResponse(false, null, "Username or email already exists", null, "CONFLICT_ERROR"));
+    }
+
+    const user = await UserService.acceptInvitation(req.params.token, { username, password });
+    if (!user) {
+      return res
+        .status(404)
+        .json(createResponse(false, null, "Invitation not found or expired", null, "NOT_FOUND_ERROR"));
+    }
+
+    const token = authService.generateToken(user);
+    res.status(201).json(createResponse(true, { user, token }, null, "Account created successfully"));
+  })
+);
+
 /**
  * Admin login
  * POST /api/auth/login
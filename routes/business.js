@@ -2,7 +2,24 @@ const express = require("express");
 const router = express.Router();
 const businessService = require("../services/business");
 const DatabaseService = require("../services/database");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const IntentDetectionService = require("../services/intent-detection");
+const MessageRouter = require("../services/message-router");
+const AgentService = require("../services/agent");
+const LLMService = require("../services/llm");
+const UsageService = require("../services/usage");
+const HandoffService = require("../services/handoff");
+const EventBus = require("../services/events");
+const UserService = require("../services/users");
+const SecretService = require("../services/secrets");
+const authService = require("../services/auth");
+const {
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  agentMiddleware,
+  businessAccessMiddleware,
+  streamAuthMiddleware,
+} = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -11,23 +28,26 @@ router.get(
   "/businesses",
   authMiddleware,
   asyncHandler(async (req, res) => {
-    const businesses = await businessService.getAllBusinesses();
+    // Agents and viewers only see the businesses they are members of
+    const businesses = await businessService.getAllBusinesses(await UserService.getAccessibleBusinessIds(req.user.id));
     res.json(createResponse(true, { businesses, count: businesses.length }));
   })
 );
 
 router.get(
-  "/businesses/:id",
+  "/businesses/:businessId",
   authMiddleware,
-  // validate([commonValidations.id]),
+  businessAccessMiddleware,
+  // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const business = await businessService.getBusinessWithConfigAndTones(id);
+    const { businessId } = req.params;
+    const business = await businessService.getBusinessWithConfigAndTones(businessId);
 
     if (!business) {
       return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
     }
 
+    business.whatsapp_config = SecretService.redact("whatsapp_configs", business.whatsapp_config);
     res.json(createResponse(true, business));
   })
 );
@@ -35,6 +55,7 @@ router.get(
 router.post(
   "/businesses",
   authMiddleware,
+  accountMiddleware,
   adminMiddleware,
   // validate(validationSets.createBusiness),
   asyncHandler(async (req, res) => {
@@ -44,13 +65,14 @@ router.post(
 );
 
 router.put(
-  "/businesses/:id",
+  "/businesses/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate(validationSets.updateBusiness),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const business = await businessService.updateBusiness(id, req.body);
+    const { businessId } = req.params;
+    const business = await businessService.updateBusiness(businessId, req.body);
 
     if (!business) {
       return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
@@ -61,13 +83,14 @@ router.put(
 );
 
 router.delete(
-  "/businesses/:id",
+  "/businesses/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
-  // validate([commonValidations.id]),
+  // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const business = await businessService.deleteBusiness(id);
+    const { businessId } = req.params;
+    const business = await businessService.deleteBusiness(businessId);
 
     if (!business) {
       return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
@@ -77,14 +100,75 @@ router.delete(
   })
 );
 
+// Business Member Routes
+// Agents and viewers only access the businesses they are members of; owners and admins access all.
+
+router.get(
+  "/businesses/:businessId/members",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const members = await UserService.listBusinessMembers(req.params.businessId);
+    res.json(createResponse(true, { members, count: members.length }));
+  })
+);
+
+// Add a user to the business: { userId }
+router.post(
+  "/businesses/:businessId/members",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { userId } = req.body;
+
+    if (!Number.isInteger(userId) || userId < 1) {
+      return res.status(400).json(createResponse(false, null, "userId must be a positive integer", null, "VALIDATION_ERROR"));
+    }
+
+    const [business, user] = await Promise.all([businessService.getBusinessById(businessId), UserService.getUser(userId)]);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, "User not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const member = await UserService.addBusinessMember(business.id, user.id);
+    res.status(201).json(createResponse(true, member, null, "Member added successfully"));
+  })
+);
+
+router.delete(
+  "/businesses/:businessId/members/:userId",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId, userId } = req.params;
+    const member = await UserService.removeBusinessMember(businessId, userId);
+
+    if (!member) {
+      return res.status(404).json(createResponse(false, null, "Member not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, member, null, "Member removed successfully"));
+  })
+);
+
 // WhatsApp Configuration Routes
 router.get(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
+  businessAccessMiddleware,
   // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
-    const config = await businessService.getWhatsAppConfigByBusinessId(businessId);
+    const config = SecretService.redact(
+      "whatsapp_configs",
+      await businessService.getWhatsAppConfigByBusinessId(businessId)
+    );
     res.json(createResponse(true, config));
   })
 );
@@ -92,6 +176,7 @@ router.get(
 router.post(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate(validationSets.createWhatsAppConfig),
   asyncHandler(async (req, res) => {
@@ -100,7 +185,7 @@ router.post(
       ...req.body,
       business_id: parseInt(businessId),
     };
-    const config = await businessService.createWhatsAppConfig(configData);
+    const config = SecretService.redact("whatsapp_configs", await businessService.createWhatsAppConfig(configData));
     res.status(201).json(createResponse(true, config, "WhatsApp configuration created successfully"));
   })
 );
@@ -108,11 +193,15 @@ router.post(
 router.put(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate(validationSets.updateWhatsAppConfig),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
-    const config = await businessService.updateWhatsAppConfig(businessId, req.body);
+    const config = SecretService.redact(
+      "whatsapp_configs",
+      await businessService.updateWhatsAppConfig(businessId, req.body)
+    );
 
     if (!config) {
       return res
@@ -127,11 +216,12 @@ router.put(
 router.delete(
   "/businesses/:businessId/whatsapp",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate([commonValidations.id]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
-    const config = await businessService.deleteWhatsAppConfig(businessId);
+    const config = SecretService.redact("whatsapp_configs", await businessService.deleteWhatsAppConfig(businessId));
 
     if (!config) {
       return res
@@ -147,6 +237,7 @@ router.delete(
 router.get(
   "/businesses/:businessId/tone",
   authMiddleware,
+  businessAccessMiddleware,
   // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -160,6 +251,7 @@ router.get(
 router.post(
   "/businesses/:businessId/tone",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate(validationSets.createBusinessTone),
   asyncHandler(async (req, res) => {
@@ -172,6 +264,7 @@ router.post(
 router.put(
   "/businesses/:businessId/tone/:toneId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate(validationSets.updateBusinessTone),
   asyncHandler(async (req, res) => {
@@ -189,6 +282,7 @@ router.put(
 router.delete(
   "/businesses/:businessId/tone/:toneId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate([commonValidations.businessId, commonValidations.id]),
   asyncHandler(async (req, res) => {
@@ -203,10 +297,609 @@ router.delete(
   })
 );
 
+// Business Intent Routes
+// A business inherits the global intents; its own rows override them or add custom intents.
+
+/**
+ * Validate intent fields from a request body
+ * @returns {string|null} Error message or null if valid
+ */
+const validateIntentFields = ({ confidence_threshold, active, description }) => {
+  if (confidence_threshold !== undefined && confidence_threshold !== null) {
+    const threshold = Number(confidence_threshold);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return "confidence_threshold must be a number between 0 and 1";
+    }
+  }
+  if (active !== undefined && active !== null && typeof active !== "boolean") {
+    return "active must be a boolean";
+  }
+  if (description !== undefined && description !== null && typeof description !== "string") {
+    return "description must be a string";
+  }
+  return null;
+};
+
+/**
+ * Normalize examples from a request body ({ text, weight } or { examples: [...] })
+ * @returns {Array<Object>|null} Examples, or null if any is invalid
+ */
+const parseIntentExamples = (body) => {
+  const examples = Array.isArray(body.examples) ? body.examples : body.text ? [body] : [];
+  const valid = examples.every(
+    (example) =>
+      typeof example.text === "string" &&
+      example.text.trim() &&
+      (example.weight === undefined || (Number(example.weight) > 0 && Number(example.weight) <= 9.99))
+  );
+
+  return examples.length > 0 && valid
+    ? examples.map((example) => ({ text: example.text.trim(), weight: example.weight ? Number(example.weight) : 1.0 }))
+    : null;
+};
+
+router.get(
+  "/businesses/:businessId/intents",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const business = await businessService.getBusinessById(businessId);
+
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const intents = await IntentDetectionService.getBusinessIntents(businessId);
+    res.json(createResponse(true, { intents, count: intents.length }));
+  })
+);
+
+router.post(
+  "/businesses/:businessId/intents",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const name = String(req.body.name || "")
+      .trim()
+      .toLowerCase();
+
+    if (!/^[a-z0-9_]{2,100}$/.test(name)) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "name must use lowercase letters, digits and underscores", null, "VALIDATION_ERROR"));
+    }
+
+    const fieldError = validateIntentFields(req.body);
+    if (fieldError) {
+      return res.status(400).json(createResponse(false, null, fieldError, null, "VALIDATION_ERROR"));
+    }
+
+    const examples = req.body.examples ? parseIntentExamples(req.body) : [];
+    if (!examples) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "Each example needs text and an optional weight up to 9.99", null, "VALIDATION_ERROR"));
+    }
+
+    const business = await businessService.getBusinessById(businessId);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const existing = await IntentDetectionService.getBusinessIntent(businessId, name);
+    if (existing?.businessIntentId) {
+      return res
+        .status(409)
+        .json(createResponse(false, null, "Intent is already defined for this business", null, "CONFLICT_ERROR"));
+    }
+
+    await IntentDetectionService.createBusinessIntent(businessId, { ...req.body, name });
+    if (examples.length > 0) {
+      await IntentDetectionService.addBusinessIntentExamples(businessId, name, examples);
+    }
+
+    const intent = await IntentDetectionService.getBusinessIntent(businessId, name);
+    res.status(201).json(createResponse(true, intent, "Business intent created successfully"));
+  })
+);
+
+// How each intent is served given the integrations the business has connected
+router.get(
+  "/businesses/:businessId/intents/live",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const business = await businessService.getBusinessById(businessId);
+
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const { integrations, intents } = await MessageRouter.getLiveIntents(businessId);
+    const live = intents.filter((intent) => intent.status === "live" || intent.status === "remapped");
+    res.json(createResponse(true, { integrations, intents, liveCount: live.length, count: intents.length }));
+  })
+);
+
+router.get(
+  "/businesses/:businessId/intents/:intentName",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId, intentName } = req.params;
+    const intent = await IntentDetectionService.getBusinessIntent(businessId, intentName);
+
+    if (!intent) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const examples = await IntentDetectionService.getBusinessIntentExamples(businessId, intentName);
+    res.json(createResponse(true, { ...intent, examples }));
+  })
+);
+
+router.put(
+  "/businesses/:businessId/intents/:intentName",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId, intentName } = req.params;
+
+    const fieldError = validateIntentFields(req.body);
+    if (fieldError) {
+      return res.status(400).json(createResponse(false, null, fieldError, null, "VALIDATION_ERROR"));
+    }
+
+    const { description, confidence_threshold, active } = req.body;
+    const intent = await IntentDetectionService.updateBusinessIntent(businessId, intentName, {
+      description,
+      confidence_threshold,
+      active,
+    });
+
+    if (!intent) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, intent, "Business intent updated successfully"));
+  })
+);
+
+router.delete(
+  "/businesses/:businessId/intents/:intentName",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId, intentName } = req.params;
+    const deleted = await IntentDetectionService.deleteBusinessIntent(businessId, intentName);
+
+    if (!deleted) {
+      return res
+        .status(404)
+        .json(createResponse(false, null, "Business intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    // For an override the global intent applies again
+    const intent = await IntentDetectionService.getBusinessIntent(businessId, intentName);
+    res.json(createResponse(true, { deleted, intent }, "Business intent deleted successfully"));
+  })
+);
+
+router.post(
+  "/businesses/:businessId/intents/:intentName/examples",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId, intentName } = req.params;
+    const examples = parseIntentExamples(req.body);
+
+    if (!examples) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "Each example needs text and an optional weight up to 9.99", null, "VALIDATION_ERROR"));
+    }
+
+    const created = await IntentDetectionService.addBusinessIntentExamples(businessId, intentName, examples);
+
+    if (!created) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.status(201).json(createResponse(true, { examples: created, count: created.length }, "Intent examples added successfully"));
+  })
+);
+
+router.delete(
+  "/businesses/:businessId/intents/:intentName/examples/:exampleId",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId, intentName, exampleId } = req.params;
+    const example = await IntentDetectionService.deleteBusinessIntentExample(businessId, intentName, exampleId);
+
+    if (!example) {
+      return res
+        .status(404)
+        .json(createResponse(false, null, "Business intent example not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, example, "Intent example deleted successfully"));
+  })
+);
+
+// Agent Mode Routes
+// In agent mode the model calls integration tools itself instead of the intent handlers.
+
+router.get(
+  "/businesses/:businessId/agent",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const settings = await businessService.getAgentSettings(businessId);
+
+    if (!settings) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const integrations = await businessService.getConnectedIntegrations(businessId);
+    res.json(createResponse(true, { ...settings, integrations, tools: AgentService.describeTools(settings, integrations) }));
+  })
+);
+
+// Change the mode and agent limits: { mode, allowedTools, maxSteps }; allowedTools null restores the read-only default
+router.put(
+  "/businesses/:businessId/agent",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { mode, allowedTools, maxSteps } = req.body;
+
+    if (mode !== undefined && !["intents", "agent"].includes(mode)) {
+      return res.status(400).json(createResponse(false, null, 'mode must be "intents" or "agent"', null, "VALIDATION_ERROR"));
+    }
+    if (
+      allowedTools !== undefined &&
+      allowedTools !== null &&
+      (!Array.isArray(allowedTools) || !allowedTools.every((name) => AgentService.tools[name]))
+    ) {
+      return res
+        .status(400)
+        .json(
+          createResponse(
+            false,
+            null,
+            `allowedTools must be null or an array of: ${Object.keys(AgentService.tools).join(", ")}`,
+            null,
+            "VALIDATION_ERROR"
+          )
+        );
+    }
+    if (maxSteps !== undefined && (!Number.isInteger(maxSteps) || maxSteps < 1 || maxSteps > AgentService.maxStepsLimit)) {
+      return res
+        .status(400)
+        .json(
+          createResponse(
+            false,
+            null,
+            `maxSteps must be an integer between 1 and ${AgentService.maxStepsLimit}`,
+            null,
+            "VALIDATION_ERROR"
+          )
+        );
+    }
+
+    const settings = await businessService.updateAgentSettings(businessId, {
+      mode,
+      allowedTools: allowedTools === undefined ? undefined : allowedTools && Array.from(new Set(allowedTools)),
+      maxSteps,
+    });
+
+    if (!settings) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, settings, null, "Agent settings updated successfully"));
+  })
+);
+
+// Audit trail of agent tool calls, newest first: ?conversationId=&runId=&limit=&offset=
+router.get(
+  "/businesses/:businessId/agent/tool-calls",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { conversationId, runId } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const business = await businessService.getBusinessById(businessId);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const { toolCalls, total } = await AgentService.getToolCalls(businessId, {
+      conversationId: conversationId ? parseInt(conversationId) : null,
+      runId: runId || null,
+      limit,
+      offset,
+    });
+    res.json(createResponse(true, { toolCalls, total, limit, offset }));
+  })
+);
+
+// AI Model Provider Routes
+// Chat, vision and transcription use the business's provider and models; unset fields use the LLM_* defaults.
+
+router.get(
+  "/businesses/:businessId/llm",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+
+    const business = await businessService.getBusinessById(businessId);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, await LLMService.getBusinessSettings(businessId)));
+  })
+);
+
+// Set the provider and models: { provider, chatModel, fastModel, visionModel, transcriptionModel, baseUrl, apiKey, apiVersion }
+router.put(
+  "/businesses/:businessId/llm",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { provider, baseUrl } = req.body;
+    const apiKey = SecretService.isMasked(req.body.apiKey) ? undefined : req.body.apiKey;
+    const textFields = ["chatModel", "fastModel", "visionModel", "transcriptionModel", "baseUrl", "apiKey", "apiVersion"];
+
+    if (!LLMService.providers.includes(provider)) {
+      return res
+        .status(400)
+        .json(
+          createResponse(
+            false,
+            null,
+            `provider must be one of: ${LLMService.providers.join(", ")}`,
+            null,
+            "VALIDATION_ERROR"
+          )
+        );
+    }
+    const badField = textFields.find(
+      (field) => req.body[field] !== undefined && req.body[field] !== null && typeof req.body[field] !== "string"
+    );
+    if (badField) {
+      return res.status(400).json(createResponse(false, null, `${badField} must be a string`, null, "VALIDATION_ERROR"));
+    }
+    if (["azure", "openai_compatible"].includes(provider) && !baseUrl) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, `baseUrl is required for the ${provider} provider`, null, "VALIDATION_ERROR"));
+    }
+
+    const business = await businessService.getBusinessById(businessId);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    // The deployment key is only sent to its own endpoint; other endpoints need the business's key
+    const defaults = LLMService.getDefaultConfig();
+    if (provider !== "fake" && !apiKey && !LLMService.usesDefaultEndpoint(defaults, provider, baseUrl)) {
+      const current = apiKey === undefined ? (await LLMService.getBusinessSettings(businessId)).settings : null;
+      if (!current || !current.has_api_key) {
+        return res
+          .status(400)
+          .json(
+            createResponse(
+              false,
+              null,
+              "apiKey is required when baseUrl is not the default endpoint",
+              null,
+              "VALIDATION_ERROR"
+            )
+          );
+      }
+    }
+
+    const settings = await LLMService.updateBusinessSettings(businessId, req.body);
+    res.json(createResponse(true, settings, null, "AI model settings updated successfully"));
+  })
+);
+
+// Remove the business's settings so it uses the defaults again
+router.delete(
+  "/businesses/:businessId/llm",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const deleted = await LLMService.deleteBusinessSettings(req.params.businessId);
+
+    if (!deleted) {
+      return res.status(404).json(createResponse(false, null, "AI model settings not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, null, null, "AI model settings removed; defaults apply"));
+  })
+);
+
+// Model usage and estimated cost by day and by feature: ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: last 30 days)
+router.get(
+  "/businesses/:businessId/usage",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { from, to } = req.query;
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "from and to must be dates as YYYY-MM-DD", null, "VALIDATION_ERROR"));
+    }
+    if (from && to && from > to) {
+      return res.status(400).json(createResponse(false, null, "from must not be after to", null, "VALIDATION_ERROR"));
+    }
+
+    const business = await businessService.getBusinessById(businessId);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, await UsageService.getUsageReport(businessId, { from, to })));
+  })
+);
+
+// Human Handoff Routes
+// Customers asking for a person, using a handoff keyword or getting repeated low-confidence answers are handed to a human.
+
+router.get(
+  "/businesses/:businessId/handoff",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const settings = await businessService.getHandoffSettings(req.params.businessId);
+
+    if (!settings) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, { ...settings, lowConfidenceThreshold: HandoffService.lowConfidenceThreshold }));
+  })
+);
+
+// Change the triggers: { keywords, lowConfidenceLimit }; a limit of 0 disables the low-confidence trigger
+router.put(
+  "/businesses/:businessId/handoff",
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { keywords, lowConfidenceLimit } = req.body;
+
+    if (
+      keywords !== undefined &&
+      keywords !== null &&
+      (!Array.isArray(keywords) || !keywords.every((keyword) => typeof keyword === "string" && keyword.trim()))
+    ) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "keywords must be an array of non-empty strings", null, "VALIDATION_ERROR"));
+    }
+    if (
+      lowConfidenceLimit !== undefined &&
+      (!Number.isInteger(lowConfidenceLimit) || lowConfidenceLimit < 0 || lowConfidenceLimit > 10)
+    ) {
+      return res
+        .status(400)
+        .json(createResponse(false, null, "lowConfidenceLimit must be an integer between 0 and 10", null, "VALIDATION_ERROR"));
+    }
+
+    const settings = await businessService.updateHandoffSettings(businessId, {
+      keywords: keywords === null ? [] : keywords && Array.from(new Set(keywords.map((keyword) => keyword.trim()))),
+      lowConfidenceLimit,
+    });
+
+    if (!settings) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, settings, null, "Handoff settings updated successfully"));
+  })
+);
+
+// Real-time Event Routes
+
+/**
+ * Short-lived token for opening the event stream of a business from EventSource
+ * POST /api/basic/businesses/:businessId/events/token
+ */
+router.post(
+  "/businesses/:businessId/events/token",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const token = authService.createStreamToken(req.user.id, req.businessId);
+    res.json(createResponse(true, { token, expiresIn: authService.streamTokenExpiry }));
+  })
+);
+
+/**
+ * Server-Sent Events stream of a business: messages, delivery statuses, conversation status and handoffs
+ * GET /api/basic/businesses/:businessId/events?types=message.created,message.status
+ * EventSource clients pass a stream token as ?stream_token= and resume with the Last-Event-ID header.
+ */
+router.get(
+  "/businesses/:businessId/events",
+  streamAuthMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const business = await businessService.getBusinessById(req.params.businessId);
+    if (!business) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const types = req.query.types
+      ? String(req.query.types)
+          .split(",")
+          .filter((type) => EventBus.types.includes(type))
+      : null;
+    const send = (event) => {
+      if (!types || types.includes(event.type)) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+    };
+
+    // no-transform keeps the compression middleware from buffering the stream
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    const lastEventId = parseInt(req.get("Last-Event-ID") || req.query.lastEventId) || 0;
+    if (lastEventId > 0) {
+      EventBus.getEventsSince(business.id, lastEventId).forEach(send);
+    }
+
+    const unsubscribe = EventBus.subscribe(business.id, send, { onClose: () => res.end() });
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  })
+);
+
 // Conversation Management Routes
 router.get(
   "/businesses/:businessId/conversations",
   authMiddleware,
+  businessAccessMiddleware,
   // validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -233,6 +926,7 @@ router.get(
 router.get(
   "/businesses/:businessId/conversations/:conversationId",
   authMiddleware,
+  businessAccessMiddleware,
   // validate([commonValidations.businessId, commonValidations.id]),
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
@@ -249,6 +943,7 @@ router.get(
 router.get(
   "/businesses/:businessId/conversations/:conversationId/messages",
   authMiddleware,
+  businessAccessMiddleware,
   // validate([commonValidations.businessId, commonValidations.id, ...validationSets.pagination]),
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
@@ -260,9 +955,27 @@ router.get(
   })
 );
 
+/**
+ * Delivery and read receipt statistics for a business
+ * GET /api/basic/businesses/:businessId/receipts?from=&to=
+ */
+router.get(
+  "/businesses/:businessId/receipts",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { businessId } = req.params;
+    const { from, to } = req.query;
+
+    const stats = await DatabaseService.getBusinessReceiptStats(businessId, { from, to });
+    res.json(createResponse(true, stats));
+  })
+);
+
 router.delete(
   "/businesses/:businessId/conversations/:conversationId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   // validate([commonValidations.businessId, commonValidations.id]),
   asyncHandler(async (req, res) => {
@@ -284,6 +997,7 @@ router.delete(
 router.get(
   "/conversations/:conversationId/messages",
   authMiddleware,
+  businessAccessMiddleware,
   // validate([commonValidations.id, ...validationSets.pagination]),
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
@@ -303,6 +1017,27 @@ router.get(
   })
 );
 
+/**
+ * Get delivery and read receipts for a conversation's outbound messages
+ * GET /api/basic/conversations/:conversationId/receipts
+ */
+router.get(
+  "/conversations/:conversationId/receipts",
+  authMiddleware,
+  businessAccessMiddleware,
+  asyncHandler(async (req, res) => {
+    const { conversationId } = req.params;
+    const conversation = await DatabaseService.getConversationDetails(conversationId);
+
+    if (!conversation) {
+      return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const { receipts, summary } = await DatabaseService.getConversationReceipts(conversationId);
+    res.json(createResponse(true, { conversationId: conversation.id, receipts, summary, count: receipts.length }));
+  })
+);
+
 /**
  * Archive conversation
  * PATCH /api/basic/conversations/:conversationId
@@ -310,6 +1045,8 @@ router.get(
 router.patch(
   "/conversations/:conversationId",
   authMiddleware,
+  businessAccessMiddleware,
+  agentMiddleware,
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
     const { status, action } = req.body;
@@ -318,7 +1055,10 @@ router.patch(
     let targetStatus = null;
     
     if (action === "delete") {
-      // Handle delete action
+      // Handle delete action (admins only, like DELETE /businesses/:businessId/conversations/:conversationId)
+      if (!UserService.isAccountWide(req.user.role)) {
+        return res.status(403).json(createResponse(false, null, "Admin access required", null, "AUTHORIZATION_ERROR"));
+      }
       const conversation = await DatabaseService.deleteConversation(conversationId);
       if (!conversation) {
         return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
@@ -347,4 +1087,88 @@ router.patch(
   })
 );
 
+/**
+ * Send an agent reply to the customer of a conversation in human mode
+ * POST /api/basic/conversations/:conversationId/messages { content }
+ */
+router.post(
+  "/conversations/:conversationId/messages",
+  authMiddleware,
+  businessAccessMiddleware,
+  agentMiddleware,
+  asyncHandler(async (req, res) => {
+    const { conversationId } = req.params;
+    const { content } = req.body;
+
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json(createResponse(false, null, "content is required", null, "VALIDATION_ERROR"));
+    }
+
+    const conversation = await DatabaseService.getConversationDetails(conversationId);
+    if (!conversation) {
+      return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+    }
+    if (conversation.mode !== "human") {
+      return res
+        .status(409)
+        .json(
+          createResponse(false, null, "Conversation is handled by the bot; hand it off first", null, "CONFLICT_ERROR")
+        );
+    }
+
+    const message = await HandoffService.sendAgentMessage(conversation, { userId: req.user.id, content: content.trim() });
+
+    if (!message) {
+      return res.status(404).json(createResponse(false, null, "WhatsApp configuration not found", null, "NOT_FOUND_ERROR"));
+    }
+    if (message.status === "failed") {
+      return res
+        .status(502)
+        .json(createResponse(false, message, message.error_message || "Message could not be sent", null, "EXTERNAL_SERVICE_ERROR"));
+    }
+
+    res.status(201).json(createResponse(true, message, null, "Message sent successfully"));
+  })
+);
+
+/**
+ * Take over a conversation: the bot stops replying until it is released
+ * POST /api/basic/conversations/:conversationId/handoff
+ */
+router.post(
+  "/conversations/:conversationId/handoff",
+  authMiddleware,
+  businessAccessMiddleware,
+  agentMiddleware,
+  asyncHandler(async (req, res) => {
+    const conversation = await HandoffService.handOff(req.params.conversationId, { reason: "agent", userId: req.user.id });
+
+    if (!conversation) {
+      return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, conversation, null, "Conversation handed off to a human"));
+  })
+);
+
+/**
+ * Hand a conversation back to the bot
+ * POST /api/basic/conversations/:conversationId/release
+ */
+router.post(
+  "/conversations/:conversationId/release",
+  authMiddleware,
+  businessAccessMiddleware,
+  agentMiddleware,
+  asyncHandler(async (req, res) => {
+    const conversation = await HandoffService.handBack(req.params.conversationId);
+
+    if (!conversation) {
+      return res.status(404).json(createResponse(false, null, "Conversation not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, conversation, null, "Conversation handed back to the bot"));
+  })
+);
+
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const googleService = require("../services/google");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const authService = require("../services/auth");
+const { authMiddleware, adminMiddleware, businessAccessMiddleware } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -11,11 +12,13 @@ const { createResponse, asyncHandler } = require("../middleware/error-handler");
  */
 router.get(
   "/auth/:businessId",
-  // authMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
+  validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
-    const { businessId } = req.params;
-    const authUrl = googleService.getAuthUrl(parseInt(businessId));
+    const state = authService.createOAuthState("google", { businessId: req.businessId, userId: req.user.id });
+    const authUrl = googleService.getAuthUrl(state);
     res.json(createResponse(true, { authUrl }));
   })
 );
@@ -73,7 +76,7 @@ router.get("/callback", async (req, res) => {
       `);
     }
 
-    const { businessId } = JSON.parse(state);
+    const { businessId } = authService.verifyOAuthState("google", state) || {};
 
     if (!businessId) {
       return res.send(`
@@ -170,8 +173,9 @@ router.get("/callback", async (req, res) => {
  */
 router.get(
   "/status/:businessId",
-  // authMiddleware,
-  // validate([commonValidations.businessId]),
+  authMiddleware,
+  businessAccessMiddleware,
+  validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const isIntegrated = await googleService.isIntegrated(parseInt(businessId));
@@ -196,9 +200,10 @@ router.get(
  */
 router.post(
   "/config/:businessId",
-  // authMiddleware,
+  authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
-  // validate([commonValidations.businessId]),
+  validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await googleService.saveIntegration(parseInt(businessId), req.body);
@@ -212,9 +217,10 @@ router.post(
  */
 router.put(
   "/config/:businessId",
-  // authMiddleware,
+  authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
-  // validate([commonValidations.businessId]),
+  validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
     const config = await googleService.updateIntegration(parseInt(businessId), req.body);
@@ -226,17 +232,10 @@ router.put(
  * Get Google Workspace configuration
  * GET /api/google/config/:businessId
  */
-router.get("/config/:businessId", async (req, res) => {
+router.get("/config/:businessId", authMiddleware, businessAccessMiddleware, async (req, res) => {
   try {
     const { businessId } = req.params;
 
-    if (!businessId || isNaN(businessId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Valid business ID is required",
-      });
-    }
-
     const integration = await googleService.getIntegration(parseInt(businessId));
 
     if (integration) {
@@ -280,6 +279,7 @@ router.get("/config/:businessId", async (req, res) => {
 router.delete(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -1,7 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const HubSpotService = require("../services/hubspot");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const authService = require("../services/auth");
+const SecretService = require("../services/secrets");
+const { authMiddleware, adminMiddleware, businessAccessMiddleware } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
@@ -9,10 +11,12 @@ const { createResponse, asyncHandler } = require("../middleware/error-handler");
 router.get(
   "/auth/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
+  adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
-    const { businessId } = req.params;
-    const authUrl = HubSpotService.getAuthUrl(parseInt(businessId));
+    const state = authService.createOAuthState("hubspot", { businessId: req.businessId, userId: req.user.id });
+    const authUrl = HubSpotService.getAuthUrl(state);
     res.json(createResponse(true, { authUrl }));
   })
 );
@@ -53,7 +57,11 @@ router.get(
       `);
     }
 
-    if (!code || !state) {
+    // Signed, so a callback cannot be forged for another business; the state is not single-use
+    // and stays valid until it expires (OAUTH_STATE_EXPIRY)
+    const stateData = state ? authService.verifyOAuthState("hubspot", state) : null;
+
+    if (!code || !stateData) {
       return res.status(400).send(`
         <!DOCTYPE html>
         <html>
@@ -75,7 +83,7 @@ router.get(
           </script>
           <h1>HubSpot Authentication Error</h1>
           <div class="error">
-            <p>Missing authorization code or state parameter.</p>
+            <p>Missing authorization code or invalid state parameter.</p>
             <p>This window will close automatically.</p>
           </div>
         </body>
@@ -84,7 +92,6 @@ router.get(
     }
 
     try {
-      const stateData = JSON.parse(state);
       const result = await HubSpotService.exchangeCodeForTokens(code, stateData.businessId);
 
       res.send(`
@@ -144,6 +151,7 @@ router.get(
 router.post(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -156,11 +164,14 @@ router.post(
         .json(createResponse(false, null, "Client ID and Client Secret are required", null, "VALIDATION_ERROR"));
     }
 
-    const config = await HubSpotService.saveIntegration(parseInt(businessId), {
-      client_id,
-      client_secret,
-      redirect_uri,
-    });
+    const config = SecretService.redact(
+      "hubspot_integrations",
+      await HubSpotService.saveIntegration(parseInt(businessId), {
+        client_id,
+        client_secret,
+        redirect_uri,
+      })
+    );
 
     res.status(201).json(createResponse(true, config, "HubSpot configuration saved successfully"));
   })
@@ -169,6 +180,7 @@ router.post(
 router.get(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -180,6 +192,7 @@ router.get(
 router.put(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -192,6 +205,7 @@ router.put(
 router.delete(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -205,6 +219,7 @@ router.delete(
 router.get(
   "/status/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -0,0 +1,186 @@
+const express = require("express");
+const router = express.Router();
+const IntentDetectionService = require("../services/intent-detection");
+const IntentEvaluationService = require("../services/intent-evaluation");
+const { authMiddleware, accountMiddleware, adminMiddleware } = require("../middleware/auth");
+const { createResponse, asyncHandler } = require("../middleware/error-handler");
+
+// Every evaluated message costs one embedding request
+const MAX_EVALUATION_CASES = 500;
+
+const validationError = (res, message) =>
+  res.status(400).json(createResponse(false, null, message, null, "VALIDATION_ERROR"));
+
+const isValidWeight = (weight) => weight === undefined || (Number(weight) > 0 && Number(weight) <= 9.99);
+
+// Global intent catalog with example counts
+router.get(
+  "/",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const intents = await IntentDetectionService.getAllIntents();
+    res.json(createResponse(true, { intents, count: intents.length }));
+  })
+);
+
+// Detection cache size and models
+router.get(
+  "/metrics",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    res.json(createResponse(true, IntentDetectionService.getPerformanceMetrics()));
+  })
+);
+
+// Add examples to several intents at once: { examples: [{ intent, text, weight }] }
+router.post(
+  "/examples/bulk",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { examples } = req.body;
+
+    if (
+      !Array.isArray(examples) ||
+      examples.length === 0 ||
+      !examples.every((e) => e.intent && typeof e.text === "string" && e.text.trim() && isValidWeight(e.weight))
+    ) {
+      return validationError(res, "examples must be a non-empty array of { intent, text, weight }");
+    }
+
+    const results = await IntentDetectionService.bulkAddIntentExamples(
+      examples.map((e) => ({ intent: String(e.intent).toLowerCase(), text: e.text.trim(), weight: e.weight }))
+    );
+    await IntentDetectionService.clearAllCaches();
+
+    const added = results.filter(Boolean).length;
+    res
+      .status(201)
+      .json(createResponse(true, { added, failed: results.length - added }, null, `Added ${added} intent examples`));
+  })
+);
+
+// Run a labeled test set through intent matching: { testCases: [{ text, intent }], businessId }
+router.post(
+  "/evaluate",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { testCases, businessId = null } = req.body;
+
+    if (!Array.isArray(testCases) || testCases.length === 0 || !testCases.every((c) => c.text && c.intent)) {
+      return validationError(res, "testCases must be a non-empty array of { text, intent }");
+    }
+    if (testCases.length > MAX_EVALUATION_CASES) {
+      return validationError(res, `At most ${MAX_EVALUATION_CASES} test cases can be evaluated at once`);
+    }
+
+    const report = await IntentEvaluationService.evaluate(
+      testCases.map((c) => ({ text: String(c.text), intent: String(c.intent).toLowerCase() })),
+      { businessId }
+    );
+    res.json(createResponse(true, report));
+  })
+);
+
+// Clear the in-memory and database detection caches
+router.delete(
+  "/cache",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    await IntentDetectionService.clearAllCaches();
+    res.json(createResponse(true, null, null, "Intent detection caches cleared"));
+  })
+);
+
+// Examples of one intent
+router.get(
+  "/:intentName/examples",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const examples = await IntentDetectionService.getIntentExamplesByName(req.params.intentName);
+    res.json(createResponse(true, { intent: req.params.intentName, examples, count: examples.length }));
+  })
+);
+
+// Add examples to an intent, creating it if needed: { text, weight } or { examples: [{ text, weight }] }
+router.post(
+  "/:intentName/examples",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const intentName = req.params.intentName.toLowerCase();
+    const examples = Array.isArray(req.body.examples) ? req.body.examples : [req.body];
+
+    if (!examples.every((e) => typeof e.text === "string" && e.text.trim() && isValidWeight(e.weight))) {
+      return validationError(res, "Each example needs text and an optional weight up to 9.99");
+    }
+
+    const results = await IntentDetectionService.bulkAddIntentExamples(
+      examples.map((e) => ({ intent: intentName, text: e.text.trim(), weight: e.weight }))
+    );
+    await IntentDetectionService.clearAllCaches();
+
+    const added = results.filter(Boolean).length;
+    if (added === 0) {
+      return res.status(500).json(createResponse(false, null, "Failed to add intent examples", null, "INTERNAL_SERVER_ERROR"));
+    }
+
+    res
+      .status(201)
+      .json(createResponse(true, { intent: intentName, added, failed: results.length - added }, null, "Intent examples added"));
+  })
+);
+
+// Change an intent's confidence threshold: { threshold }
+router.put(
+  "/:intentName/threshold",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const threshold = Number(req.body.threshold);
+
+    if (req.body.threshold === undefined || Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return validationError(res, "threshold must be a number between 0 and 1");
+    }
+
+    const updated = await IntentDetectionService.updateIntentThreshold(req.params.intentName, threshold);
+
+    if (!updated) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, { intent: req.params.intentName, threshold }, null, "Intent threshold updated"));
+  })
+);
+
+// Enable or disable an intent: { active }
+router.put(
+  "/:intentName/status",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const { active } = req.body;
+
+    if (typeof active !== "boolean") {
+      return validationError(res, "active must be a boolean");
+    }
+
+    const updated = await IntentDetectionService.toggleIntentStatus(req.params.intentName, active);
+
+    if (!updated) {
+      return res.status(404).json(createResponse(false, null, "Intent not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, { intent: req.params.intentName, active }, null, "Intent status updated"));
+  })
+);
+
+module.exports = router;
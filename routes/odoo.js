@@ -1,23 +1,16 @@
 const express = require("express");
 const router = express.Router();
 const odooService = require("../services/odoo");
-const { authMiddleware, adminMiddleware } = require("../middleware/auth");
+const { authMiddleware, adminMiddleware, businessAccessMiddleware } = require("../middleware/auth");
 const { validate, commonValidations, validationSets } = require("../middleware/validation");
 const { createResponse, asyncHandler } = require("../middleware/error-handler");
 
 // Configuration Management
-router.post("/config/:businessId", async (req, res) => {
+router.post("/config/:businessId", authMiddleware, businessAccessMiddleware, adminMiddleware, async (req, res) => {
   try {
     const { businessId } = req.params;
     const { instance_url, db, username, api_key } = req.body;
 
-    if (!businessId || isNaN(businessId)) {
-      return res.status(400).json({
-        success: false,
-        error: "Valid business ID is required",
-      });
-    }
-
     if (!instance_url || !db || !username || !api_key) {
       return res.status(400).json({
         success: false,
@@ -49,7 +42,7 @@ router.post("/config/:businessId", async (req, res) => {
   }
 });
 
-router.get("/config/:businessId", async (req, res) => {
+router.get("/config/:businessId", authMiddleware, businessAccessMiddleware, async (req, res) => {
   try {
     const { businessId } = req.params;
 
@@ -86,6 +79,7 @@ router.get("/config/:businessId", async (req, res) => {
 router.put(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -98,6 +92,7 @@ router.put(
 router.delete(
   "/config/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   adminMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
@@ -111,6 +106,7 @@ router.delete(
 router.get(
   "/status/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -130,6 +126,7 @@ router.get(
 router.post(
   "/test/:businessId",
   authMiddleware,
+  businessAccessMiddleware,
   validate([commonValidations.businessId]),
   asyncHandler(async (req, res) => {
     const { businessId } = req.params;
@@ -0,0 +1,149 @@
+const express = require("express");
+const router = express.Router();
+const UserService = require("../services/users");
+const authService = require("../services/auth");
+const businessService = require("../services/business");
+const { authMiddleware, accountMiddleware, adminMiddleware } = require("../middleware/auth");
+const { validate, validationSets } = require("../middleware/validation");
+const { createResponse, asyncHandler } = require("../middleware/error-handler");
+
+// Admins manage agents and viewers; only the owner can invite, change or remove admins
+const canManageRole = (actor, role) => actor.role === "owner" || role !== "admin";
+
+const forbidden = (res, message) =>
+  res.status(403).json(createResponse(false, null, message, null, "AUTHORIZATION_ERROR"));
+
+// Users with the businesses they are members of
+router.get(
+  "/",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const users = await UserService.listUsers();
+    res.json(createResponse(true, { users, count: users.length, roles: UserService.roles }));
+  })
+);
+
+// Pending invitations
+router.get(
+  "/invitations",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const invitations = await UserService.listPendingInvitations();
+    res.json(createResponse(true, { invitations, count: invitations.length }));
+  })
+);
+
+// Invite a user: { email, role, businessIds }; the token is only returned here, share it as the invite link
+router.post(
+  "/invitations",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  validate(validationSets.invitation),
+  asyncHandler(async (req, res) => {
+    const { email, role, businessIds = [] } = req.body;
+
+    if (!canManageRole(req.user, role)) {
+      return forbidden(res, "Only the owner can invite admins");
+    }
+
+    if (await authService.findUserByUsernameOrEmail(null, email)) {
+      return res
+        .status(409)
+        .json(createResponse(false, null, "A user with this email already exists", null, "CONFLICT_ERROR"));
+    }
+
+    const uniqueIds = Array.from(new Set(businessIds));
+    const businesses = await businessService.getAllBusinesses(uniqueIds);
+    if (businesses.length !== uniqueIds.length) {
+      return res.status(404).json(createResponse(false, null, "Business not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    const { invitation, token } = await UserService.createInvitation({
+      email,
+      role,
+      businessIds: uniqueIds,
+      invitedBy: req.user.id,
+    });
+
+    res.status(201).json(createResponse(true, { invitation, token }, null, "Invitation created successfully"));
+  })
+);
+
+router.delete(
+  "/invitations/:invitationId",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const invitation = await UserService.revokeInvitation(req.params.invitationId);
+
+    if (!invitation) {
+      return res.status(404).json(createResponse(false, null, "Invitation not found", null, "NOT_FOUND_ERROR"));
+    }
+
+    res.json(createResponse(true, invitation, null, "Invitation revoked successfully"));
+  })
+);
+
+// Change a user's role or status: { role, status }
+router.put(
+  "/:userId",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  validate(validationSets.updateUser),
+  asyncHandler(async (req, res) => {
+    const { userId } = req.params;
+    const { role, status } = req.body;
+
+    const user = await UserService.getUser(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, "User not found", null, "NOT_FOUND_ERROR"));
+    }
+    if (user.role === "owner") {
+      return forbidden(res, "The owner cannot be changed");
+    }
+    if (user.id === req.user.id) {
+      return forbidden(res, "You cannot change your own role or status");
+    }
+    if (!canManageRole(req.user, user.role) || (role && !canManageRole(req.user, role))) {
+      return forbidden(res, "Only the owner can manage admins");
+    }
+
+    const updated = await UserService.updateUser(user.id, { role, status });
+    res.json(createResponse(true, updated, null, "User updated successfully"));
+  })
+);
+
+router.delete(
+  "/:userId",
+  authMiddleware,
+  accountMiddleware,
+  adminMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await UserService.getUser(req.params.userId);
+
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, "User not found", null, "NOT_FOUND_ERROR"));
+    }
+    if (user.role === "owner") {
+      return forbidden(res, "The owner cannot be removed");
+    }
+    if (user.id === req.user.id) {
+      return forbidden(res, "You cannot remove yourself");
+    }
+    if (!canManageRole(req.user, user.role)) {
+      return forbidden(res, "Only the owner can manage admins");
+    }
+
+    const deleted = await UserService.deleteUser(user.id);
+    res.json(createResponse(true, deleted, null, "User removed successfully"));
+  })
+);
+
+module.exports = router;
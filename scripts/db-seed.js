@@ -504,11 +504,10 @@ const seedIntents = async () => {
     console.log(" Starting intent seeding...");
     const seedStartTime = Date.now();
 
-    // Clear existing intents and examples
+    // Clear existing global intents and examples (business intents are kept)
     console.log("🧹 Clearing existing intents and examples...");
-    await executeWithRetry("DELETE FROM intent_examples");
     await executeWithRetry("DELETE FROM intent_cache");
-    await executeWithRetry("DELETE FROM intents");
+    await executeWithRetry("DELETE FROM intents WHERE business_id IS NULL");
     console.log("✅ Cleared existing intent data");
 
     // Insert intents and examples
@@ -574,4 +573,4 @@ if (require.main === module) {
   runSeeding();
 }
 
-module.exports = { seedIntents };
+module.exports = { seedIntents, sampleIntents };
@@ -81,6 +81,14 @@ const dropAllTables = async () => {
   const dropStartTime = Date.now();
 
   const tables = [
+    "user_invitations",
+    "business_members",
+    "webhook_jobs",
+    "agent_tool_calls",
+    "business_llm_settings",
+    "llm_usage",
+    "dialog_states",
+    "document_chunks",
     "intent_cache",
     "intent_examples",
     "intents",
@@ -122,7 +130,7 @@ const getTableDefinitions = () => [
       username VARCHAR(100) UNIQUE NOT NULL,
       email VARCHAR(255) UNIQUE NOT NULL,
       password_hash VARCHAR(255) NOT NULL,
-      role VARCHAR(20) DEFAULT 'admin',
+      role VARCHAR(20) DEFAULT 'viewer' CHECK (role IN ('owner', 'admin', 'agent', 'viewer')),
       status VARCHAR(20) DEFAULT 'active',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -135,6 +143,11 @@ const getTableDefinitions = () => [
       name VARCHAR(255) NOT NULL,
       description TEXT,
       status VARCHAR(20) DEFAULT 'active',
+      ai_mode VARCHAR(20) DEFAULT 'intents' CHECK (ai_mode IN ('intents', 'agent')),
+      agent_allowed_tools JSONB,
+      agent_max_steps INTEGER DEFAULT 5,
+      handoff_keywords JSONB,
+      handoff_low_confidence_limit INTEGER DEFAULT 3,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
@@ -148,6 +161,7 @@ const getTableDefinitions = () => [
       access_token TEXT NOT NULL,
       verify_token VARCHAR(255),
       webhook_url VARCHAR(500),
+      app_secret TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
@@ -174,9 +188,17 @@ const getTableDefinitions = () => [
       business_id INTEGER NOT NULL,
       phone_number VARCHAR(20) NOT NULL,
       status VARCHAR(20) DEFAULT 'active',
+      mode VARCHAR(10) DEFAULT 'bot' CHECK (mode IN ('bot', 'human')),
+      handoff_reason VARCHAR(30),
+      handoff_at TIMESTAMP,
+      assigned_user_id INTEGER,
+      low_confidence_count INTEGER DEFAULT 0,
+      history_summary TEXT,
+      history_summary_through INTEGER,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (assigned_user_id) REFERENCES users(id) ON DELETE SET NULL
     )`,
   },
   {
@@ -193,12 +215,22 @@ const getTableDefinitions = () => [
       media_url VARCHAR(500),
       media_type VARCHAR(50),
       local_file_path VARCHAR(500),
+      payload JSONB,
+      context_message_id VARCHAR(255),
       direction VARCHAR(10) NOT NULL,
       status VARCHAR(20) DEFAULT 'received',
+      sent_at TIMESTAMP,
+      delivered_at TIMESTAMP,
+      read_at TIMESTAMP,
+      failed_at TIMESTAMP,
+      error_code INTEGER,
+      error_message TEXT,
+      sent_by_user_id INTEGER,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
-      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (sent_by_user_id) REFERENCES users(id) ON DELETE SET NULL
     )`,
   },
   {
@@ -211,6 +243,9 @@ const getTableDefinitions = () => [
       file_path VARCHAR(500) NOT NULL,
       file_type VARCHAR(50),
       file_size INTEGER,
+      mime_type VARCHAR(100),
+      original_name VARCHAR(255),
+      extracted_text TEXT,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
     )`,
@@ -308,12 +343,14 @@ const getTableDefinitions = () => [
     name: "intents",
     query: `CREATE TABLE intents (
       id SERIAL PRIMARY KEY,
-      name VARCHAR(100) NOT NULL UNIQUE,
+      business_id INTEGER,
+      name VARCHAR(100) NOT NULL,
       description TEXT,
       confidence_threshold DECIMAL(3,2) DEFAULT 0.75,
       active BOOLEAN DEFAULT true,
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
     )`,
   },
   {
@@ -334,6 +371,7 @@ const getTableDefinitions = () => [
     name: "intent_cache",
     query: `CREATE TABLE intent_cache (
       id SERIAL PRIMARY KEY,
+      business_id INTEGER,
       message_hash VARCHAR(64) NOT NULL UNIQUE,
       message_text TEXT NOT NULL,
       detected_intent VARCHAR(100),
@@ -344,6 +382,146 @@ const getTableDefinitions = () => [
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     )`,
   },
+  {
+    name: "document_chunks",
+    query: `CREATE TABLE document_chunks (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      conversation_id INTEGER NOT NULL,
+      media_file_id INTEGER NOT NULL,
+      chunk_index INTEGER NOT NULL,
+      content TEXT NOT NULL,
+      embedding JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (media_file_id) REFERENCES media_files(id) ON DELETE CASCADE
+    )`,
+  },
+  {
+    name: "dialog_states",
+    query: `CREATE TABLE dialog_states (
+      id SERIAL PRIMARY KEY,
+      conversation_id INTEGER NOT NULL UNIQUE,
+      business_id INTEGER NOT NULL,
+      flow VARCHAR(50) NOT NULL,
+      step VARCHAR(50),
+      slots JSONB DEFAULT '{}',
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE
+    )`,
+  },
+  {
+    name: "webhook_jobs",
+    query: `CREATE TABLE webhook_jobs (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER,
+      ordering_key VARCHAR(255) NOT NULL,
+      dedupe_key VARCHAR(64) NOT NULL UNIQUE,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'dead', 'discarded')),
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      next_run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      locked_by VARCHAR(100),
+      last_error TEXT,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE SET NULL
+    )`,
+  },
+  {
+    name: "agent_tool_calls",
+    query: `CREATE TABLE agent_tool_calls (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      conversation_id INTEGER,
+      run_id VARCHAR(36) NOT NULL,
+      step INTEGER NOT NULL,
+      tool_name VARCHAR(100) NOT NULL,
+      arguments JSONB,
+      result JSONB,
+      status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'error', 'denied', 'invalid')),
+      error_message TEXT,
+      duration_ms INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL
+    )`,
+  },
+  {
+    name: "business_llm_settings",
+    query: `CREATE TABLE business_llm_settings (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      provider VARCHAR(30) NOT NULL DEFAULT 'openai'
+        CHECK (provider IN ('openai', 'azure', 'openai_compatible', 'fake')),
+      chat_model VARCHAR(100),
+      fast_model VARCHAR(100),
+      vision_model VARCHAR(100),
+      transcription_model VARCHAR(100),
+      base_url TEXT,
+      api_key TEXT,
+      api_version VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      UNIQUE(business_id)
+    )`,
+  },
+  {
+    name: "llm_usage",
+    query: `CREATE TABLE llm_usage (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER,
+      conversation_id INTEGER,
+      feature VARCHAR(30) NOT NULL,
+      call_type VARCHAR(20) NOT NULL CHECK (call_type IN ('chat', 'transcription', 'embedding')),
+      provider VARCHAR(30) NOT NULL,
+      model VARCHAR(100) NOT NULL,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      audio_seconds NUMERIC(10, 2) DEFAULT 0,
+      estimated_cost NUMERIC(12, 6) DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (conversation_id) REFERENCES conversations(id) ON DELETE SET NULL
+    )`,
+  },
+  {
+    name: "business_members",
+    query: `CREATE TABLE business_members (
+      id SERIAL PRIMARY KEY,
+      business_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (business_id) REFERENCES businesses(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(business_id, user_id)
+    )`,
+  },
+  {
+    name: "user_invitations",
+    query: `CREATE TABLE user_invitations (
+      id SERIAL PRIMARY KEY,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('admin', 'agent', 'viewer')),
+      business_ids JSONB DEFAULT '[]',
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      invited_by INTEGER,
+      accepted_user_id INTEGER,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (accepted_user_id) REFERENCES users(id) ON DELETE SET NULL
+    )`,
+  },
 ];
 
 // Create table if it doesn't exist (for migrate mode)
@@ -392,6 +570,35 @@ const createTables = async (isInitMode) => {
 const handleMigrations = async () => {
   console.log("🔄 Running database migrations...");
 
+  // Migrate users table
+  if (await tableExists("users")) {
+    // Roles: the first admin of a single-admin install becomes the owner
+    await executeWithRetry(`
+      UPDATE users SET role = 'owner'
+      WHERE id = (SELECT MIN(id) FROM users WHERE role = 'admin')
+        AND NOT EXISTS (SELECT 1 FROM users WHERE role = 'owner')
+    `);
+  }
+
+  // Migrate businesses table
+  if (await tableExists("businesses")) {
+    // Agent mode: the model picks integration tools itself (see services/agent.js)
+    await addColumnIfNotExists(
+      "businesses",
+      "ai_mode",
+      "ai_mode VARCHAR(20) DEFAULT 'intents' CHECK (ai_mode IN ('intents', 'agent'))"
+    );
+    await addColumnIfNotExists("businesses", "agent_allowed_tools", "agent_allowed_tools JSONB");
+    await addColumnIfNotExists("businesses", "agent_max_steps", "agent_max_steps INTEGER DEFAULT 5");
+    // Human handoff triggers (see services/handoff.js)
+    await addColumnIfNotExists("businesses", "handoff_keywords", "handoff_keywords JSONB");
+    await addColumnIfNotExists(
+      "businesses",
+      "handoff_low_confidence_limit",
+      "handoff_low_confidence_limit INTEGER DEFAULT 3"
+    );
+  }
+
   // Migrate conversations table
   if (await tableExists("conversations")) {
     const hasBusinessId = await columnExists("conversations", "business_id");
@@ -430,6 +637,25 @@ const handleMigrations = async () => {
       console.log("✅ Updated conversations table with business_id");
       columnsAdded++;
     }
+
+    // Rolling summary of messages that no longer fit the AI history window
+    await addColumnIfNotExists("conversations", "history_summary", "history_summary TEXT");
+    await addColumnIfNotExists("conversations", "history_summary_through", "history_summary_through INTEGER");
+
+    // Human handoff: the AI stays silent while a person handles the conversation
+    await addColumnIfNotExists(
+      "conversations",
+      "mode",
+      "mode VARCHAR(10) DEFAULT 'bot' CHECK (mode IN ('bot', 'human'))"
+    );
+    await addColumnIfNotExists("conversations", "handoff_reason", "handoff_reason VARCHAR(30)");
+    await addColumnIfNotExists("conversations", "handoff_at", "handoff_at TIMESTAMP");
+    await addColumnIfNotExists(
+      "conversations",
+      "assigned_user_id",
+      "assigned_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL"
+    );
+    await addColumnIfNotExists("conversations", "low_confidence_count", "low_confidence_count INTEGER DEFAULT 0");
   }
 
   // Migrate messages table
@@ -471,6 +697,34 @@ const handleMigrations = async () => {
 
     // Add local_file_path column if it doesn't exist
     await addColumnIfNotExists("messages", "local_file_path", "VARCHAR(500)");
+
+    // Delivery receipts from WhatsApp status webhooks
+    await addColumnIfNotExists("messages", "sent_at", "sent_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "delivered_at", "delivered_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "read_at", "read_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "failed_at", "failed_at TIMESTAMP");
+    await addColumnIfNotExists("messages", "error_code", "error_code INTEGER");
+    await addColumnIfNotExists("messages", "error_message", "error_message TEXT");
+
+    // Structured payload for interactive, location, contacts, reaction, etc.
+    await addColumnIfNotExists("messages", "payload", "payload JSONB");
+
+    // Message a row refers to: the quoted message of an incoming reply, or the incoming
+    // message one of our replies answers (so retried webhook jobs do not answer twice)
+    await addColumnIfNotExists("messages", "context_message_id", "context_message_id VARCHAR(255)");
+
+    // User who sent an outbound message by hand during a human handoff
+    await addColumnIfNotExists(
+      "messages",
+      "sent_by_user_id",
+      "sent_by_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL"
+    );
+  }
+
+  // Migrate whatsapp_configs table
+  if (await tableExists("whatsapp_configs")) {
+    // App secret used to verify X-Hub-Signature-256 on incoming webhooks
+    await addColumnIfNotExists("whatsapp_configs", "app_secret", "app_secret TEXT");
   }
 
   // Migrate media_files table
@@ -509,6 +763,31 @@ const handleMigrations = async () => {
       console.log("✅ Updated media_files table with business_id");
       columnsAdded++;
     }
+
+    // Document ingestion metadata and extracted text
+    await addColumnIfNotExists("media_files", "mime_type", "mime_type VARCHAR(100)");
+    await addColumnIfNotExists("media_files", "original_name", "original_name VARCHAR(255)");
+    await addColumnIfNotExists("media_files", "extracted_text", "extracted_text TEXT");
+  }
+
+  // Migrate intents table
+  if (await tableExists("intents")) {
+    // Business-scoped intents: NULL business_id rows are the global defaults,
+    // business rows override a global intent of the same name or add a custom one
+    await addColumnIfNotExists(
+      "intents",
+      "business_id",
+      "business_id INTEGER REFERENCES businesses(id) ON DELETE CASCADE"
+    );
+
+    // Names are unique per scope (see idx_intents_global_name / idx_intents_business_name)
+    await executeWithRetry("ALTER TABLE intents DROP CONSTRAINT IF EXISTS intents_name_key");
+  }
+
+  // Migrate intent_cache table
+  if (await tableExists("intent_cache")) {
+    // Cached classifications belong to the business whose catalog produced them
+    await addColumnIfNotExists("intent_cache", "business_id", "business_id INTEGER");
   }
 
   console.log("✅ Migrations completed");
@@ -527,6 +806,9 @@ const createIndexes = async () => {
         "CREATE INDEX IF NOT EXISTS idx_intent_examples_active ON intent_examples(active)",
         "CREATE INDEX IF NOT EXISTS idx_intent_cache_expires ON intent_cache(expires_at)",
         "CREATE INDEX IF NOT EXISTS idx_intent_cache_hash ON intent_cache(message_hash)",
+        "CREATE INDEX IF NOT EXISTS idx_intent_cache_business_id ON intent_cache(business_id)",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_intents_global_name ON intents(name) WHERE business_id IS NULL",
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_intents_business_name ON intents(business_id, name) WHERE business_id IS NOT NULL",
       ],
     },
     {
@@ -546,6 +828,8 @@ const createIndexes = async () => {
         "CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id)",
         "CREATE INDEX IF NOT EXISTS idx_messages_message_id ON messages(message_id)",
         "CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_messages_business_direction_status ON messages(business_id, direction, status)",
+        "CREATE INDEX IF NOT EXISTS idx_messages_context_message_id ON messages(context_message_id)",
       ],
     },
     {
@@ -572,6 +856,48 @@ const createIndexes = async () => {
         "CREATE INDEX IF NOT EXISTS idx_media_files_business_id ON media_files(business_id)",
         "CREATE INDEX IF NOT EXISTS idx_media_files_message_id ON media_files(message_id)",
         "CREATE INDEX IF NOT EXISTS idx_media_files_file_type ON media_files(file_type)",
+        "CREATE INDEX IF NOT EXISTS idx_document_chunks_conversation_id ON document_chunks(conversation_id)",
+        "CREATE INDEX IF NOT EXISTS idx_document_chunks_media_file_id ON document_chunks(media_file_id)",
+      ],
+    },
+    {
+      name: "Dialog State Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_dialog_states_business_id ON dialog_states(business_id)",
+      ],
+    },
+    {
+      name: "Agent Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_agent_tool_calls_business_created ON agent_tool_calls(business_id, created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_agent_tool_calls_conversation_id ON agent_tool_calls(conversation_id)",
+        "CREATE INDEX IF NOT EXISTS idx_agent_tool_calls_run_id ON agent_tool_calls(run_id)",
+      ],
+    },
+    {
+      name: "Handoff Indexes",
+      queries: ["CREATE INDEX IF NOT EXISTS idx_conversations_business_mode ON conversations(business_id, mode)"],
+    },
+    {
+      name: "Membership Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_business_members_user_id ON business_members(user_id)",
+        "CREATE INDEX IF NOT EXISTS idx_user_invitations_email ON user_invitations(email)",
+      ],
+    },
+    {
+      name: "Usage Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_llm_usage_business_created ON llm_usage(business_id, created_at)",
+        "CREATE INDEX IF NOT EXISTS idx_llm_usage_conversation_id ON llm_usage(conversation_id)",
+      ],
+    },
+    {
+      name: "Webhook Queue Indexes",
+      queries: [
+        "CREATE INDEX IF NOT EXISTS idx_webhook_jobs_status_next_run ON webhook_jobs(status, next_run_at)",
+        "CREATE INDEX IF NOT EXISTS idx_webhook_jobs_ordering_key ON webhook_jobs(ordering_key, id)",
+        "CREATE INDEX IF NOT EXISTS idx_webhook_jobs_business_id ON webhook_jobs(business_id)",
       ],
     },
   ];
@@ -0,0 +1,152 @@
+require("dotenv").config();
+const fs = require("fs-extra");
+const path = require("path");
+
+/**
+ * Evaluate intent matching against a labeled test set
+ *
+ * Usage:
+ *   node scripts/evaluate-intents.js [options]
+ *
+ * Options:
+ *   --test-set <file>  Labeled cases [{ "text", "intent" }] (default: scripts/intent-test-set.json)
+ *   --stub             Use a deterministic offline embedding provider instead of OpenAI
+ *   --catalog <file>   Intent catalog [{ name, confidence_threshold, examples }] instead of the database
+ *                      (with --stub the seed catalog from db-seed.js is used by default)
+ *   --business <id>    Evaluate a business's catalog from the database
+ *   --json             Print the full report as JSON
+ */
+const parseArgs = (argv) => {
+  const options = { testSet: path.join(__dirname, "intent-test-set.json"), stub: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--test-set":
+        options.testSet = argv[++i];
+        break;
+      case "--catalog":
+        options.catalog = argv[++i];
+        break;
+      case "--business":
+        options.businessId = parseInt(argv[++i]);
+        break;
+      case "--stub":
+        options.stub = true;
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+};
+
+const pad = (value, width) => String(value).padEnd(width);
+
+const printReport = (report) => {
+  console.log(`\n📊 Evaluated ${report.total} messages in ${report.evaluationTime}ms`);
+  console.log(`   • Accuracy: ${report.accuracy}`);
+  console.log(`   • Macro precision: ${report.macroPrecision}`);
+  console.log(`   • Macro recall: ${report.macroRecall}`);
+  console.log(`   • Macro F1: ${report.macroF1}`);
+  if (report.examplesWithoutEmbedding > 0) {
+    console.log(`   ⚠️  ${report.examplesWithoutEmbedding} examples have no embedding and were ignored`);
+  }
+
+  // Only rows and columns with at least one message keep the matrix readable
+  const used = report.labels.filter(
+    (label) =>
+      Object.values(report.confusionMatrix[label]).some(Boolean) ||
+      report.labels.some((expected) => report.confusionMatrix[expected][label])
+  );
+  const width = Math.max(...report.labels.map((label) => label.length)) + 2;
+  console.log("\n🔢 Confusion matrix (rows: expected, columns: predicted)");
+  console.log(pad("", width + 5) + used.map((_, i) => pad(`[${i}]`, 5)).join(""));
+  used.forEach((expected, i) => {
+    console.log(pad(`[${i}] ${expected}`, width + 5) + used.map((p) => pad(report.confusionMatrix[expected][p], 5)).join(""));
+  });
+
+  console.log("\n🎯 Per-intent metrics");
+  console.log(pad("intent", width) + pad("support", 9) + pad("precision", 11) + pad("recall", 8) + "f1");
+  for (const m of report.perIntent.filter((m) => m.support > 0 || m.falsePositives > 0)) {
+    console.log(pad(m.intent, width) + pad(m.support, 9) + pad(m.precision, 11) + pad(m.recall, 8) + m.f1);
+  }
+
+  const changes = report.thresholdRecommendations.filter((r) => r.change !== "keep");
+  console.log("\n🎚️  Threshold recommendations");
+  if (changes.length === 0) {
+    console.log("   • Current thresholds are already the best candidates");
+  }
+  for (const r of changes) {
+    console.log(
+      `   • ${r.intent}: ${r.change} ${r.currentThreshold} → ${r.recommendedThreshold} (F1 ${r.currentF1} → ${r.recommendedF1})`
+    );
+  }
+
+  if (report.misclassified.length > 0) {
+    console.log("\n❌ Misclassified");
+    for (const r of report.misclassified) {
+      console.log(`   • "${r.text}" expected ${r.expected}, got ${r.predicted} (${r.bestMatch || "-"} ${r.confidence})`);
+    }
+  }
+};
+
+const run = async () => {
+  let pool = null;
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    // Stub mode never reaches the network, whatever provider is configured
+    if (options.stub) {
+      process.env.LLM_PROVIDER = "fake";
+    }
+
+    const IntentEvaluationService = require("../services/intent-evaluation");
+
+    const testCases = await fs.readJson(options.testSet);
+    let catalog = options.catalog ? await fs.readJson(options.catalog) : null;
+    if (!catalog && options.stub && !options.businessId) {
+      catalog = require("./db-seed").sampleIntents;
+    }
+    if (!catalog) {
+      pool = require("../config/database");
+    }
+
+    console.log(
+      `🧪 Evaluating ${testCases.length} messages against ${
+        catalog ? `${catalog.length} intents from file` : `the ${options.businessId ? `business ${options.businessId}` : "global"} catalog`
+      } (${options.stub ? "stub" : "OpenAI"} embeddings)`
+    );
+
+    const report = await IntentEvaluationService.evaluate(testCases, {
+      businessId: options.businessId || null,
+      catalog,
+      embed: options.stub ? IntentEvaluationService.createStubEmbedder() : null,
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(report);
+    }
+
+    process.exitCode = 0;
+  } catch (error) {
+    console.error("❌ Intent evaluation failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    if (pool) await pool.end();
+    // The detection service keeps a cache cleanup timer running
+    process.exit(process.exitCode);
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,85 @@
+require("dotenv").config();
+const pool = require("../config/database");
+const SecretService = require("../services/secrets");
+
+/**
+ * Re-encrypt stored secrets with the current master key
+ *
+ * Re-wraps the data key of every value encrypted with a previous key and encrypts values still
+ * stored in plaintext. Rows already on the current key are left untouched, so the script can be
+ * re-run safely. All changes are made in one transaction.
+ *
+ * Key rotation:
+ *   1. Move the current key to SECRETS_ENCRYPTION_PREVIOUS_KEYS and set a new SECRETS_ENCRYPTION_KEY
+ *   2. Restart the server and run: npm run secrets:rotate
+ *   3. Remove the old key from SECRETS_ENCRYPTION_PREVIOUS_KEYS
+ *
+ * Usage:
+ *   node scripts/rotate-secrets.js [--dry-run]
+ *
+ * Options:
+ *   --dry-run  Report how many values would change without writing them
+ */
+const rotateSecrets = async ({ dryRun = false } = {}) => {
+  const client = await pool.connect();
+  try {
+    const { current } = SecretService.getKeys();
+    console.log(`Re-encrypting secrets with key ${current.id}${dryRun ? " (dry run)" : ""}...`);
+
+    await client.query("BEGIN");
+
+    const summary = {};
+    for (const [table, columns] of Object.entries(SecretService.columns)) {
+      const result = await client.query(`SELECT id, ${columns.join(", ")} FROM ${table} FOR UPDATE`);
+      let updated = 0;
+
+      for (const row of result.rows) {
+        const changed = columns
+          .map((column) => ({ column, value: SecretService.rewrap(row[column]) }))
+          .filter(({ column, value }) => value !== row[column]);
+        if (changed.length === 0) continue;
+
+        if (!dryRun) {
+          const assignments = changed.map(({ column }, index) => `${column} = $${index + 2}`).join(", ");
+          await client.query(`UPDATE ${table} SET ${assignments} WHERE id = $1`, [
+            row.id,
+            ...changed.map(({ value }) => value),
+          ]);
+        }
+        updated++;
+      }
+
+      summary[table] = { rows: result.rows.length, updated };
+      console.log(
+        `- ${table}: ${updated} of ${result.rows.length} rows ${dryRun ? "need re-encryption" : "re-encrypted"}`
+      );
+    }
+
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    return summary;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error rotating secrets:", error);
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const initRotation = async () => {
+  try {
+    await rotateSecrets({ dryRun: process.argv.includes("--dry-run") });
+    console.log("Secret rotation completed successfully");
+    process.exit(0);
+  } catch (error) {
+    console.error("Secret rotation failed:", error.message);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  initRotation();
+}
+
+module.exports = { rotateSecrets };
@@ -18,6 +18,12 @@ const googleRoutes = require("./routes/google");
 const hubspotRoutes = require("./routes/hubspot");
 const odooRoutes = require("./routes/odoo");
 const airtableRoutes = require("./routes/airtable");
+const intentRoutes = require("./routes/intents");
+const userRoutes = require("./routes/users");
+
+// Import background workers
+const WebhookQueueService = require("./services/webhook-queue");
+const EventBus = require("./services/events");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -31,10 +37,12 @@ app.set("x-powered-by", false); // Remove X-Powered-By header for security
 const uploadsDir = path.join(__dirname, "uploads");
 const imagesDir = path.join(uploadsDir, "images");
 const audioDir = path.join(uploadsDir, "audio");
+const documentsDir = path.join(uploadsDir, "documents");
 
 fs.ensureDirSync(uploadsDir);
 fs.ensureDirSync(imagesDir);
 fs.ensureDirSync(audioDir);
+fs.ensureDirSync(documentsDir);
 
 // Cache directory status for health checks
 const directoriesStatus = {
@@ -285,7 +293,8 @@ app.get("/health/detailed", async (req, res) => {
     checks.database = true;
 
     // Check filesystem
-    checks.filesystem = fs.existsSync(uploadsDir) && fs.existsSync(imagesDir) && fs.existsSync(audioDir);
+    checks.filesystem =
+      fs.existsSync(uploadsDir) && fs.existsSync(imagesDir) && fs.existsSync(audioDir) && fs.existsSync(documentsDir);
 
     // Check memory usage
     const memUsage = process.memoryUsage();
@@ -332,6 +341,8 @@ app.use("/api/google", googleRoutes);
 app.use("/api/hubspot", hubspotRoutes);
 app.use("/api/odoo", odooRoutes);
 app.use("/api/airtable", airtableRoutes);
+app.use("/api/intents", intentRoutes);
+app.use("/api/users", userRoutes);
 
 // ===== ERROR HANDLING =====
 
@@ -350,9 +361,15 @@ app.use(errorHandler);
 const gracefulShutdown = (signal) => {
   console.log(`Received ${signal}. Starting graceful shutdown...`);
 
-  server.close(() => {
+  // End open event streams so they do not hold the server open
+  EventBus.close();
+
+  server.close(async () => {
     console.log("HTTP server closed.");
 
+    // Let in-flight webhook jobs finish before exiting
+    await WebhookQueueService.stop();
+
     // Clear any timers or intervals
     if (global.gc) {
       global.gc(); // Force garbage collection if available
@@ -377,6 +394,9 @@ const server = app.listen(PORT, "0.0.0.0", () => {
 
   console.log(`Server running on port ${PORT}`);
 
+  // Start processing queued webhook events
+  WebhookQueueService.start();
+
   // if (isDev) {
   //   console.log(`Environment: ${process.env.NODE_ENV || "development"}`);
   //   console.log(`Health check: http://localhost:${PORT}/health`);
@@ -0,0 +1,359 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const OpenAIService = require("./openai");
+const ToolSchemaService = require("./tool-schemas");
+const GoogleService = require("./google");
+const HubSpotService = require("./hubspot");
+const OdooService = require("./odoo");
+const LLMService = require("./llm");
+
+// Longest tool result passed back to the model; the audit trail keeps the full result
+const MAX_TOOL_RESULT_CHARS = 4000;
+
+/**
+ * Integration operations the agent can call
+ * Names match the schemas in ToolSchemaService, which validate the arguments before a tool runs.
+ * Read-only tools are allowed by default; tools that change data must be added to a business's allowlist.
+ */
+const AGENT_TOOLS = {
+  check_order_status: {
+    integration: "odoo",
+    readOnly: true,
+    run: (businessId, args) => OdooService.getOrderStatus(businessId, args.order_id),
+  },
+  search_odoo_customers: {
+    integration: "odoo",
+    readOnly: true,
+    run: (businessId, args) => OdooService.searchCustomers(businessId, args.searchTerm || "all"),
+  },
+  list_odoo_products: {
+    integration: "odoo",
+    readOnly: true,
+    run: async (businessId, args) => ({ products: await OdooService.getProducts(businessId, args.limit || 20) }),
+  },
+  check_odoo_inventory: {
+    integration: "odoo",
+    readOnly: true,
+    run: (businessId) => OdooService.getInventory(businessId),
+  },
+  search_hubspot_contacts: {
+    integration: "hubspot",
+    readOnly: true,
+    run: async (businessId, args) => {
+      const result = await HubSpotService.searchContacts(businessId, args.searchTerm || "all");
+      return { ...result, contacts: (result.contacts || []).map((contact) => ({ id: contact.id, ...contact.properties })) };
+    },
+  },
+  find_available_slots: {
+    integration: "google",
+    readOnly: true,
+    run: async (businessId, args) => ({
+      slots: await GoogleService.findAvailableSlots(businessId, args.date, args.durationMinutes || 60),
+    }),
+  },
+  list_calendar_events: {
+    integration: "google",
+    readOnly: true,
+    run: async (businessId, args) => {
+      const events = await GoogleService.getCalendarEvents(businessId, {
+        startDate: args.startDate,
+        endDate: args.endDate,
+        limit: args.limit || 10,
+      });
+      return {
+        events: events.map((event) => ({
+          id: event.id,
+          summary: event.summary,
+          start: event.start?.dateTime || event.start?.date,
+          end: event.end?.dateTime || event.end?.date,
+        })),
+      };
+    },
+  },
+  create_odoo_lead: {
+    integration: "odoo",
+    readOnly: false,
+    run: (businessId, args) =>
+      OdooService.createLead(businessId, {
+        name: args.name,
+        partner_name: args.contact_name,
+        email: args.email,
+        phone: args.phone,
+        description: args.description,
+      }),
+  },
+  create_hubspot_contact: {
+    integration: "hubspot",
+    readOnly: false,
+    run: (businessId, args) => HubSpotService.createContact(businessId, args),
+  },
+  create_calendar_event: {
+    integration: "google",
+    readOnly: false,
+    run: async (businessId, args) => {
+      const event = await GoogleService.createCalendarEvent(businessId, {
+        title: args.title,
+        description: args.description,
+        startTime: args.start,
+        endTime: args.end,
+      });
+      return { success: Boolean(event?.id), id: event?.id, htmlLink: event?.htmlLink };
+    },
+  },
+};
+
+/**
+ * Agent mode: instead of routing a message to one intent handler, the chat model gets the
+ * connected integrations' operations as tools and plans the calls itself
+ * Each model turn that requests tools is one step; a business's step cap bounds the turns per
+ * message. Every requested call, including denied and invalid ones, is written to agent_tool_calls.
+ */
+class AgentService {
+  constructor() {
+    this.tools = AGENT_TOOLS;
+    this.maxStepsLimit = 10;
+  }
+
+  /**
+   * Names of the tools a business allows
+   * @param {Object} settings - From BusinessService.getAgentSettings
+   */
+  getAllowedToolNames(settings) {
+    const names = Array.isArray(settings?.allowedTools)
+      ? settings.allowedTools
+      : Object.keys(this.tools).filter((name) => this.tools[name].readOnly);
+    return names.filter((name) => this.tools[name]);
+  }
+
+  /**
+   * Describe every agent tool for a business
+   * @param {Object} settings - From BusinessService.getAgentSettings
+   * @param {Object|null} integrations - Connected integrations (null: all connected)
+   * @returns {Array<Object>} [{ name, description, integration, readOnly, allowed, connected }]
+   */
+  describeTools(settings, integrations) {
+    const allowed = new Set(this.getAllowedToolNames(settings));
+
+    return Object.entries(this.tools).map(([name, tool]) => ({
+      name,
+      description: ToolSchemaService.getSchema(name).description,
+      integration: tool.integration,
+      readOnly: tool.readOnly,
+      allowed: allowed.has(name),
+      connected: !integrations || Boolean(integrations[tool.integration]),
+    }));
+  }
+
+  /**
+   * Answer a message in agent mode
+   * @param {Object} context - Router context ({ businessId, conversationId, text, businessTone, getConversationHistory })
+   * @param {Object} settings - From BusinessService.getAgentSettings
+   * @param {Object|null} integrations - Connected integrations (null: all connected)
+   * @returns {Promise<Object|null>} { reply, runId, steps, toolCalls }, or null if no tool is usable
+   */
+  async respond(context, settings, integrations) {
+    const { businessId, conversationId, text, businessTone } = context;
+    const available = this.describeTools(settings, integrations).filter((tool) => tool.allowed && tool.connected);
+
+    if (available.length === 0) {
+      console.log(`Agent mode for business ${businessId} has no allowed tools of connected integrations`);
+      return null;
+    }
+
+    const runId = crypto.randomUUID();
+    const allowed = new Set(available.map((tool) => tool.name));
+    const tools = available.map((tool) => ToolSchemaService.getToolDefinition(tool.name));
+    const maxSteps = Math.min(Math.max(parseInt(settings.maxSteps) || 5, 1), this.maxStepsLimit);
+
+    const history = (await context.getConversationHistory()).map((msg) => ({
+      role: msg.role || (msg.direction === "inbound" ? "user" : "assistant"),
+      content: msg.content || "",
+    }));
+    const messages = [
+      { role: "system", content: this.buildAgentPrompt(businessTone) },
+      ...history,
+      { role: "user", content: text },
+    ];
+
+    let toolCalls = 0;
+    for (let step = 1; step <= maxSteps; step++) {
+      const { message } = await LLMService.chat(
+        { messages, tools, tool_choice: "auto", temperature: 0.3, max_tokens: 500 },
+        { businessId, conversationId, feature: "agent" }
+      );
+
+      if (!message.tool_calls || message.tool_calls.length === 0) {
+        console.log(`Agent run ${runId} answered after ${step} step(s) and ${toolCalls} tool call(s)`);
+        return { reply: message.content, runId, steps: step, toolCalls };
+      }
+
+      messages.push({ role: "assistant", content: message.content || null, tool_calls: message.tool_calls });
+      for (const toolCall of message.tool_calls) {
+        const output = await this.executeToolCall(toolCall, { businessId, conversationId, runId, step, allowed });
+        messages.push({ role: "tool", tool_call_id: toolCall.id, content: output });
+        toolCalls++;
+      }
+    }
+
+    // Step cap reached: answer with what the tools returned so far
+    console.log(`Agent run ${runId} reached the ${maxSteps} step cap`);
+    const response = await LLMService.chat(
+      {
+        messages: [
+          ...messages,
+          {
+            role: "system",
+            content:
+              "No more tool calls are possible for this message. Answer the customer with the information gathered so far.",
+          },
+        ],
+        tools,
+        tool_choice: "none",
+        temperature: 0.3,
+        max_tokens: 500,
+      },
+      { businessId, conversationId, feature: "agent" }
+    );
+
+    return { reply: response.message.content, runId, steps: maxSteps, toolCalls };
+  }
+
+  buildAgentPrompt(businessTone) {
+    return `${OpenAIService.buildSystemPrompt(businessTone)}
+
+You can use tools to look up and change data in the business's connected systems. Use them whenever the customer's request depends on live data or asks for an action, and combine several calls when needed.
+Never make up order details, prices, stock, availability or contact details; look them up. If a tool reports missing or invalid arguments, ask the customer for them instead of guessing.
+Current date and time: ${new Date().toISOString()}`;
+  }
+
+  /**
+   * Run one tool call requested by the model and record it
+   * @returns {Promise<string>} Tool message content for the model
+   */
+  async executeToolCall(toolCall, { businessId, conversationId, runId, step, allowed }) {
+    const name = toolCall.function?.name;
+    const audit = { businessId, conversationId, runId, step, name };
+    const startedAt = Date.now();
+
+    if (!allowed.has(name)) {
+      await this.recordToolCall({ ...audit, status: "denied", error: "Tool is not allowed for this business" });
+      return JSON.stringify({ error: `Tool ${name} is not available` });
+    }
+
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || "{}");
+    } catch (parseError) {
+      await this.recordToolCall({ ...audit, status: "invalid", error: "Arguments are not valid JSON" });
+      return JSON.stringify({ error: "Arguments are not valid JSON" });
+    }
+
+    const validation = ToolSchemaService.validate(name, args);
+    if (!validation.valid) {
+      const problems = {
+        missing: validation.missing,
+        invalid: validation.invalid.map(({ field, message }) => `${field}: ${message}`),
+      };
+      await this.recordToolCall({ ...audit, args, status: "invalid", result: problems, error: "Invalid arguments" });
+      return JSON.stringify({ error: "Invalid arguments", ...problems });
+    }
+
+    try {
+      const result = await this.tools[name].run(businessId, validation.args);
+      const failed = result && result.success === false;
+
+      await this.recordToolCall({
+        ...audit,
+        args: validation.args,
+        status: failed ? "error" : "success",
+        result,
+        error: failed ? result.error : null,
+        durationMs: Date.now() - startedAt,
+      });
+
+      return JSON.stringify(result ?? null).slice(0, MAX_TOOL_RESULT_CHARS);
+    } catch (error) {
+      console.error(`Error running agent tool ${name}:`, error.message);
+      await this.recordToolCall({
+        ...audit,
+        args: validation.args,
+        status: "error",
+        error: error.message,
+        durationMs: Date.now() - startedAt,
+      });
+      return JSON.stringify({ error: error.message });
+    }
+  }
+
+  /**
+   * Write one tool call to the audit trail
+   * A failed write is logged and does not stop the agent.
+   */
+  async recordToolCall({
+    businessId,
+    conversationId,
+    runId,
+    step,
+    name,
+    args = null,
+    status,
+    result = null,
+    error = null,
+    durationMs = null,
+  }) {
+    try {
+      await pool.query(
+        `INSERT INTO agent_tool_calls
+           (business_id, conversation_id, run_id, step, tool_name, arguments, result, status, error_message, duration_ms)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          businessId,
+          conversationId || null,
+          runId,
+          step,
+          String(name || "unknown").slice(0, 100),
+          args ? JSON.stringify(args) : null,
+          result !== null && result !== undefined ? JSON.stringify(result) : null,
+          status,
+          error,
+          durationMs,
+        ]
+      );
+    } catch (auditError) {
+      console.error("Error recording agent tool call:", auditError);
+    }
+  }
+
+  /**
+   * Audit trail of a business's agent tool calls, newest first
+   * @param {Object} filters - { conversationId, runId, limit, offset }
+   * @returns {Promise<Object>} { toolCalls, total }
+   */
+  async getToolCalls(businessId, { conversationId = null, runId = null, limit = 50, offset = 0 } = {}) {
+    try {
+      const params = [businessId, conversationId, runId];
+      const where = `business_id = $1
+         AND ($2::integer IS NULL OR conversation_id = $2)
+         AND ($3::varchar IS NULL OR run_id = $3)`;
+
+      const [rows, count] = await Promise.all([
+        pool.query(
+          `SELECT id, conversation_id, run_id, step, tool_name, arguments, result, status, error_message, duration_ms, created_at
+           FROM agent_tool_calls
+           WHERE ${where}
+           ORDER BY created_at DESC, id DESC
+           LIMIT $4 OFFSET $5`,
+          [...params, limit, offset]
+        ),
+        pool.query(`SELECT COUNT(*) AS total FROM agent_tool_calls WHERE ${where}`, params),
+      ]);
+
+      return { toolCalls: rows.rows, total: parseInt(count.rows[0].total) };
+    } catch (error) {
+      console.error("Error getting agent tool calls:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AgentService();
@@ -1,4 +1,5 @@
 const pool = require("../config/database");
+const SecretService = require("./secrets");
 const EmbeddingsService = require("./embeddings");
 
 class AirtableService {
@@ -8,13 +9,13 @@ class AirtableService {
   }
 
   /**
-   * Get Airtable configuration for a business
+   * Get Airtable configuration for a business, with the access token decrypted
    */
   async getConfig(businessId) {
     try {
       const result = await pool.query("SELECT * FROM airtable_integrations WHERE business_id = $1", [businessId]);
 
-      return result.rows.length > 0 ? result.rows[0] : null;
+      return result.rows.length > 0 ? SecretService.decryptRow("airtable_integrations", result.rows[0]) : null;
     } catch (error) {
       console.error("Error getting Airtable config:", error);
       throw new Error("Failed to get Airtable configuration");
@@ -27,17 +28,20 @@ class AirtableService {
   async saveConfig(businessId, configData) {
     try {
       const { access_token, base_id, table_name } = configData;
+      // A masked token (as returned by the API) keeps the stored one
+      const token = SecretService.isMasked(access_token) ? null : SecretService.encrypt(access_token);
 
       const result = await pool.query(
         `INSERT INTO airtable_integrations (business_id, access_token, base_id, table_name, updated_at)
-         VALUES ($1, $2, $3, $4, NOW())
+         VALUES ($1, COALESCE($2, (SELECT access_token FROM airtable_integrations WHERE business_id = $1)),
+           $3, $4, NOW())
          ON CONFLICT (business_id)
-         DO UPDATE SET access_token = $2, base_id = $3, table_name = $4, updated_at = NOW()
+         DO UPDATE SET access_token = EXCLUDED.access_token, base_id = $3, table_name = $4, updated_at = NOW()
          RETURNING *`,
-        [businessId, access_token, base_id, table_name]
+        [businessId, token, base_id, table_name]
       );
 
-      return result.rows[0];
+      return SecretService.decryptRow("airtable_integrations", result.rows[0]);
     } catch (error) {
       console.error("Error saving Airtable config:", error);
       throw new Error("Failed to save Airtable configuration");
@@ -467,7 +471,7 @@ class AirtableService {
 
       // Generate embeddings for all FAQ questions
       const questions = faqs.map((faq) => faq.question);
-      const embeddings = await this.embeddingsService.generateEmbeddingsBatch(questions);
+      const embeddings = await this.embeddingsService.generateEmbeddingsBatch(questions, { businessId });
 
       // Store in database with business-specific tracking
       for (let i = 0; i < faqs.length; i++) {
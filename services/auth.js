@@ -6,6 +6,8 @@ class AuthService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET || "your-secret-key";
     this.jwtExpiry = process.env.JWT_EXPIRY || "24h";
+    this.streamTokenExpiry = process.env.STREAM_TOKEN_EXPIRY || "2m";
+    this.oauthStateExpiry = process.env.OAUTH_STATE_EXPIRY || "10m";
   }
 
   /**
@@ -48,21 +50,86 @@ class AuthService {
 
   /**
    * Verify JWT token
+   * Tokens issued for an audience (stream tokens, OAuth state) share the secret but are not access tokens, so they are rejected.
    * @param {string} token - JWT token
    * @returns {Object} Decoded token payload
    */
   verifyToken(token) {
-    return jwt.verify(token, this.jwtSecret);
+    const decoded = jwt.verify(token, this.jwtSecret);
+    if (decoded.aud !== undefined) {
+      throw new jwt.JsonWebTokenError("jwt audience invalid: not an access token");
+    }
+    return decoded;
+  }
+
+  /**
+   * Create a short-lived token for opening a business's event stream
+   * EventSource can only pass it in the URL, where it may be logged, so it is scoped to one stream
+   * and expires quickly; it is only checked when the stream is opened.
+   * @param {number} userId - User opening the stream
+   * @param {number} businessId - Business whose events are streamed
+   * @returns {string} Stream token
+   */
+  createStreamToken(userId, businessId) {
+    return jwt.sign({ userId, businessId: Number(businessId) }, this.jwtSecret, {
+      audience: "stream:events",
+      expiresIn: this.streamTokenExpiry,
+    });
+  }
+
+  /**
+   * Verify a stream token for a business's event stream
+   * @param {string} token - stream_token query parameter
+   * @param {number|string} businessId - Business of the requested stream
+   * @returns {Object|null} { userId } or null if the token is invalid, expired or for another business
+   */
+  verifyStreamToken(token, businessId) {
+    try {
+      const decoded = jwt.verify(String(token), this.jwtSecret, { audience: "stream:events" });
+      return decoded.userId && decoded.businessId === Number(businessId) ? { userId: decoded.userId } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Create a signed, expiring OAuth state value
+   * The callback trusts the business in the state, so it must be unforgeable and short-lived.
+   * @param {string} provider - Integration the state is issued for (google, hubspot)
+   * @param {Object} data - { businessId, userId }
+   * @returns {string} State value for the authorization URL
+   */
+  createOAuthState(provider, { businessId, userId }) {
+    return jwt.sign({ businessId, userId }, this.jwtSecret, {
+      audience: `oauth:${provider}`,
+      expiresIn: this.oauthStateExpiry,
+    });
+  }
+
+  /**
+   * Verify an OAuth state value from a callback
+   * @param {string} provider - Integration the callback belongs to
+   * @param {string} state - State query parameter
+   * @returns {Object|null} { businessId, userId } or null if the state is invalid, expired or for another provider
+   */
+  verifyOAuthState(provider, state) {
+    try {
+      const { businessId, userId } = jwt.verify(String(state), this.jwtSecret, { audience: `oauth:${provider}` });
+      return businessId ? { businessId, userId } : null;
+    } catch (error) {
+      console.error(`Invalid ${provider} OAuth state:`, error.message);
+      return null;
+    }
   }
 
   /**
-   * Check if admin exists
-   * @returns {boolean} True if admin exists
+   * Check if an owner or admin exists
+   * @returns {boolean} True if the account has been set up
    */
   async adminExists() {
     try {
-      const query = "SELECT COUNT(*) FROM users WHERE role = $1";
-      const result = await pool.query(query, ["admin"]);
+      const query = "SELECT COUNT(*) FROM users WHERE role = ANY($1)";
+      const result = await pool.query(query, [["owner", "admin"]]);
       return parseInt(result.rows[0].count) > 0;
     } catch (error) {
       console.error("Error checking if admin exists:", error);
@@ -71,7 +138,7 @@ class AuthService {
   }
 
   /**
-   * Create new admin user
+   * Create the account owner (first signup); further users join by invitation
    * @param {Object} userData - User data
    * @returns {Object} Created user (without password)
    */
@@ -99,7 +166,7 @@ class AuthService {
         RETURNING id, username, email, role, status, created_at, updated_at
       `;
 
-      const values = [userData.username, userData.email, passwordHash, "admin", "active"];
+      const values = [userData.username, userData.email, passwordHash, "owner", "active"];
 
       const result = await pool.query(query, values);
       return result.rows[0];
@@ -1,4 +1,5 @@
 const pool = require("../config/database");
+const SecretService = require("./secrets");
 
 class BusinessService {
   // Business Management
@@ -16,9 +17,15 @@ class BusinessService {
     }
   }
 
-  async getAllBusinesses() {
+  /**
+   * All businesses, or only those with the given IDs
+   * @param {Array<number>|null} ids - Business IDs to include; null for all
+   */
+  async getAllBusinesses(ids = null) {
     try {
-      const result = await pool.query("SELECT * FROM businesses ORDER BY created_at DESC");
+      const result = ids
+        ? await pool.query("SELECT * FROM businesses WHERE id = ANY($1::int[]) ORDER BY created_at DESC", [ids])
+        : await pool.query("SELECT * FROM businesses ORDER BY created_at DESC");
       return result.rows;
     } catch (error) {
       console.error("Error getting businesses:", error);
@@ -61,16 +68,18 @@ class BusinessService {
   }
 
   // WhatsApp Configuration Management
+  // access_token and app_secret are encrypted at rest (see SecretService); rows are returned decrypted
   async createWhatsAppConfig(configData) {
     try {
-      const { business_id, phone_number_id, access_token, verify_token, webhook_url } = configData;
+      const { business_id, phone_number_id, access_token, verify_token, webhook_url, app_secret } =
+        SecretService.encryptRow("whatsapp_configs", configData);
       const result = await pool.query(
         `INSERT INTO whatsapp_configs 
-        (business_id, phone_number_id, access_token, verify_token, webhook_url) 
-        VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [business_id, phone_number_id, access_token, verify_token, webhook_url]
+        (business_id, phone_number_id, access_token, verify_token, webhook_url, app_secret) 
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+        [business_id, phone_number_id, access_token, verify_token, webhook_url, app_secret || null]
       );
-      return result.rows[0];
+      return SecretService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error creating WhatsApp config:", error);
       throw error;
@@ -80,7 +89,7 @@ class BusinessService {
   async getWhatsAppConfigByBusinessId(businessId) {
     try {
       const result = await pool.query("SELECT * FROM whatsapp_configs WHERE business_id = $1", [businessId]);
-      return result.rows[0];
+      return SecretService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error getting WhatsApp config:", error);
       throw error;
@@ -93,7 +102,7 @@ class BusinessService {
         "SELECT wc.*, b.name as business_name FROM whatsapp_configs wc JOIN businesses b ON wc.business_id = b.id WHERE wc.phone_number_id = $1",
         [phoneNumberId]
       );
-      return result.rows[0];
+      return SecretService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error getting WhatsApp config by phone number:", error);
       throw error;
@@ -102,14 +111,19 @@ class BusinessService {
 
   async updateWhatsAppConfig(businessId, configData) {
     try {
-      const { phone_number_id, access_token, verify_token, webhook_url } = configData;
+      const { phone_number_id, access_token, verify_token, webhook_url, app_secret } = SecretService.encryptRow(
+        "whatsapp_configs",
+        configData
+      );
+      // Keep the stored access token and app secret unless new ones are provided (masked values count as omitted)
       const result = await pool.query(
         `UPDATE whatsapp_configs 
-        SET phone_number_id = $1, access_token = $2, verify_token = $3, webhook_url = $4, updated_at = CURRENT_TIMESTAMP 
-        WHERE business_id = $5 RETURNING *`,
-        [phone_number_id, access_token, verify_token, webhook_url, businessId]
+        SET phone_number_id = $1, access_token = COALESCE($2, access_token), verify_token = $3, webhook_url = $4,
+          app_secret = COALESCE($5, app_secret), updated_at = CURRENT_TIMESTAMP 
+        WHERE business_id = $6 RETURNING *`,
+        [phone_number_id, access_token || null, verify_token, webhook_url, app_secret || null, businessId]
       );
-      return result.rows[0];
+      return SecretService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error updating WhatsApp config:", error);
       throw error;
@@ -119,7 +133,7 @@ class BusinessService {
   async deleteWhatsAppConfig(businessId) {
     try {
       const result = await pool.query("DELETE FROM whatsapp_configs WHERE business_id = $1 RETURNING *", [businessId]);
-      return result.rows[0];
+      return SecretService.decryptRow("whatsapp_configs", result.rows[0]);
     } catch (error) {
       console.error("Error deleting WhatsApp config:", error);
       throw error;
@@ -235,7 +249,7 @@ class BusinessService {
   async getAllWhatsAppConfigs() {
     try {
       const result = await pool.query("SELECT * FROM whatsapp_configs");
-      return result.rows;
+      return result.rows.map((row) => SecretService.decryptRow("whatsapp_configs", row));
     } catch (error) {
       console.error("Error getting all WhatsApp configs:", error);
       throw error;
@@ -248,12 +262,129 @@ class BusinessService {
         businessId,
       ]);
 
-      return result.rows.length > 0 ? result.rows[0] : null;
+      return result.rows.length > 0 ? SecretService.decryptRow("google_workspace_integrations", result.rows[0]) : null;
     } catch (error) {
       console.error("Error getting Google config:", error);
       throw new Error("Failed to get Google Workspace configuration");
     }
   }
+
+  /**
+   * Which integrations a business has connected
+   * @returns {Promise<Object>} { google, hubspot, odoo, airtable } booleans
+   */
+  async getConnectedIntegrations(businessId) {
+    try {
+      const result = await pool.query(
+        `SELECT
+           EXISTS (SELECT 1 FROM google_workspace_integrations WHERE business_id = $1) AS google,
+           EXISTS (SELECT 1 FROM hubspot_integrations WHERE business_id = $1 AND access_token IS NOT NULL) AS hubspot,
+           EXISTS (SELECT 1 FROM odoo_integrations WHERE business_id = $1) AS odoo,
+           EXISTS (SELECT 1 FROM airtable_integrations WHERE business_id = $1) AS airtable`,
+        [businessId]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error getting connected integrations:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * AI mode and agent limits of a business
+   * @returns {Promise<Object|null>} { mode, allowedTools, maxSteps } or null if the business does not exist;
+   *   allowedTools null means the default allowlist
+   */
+  async getAgentSettings(businessId) {
+    try {
+      const result = await pool.query(
+        "SELECT ai_mode, agent_allowed_tools, agent_max_steps FROM businesses WHERE id = $1",
+        [businessId]
+      );
+      if (result.rows.length === 0) return null;
+
+      const row = result.rows[0];
+      return { mode: row.ai_mode || "intents", allowedTools: row.agent_allowed_tools, maxSteps: row.agent_max_steps || 5 };
+    } catch (error) {
+      console.error("Error getting agent settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the AI mode and agent limits of a business; omitted fields are kept
+   * @param {Object} settings - { mode, allowedTools, maxSteps }; allowedTools null restores the default allowlist
+   */
+  async updateAgentSettings(businessId, { mode, allowedTools, maxSteps }) {
+    try {
+      const result = await pool.query(
+        `UPDATE businesses
+         SET ai_mode = COALESCE($2, ai_mode),
+             agent_allowed_tools = CASE WHEN $3 THEN $4::jsonb ELSE agent_allowed_tools END,
+             agent_max_steps = COALESCE($5, agent_max_steps),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id`,
+        [
+          businessId,
+          mode || null,
+          allowedTools !== undefined,
+          allowedTools ? JSON.stringify(allowedTools) : null,
+          maxSteps || null,
+        ]
+      );
+      return result.rows.length > 0 ? await this.getAgentSettings(businessId) : null;
+    } catch (error) {
+      console.error("Error updating agent settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Human handoff triggers of a business
+   * @returns {Promise<Object|null>} { keywords, lowConfidenceLimit } or null if the business does not exist
+   */
+  async getHandoffSettings(businessId) {
+    try {
+      const result = await pool.query(
+        "SELECT handoff_keywords, handoff_low_confidence_limit FROM businesses WHERE id = $1",
+        [businessId]
+      );
+      if (result.rows.length === 0) return null;
+
+      const row = result.rows[0];
+      return {
+        keywords: row.handoff_keywords || [],
+        lowConfidenceLimit: row.handoff_low_confidence_limit ?? 3,
+      };
+    } catch (error) {
+      console.error("Error getting handoff settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the handoff triggers of a business; omitted fields are kept
+   * @param {Object} settings - { keywords, lowConfidenceLimit }; a limit of 0 disables the low-confidence trigger
+   */
+  async updateHandoffSettings(businessId, { keywords, lowConfidenceLimit }) {
+    try {
+      const result = await pool.query(
+        `UPDATE businesses
+         SET handoff_keywords = COALESCE($2::jsonb, handoff_keywords),
+             handoff_low_confidence_limit = COALESCE($3, handoff_low_confidence_limit),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id`,
+        [businessId, keywords ? JSON.stringify(keywords) : null, lowConfidenceLimit ?? null]
+      );
+      return result.rows.length > 0 ? await this.getHandoffSettings(businessId) : null;
+    } catch (error) {
+      console.error("Error updating handoff settings:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new BusinessService();
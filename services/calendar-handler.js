@@ -1,11 +1,12 @@
 const GoogleService = require("./google");
 const OpenAIService = require("./openai");
+const DialogStateService = require("./dialog-state");
 
 class CalendarHandler {
   constructor() {
     this.googleService = GoogleService;
     this.openaiService = OpenAIService;
-    this.conversationContext = new Map();
+    this.contextTtlMs = 10 * 60 * 1000; // Offered slots and confirmations go stale quickly
 
     // CHANGE THIS TO YOUR BUSINESS TIMEZONE
     this.defaultTimezone = "America/New_York"; // Change this to your actual timezone
@@ -21,10 +22,20 @@ class CalendarHandler {
   }
 
   /**
-   * Process incoming WhatsApp message for calendar operations
+   * Handle replies to an active calendar flow: an offered slot picked from the list,
+   * YES/NO to a checked time, or CANCEL for a booked appointment
+   * @param {Object} options - Extra message details
+   * @param {string} options.interactiveId - ID of the selected button/list row, if any
+   * @returns {Promise<Object|null>} Calendar result, or null if the message is not a flow reply
    */
-  async processMessage(businessId, message, from) {
+  async processFlowReply(businessId, message, from, { interactiveId = null } = {}) {
     try {
+      // A slot picked from the list we sent (or its number typed back)
+      const slotResult = await this.handleSlotSelection(businessId, interactiveId || message, from);
+      if (slotResult) {
+        return slotResult;
+      }
+
       // First check for CANCEL command
       const cancelResult = await this.handleCancelCommand(businessId, message, from);
       if (cancelResult) {
@@ -32,47 +43,84 @@ class CalendarHandler {
       }
 
       // Then check if this is a follow-up response (YES/NO)
-      const followUpResult = await this.handleFollowUpResponse(businessId, message, from);
-      if (followUpResult) {
-        return followUpResult;
-      }
+      return await this.handleFollowUpResponse(businessId, message, from);
+    } catch (error) {
+      console.error("Error processing calendar message:", error);
+      return {
+        success: false,
+        message: "Sorry, I encountered an error processing your calendar request. Please try again.",
+      };
+    }
+  }
 
-      // Detect calendar intent
-      const intent = this.openaiService.detectCalendarIntent(message);
+  /**
+   * Handle a detected calendar intent with the booking flow
+   * Covers requests with a recognizable date; returns null otherwise so the caller can
+   * fall back to free-form event extraction.
+   * @param {string} intent - Detected intent name (calendar_create, appointment or calendar_check)
+   * @returns {Promise<Object|null>} Calendar result or null if not handled
+   */
+  async handleIntent(businessId, intent, message, from) {
+    const data = this.openaiService.extractCalendarData(message);
+    const isCreate = intent === "calendar_create" || intent === "appointment";
 
-      if (!intent) {
-        return null; // Not a calendar-related message
-      }
+    // Reminders default to today, so they only need a time
+    if (isCreate && /remind/i.test(message) && data.time) {
+      return await this.handleReminderRequest(businessId, data, from);
+    }
 
-      console.log("Calendar intent detected:", intent);
+    if (!data.date) {
+      return null;
+    }
 
-      switch (intent.intent) {
-        case "book_appointment":
-          return await this.handleBookingRequest(businessId, intent.extractedData, from);
+    if (intent === "calendar_check") {
+      return await this.handleAvailabilityCheck(businessId, data, from);
+    }
 
-        case "check_availability":
-          return await this.handleAvailabilityCheck(businessId, intent.extractedData, from);
+    if (isCreate) {
+      return /meeting/i.test(message)
+        ? await this.handleMeetingRequest(businessId, data, from)
+        : await this.handleBookingRequest(businessId, data, from);
+    }
 
-        case "create_reminder":
-          return await this.handleReminderRequest(businessId, intent.extractedData, from);
+    return null;
+  }
 
-        case "schedule_meeting":
-          return await this.handleMeetingRequest(businessId, intent.extractedData, from);
+  /**
+   * Handle selection of an offered time slot
+   * Accepts a list row ID ("slot_2") or the slot number typed as text ("2").
+   */
+  async handleSlotSelection(businessId, selection, from) {
+    const match = /^(slot_)?(\d{1,2})$/.exec(String(selection || "").trim());
+    if (!match) {
+      return null;
+    }
 
-        default:
-          return {
+    const context = await this.getContext(businessId, from);
+    if (!context || context.flow !== "calendar_slot_selection") {
+      // A bare number is not a slot selection without offered slots
+      return match[1]
+        ? {
             success: true,
-            message:
-              "I understand you want to do something with your calendar, but I'm not sure what exactly. Please try rephrasing your request.",
-          };
-      }
-    } catch (error) {
-      console.error("Error processing calendar message:", error);
+            message: "That time slot list has expired. Please ask again for available times.",
+          }
+        : null;
+    }
+
+    const slot = context.slots[parseInt(match[2]) - 1];
+    if (!slot) {
       return {
-        success: false,
-        message: "Sorry, I encountered an error processing your calendar request. Please try again.",
+        success: true,
+        message: `Please choose a slot between 1 and ${context.slots.length}.`,
       };
     }
+
+    await this.clearContext(businessId, from);
+    return await this.handleBookingRequest(
+      businessId,
+      { ...context.data, time: this.getSlotTime(slot.start), duration: slot.duration },
+      from
+    );
   }
 
   /**
@@ -84,13 +132,18 @@ class CalendarHandler {
 
       if (lowercaseMessage === "cancel" || lowercaseMessage === "cancelled") {
         // Get the last calendar context to find the appointment to cancel
-        const context = this.getContext(businessId, from);
+        const context = await this.getContext(businessId, from);
+
+        // Other active flows handle their own cancellation
+        if (!context && (await DialogStateService.get(businessId, from))) {
+          return null;
+        }
 
         if (context && context.eventId) {
           // Cancel the specific appointment
           try {
             await this.googleService.deleteCalendarEvent(businessId, context.eventId);
-            this.clearContext(businessId, from);
+            await this.clearContext(businessId, from);
 
             return {
               success: true,
@@ -103,9 +156,15 @@ class CalendarHandler {
               message: "Sorry, I couldn't cancel your appointment. Please try again or contact support.",
             };
           }
+        } else if (context) {
+          // A booking in progress (offered slots or a pending confirmation)
+          await this.clearContext(businessId, from);
+          return {
+            success: true,
+            message: DialogStateService.getAbortMessage(context.flow),
+          };
         } else {
           // No specific appointment to cancel
-          this.clearContext(businessId, from);
           return {
             success: true,
             message:
@@ -169,10 +228,8 @@ class CalendarHandler {
         const event = await this.googleService.createCalendarEvent(businessId, eventData);
 
         // Store the event ID in context for potential cancellation
-        this.storeContext(businessId, from, {
-          type: "appointment_created",
+        await this.storeContext(businessId, from, "calendar_appointment", {
           eventId: event.id,
-          event: event,
         });
 
         return {
@@ -181,11 +238,19 @@ class CalendarHandler {
           event: event,
         };
       } else {
-        // Suggest alternative times
+        // Offer alternative times; YES lists the free slots of that day
         const timeSlot = `${data.date} at ${data.time}`;
+        await this.storeContext(businessId, from, "calendar_availability", {
+          data: data,
+          isAvailable: false,
+          timeSlot: timeSlot,
+        });
+
+        const message = this.formatAvailabilityResponse(availability, timeSlot);
         return {
           success: true,
-          message: this.formatAvailabilityResponse(availability, timeSlot),
+          message,
+          reply: this.buildYesNoReply(message),
           availability: availability,
         };
       }
@@ -217,32 +282,57 @@ class CalendarHandler {
         const timeSlot = `${data.date} at ${data.time}`;
 
         // Store context for follow-up
-        this.storeContext(businessId, from, {
-          type: "availability_check",
+        await this.storeContext(businessId, from, "calendar_availability", {
           data: data,
-          availability: availability,
+          isAvailable: availability.isAvailable,
           timeSlot: timeSlot,
         });
 
+        const message = this.formatAvailabilityResponse(availability, timeSlot);
         return {
           success: true,
-          message: this.formatAvailabilityResponse(availability, timeSlot),
+          message,
+          reply: this.buildYesNoReply(message),
           availability: availability,
         };
       } else if (data.date) {
         // Find available slots for the day
         const availableSlots = await this.googleService.findAvailableSlots(businessId, data.date);
+        const message = this.formatAvailableSlots(data.date, availableSlots);
+
+        // Store offered slots so a list selection can book one
+        if (availableSlots.length > 0) {
+          await this.storeContext(businessId, from, "calendar_slot_selection", {
+            data: data,
+            slots: availableSlots.slice(0, 10),
+          });
+        }
+
         return {
           success: true,
-          message: this.formatAvailableSlots(data.date, availableSlots.availableSlots),
+          message,
+          reply: this.buildSlotListReply(data.date, availableSlots),
           slots: availableSlots,
         };
       } else {
         // Find next available slot
         const nextSlot = await this.googleService.getNextAvailableSlot(businessId);
+        const message = this.formatNextAvailableSlot(nextSlot);
+
+        // Store the offered slot so YES books it
+        if (nextSlot) {
+          const time = this.getSlotTime(nextSlot.slot.start);
+          await this.storeContext(businessId, from, "calendar_availability", {
+            data: { ...data, date: nextSlot.date, time, duration: nextSlot.slot.duration },
+            isAvailable: true,
+            timeSlot: `${nextSlot.date} at ${time}`,
+          });
+        }
+
         return {
           success: true,
-          message: this.formatNextAvailableSlot(nextSlot),
+          message,
+          reply: nextSlot ? this.buildYesNoReply(message) : null,
           nextSlot: nextSlot,
         };
       }
@@ -353,38 +443,31 @@ class CalendarHandler {
   }
 
   /**
-   * Store conversation context
+   * Store conversation context as the active calendar dialog flow
    */
-  storeContext(businessId, from, context) {
-    const key = `${businessId}_${from}`;
-    this.conversationContext.set(key, {
-      ...context,
-      timestamp: Date.now(),
-    });
+  async storeContext(businessId, from, flow, slots) {
+    await DialogStateService.start(businessId, from, flow, { slots, ttlMs: this.contextTtlMs });
   }
 
   /**
-   * Get conversation context
+   * Get conversation context if a calendar flow is active
+   * @returns {Promise<Object|null>} Flow name merged with its collected slots
    */
-  getContext(businessId, from) {
-    const key = `${businessId}_${from}`;
-    const context = this.conversationContext.get(key);
+  async getContext(businessId, from) {
+    const state = await DialogStateService.get(businessId, from);
 
-    // Remove context if it's older than 10 minutes
-    if (context && Date.now() - context.timestamp > 10 * 60 * 1000) {
-      this.conversationContext.delete(key);
+    if (!state || !state.flow.startsWith("calendar_")) {
       return null;
     }
 
-    return context;
+    return { flow: state.flow, ...state.slots };
   }
 
   /**
    * Clear conversation context
    */
-  clearContext(businessId, from) {
-    const key = `${businessId}_${from}`;
-    this.conversationContext.delete(key);
+  async clearContext(businessId, from) {
+    await DialogStateService.clear(businessId, from);
   }
 
   /**
@@ -393,20 +476,27 @@ class CalendarHandler {
   async handleFollowUpResponse(businessId, message, from) {
     try {
       const lowercaseMessage = message.toLowerCase().trim();
-      const context = this.getContext(businessId, from);
+      const context = await this.getContext(businessId, from);
 
       if (!context) {
         return null; // No context found
       }
 
       if (lowercaseMessage === "yes" || lowercaseMessage === "y") {
-        if (context.type === "availability_check" && context.availability.isAvailable) {
+        if (context.flow === "calendar_availability" && context.isAvailable) {
           // Book the appointment that was previously checked
-          this.clearContext(businessId, from);
+          await this.clearContext(businessId, from);
           return await this.handleBookingRequest(businessId, context.data, from);
         }
+
+        if (context.flow === "calendar_availability") {
+          // The checked time was taken: list the free slots of that day instead
+          const { time, ...data } = context.data;
+          await this.clearContext(businessId, from);
+          return await this.handleAvailabilityCheck(businessId, data, from);
+        }
       } else if (lowercaseMessage === "no" || lowercaseMessage === "n") {
-        this.clearContext(businessId, from);
+        await this.clearContext(businessId, from);
         return {
           success: true,
           message: "No problem! Let me know if you need help with anything else.",
@@ -490,6 +580,62 @@ class CalendarHandler {
     return `${dayName} (${formattedDate}) at ${formattedTime}`;
   }
 
+  /**
+   * Structured reply with Yes/No buttons for confirmation prompts
+   * Button titles match the YES/NO follow-up commands.
+   */
+  buildYesNoReply(message) {
+    return {
+      type: "buttons",
+      body: message,
+      buttons: [
+        { id: "yes", title: "Yes" },
+        { id: "no", title: "No" },
+      ],
+    };
+  }
+
+  /**
+   * Structured list reply offering up to 10 slots for a day
+   * Row IDs ("slot_<n>") index into the slots stored in the slot_selection context.
+   */
+  buildSlotListReply(date, availableSlots) {
+    if (availableSlots.length === 0) {
+      return null;
+    }
+
+    return {
+      type: "list",
+      body: `Available time slots for ${date}. Choose one to book it.`,
+      button: "Choose a time",
+      sections: [
+        {
+          title: date,
+          rows: availableSlots.slice(0, 10).map((slot, index) => ({
+            id: `slot_${index + 1}`,
+            title: `${this.formatSlotTime(slot.start)} - ${this.formatSlotTime(slot.end)}`,
+          })),
+        },
+      ],
+    };
+  }
+
+  /**
+   * 24-hour "HH:MM" time of a slot, as booking requests expect it
+   */
+  getSlotTime(dateTime) {
+    const start = new Date(dateTime);
+    return `${String(start.getHours()).padStart(2, "0")}:${String(start.getMinutes()).padStart(2, "0")}`;
+  }
+
+  formatSlotTime(dateTime) {
+    return new Date(dateTime).toLocaleTimeString("en-US", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true,
+    });
+  }
+
   formatAvailableSlots(date, availableSlots) {
     if (availableSlots.length === 0) {
       return `❌ No available slots found for ${date}.\n\nWould you like me to check another date?`;
@@ -525,11 +671,11 @@ class CalendarHandler {
   }
 
   formatNextAvailableSlot(nextSlot) {
-    if (!nextSlot.nextSlot) {
-      return `❌ ${nextSlot.message || "No available slots found in the next 30 days."}`;
+    if (!nextSlot) {
+      return "❌ No available slots found in the next 30 days.";
     }
 
-    const { date, nextSlot: slot } = nextSlot;
+    const { date, slot } = nextSlot;
     const formattedDate = new Date(date).toLocaleDateString("en-US", {
       weekday: "long",
       year: "numeric",
@@ -1,4 +1,5 @@
 const pool = require("../config/database");
+const EventBus = require("./events");
 
 class DatabaseService {
   // Export the pool for use in other services
@@ -76,14 +77,19 @@ class DatabaseService {
       const result = await pool.query(
         `INSERT INTO messages (
           business_id, conversation_id, message_id, from_number, to_number, 
-          message_type, content, media_url, direction, status, local_file_path
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) 
+          message_type, content, media_url, direction, status, local_file_path,
+          error_code, error_message, payload, context_message_id, sent_by_user_id, failed_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16,
+          CASE WHEN $10::varchar = 'failed' THEN CURRENT_TIMESTAMP END) 
         ON CONFLICT (message_id) 
         DO UPDATE SET 
           content = EXCLUDED.content,
           media_url = EXCLUDED.media_url,
           local_file_path = EXCLUDED.local_file_path,
           status = EXCLUDED.status,
+          error_code = EXCLUDED.error_code,
+          error_message = EXCLUDED.error_message,
+          failed_at = EXCLUDED.failed_at,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *`,
         [
@@ -96,12 +102,18 @@ class DatabaseService {
           messageData.content,
           messageData.mediaUrl,
           messageData.isFromUser ? "inbound" : "outbound",
-          "received",
+          messageData.status || "received",
           messageData.localFilePath || null,
+          messageData.errorCode || null,
+          messageData.errorMessage || null,
+          messageData.payload ? JSON.stringify(messageData.payload) : null,
+          messageData.contextMessageId || null,
+          messageData.sentByUserId || null,
         ]
       );
 
       console.log(`Message saved successfully: ${messageData.messageId}`);
+      EventBus.publish("message.created", result.rows[0].business_id, result.rows[0]);
       return result.rows[0];
     } catch (error) {
       console.error("Error saving message:", error);
@@ -132,11 +144,12 @@ class DatabaseService {
               messageData.content,
               messageData.mediaUrl,
               messageData.isFromUser ? "inbound" : "outbound",
-              "received",
+              messageData.status || "received",
             ]
           );
 
           console.log(`Message saved successfully (without local_file_path): ${messageData.messageId}`);
+          EventBus.publish("message.created", result.rows[0].business_id, result.rows[0]);
           return result.rows[0];
         } catch (retryError) {
           console.error("Error saving message (retry):", retryError);
@@ -148,6 +161,52 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Apply a WhatsApp status callback to an outbound message
+   * Statuses only move forward (accepted → sent → delivered → read), so late or
+   * out-of-order callbacks never downgrade a message; "failed" always applies.
+   * @param {string} messageId - WhatsApp message ID (WAMID)
+   * @param {Object} update - Status update
+   * @param {string} update.status - sent, delivered, read or failed
+   * @param {string|number} update.timestamp - Unix timestamp (seconds) from the callback
+   * @param {Object} update.error - First error object for failed statuses
+   * @returns {Promise<Object|null>} Updated message or null if the message is unknown
+   */
+  async updateMessageStatus(messageId, { status, timestamp, error = null }) {
+    try {
+      const result = await pool.query(
+        `UPDATE messages SET
+          status = CASE
+            WHEN $2 = 'failed' THEN $2
+            WHEN COALESCE(array_position(ARRAY['accepted', 'sent', 'delivered', 'read'], $2), 0)
+              > COALESCE(array_position(ARRAY['accepted', 'sent', 'delivered', 'read'], status), 0) THEN $2
+            ELSE status
+          END,
+          sent_at = CASE WHEN $2 IN ('sent', 'delivered', 'read') THEN COALESCE(sent_at, $3) ELSE sent_at END,
+          delivered_at = CASE WHEN $2 IN ('delivered', 'read') THEN COALESCE(delivered_at, $3) ELSE delivered_at END,
+          read_at = CASE WHEN $2 = 'read' THEN COALESCE(read_at, $3) ELSE read_at END,
+          failed_at = CASE WHEN $2 = 'failed' THEN $3 ELSE failed_at END,
+          error_code = COALESCE($4, error_code),
+          error_message = COALESCE($5, error_message),
+          updated_at = CURRENT_TIMESTAMP
+         WHERE message_id = $1 AND direction = 'outbound'
+         RETURNING *`,
+        [
+          messageId,
+          status,
+          timestamp ? new Date(parseInt(timestamp) * 1000) : new Date(),
+          error?.code || null,
+          error ? error.error_data?.details || error.message || error.title : null,
+        ]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error updating message status:", error);
+      throw error;
+    }
+  }
+
   /**
    * Batch save multiple messages for better performance
    */
@@ -183,7 +242,7 @@ class DatabaseService {
             messageData.content,
             messageData.mediaUrl,
             messageData.isFromUser ? "inbound" : "outbound",
-            "received",
+            messageData.status || "received",
             messageData.localFilePath || null,
           ]
         );
@@ -206,8 +265,9 @@ class DatabaseService {
     try {
       const result = await pool.query(
         `INSERT INTO media_files (
-          business_id, message_id, file_name, file_path, file_type, file_size
-        ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+          business_id, message_id, file_name, file_path, file_type, file_size,
+          mime_type, original_name, extracted_text
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
         [
           mediaData.businessId,
           mediaData.messageId,
@@ -215,6 +275,9 @@ class DatabaseService {
           mediaData.filePath,
           mediaData.fileType,
           mediaData.fileSize,
+          mediaData.mimeType || null,
+          mediaData.originalName || null,
+          mediaData.extractedText || null,
         ]
       );
       return result.rows[0];
@@ -224,10 +287,43 @@ class DatabaseService {
     }
   }
 
-  async getConversationHistoryForAI(businessId, whatsappNumber, limit = 10) {
+  /**
+   * Get the conversation history to send to the AI, bounded by an approximate token budget
+   * The most recent messages that fit the budget are returned verbatim. Messages that dropped out
+   * of the window are folded into a rolling summary (stored on the conversation) when a summarize
+   * function is given, and the summary is returned first as a system message.
+   * @param {number} businessId - Business ID
+   * @param {string} whatsappNumber - Customer WhatsApp number
+   * @param {Object} options - History options
+   * @param {number} options.tokenBudget - Approximate tokens of recent messages to include
+   * @param {number} options.maxMessages - Most recent messages considered
+   * @param {string} options.excludeMessageId - WhatsApp message ID to leave out (the message being answered)
+   * @param {Function} options.summarize - async (previousSummary, messages) => summary
+   * @returns {Promise<Array<Object>>} Messages as { role, content }, oldest first
+   */
+  async getConversationHistoryForAI(
+    businessId,
+    whatsappNumber,
+    {
+      tokenBudget = parseInt(process.env.AI_HISTORY_TOKEN_BUDGET) || 1500,
+      maxMessages = 40,
+      excludeMessageId = null,
+      summarize = null,
+    } = {}
+  ) {
     try {
+      const conversationResult = await pool.query(
+        "SELECT id, history_summary, history_summary_through FROM conversations WHERE business_id = $1 AND phone_number = $2",
+        [businessId, whatsappNumber]
+      );
+      const conversation = conversationResult.rows[0];
+      if (!conversation) {
+        return [];
+      }
+
       const result = await pool.query(
         `SELECT 
+          m.id,
           CASE 
             WHEN m.direction = 'inbound' THEN 'user'
             ELSE 'assistant'
@@ -238,17 +334,50 @@ class DatabaseService {
             ELSE m.content
           END as content
          FROM messages m
-         JOIN conversations c ON m.conversation_id = c.id
-         WHERE c.business_id = $1 AND c.phone_number = $2
+         WHERE m.conversation_id = $1 AND ($2::text IS NULL OR m.message_id IS DISTINCT FROM $2)
          ORDER BY m.created_at DESC
          LIMIT $3`,
-        [businessId, whatsappNumber, limit]
+        [conversation.id, excludeMessageId, maxMessages]
       );
 
-      return result.rows.reverse().map((row) => ({
-        role: row.role,
-        content: row.content,
-      }));
+      // Walk back from the newest message until the budget is spent (~4 characters per token)
+      const rows = result.rows.filter((row) => row.content && row.content.trim());
+      const window = [];
+      let tokens = 0;
+      for (const row of rows) {
+        const rowTokens = Math.ceil(row.content.length / 4);
+        if (window.length > 0 && tokens + rowTokens > tokenBudget) break;
+
+        window.push(
+          rowTokens > tokenBudget ? { ...row, content: `${row.content.substring(0, tokenBudget * 4)}...` } : row
+        );
+        tokens += rowTokens;
+      }
+
+      let summary = conversation.history_summary;
+      const summarizedThrough = conversation.history_summary_through || 0;
+      const overflow = rows.slice(window.length).filter((row) => row.id > summarizedThrough);
+
+      if (summarize && overflow.length > 0) {
+        try {
+          overflow.reverse();
+          summary = await summarize(summary, overflow);
+          await pool.query(
+            "UPDATE conversations SET history_summary = $1, history_summary_through = $2 WHERE id = $3",
+            [summary, overflow[overflow.length - 1].id, conversation.id]
+          );
+        } catch (summaryError) {
+          // Keep answering with the previous summary
+          console.error("Error summarizing conversation history:", summaryError);
+        }
+      }
+
+      const history = window.reverse().map((row) => ({ role: row.role, content: row.content }));
+      if (summary) {
+        history.unshift({ role: "system", content: `Summary of the earlier conversation: ${summary}` });
+      }
+
+      return history;
     } catch (error) {
       console.error("Error getting conversation history for AI:", error);
       throw error;
@@ -275,6 +404,46 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Store a voice note transcript as the message content and on its audio file record
+   * @param {string} messageId - WhatsApp message ID of the audio message
+   * @param {string} transcription - Transcribed text
+   * @returns {Promise<Object|null>} Updated message row
+   */
+  async saveMessageTranscription(messageId, transcription) {
+    try {
+      const result = await pool.query("UPDATE messages SET content = $1 WHERE message_id = $2 RETURNING *", [
+        transcription,
+        messageId,
+      ]);
+
+      await this.updateMediaExtractedText(messageId, transcription);
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error saving message transcription:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store text extracted from a media file (transcript, image description) on its record
+   * @param {string} messageId - WhatsApp message ID the media belongs to
+   * @param {string} extractedText - Extracted text
+   */
+  async updateMediaExtractedText(messageId, extractedText) {
+    try {
+      const result = await pool.query(
+        "UPDATE media_files SET extracted_text = $1 WHERE message_id = (SELECT id FROM messages WHERE message_id = $2) RETURNING *",
+        [extractedText, messageId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error updating media extracted text:", error);
+      throw error;
+    }
+  }
+
   // Get all conversations for a business
   async getBusinessConversations(businessId) {
     try {
@@ -283,6 +452,10 @@ class DatabaseService {
           c.id,
           c.phone_number,
           c.status,
+          c.mode,
+          c.handoff_reason,
+          c.handoff_at,
+          c.assigned_user_id,
           c.created_at,
           c.updated_at,
           COUNT(m.id) as message_count,
@@ -290,7 +463,7 @@ class DatabaseService {
          FROM conversations c
          LEFT JOIN messages m ON c.id = m.conversation_id
          WHERE c.business_id = $1
-         GROUP BY c.id, c.phone_number, c.status, c.created_at, c.updated_at
+         GROUP BY c.id
          ORDER BY last_message_at DESC NULLS LAST, c.created_at DESC`,
         [businessId]
       );
@@ -313,9 +486,14 @@ class DatabaseService {
           m.message_type,
           m.content,
           m.media_url,
+          m.payload,
+          m.context_message_id,
           m.direction,
           m.status,
+          m.sent_by_user_id,
           m.created_at,
+          m.delivered_at,
+          m.read_at,
           mf.file_name,
           mf.file_path,
           mf.file_type
@@ -353,6 +531,10 @@ class DatabaseService {
           c.business_id,
           c.phone_number,
           c.status,
+          c.mode,
+          c.handoff_reason,
+          c.handoff_at,
+          c.assigned_user_id,
           c.created_at,
           c.updated_at,
           b.name as business_name
@@ -390,6 +572,93 @@ class DatabaseService {
     }
   }
 
+  // Get delivery and read receipts for outbound messages in a conversation
+  async getConversationReceipts(conversationId) {
+    try {
+      const result = await pool.query(
+        `SELECT 
+          id,
+          message_id,
+          to_number,
+          LEFT(content, 200) as content,
+          status,
+          created_at,
+          sent_at,
+          delivered_at,
+          read_at,
+          failed_at,
+          error_code,
+          error_message
+         FROM messages
+         WHERE conversation_id = $1 AND direction = 'outbound'
+         ORDER BY created_at ASC`,
+        [conversationId]
+      );
+
+      const summary = result.rows.reduce((counts, row) => {
+        counts[row.status] = (counts[row.status] || 0) + 1;
+        return counts;
+      }, {});
+
+      return { receipts: result.rows, summary };
+    } catch (error) {
+      console.error("Error getting conversation receipts:", error);
+      throw error;
+    }
+  }
+
+  // Get delivery and read receipt statistics for a business
+  async getBusinessReceiptStats(businessId, { from = null, to = null } = {}) {
+    try {
+      const params = [businessId, from, to];
+      const period = `business_id = $1 AND direction = 'outbound'
+        AND ($2::timestamp IS NULL OR created_at >= $2)
+        AND ($3::timestamp IS NULL OR created_at < $3)`;
+
+      const statsResult = await pool.query(
+        `SELECT 
+          COUNT(*) as total,
+          COUNT(sent_at) as sent,
+          COUNT(delivered_at) as delivered,
+          COUNT(read_at) as read,
+          COUNT(*) FILTER (WHERE status = 'failed') as failed,
+          AVG(EXTRACT(EPOCH FROM (delivered_at - created_at))) as avg_delivery_seconds,
+          AVG(EXTRACT(EPOCH FROM (read_at - created_at))) as avg_read_seconds
+         FROM messages
+         WHERE ${period}`,
+        params
+      );
+
+      const failuresResult = await pool.query(
+        `SELECT id, conversation_id, message_id, to_number, error_code, error_message, failed_at
+         FROM messages
+         WHERE ${period} AND status = 'failed'
+         ORDER BY failed_at DESC NULLS LAST
+         LIMIT 20`,
+        params
+      );
+
+      const stats = statsResult.rows[0];
+      const total = parseInt(stats.total);
+
+      return {
+        total,
+        sent: parseInt(stats.sent),
+        delivered: parseInt(stats.delivered),
+        read: parseInt(stats.read),
+        failed: parseInt(stats.failed),
+        deliveryRate: total > 0 ? parseInt(stats.delivered) / total : 0,
+        readRate: total > 0 ? parseInt(stats.read) / total : 0,
+        avgDeliverySeconds: stats.avg_delivery_seconds !== null ? parseFloat(stats.avg_delivery_seconds) : null,
+        avgReadSeconds: stats.avg_read_seconds !== null ? parseFloat(stats.avg_read_seconds) : null,
+        recentFailures: failuresResult.rows,
+      };
+    } catch (error) {
+      console.error("Error getting business receipt stats:", error);
+      throw error;
+    }
+  }
+
   // Update conversation status
   async updateConversationStatus(conversationId, status) {
     try {
@@ -406,6 +675,10 @@ class DatabaseService {
       }
 
       console.log(`Conversation ${conversationId} status updated to ${status}`);
+      EventBus.publish("conversation.status", result.rows[0].business_id, {
+        conversationId: result.rows[0].id,
+        status: result.rows[0].status,
+      });
       return result.rows[0];
     } catch (error) {
       console.error("Error updating conversation status:", error);
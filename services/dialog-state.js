@@ -0,0 +1,165 @@
+const pool = require("../config/database");
+
+// Human-readable names used when a flow is aborted
+const FLOW_LABELS = {
+  gmail_send: "email",
+  odoo_sale_order_create: "order",
+  odoo_lead_create: "lead",
+  odoo_order_status: "order status check",
+  odoo_order_cancel: "order cancellation",
+  calendar_availability: "booking",
+  calendar_slot_selection: "booking",
+};
+
+/**
+ * Persisted slot-filling dialog state, one active flow per conversation
+ * A flow stays active until it completes, the user aborts it or it expires.
+ * States are addressed by business and customer phone number, which identify the conversation.
+ */
+class DialogStateService {
+  constructor() {
+    this.defaultTtlMs = (parseInt(process.env.DIALOG_STATE_TTL_MINUTES) || 30) * 60 * 1000;
+    this.abortPattern = /^(cancel|stop|abort|quit|exit|never ?mind|forget it|start over)[.!\s]*$/i;
+  }
+
+  /**
+   * Get the active dialog state for a conversation
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer WhatsApp number
+   * @returns {Promise<Object|null>} State ({ flow, step, slots, expires_at, ... }) or null if none is active
+   */
+  async get(businessId, phoneNumber) {
+    try {
+      const result = await pool.query(
+        `SELECT ds.*, ds.expires_at <= NOW() AS expired FROM dialog_states ds
+         JOIN conversations c ON c.id = ds.conversation_id
+         WHERE c.business_id = $1 AND c.phone_number = $2`,
+        [businessId, phoneNumber]
+      );
+
+      const state = result.rows[0];
+      if (!state) {
+        return null;
+      }
+
+      if (state.expired) {
+        console.log(`Dialog flow "${state.flow}" expired for conversation ${state.conversation_id}`);
+        await pool.query("DELETE FROM dialog_states WHERE id = $1", [state.id]);
+        return null;
+      }
+
+      return state;
+    } catch (error) {
+      console.error("Error getting dialog state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a flow, replacing any flow already active in the conversation
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer WhatsApp number
+   * @param {string} flow - Flow name (intent handlers use their intent name)
+   * @param {Object} options - Initial state
+   * @param {string} options.step - Current step within the flow
+   * @param {Object} options.slots - Slots collected so far
+   * @param {number} options.ttlMs - Time until the flow expires without activity
+   * @returns {Promise<Object|null>} Created state, or null if the conversation does not exist
+   */
+  async start(businessId, phoneNumber, flow, { step = null, slots = {}, ttlMs = this.defaultTtlMs } = {}) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO dialog_states (conversation_id, business_id, flow, step, slots, expires_at)
+         SELECT id, business_id, $3, $4, $5, NOW() + ($6 || ' milliseconds')::INTERVAL
+         FROM conversations WHERE business_id = $1 AND phone_number = $2
+         ON CONFLICT (conversation_id) DO UPDATE SET
+           flow = EXCLUDED.flow,
+           step = EXCLUDED.step,
+           slots = EXCLUDED.slots,
+           expires_at = EXCLUDED.expires_at,
+           created_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [businessId, phoneNumber, flow, step, JSON.stringify(slots), ttlMs]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error starting dialog flow:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge newly collected slots into the active flow and extend its expiry
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer WhatsApp number
+   * @param {Object} changes - Changes to apply
+   * @param {Object} changes.slots - Slots to merge
+   * @param {string} changes.step - New step (unchanged if omitted)
+   * @param {number} changes.ttlMs - Time until the flow expires without activity
+   * @returns {Promise<Object|null>} Updated state or null if no flow is active
+   */
+  async update(businessId, phoneNumber, { slots = {}, step, ttlMs = this.defaultTtlMs } = {}) {
+    try {
+      const result = await pool.query(
+        `UPDATE dialog_states ds SET
+           slots = COALESCE(ds.slots, '{}'::jsonb) || $3::jsonb,
+           step = COALESCE($4, ds.step),
+           expires_at = NOW() + ($5 || ' milliseconds')::INTERVAL,
+           updated_at = CURRENT_TIMESTAMP
+         FROM conversations c
+         WHERE c.id = ds.conversation_id AND c.business_id = $1 AND c.phone_number = $2
+         RETURNING ds.*`,
+        [businessId, phoneNumber, JSON.stringify(slots), step || null, ttlMs]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error updating dialog state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * End the active flow
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer WhatsApp number
+   * @param {string} flow - Only clear if this flow is the active one
+   * @returns {Promise<Object|null>} Cleared state or null if nothing was active
+   */
+  async clear(businessId, phoneNumber, flow = null) {
+    try {
+      const result = await pool.query(
+        `DELETE FROM dialog_states ds
+         USING conversations c
+         WHERE c.id = ds.conversation_id AND c.business_id = $1 AND c.phone_number = $2
+           AND ($3::text IS NULL OR ds.flow = $3)
+         RETURNING ds.*`,
+        [businessId, phoneNumber, flow]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error clearing dialog state:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a message asks to abandon the active flow
+   */
+  isAbortMessage(message) {
+    return this.abortPattern.test(String(message || "").trim());
+  }
+
+  /**
+   * Confirmation sent when the user aborts a flow
+   */
+  getAbortMessage(flow) {
+    const label = FLOW_LABELS[flow] || "request";
+    return `No problem, I've cancelled your ${label}. Let me know if there's anything else I can help with.`;
+  }
+}
+
+module.exports = new DialogStateService();
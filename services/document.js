@@ -0,0 +1,245 @@
+const path = require("path");
+const fs = require("fs-extra");
+const mammoth = require("mammoth");
+// Load the library entry directly; the package index runs a debug harness when required
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+const pool = require("../config/database");
+const EmbeddingsService = require("./embeddings");
+const OpenAIService = require("./openai");
+
+// Supported document types keyed by MIME type
+const SUPPORTED_TYPES = {
+  "application/pdf": ".pdf",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+};
+
+class DocumentService {
+  constructor() {
+    this.uploadDir = "uploads/documents";
+    this.maxTextLength = 200000; // Characters kept from a single document
+    this.chunkSize = 1500;
+    this.chunkOverlap = 200;
+    this.maxChunks = 200;
+    this.relevanceThreshold = 0.35;
+    this.contextChunks = 4;
+  }
+
+  /**
+   * Resolve the file extension for a document, or null if the type is not supported
+   * @param {string} mimeType - MIME type reported by WhatsApp
+   * @param {string} filename - Original file name, used when the MIME type is generic
+   * @returns {string|null} Extension including the dot
+   */
+  getExtension(mimeType, filename = "") {
+    const baseMimeType = (mimeType || "").split(";")[0].trim().toLowerCase();
+    if (SUPPORTED_TYPES[baseMimeType]) {
+      return SUPPORTED_TYPES[baseMimeType];
+    }
+
+    const extension = path.extname(filename || "").toLowerCase();
+    return Object.values(SUPPORTED_TYPES).includes(extension) ? extension : null;
+  }
+
+  /**
+   * Write a downloaded media stream to uploads/documents
+   * @returns {Promise<Object>} Absolute and relative paths plus the stored file name
+   */
+  async saveStream(stream, { businessId, messageId, extension }) {
+    const fileName = `${businessId}_${messageId}_${Date.now()}${extension}`;
+    const absolutePath = path.resolve(__dirname, "..", this.uploadDir, fileName);
+
+    await fs.ensureDir(path.dirname(absolutePath));
+
+    const writeStream = fs.createWriteStream(absolutePath);
+    stream.pipe(writeStream);
+
+    await new Promise((resolve, reject) => {
+      writeStream.on("finish", resolve);
+      writeStream.on("error", reject);
+      stream.on("error", reject);
+    });
+
+    return { fileName, absolutePath, relativePath: path.join(this.uploadDir, fileName) };
+  }
+
+  /**
+   * Extract plain text from a PDF, DOCX, TXT or CSV file
+   * @param {string} filePath - Absolute path to the file
+   * @param {string} extension - File extension as returned by getExtension
+   * @returns {Promise<Object>} Extracted text and page count (PDF only)
+   */
+  async extractText(filePath, extension) {
+    try {
+      let text = "";
+      let pages = null;
+
+      switch (extension) {
+        case ".pdf": {
+          const result = await pdfParse(await fs.readFile(filePath));
+          text = result.text;
+          pages = result.numpages;
+          break;
+        }
+        case ".docx": {
+          const result = await mammoth.extractRawText({ path: filePath });
+          text = result.value;
+          break;
+        }
+        case ".txt":
+        case ".csv":
+          text = await fs.readFile(filePath, "utf8");
+          break;
+        default:
+          throw new Error(`Unsupported document type: ${extension}`);
+      }
+
+      const normalized = text
+        .replace(/\r\n/g, "\n")
+        .replace(/[ \t]+/g, " ")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+
+      return { text: normalized.substring(0, this.maxTextLength), pages };
+    } catch (error) {
+      console.error("Error extracting document text:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split text into overlapping chunks, preferring paragraph and line boundaries
+   * @param {string} text - Document text
+   * @returns {Array<string>} Chunks
+   */
+  splitIntoChunks(text) {
+    const chunks = [];
+    let start = 0;
+
+    while (start < text.length && chunks.length < this.maxChunks) {
+      let end = Math.min(start + this.chunkSize, text.length);
+
+      if (end < text.length) {
+        const boundary = Math.max(text.lastIndexOf("\n", end), text.lastIndexOf(". ", end));
+        if (boundary > start + this.chunkSize / 2) {
+          end = boundary + 1;
+        }
+      }
+
+      const chunk = text.substring(start, end).trim();
+      if (chunk) {
+        chunks.push(chunk);
+      }
+
+      if (end >= text.length) break;
+      start = end - this.chunkOverlap;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Chunk and embed a document so it can be searched from its conversation
+   * @param {Object} document - Document details
+   * @param {number} document.businessId - Business ID
+   * @param {number} document.conversationId - Conversation the document was shared in
+   * @param {number} document.mediaFileId - media_files row of the document
+   * @param {string} document.text - Extracted text
+   * @returns {Promise<number>} Number of chunks stored
+   */
+  async indexDocument({ businessId, conversationId, mediaFileId, text }) {
+    try {
+      const chunks = this.splitIntoChunks(text);
+      if (chunks.length === 0) {
+        return 0;
+      }
+
+      const embeddings = await EmbeddingsService.generateEmbeddingsBatch(chunks, {
+        businessId,
+        conversationId,
+        feature: "documents",
+      });
+
+      for (let i = 0; i < chunks.length; i++) {
+        await pool.query(
+          `INSERT INTO document_chunks (business_id, conversation_id, media_file_id, chunk_index, content, embedding)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [businessId, conversationId, mediaFileId, i, chunks[i], JSON.stringify(embeddings[i])]
+        );
+      }
+
+      console.log(`Indexed ${chunks.length} chunks for media file ${mediaFileId}`);
+      return chunks.length;
+    } catch (error) {
+      console.error("Error indexing document:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the document passages in a conversation most relevant to a question
+   * @param {number} conversationId - Conversation ID
+   * @param {string} question - User question
+   * @param {Object} options - Search options
+   * @param {number} options.mediaFileId - Restrict the search to one document
+   * @param {number} options.businessId - Business the question is metered to
+   * @returns {Promise<Array<Object>>} Relevant chunks with similarity, best first (empty if none qualify)
+   */
+  async findRelevantChunks(conversationId, question, { mediaFileId = null, businessId = null } = {}) {
+    try {
+      const result = await pool.query(
+        `SELECT dc.id, dc.content, dc.embedding, dc.chunk_index, mf.original_name
+         FROM document_chunks dc
+         JOIN media_files mf ON mf.id = dc.media_file_id
+         WHERE dc.conversation_id = $1 AND ($2::integer IS NULL OR dc.media_file_id = $2)`,
+        [conversationId, mediaFileId]
+      );
+
+      // Skip the embedding call entirely when no documents were shared
+      if (result.rows.length === 0) {
+        return [];
+      }
+
+      const questionEmbedding = await EmbeddingsService.generateEmbedding(question, {
+        businessId,
+        conversationId,
+        feature: "documents",
+      });
+
+      return result.rows
+        .map((row) => ({
+          content: row.content,
+          documentName: row.original_name,
+          chunkIndex: row.chunk_index,
+          similarity: EmbeddingsService.calculateCosineSimilarity(questionEmbedding, row.embedding),
+        }))
+        .filter((chunk) => mediaFileId || chunk.similarity >= this.relevanceThreshold)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, this.contextChunks);
+    } catch (error) {
+      console.error("Error finding relevant document chunks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Answer a question against the documents shared in a conversation
+   * @param {number} conversationId - Conversation ID
+   * @param {string} question - User question
+   * @param {Object} businessTone - Business tone for the reply
+   * @param {Object} options - Passed through to findRelevantChunks; businessId selects the model provider
+   * @returns {Promise<string|null>} Answer, or null when no document passage is relevant
+   */
+  async answerQuestion(conversationId, question, businessTone = null, options = {}) {
+    const chunks = await this.findRelevantChunks(conversationId, question, options);
+    if (chunks.length === 0) {
+      return null;
+    }
+
+    console.log(`Answering from ${chunks.length} document passage(s), best similarity ${chunks[0].similarity.toFixed(3)}`);
+    return OpenAIService.answerFromDocuments(question, chunks, businessTone, { businessId: options.businessId });
+  }
+}
+
+module.exports = new DocumentService();
@@ -1,27 +1,14 @@
-const { OpenAI } = require("openai");
 const pool = require("../config/database");
+const LLMService = require("./llm");
 
 class EmbeddingsService {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.embeddingModel = "text-embedding-3-small"; // Faster model for better performance
-    this.dimensions = 1536; // Optimized dimensions for speed
-  }
-
   /**
-   * Generate embeddings for text using OpenAI's text-embedding-3-large model
+   * Generate embeddings for text with the default embedding model
+   * @param {Object} usage - { businessId, feature } for metering; the feature defaults to faq
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, usage = {}) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text,
-        dimensions: this.dimensions,
-      });
-
-      const embedding = response.data[0].embedding;
+      const [embedding] = await LLMService.embed(text, { feature: "faq", ...usage });
 
       return embedding;
     } catch (error) {
@@ -33,17 +20,9 @@ class EmbeddingsService {
   /**
    * Generate embeddings for multiple texts in batch
    */
-  async generateEmbeddingsBatch(texts) {
+  async generateEmbeddingsBatch(texts, usage = {}) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: texts,
-        dimensions: this.dimensions,
-      });
-
-      const embeddings = response.data.map((item) => item.embedding);
-
-      return embeddings;
+      return await LLMService.embed(texts, { feature: "faq", ...usage });
     } catch (error) {
       console.error("Error generating batch embeddings:", error);
       throw new Error("Failed to generate batch embeddings");
@@ -212,7 +191,7 @@ class EmbeddingsService {
       }
 
       // Generate embedding for user question
-      const queryEmbedding = await this.generateEmbedding(userQuestion);
+      const queryEmbedding = await this.generateEmbedding(userQuestion, { businessId });
 
       let bestMatch = null;
       let highestSimilarity = 0;
@@ -273,7 +252,7 @@ class EmbeddingsService {
     try {
       // Generate embeddings for all FAQ questions
       const questions = faqs.map((faq) => faq.question);
-      const embeddings = await this.generateEmbeddingsBatch(questions);
+      const embeddings = await this.generateEmbeddingsBatch(questions, { businessId });
 
       // Store in database with business-specific tracking
       for (let i = 0; i < faqs.length; i++) {
@@ -368,7 +347,7 @@ class EmbeddingsService {
   ) {
     try {
       // Generate embedding for the message
-      const embedding = await this.generateEmbedding(messageContent);
+      const embedding = await this.generateEmbedding(messageContent, { businessId, conversationId });
 
       // Store in database
       await pool.query(
@@ -0,0 +1,132 @@
+const { EventEmitter } = require("events");
+
+// Events published for dashboards
+const EVENT_TYPES = [
+  "message.created", // Inbound or outbound message stored
+  "message.status", // Delivery status of an outbound message changed
+  "conversation.status", // Conversation archived or reactivated
+  "conversation.handoff", // Conversation handed to a human
+  "conversation.released", // Conversation handed back to the bot
+];
+
+/**
+ * In-process event bus for real-time dashboard feeds
+ * Services publish business-scoped events; streaming endpoints subscribe per business.
+ * Recent events are kept per business so a reconnecting client can catch up from its
+ * last event ID. Subscribers only see events published by the same process, and the history
+ * does not survive a restart.
+ *
+ * Event IDs are the publish time in microseconds, bumped when needed to stay increasing.
+ * IDs issued after a restart are higher than the ones before it, so a client resuming with an
+ * old Last-Event-ID is not mistaken for one that has already seen the new events.
+ */
+class EventBus {
+  constructor() {
+    this.types = EVENT_TYPES;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // One listener per open stream
+    this.historySize = parseInt(process.env.EVENT_HISTORY_SIZE) || 100;
+    this.history = new Map();
+    this.lastId = 0;
+    this.subscriptions = new Set();
+  }
+
+  /**
+   * Publish an event to the subscribers of a business
+   * Never throws: a failing subscriber must not fail the operation that published the event.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {number} businessId - Business the event belongs to
+   * @param {Object} data - Event payload
+   * @returns {Object|null} Published event
+   */
+  publish(type, businessId, data) {
+    if (!businessId) {
+      return null;
+    }
+
+    this.lastId = Math.max(this.lastId + 1, Date.now() * 1000);
+    const event = {
+      id: this.lastId,
+      type,
+      businessId: Number(businessId),
+      data,
+      createdAt: new Date().toISOString(),
+    };
+
+    const key = String(businessId);
+    const history = this.history.get(key) || [];
+    history.push(event);
+    if (history.length > this.historySize) {
+      history.shift();
+    }
+    this.history.set(key, history);
+
+    try {
+      this.emitter.emit(key, event);
+    } catch (error) {
+      console.error(`Error publishing ${type} event:`, error);
+    }
+
+    return event;
+  }
+
+  /**
+   * Events of a business published after an event ID, oldest first
+   * @param {number} businessId - Business ID
+   * @param {number} lastEventId - Last event ID the client received
+   */
+  getEventsSince(businessId, lastEventId) {
+    return (this.history.get(String(businessId)) || []).filter((event) => event.id > lastEventId);
+  }
+
+  /**
+   * Receive the events of a business
+   * @param {number} businessId - Business ID
+   * @param {Function} listener - (event) => void
+   * @param {Object} options - { onClose } called when the bus shuts down
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(businessId, listener, { onClose = null } = {}) {
+    const key = String(businessId);
+    const subscription = {
+      onClose,
+      handler: (event) => {
+        try {
+          listener(event);
+        } catch (error) {
+          console.error("Error in event subscriber:", error);
+        }
+      },
+    };
+
+    this.emitter.on(key, subscription.handler);
+    this.subscriptions.add(subscription);
+
+    return () => {
+      this.emitter.off(key, subscription.handler);
+      this.subscriptions.delete(subscription);
+    };
+  }
+
+  /**
+   * Number of open subscriptions
+   */
+  getSubscriberCount() {
+    return this.subscriptions.size;
+  }
+
+  /**
+   * Close every subscription, e.g. on shutdown so open streams do not keep the server alive
+   */
+  close() {
+    for (const subscription of this.subscriptions) {
+      if (subscription.onClose) {
+        subscription.onClose();
+      }
+    }
+    this.subscriptions.clear();
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = new EventBus();
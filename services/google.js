@@ -1,5 +1,6 @@
 ﻿const { google } = require("googleapis");
 const pool = require("../config/database");
+const SecretService = require("./secrets");
 
 class GoogleService {
   constructor() {
@@ -25,15 +26,15 @@ class GoogleService {
 
   /**
    * Generate OAuth2 authorization URL
-   * @param {number} businessId - The business ID to associate with the integration
+   * @param {string} state - Signed state identifying the business (see AuthService.createOAuthState)
    * @returns {string} Authorization URL
    */
-  getAuthUrl(businessId) {
+  getAuthUrl(state) {
     const authUrl = this.oauth2Client.generateAuthUrl({
       access_type: "offline",
       scope: this.scopes,
       prompt: "consent",
-      state: JSON.stringify({ businessId }),
+      state,
     });
     return authUrl;
   }
@@ -77,7 +78,7 @@ class GoogleService {
   }
 
   /**
-   * Save Google Workspace integration to database
+   * Save Google Workspace integration to database; tokens are encrypted at rest
    * @param {Object} integrationData - Integration data to save
    * @returns {Promise<Object>} Saved integration data
    */
@@ -98,8 +99,8 @@ class GoogleService {
 
       const values = [
         integrationData.business_id,
-        integrationData.access_token,
-        integrationData.refresh_token,
+        SecretService.encrypt(integrationData.access_token),
+        SecretService.encrypt(integrationData.refresh_token),
         integrationData.token_expires_at,
       ];
 
@@ -126,7 +127,7 @@ class GoogleService {
       `;
 
       const result = await pool.query(query, [businessId]);
-      return result.rows[0] || null;
+      return SecretService.decryptRow("google_workspace_integrations", result.rows[0]) || null;
     } catch (error) {
       console.error("Error getting Google integration:", error);
       throw new Error("Failed to get Google integration");
@@ -994,7 +995,7 @@ class GoogleService {
   }
 
   /**
-   * Get Google Workspace configuration
+   * Get Google Workspace configuration for display; tokens are masked
    * @param {number} businessId - Business ID
    * @returns {Promise<Object|null>} Configuration data
    */
@@ -1004,7 +1005,8 @@ class GoogleService {
         businessId,
       ]);
 
-      return result.rows.length > 0 ? result.rows[0] : null;
+      const integration = SecretService.decryptRow("google_workspace_integrations", result.rows[0]);
+      return SecretService.redact("google_workspace_integrations", integration) || null;
     } catch (error) {
       console.error("Error getting config:", error);
       throw new Error("Failed to get Google Workspace configuration");
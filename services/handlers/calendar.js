@@ -0,0 +1,36 @@
+const CalendarHandler = require("../calendar-handler");
+const OpenAIService = require("../openai");
+
+/**
+ * Google Calendar intents
+ * Requests with a recognizable date go through the booking flow (availability check,
+ * slot list); everything else falls back to free-form event extraction.
+ */
+class CalendarIntentHandler {
+  constructor() {
+    this.name = "calendar";
+    this.intents = ["calendar_create", "appointment", "calendar_check", "calendar_update", "calendar_delete"];
+    this.integration = "google";
+  }
+
+  async handle({ intent, text, businessId, phoneNumber, businessTone, getConversationHistory }) {
+    const intentName = intent.intent.toLowerCase();
+
+    const calendarResult = await CalendarHandler.handleIntent(businessId, intentName, text, phoneNumber);
+    if (calendarResult) {
+      return calendarResult.reply || calendarResult.message;
+    }
+
+    return await OpenAIService.handleDetectedIntent(
+      // handleDetectedIntent knows the appointment intent by its upper-case name
+      { ...intent, intent: intentName === "appointment" ? "APPOINTMENT" : intentName },
+      { content: text, messageType: "text" },
+      await getConversationHistory(),
+      businessTone,
+      businessId,
+      phoneNumber
+    );
+  }
+}
+
+module.exports = new CalendarIntentHandler();
@@ -0,0 +1,19 @@
+const DocumentService = require("../document");
+
+/**
+ * Answers follow-up questions about documents shared in the conversation
+ * Passes when no shared document is relevant to the question.
+ */
+class DocumentQuestionHandler {
+  constructor() {
+    this.name = "document_qa";
+    this.intents = ["*"];
+    this.integration = null;
+  }
+
+  async handle({ text, businessId, conversationId, businessTone }) {
+    return await DocumentService.answerQuestion(conversationId, text, businessTone, { businessId });
+  }
+}
+
+module.exports = new DocumentQuestionHandler();
@@ -0,0 +1,62 @@
+const AirtableService = require("../airtable");
+const EmbeddingsService = require("../embeddings");
+
+/**
+ * FAQ answers from the business's Airtable knowledge base
+ */
+class FaqIntentHandler {
+  constructor() {
+    this.name = "faq";
+    this.intents = ["faq"];
+    this.integration = "airtable";
+    this.minSimilarity = 0.45; // Semantic similarity of the best Airtable match
+    this.minMatchScore = 0.2; // Keyword match score of the best Airtable match
+  }
+
+  async handle({ text, businessId, conversationId }) {
+    const faqMatch = await AirtableService.searchFAQs(businessId, text);
+
+    console.log("FAQ match received from Airtable:", {
+      similarity: faqMatch?.semanticSimilarity,
+      matchScore: faqMatch?.matchScore,
+      matchType: faqMatch?.matchType,
+      question: faqMatch?.question?.substring(0, 50) + "...",
+      hasAnswer: !!faqMatch?.answer,
+    });
+
+    if (faqMatch && (faqMatch.semanticSimilarity > this.minSimilarity || faqMatch.matchScore > this.minMatchScore)) {
+      await this.storeEmbeddings(businessId, conversationId, text, faqMatch.answer);
+      return faqMatch.answer;
+    }
+
+    console.log("No suitable FAQ match found, providing FAQ fallback response");
+
+    return faqMatch
+      ? `I found a related question about "${faqMatch.question}", but I'm not confident this is exactly what you're looking for. Could you please rephrase your question or provide more details? I'm here to help! 😊`
+      : `I'm here to help! 😊
+
+However, I wasn't able to find specific information on "${text.substring(0, 50)}${text.length > 50 ? "..." : ""}" in our database. These might be specific tools, software, or services related to a certain company or industry.
+
+For me to provide a more accurate answer, could you please provide more context or details about these terms? Are they related to a certain industry, software, or business process? 🤔 Any additional information would be very helpful!`;
+  }
+
+  /**
+   * Store the question and answer as conversation embeddings for later context
+   */
+  async storeEmbeddings(businessId, conversationId, question, answer) {
+    try {
+      await EmbeddingsService.storeConversationEmbedding(businessId, conversationId, `msg_${Date.now()}`, question, "user");
+      await EmbeddingsService.storeConversationEmbedding(
+        businessId,
+        conversationId,
+        `faq_resp_${Date.now()}`,
+        answer,
+        "assistant"
+      );
+    } catch (embeddingError) {
+      console.error("Error storing FAQ conversation embeddings:", embeddingError);
+    }
+  }
+}
+
+module.exports = new FaqIntentHandler();
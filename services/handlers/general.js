@@ -0,0 +1,30 @@
+const OpenAIService = require("../openai");
+
+/**
+ * General AI answer with conversation history; the last fallback
+ */
+class GeneralHandler {
+  constructor() {
+    this.name = "ai";
+    this.intents = ["*"];
+    this.integration = null;
+  }
+
+  async handle({ text, businessId, businessTone, getConversationHistory, unavailableIntegration }) {
+    const messages = [{ role: "user", content: text }];
+
+    // The request needs an integration the business has not connected: answer without pretending to act
+    if (unavailableIntegration) {
+      messages.unshift({
+        role: "system",
+        content: `The customer's request needs ${unavailableIntegration}, which this business has not connected, so you cannot perform it. Do not claim to have done it. Briefly say you can't do that here, answer anything you can from the conversation, and suggest how they can get it done (for example by contacting the business directly).`,
+      });
+    }
+
+    return await OpenAIService.generateGeneralResponse(messages, await getConversationHistory(), businessTone, {
+      businessId,
+    });
+  }
+}
+
+module.exports = new GeneralHandler();
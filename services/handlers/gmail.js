@@ -0,0 +1,25 @@
+const OpenAIService = require("../openai");
+
+/**
+ * Gmail intents (emails sent through the connected Google Workspace account)
+ */
+class GmailIntentHandler {
+  constructor() {
+    this.name = "gmail";
+    this.intents = ["gmail_send"];
+    this.integration = "google";
+  }
+
+  async handle({ intent, text, businessId, phoneNumber, businessTone, getConversationHistory }) {
+    return await OpenAIService.handleDetectedIntent(
+      intent,
+      { content: text, messageType: "text" },
+      await getConversationHistory(),
+      businessTone,
+      businessId,
+      phoneNumber
+    );
+  }
+}
+
+module.exports = new GmailIntentHandler();
@@ -0,0 +1,33 @@
+const OpenAIService = require("../openai");
+
+/**
+ * HubSpot CRM intents
+ */
+class HubSpotIntentHandler {
+  constructor() {
+    this.name = "hubspot";
+    this.intents = [
+      "hubspot_contact_create",
+      "hubspot_contact_search",
+      "hubspot_contact_update",
+      "hubspot_deal_create",
+      "hubspot_deal_update",
+      "hubspot_company_create",
+      "hubspot_pipeline_view",
+    ];
+    this.integration = "hubspot";
+  }
+
+  async handle({ intent, text, businessId, phoneNumber, businessTone, getConversationHistory }) {
+    return await OpenAIService.handleDetectedIntent(
+      intent,
+      { content: text, messageType: "text" },
+      await getConversationHistory(),
+      businessTone,
+      businessId,
+      phoneNumber
+    );
+  }
+}
+
+module.exports = new HubSpotIntentHandler();
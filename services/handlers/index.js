@@ -0,0 +1,14 @@
+/**
+ * Message handlers in registration order
+ * Intent handlers are matched by intent name; fallback handlers (intents: ["*"])
+ * are tried in this order when no intent handler replies.
+ */
+module.exports = [
+  require("./calendar"),
+  require("./gmail"),
+  require("./hubspot"),
+  require("./odoo"),
+  require("./faq"),
+  require("./documents"),
+  require("./general"),
+];
@@ -0,0 +1,35 @@
+const OpenAIService = require("../openai");
+
+/**
+ * Odoo ERP intents
+ */
+class OdooIntentHandler {
+  constructor() {
+    this.name = "odoo";
+    this.intents = [
+      "odoo_customer_create",
+      "odoo_customer_search",
+      "odoo_product_create",
+      "odoo_sale_order_create",
+      "odoo_invoice_create",
+      "odoo_inventory_check",
+      "odoo_lead_create",
+      "odoo_order_status",
+      "odoo_order_cancel",
+    ];
+    this.integration = "odoo";
+  }
+
+  async handle({ intent, text, businessId, phoneNumber, businessTone, getConversationHistory }) {
+    return await OpenAIService.handleDetectedIntent(
+      intent,
+      { content: text, messageType: "text" },
+      await getConversationHistory(),
+      businessTone,
+      businessId,
+      phoneNumber
+    );
+  }
+}
+
+module.exports = new OdooIntentHandler();
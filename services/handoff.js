@@ -0,0 +1,209 @@
+const pool = require("../config/database");
+const BusinessService = require("./business");
+const DatabaseService = require("./database");
+const EventBus = require("./events");
+const WhatsAppService = require("./whatsapp");
+
+// Ways a customer asks for a person instead of the bot
+const EXPLICIT_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat|connect me|transfer me|put me through)\b.*\b(human|person|agent|representative|someone|somebody|staff|operator)\b/i,
+  /\b(real|live|actual)\s+(person|human|agent)\b/i,
+  /\b(human|customer service|customer support)\s+(agent|representative|please)\b/i,
+  /^\s*(human|agent|operator|representative)[.!?\s]*$/i,
+];
+
+// Why a conversation was handed to a human
+const REASONS = ["explicit_request", "low_confidence", "keyword", "agent"];
+
+/**
+ * Human handoff of conversations
+ * A conversation in "human" mode gets no bot replies: inbound messages are only stored and
+ * agents answer through the API until the conversation is handed back to the bot.
+ */
+class HandoffService {
+  constructor() {
+    this.reasons = REASONS;
+    this.lowConfidenceThreshold = 0.6;
+    this.handoffMessage = "I'm connecting you with a member of our team. They will reply here as soon as possible.";
+  }
+
+  /**
+   * Check whether a customer message asks for a human
+   * @param {string} text - Customer message text
+   * @param {Object} settings - Business handoff settings ({ keywords })
+   * @returns {Object|null} { reason, keyword } or null when the bot should answer
+   */
+  detectTrigger(text, settings = {}) {
+    if (!text) {
+      return null;
+    }
+
+    if (EXPLICIT_REQUEST_PATTERNS.some((pattern) => pattern.test(text))) {
+      return { reason: "explicit_request", keyword: null };
+    }
+
+    const keyword = (settings.keywords || []).find((candidate) => {
+      const escaped = String(candidate)
+        .trim()
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return escaped && new RegExp(`(^|\\W)${escaped}(\\W|$)`, "i").test(text);
+    });
+
+    return keyword ? { reason: "keyword", keyword } : null;
+  }
+
+  /**
+   * Whether a routed reply counts as a low-confidence answer
+   * Nothing answered, or only a fallback handler answered an intent detected below the threshold.
+   * @param {Object|null} routed - Result of MessageRouter.route
+   */
+  isLowConfidence(routed) {
+    if (!routed || !routed.reply) {
+      return true;
+    }
+
+    return Boolean(routed.fallback) && (routed.intent?.confidence ?? 0) < this.lowConfidenceThreshold;
+  }
+
+  /**
+   * Count consecutive low-confidence answers of a conversation
+   * @param {number} conversationId - Conversation ID
+   * @param {boolean} lowConfidence - Whether the latest answer was low-confidence; a confident answer resets the count
+   * @returns {Promise<number>} Consecutive low-confidence answers
+   */
+  async recordAnswer(conversationId, lowConfidence) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversations
+         SET low_confidence_count = CASE WHEN $2 THEN COALESCE(low_confidence_count, 0) + 1 ELSE 0 END
+         WHERE id = $1
+         RETURNING low_confidence_count`,
+        [conversationId, lowConfidence]
+      );
+      return result.rows[0]?.low_confidence_count || 0;
+    } catch (error) {
+      console.error("Error recording answer confidence:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Switch a conversation to human mode
+   * @param {number} conversationId - Conversation ID
+   * @param {Object} handoff - { reason, userId }; userId is the agent taking the conversation, if any
+   * @returns {Promise<Object|null>} Updated conversation or null if it does not exist
+   */
+  async handOff(conversationId, { reason, userId = null }) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversations
+         SET mode = 'human', handoff_reason = $2, handoff_at = NOW(), assigned_user_id = $3,
+             low_confidence_count = 0, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [conversationId, reason, userId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const conversation = result.rows[0];
+      console.log(`Conversation ${conversationId} handed off to a human (${reason})`);
+      EventBus.publish("conversation.handoff", conversation.business_id, {
+        conversationId: conversation.id,
+        reason,
+        assignedUserId: conversation.assigned_user_id,
+      });
+      return conversation;
+    } catch (error) {
+      console.error("Error handing off conversation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a conversation back to the bot
+   * @returns {Promise<Object|null>} Updated conversation or null if it does not exist
+   */
+  async handBack(conversationId) {
+    try {
+      const result = await pool.query(
+        `UPDATE conversations
+         SET mode = 'bot', handoff_reason = NULL, handoff_at = NULL, assigned_user_id = NULL,
+             low_confidence_count = 0, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [conversationId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const conversation = result.rows[0];
+      console.log(`Conversation ${conversationId} handed back to the bot`);
+      EventBus.publish("conversation.released", conversation.business_id, { conversationId: conversation.id });
+      return conversation;
+    } catch (error) {
+      console.error("Error handing back conversation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send an agent's reply to the customer of a conversation
+   * The message is stored either way; a failed send is stored with status "failed".
+   * @param {Object} conversation - Conversation row (business_id, phone_number)
+   * @param {Object} message - { userId, content }
+   * @returns {Promise<Object|null>} Saved message row, or null if the business has no WhatsApp configuration
+   */
+  async sendAgentMessage(conversation, { userId, content }) {
+    try {
+      const whatsappConfig = await BusinessService.getWhatsAppConfigByBusinessId(conversation.business_id);
+      if (!whatsappConfig) {
+        return null;
+      }
+
+      let messageId = `agent_${Date.now()}`;
+      let status = "accepted";
+      let errorCode = null;
+      let errorMessage = null;
+
+      try {
+        const response = await WhatsAppService.forBusiness(whatsappConfig).sendReply(
+          conversation.phone_number,
+          content
+        );
+        messageId = response?.messages?.[0]?.id || messageId;
+      } catch (whatsappError) {
+        console.error("Error sending agent message:", whatsappError);
+        status = "failed";
+        errorCode = whatsappError.code || null;
+        errorMessage = whatsappError.message;
+      }
+
+      return await DatabaseService.saveMessage({
+        businessId: conversation.business_id,
+        conversationId: conversation.id,
+        messageId,
+        fromNumber: whatsappConfig.phone_number_id,
+        toNumber: conversation.phone_number,
+        messageType: "text",
+        content,
+        mediaUrl: null,
+        localFilePath: null,
+        isFromUser: false,
+        status,
+        errorCode,
+        errorMessage,
+        sentByUserId: userId,
+      });
+    } catch (error) {
+      console.error("Error sending agent message:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new HandoffService();
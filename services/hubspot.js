@@ -1,5 +1,6 @@
 const axios = require("axios");
 const pool = require("../config/database");
+const SecretService = require("./secrets");
 
 class HubSpotService {
   constructor() {
@@ -20,12 +21,13 @@ class HubSpotService {
   }
 
   // ---------- AUTH ----------
-  getAuthUrl(businessId) {
+  // state: signed value identifying the business (see AuthService.createOAuthState)
+  getAuthUrl(state) {
     const params = new URLSearchParams({
       client_id: this.clientId,
       redirect_uri: this.redirectUri,
       scope: this.scopes.join(" "),
-      state: JSON.stringify({ businessId }),
+      state,
     });
     return `${this.authURL}?${params.toString()}`;
   }
@@ -97,9 +99,14 @@ class HubSpotService {
           token_expires_at = $4,
           updated_at = CURRENT_TIMESTAMP
         RETURNING *`,
-        [data.business_id, data.access_token, data.refresh_token, data.token_expires_at]
+        [
+          data.business_id,
+          SecretService.encrypt(data.access_token),
+          SecretService.encrypt(data.refresh_token),
+          data.token_expires_at,
+        ]
       );
-      return result.rows[0];
+      return SecretService.decryptRow("hubspot_integrations", result.rows[0]);
     } catch (err) {
       console.error("Error saving HubSpot integration:", err);
       throw new Error("Failed to save HubSpot integration");
@@ -109,13 +116,24 @@ class HubSpotService {
   async getIntegration(businessId) {
     try {
       const result = await pool.query("SELECT * FROM hubspot_integrations WHERE business_id = $1", [businessId]);
-      return result.rows[0] || null;
+      return SecretService.decryptRow("hubspot_integrations", result.rows[0]) || null;
     } catch (err) {
       console.error("Error getting HubSpot integration:", err);
       throw new Error("Failed to get HubSpot integration");
     }
   }
 
+  // Integration for display; tokens are masked
+  async getConfig(businessId) {
+    const integration = await this.getIntegration(businessId);
+    return SecretService.redact("hubspot_integrations", integration);
+  }
+
+  async isIntegrated(businessId) {
+    const integration = await this.getIntegration(businessId);
+    return Boolean(integration?.access_token);
+  }
+
   async refreshAccessToken(businessId) {
     try {
       const integration = await this.getIntegration(businessId);
@@ -141,7 +159,12 @@ class HubSpotService {
         `UPDATE hubspot_integrations 
         SET access_token = $1, refresh_token = $2, token_expires_at = $3, updated_at = CURRENT_TIMESTAMP 
         WHERE business_id = $4`,
-        [tokens.access_token, tokens.refresh_token, new Date(Date.now() + tokens.expires_in * 1000), businessId]
+        [
+          SecretService.encrypt(tokens.access_token),
+          SecretService.encrypt(tokens.refresh_token),
+          new Date(Date.now() + tokens.expires_in * 1000),
+          businessId,
+        ]
       );
 
       return tokens.access_token;
@@ -1,15 +1,32 @@
-const { OpenAI } = require("openai");
 const pool = require("../config/database");
 const crypto = require("crypto");
+const LLMService = require("./llm");
+
+// Few-shot examples for the GPT fallback; only those of intents active for the business are used
+const GPT_EXAMPLES = {
+  gmail_send: "Send an email to john@example.com",
+  calendar_create: "Schedule a meeting for tomorrow",
+  calendar_check: "Check my availability",
+  calendar_update: "Reschedule my meeting",
+  calendar_delete: "Cancel my meeting",
+  hubspot_contact_create: "Create a new contact",
+  hubspot_contact_search: "Search for contacts",
+  hubspot_contact_update: "Update contact information",
+  hubspot_deal_create: "Create a new deal",
+  hubspot_deal_update: "Update deal information",
+  hubspot_company_create: "Create a new company",
+  hubspot_pipeline_view: "View my sales pipeline",
+  odoo_customer_create: "Create a new customer",
+  odoo_customer_search: "Search for customers",
+  odoo_product_create: "Create a new product",
+  odoo_sale_order_create: "Create a new sale order",
+  odoo_invoice_create: "Create a new invoice",
+  odoo_inventory_check: "Check inventory",
+  odoo_lead_create: "Create a new lead",
+};
 
 class IntentDetectionService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.embeddingModel = "text-embedding-3-small"; // Fast embedding model
-    this.dimensions = 1536; // Optimized dimensions for speed
-    this.chatModel = "gpt-3.5-turbo"; // Fast model for fallback
     this.cache = new Map(); // In-memory cache for ultra-fast lookups
     this.cacheTimeout = 1000 * 60 * 60; // 1 hour cache
 
@@ -23,7 +40,7 @@ class IntentDetectionService {
   initCacheCleanup() {
     setInterval(() => {
       this.cleanupExpiredCache();
-    }, 5 * 60 * 1000); // Clean every 5 minutes
+    }, 5 * 60 * 1000).unref(); // Clean every 5 minutes; does not keep scripts and tests alive
   }
 
   /**
@@ -39,17 +56,13 @@ class IntentDetectionService {
   }
 
   /**
-   * Generate fast embeddings using text-embedding-3-small
+   * Generate an embedding with the default embedding model
+   * @param {Object} usage - { businessId } for metering
    */
-  async generateEmbedding(text) {
+  async generateEmbedding(text, usage = {}) {
     try {
-      const response = await this.openai.embeddings.create({
-        model: this.embeddingModel,
-        input: text,
-        dimensions: this.dimensions,
-      });
-
-      return response.data[0].embedding;
+      const [embedding] = await LLMService.embed(text, { ...usage, feature: "intent_detection" });
+      return embedding;
     } catch (error) {
       console.error("Error generating embedding:", error);
       throw new Error("Failed to generate embedding");
@@ -86,9 +99,13 @@ class IntentDetectionService {
 
   /**
    * Create message hash for caching
+   * The business is part of the key so tenants with different catalogs never share a cached result.
    */
-  createMessageHash(message) {
-    return crypto.createHash("sha256").update(message.toLowerCase().trim()).digest("hex");
+  createMessageHash(message, businessId = null) {
+    return crypto
+      .createHash("sha256")
+      .update(`${businessId || "global"}:${message.toLowerCase().trim()}`)
+      .digest("hex");
   }
 
   /**
@@ -104,7 +121,7 @@ class IntentDetectionService {
     // Check database cache
     try {
       const result = await pool.query(
-        "SELECT detected_intent, confidence, method FROM intent_cache WHERE message_hash = $1 AND expires_at > NOW()",
+        "SELECT business_id, detected_intent, confidence, method FROM intent_cache WHERE message_hash = $1 AND expires_at > NOW()",
         [messageHash]
       );
 
@@ -118,6 +135,7 @@ class IntentDetectionService {
             method: cached.method,
             cached: true,
           },
+          businessId: cached.business_id,
           expires: Date.now() + this.cacheTimeout,
         });
         return {
@@ -137,25 +155,26 @@ class IntentDetectionService {
   /**
    * Store result in cache
    */
-  async storeInCache(messageHash, message, result) {
+  async storeInCache(messageHash, message, result, businessId = null) {
     try {
       // Store in memory cache
       this.cache.set(messageHash, {
         result: { ...result, cached: false },
+        businessId,
         expires: Date.now() + this.cacheTimeout,
       });
 
       // Store in database cache
       await pool.query(
-        `INSERT INTO intent_cache (message_hash, message_text, detected_intent, confidence, method, expires_at)
-         VALUES ($1, $2, $3, $4, $5, NOW() + INTERVAL '24 hours')
+        `INSERT INTO intent_cache (message_hash, business_id, message_text, detected_intent, confidence, method, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW() + INTERVAL '24 hours')
          ON CONFLICT (message_hash) 
          DO UPDATE SET 
            detected_intent = EXCLUDED.detected_intent,
            confidence = EXCLUDED.confidence,
            method = EXCLUDED.method,
            expires_at = EXCLUDED.expires_at`,
-        [messageHash, message, result.intent, result.confidence, result.method]
+        [messageHash, businessId, message, result.intent, result.confidence, result.method]
       );
     } catch (error) {
       console.error("Error storing in cache:", error);
@@ -163,27 +182,95 @@ class IntentDetectionService {
   }
 
   /**
-   * Get all intent examples with embeddings
+   * Get the intent catalog seen by a business
+   * Global intents (business_id NULL) are inherited; a business row with the same name overrides
+   * description, threshold and active status where set, and other business rows add custom intents.
+   * @param {number|null} businessId - Business ID, or null for the global catalog only
+   * @returns {Promise<Array<Object>>} Intents with { name, description, threshold, active, source, intentIds, ... }
+   */
+  async getEffectiveIntents(businessId = null) {
+    const result = await pool.query(
+      `SELECT id, business_id, name, description, confidence_threshold, active
+       FROM intents
+       WHERE business_id IS NULL OR business_id = $1
+       ORDER BY business_id NULLS FIRST, name`,
+      [businessId]
+    );
+
+    const intents = new Map();
+    for (const row of result.rows) {
+      const inherited = intents.get(row.name);
+
+      if (row.business_id === null) {
+        intents.set(row.name, {
+          name: row.name,
+          description: row.description,
+          threshold: parseFloat(row.confidence_threshold),
+          active: row.active,
+          source: "global",
+          globalIntentId: row.id,
+          businessIntentId: null,
+          intentIds: [row.id],
+        });
+      } else if (inherited) {
+        inherited.source = "override";
+        inherited.businessIntentId = row.id;
+        inherited.intentIds.push(row.id);
+        if (row.description) inherited.description = row.description;
+        if (row.confidence_threshold !== null) inherited.threshold = parseFloat(row.confidence_threshold);
+        if (row.active !== null) inherited.active = row.active;
+      } else {
+        intents.set(row.name, {
+          name: row.name,
+          description: row.description,
+          threshold: row.confidence_threshold !== null ? parseFloat(row.confidence_threshold) : 0.75,
+          active: row.active !== false,
+          source: "custom",
+          globalIntentId: null,
+          businessIntentId: row.id,
+          intentIds: [row.id],
+        });
+      }
+    }
+
+    return Array.from(intents.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Get the active intents of a business with their examples and embeddings
+   * Examples of a global intent are combined with the business's own examples for it.
    */
-  async getIntentExamples() {
+  async getIntentExamples(businessId = null) {
     try {
-      const result = await pool.query(`
-        SELECT i.name as intent_name, i.confidence_threshold, ie.text, ie.embedding, ie.weight
-        FROM intents i
-        JOIN intent_examples ie ON i.id = ie.intent_id
-        WHERE i.active = true AND ie.active = true
-        ORDER BY i.name, ie.weight DESC
-      `);
+      const intents = (await this.getEffectiveIntents(businessId)).filter((intent) => intent.active);
+
+      const intentByRowId = new Map();
+      for (const intent of intents) {
+        intent.intentIds.forEach((id) => intentByRowId.set(id, intent));
+      }
+
+      if (intentByRowId.size === 0) {
+        return {};
+      }
+
+      const result = await pool.query(
+        `SELECT intent_id, text, embedding, weight
+         FROM intent_examples
+         WHERE intent_id = ANY($1::int[]) AND active = true
+         ORDER BY weight DESC`,
+        [Array.from(intentByRowId.keys())]
+      );
 
       const intentMap = {};
       for (const row of result.rows) {
-        if (!intentMap[row.intent_name]) {
-          intentMap[row.intent_name] = {
-            threshold: parseFloat(row.confidence_threshold),
+        const intent = intentByRowId.get(row.intent_id);
+        if (!intentMap[intent.name]) {
+          intentMap[intent.name] = {
+            threshold: intent.threshold,
             examples: [],
           };
         }
-        intentMap[row.intent_name].examples.push({
+        intentMap[intent.name].examples.push({
           text: row.text,
           embedding: row.embedding,
           weight: parseFloat(row.weight),
@@ -197,13 +284,43 @@ class IntentDetectionService {
     }
   }
 
+  /**
+   * Find the intent whose example is most similar to a message embedding
+   * @param {Array<number>} messageEmbedding - Message embedding
+   * @param {Object} intentExamples - Intent map as returned by getIntentExamples
+   * @returns {Object|null} { intent, confidence, threshold } of the best match, or null if no example has an embedding
+   */
+  matchIntent(messageEmbedding, intentExamples) {
+    let bestIntent = null;
+    let highestSimilarity = 0;
+
+    for (const [intentName, intentData] of Object.entries(intentExamples)) {
+      for (const example of intentData.examples) {
+        if (!example.embedding) continue;
+
+        const similarity = this.calculateCosineSimilarity(messageEmbedding, example.embedding) * example.weight; // Apply weight
+
+        if (similarity > highestSimilarity) {
+          highestSimilarity = similarity;
+          bestIntent = {
+            intent: intentName,
+            confidence: similarity,
+            threshold: intentData.threshold,
+          };
+        }
+      }
+    }
+
+    return bestIntent;
+  }
+
   /**
    * Main intent detection method
    */
   async detectIntent(message, businessId = null) {
     try {
       const startTime = Date.now();
-      const messageHash = this.createMessageHash(message);
+      const messageHash = this.createMessageHash(message, businessId);
 
       // Check cache first
       const cached = await this.checkCache(messageHash);
@@ -213,36 +330,18 @@ class IntentDetectionService {
       }
 
       // Generate embedding for the message
-      const messageEmbedding = await this.generateEmbedding(message);
+      const messageEmbedding = await this.generateEmbedding(message, { businessId });
 
-      // Get all intent examples
-      const intentExamples = await this.getIntentExamples();
+      // Get the intent examples of this business (global examples included)
+      const intentExamples = await this.getIntentExamples(businessId);
 
       if (Object.keys(intentExamples).length === 0) {
         console.log("No intent examples found, falling back to GPT");
-        return await this.detectIntentWithGPT(message, messageHash);
+        return await this.detectIntentWithGPT(message, messageHash, 0, businessId);
       }
 
       // Find best matching intent using embeddings
-      let bestIntent = null;
-      let highestSimilarity = 0;
-
-      for (const [intentName, intentData] of Object.entries(intentExamples)) {
-        for (const example of intentData.examples) {
-          if (!example.embedding) continue;
-
-          const similarity = this.calculateCosineSimilarity(messageEmbedding, example.embedding) * example.weight; // Apply weight
-
-          if (similarity > highestSimilarity) {
-            highestSimilarity = similarity;
-            bestIntent = {
-              intent: intentName,
-              confidence: similarity,
-              threshold: intentData.threshold,
-            };
-          }
-        }
-      }
+      const bestIntent = this.matchIntent(messageEmbedding, intentExamples);
 
       const detectionTime = Date.now() - startTime;
 
@@ -255,7 +354,7 @@ class IntentDetectionService {
           detectionTime,
         };
 
-        await this.storeInCache(messageHash, message, result);
+        await this.storeInCache(messageHash, message, result, businessId);
         console.log(
           `Intent detection (embedding): ${result.intent} - ${result.confidence.toFixed(3)} (${detectionTime}ms)`
         );
@@ -264,7 +363,7 @@ class IntentDetectionService {
 
       // If confidence is low, fall back to GPT
       console.log(`Low confidence (${bestIntent?.confidence.toFixed(3) || 0}), falling back to GPT`);
-      return await this.detectIntentWithGPT(message, messageHash, detectionTime);
+      return await this.detectIntentWithGPT(message, messageHash, detectionTime, businessId);
     } catch (error) {
       console.error("Error in intent detection:", error);
       return {
@@ -279,17 +378,20 @@ class IntentDetectionService {
   /**
    * Fallback intent detection using GPT (few-shot)
    */
-  async detectIntentWithGPT(message, messageHash, previousTime = 0) {
+  async detectIntentWithGPT(message, messageHash, previousTime = 0, businessId = null) {
     try {
       const startTime = Date.now();
 
-      // Get available intents from database for dynamic prompt
-      const intentsResult = await pool.query(`
-        SELECT name, description FROM intents WHERE active = true ORDER BY name
-      `);
+      // Get the intents available to this business for a dynamic prompt
+      const intents = (await this.getEffectiveIntents(businessId)).filter((intent) => intent.active);
+
+      const availableIntents = intents
+        .map((intent) => `- ${intent.name.toUpperCase()}: ${intent.description || "General intent"}`)
+        .join("\n");
 
-      const availableIntents = intentsResult.rows
-        .map((row) => `- ${row.name.toUpperCase()}: ${row.description || "General intent"}`)
+      const examples = intents
+        .filter((intent) => GPT_EXAMPLES[intent.name])
+        .map((intent) => `"${GPT_EXAMPLES[intent.name]}" -> {"intent": "${intent.name}", "confidence": 0.9}`)
         .join("\n");
 
       const systemPrompt = `You are an intent classifier for a WhatsApp business bot. Classify the user's message into one of these intents:
@@ -297,52 +399,41 @@ class IntentDetectionService {
 INTENTS:
 ${availableIntents}
 
-Return only JSON: {"intent": "intent_name", "confidence": 0.9}
-
-Examples:
-"Send an email to john@example.com" -> {"intent": "gmail_send", "confidence": 0.9}
-"Schedule a meeting for tomorrow" -> {"intent": "calendar_create", "confidence": 0.9}
-"Check my availability" -> {"intent": "calendar_check", "confidence": 0.9}
-"Reschedule my meeting" -> {"intent": "calendar_update", "confidence": 0.9}
-"Cancel my meeting" -> {"intent": "calendar_delete", "confidence": 0.9}
-"Create a new contact" -> {"intent": "hubspot_contact_create", "confidence": 0.9}
-"Search for contacts" -> {"intent": "hubspot_contact_search", "confidence": 0.9}
-"Update contact information" -> {"intent": "hubspot_contact_update", "confidence": 0.9}
-"Create a new deal" -> {"intent": "hubspot_deal_create", "confidence": 0.9}
-"Update deal information" -> {"intent": "hubspot_deal_update", "confidence": 0.9}
-"Create a new company" -> {"intent": "hubspot_company_create", "confidence": 0.9}
-"View my sales pipeline" -> {"intent": "hubspot_pipeline_view", "confidence": 0.9}
-"Create a new customer" -> {"intent": "odoo_customer_create", "confidence": 0.9}
-"Search for customers" -> {"intent": "odoo_customer_search", "confidence": 0.9}
-"Create a new product" -> {"intent": "odoo_product_create", "confidence": 0.9}
-"Create a new sale order" -> {"intent": "odoo_sale_order_create", "confidence": 0.9}
-"Create a new invoice" -> {"intent": "odoo_invoice_create", "confidence": 0.9}
-"Check inventory" -> {"intent": "odoo_inventory_check", "confidence": 0.9}
-"Create a new lead" -> {"intent": "odoo_lead_create", "confidence": 0.9}`;
-
-      const response = await this.openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: `Classify: "${message}"` },
-        ],
-        temperature: 0.1,
-        max_tokens: 50,
-      });
+Return only JSON: {"intent": "intent_name", "confidence": 0.9}. Use "general" if no intent fits.${
+        examples ? `\n\nExamples:\n${examples}` : ""
+      }`;
+
+      const response = await LLMService.chat(
+        {
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: `Classify: "${message}"` },
+          ],
+          temperature: 0.1,
+          max_tokens: 50,
+        },
+        { businessId, purpose: "fast", feature: "intent_detection" }
+      );
 
       const gptTime = Date.now() - startTime;
       const totalTime = previousTime + gptTime;
 
       try {
-        const result = JSON.parse(response.choices[0].message.content);
+        const result = JSON.parse(response.message.content);
+        // Only intents active for the business may be dispatched; anything else is general
+        const detected = intents.find((intent) => intent.name.toLowerCase() === String(result.intent).toLowerCase());
+        if (!detected && result.intent && String(result.intent).toLowerCase() !== "general") {
+          console.log(`GPT returned intent ${result.intent}, which is not active for this business`);
+        }
+
         const finalResult = {
-          intent: result.intent || "general",
+          intent: detected ? detected.name : "general",
           confidence: result.confidence || 0.7,
           method: "gpt-fallback",
           detectionTime: totalTime,
         };
 
-        await this.storeInCache(messageHash, message, finalResult);
+        await this.storeInCache(messageHash, message, finalResult, businessId);
         console.log(
           `Intent detection (GPT): ${finalResult.intent} - ${finalResult.confidence.toFixed(3)} (${totalTime}ms)`
         );
@@ -374,7 +465,8 @@ Examples:
     try {
       // Ensure intent exists
       const intentResult = await pool.query(
-        "INSERT INTO intents (name, description, confidence_threshold, active) VALUES ($1, $2, $3, $4) ON CONFLICT (name) DO NOTHING RETURNING id",
+        `INSERT INTO intents (name, description, confidence_threshold, active) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (name) WHERE business_id IS NULL DO NOTHING RETURNING id`,
         [intentName, `Intent for ${intentName}`, 0.75, true]
       );
 
@@ -382,7 +474,9 @@ Examples:
       if (intentResult.rows.length > 0) {
         intentId = intentResult.rows[0].id;
       } else {
-        const existingIntent = await pool.query("SELECT id FROM intents WHERE name = $1", [intentName]);
+        const existingIntent = await pool.query("SELECT id FROM intents WHERE name = $1 AND business_id IS NULL", [
+          intentName,
+        ]);
         intentId = existingIntent.rows[0].id;
       }
 
@@ -430,6 +524,7 @@ Examples:
           COUNT(ie.id) as example_count
         FROM intents i
         LEFT JOIN intent_examples ie ON i.id = ie.intent_id AND ie.active = true
+        WHERE i.business_id IS NULL
         GROUP BY i.id, i.name, i.description, i.confidence_threshold, i.active
         ORDER BY i.name
       `);
@@ -450,7 +545,7 @@ Examples:
         SELECT ie.id, ie.text, ie.weight, ie.active
         FROM intent_examples ie
         JOIN intents i ON ie.intent_id = i.id
-        WHERE i.name = $1 AND ie.active = true
+        WHERE i.name = $1 AND i.business_id IS NULL AND ie.active = true
         ORDER BY ie.weight DESC, ie.text
       `,
         [intentName]
@@ -467,10 +562,15 @@ Examples:
    */
   async updateIntentThreshold(intentName, threshold) {
     try {
-      await pool.query("UPDATE intents SET confidence_threshold = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2", [
-        threshold,
-        intentName,
-      ]);
+      const result = await pool.query(
+        "UPDATE intents SET confidence_threshold = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2 AND business_id IS NULL",
+        [threshold, intentName]
+      );
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      await this.clearAllCaches();
       console.log(`Updated threshold for intent ${intentName} to ${threshold}`);
       return true;
     } catch (error) {
@@ -484,10 +584,15 @@ Examples:
    */
   async toggleIntentStatus(intentName, active) {
     try {
-      await pool.query("UPDATE intents SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2", [
-        active,
-        intentName,
-      ]);
+      const result = await pool.query(
+        "UPDATE intents SET active = $1, updated_at = CURRENT_TIMESTAMP WHERE name = $2 AND business_id IS NULL",
+        [active, intentName]
+      );
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      await this.clearAllCaches();
       console.log(`Set intent ${intentName} active status to ${active}`);
       return true;
     } catch (error) {
@@ -496,15 +601,259 @@ Examples:
     }
   }
 
+  /**
+   * Get the effective intent catalog of a business with example counts
+   */
+  async getBusinessIntents(businessId) {
+    try {
+      const intents = await this.getEffectiveIntents(businessId);
+      const counts = await pool.query(
+        `SELECT i.business_id IS NULL AS global, i.name, COUNT(ie.id) AS example_count
+         FROM intents i
+         JOIN intent_examples ie ON ie.intent_id = i.id AND ie.active = true
+         WHERE i.business_id IS NULL OR i.business_id = $1
+         GROUP BY i.business_id, i.name`,
+        [businessId]
+      );
+
+      return intents.map(({ intentIds, ...intent }) => {
+        const countFor = (global) =>
+          parseInt(counts.rows.find((row) => row.name === intent.name && row.global === global)?.example_count || 0);
+
+        return {
+          ...intent,
+          globalExampleCount: intent.globalIntentId ? countFor(true) : 0,
+          businessExampleCount: intent.businessIntentId ? countFor(false) : 0,
+        };
+      });
+    } catch (error) {
+      console.error("Error getting business intents:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one intent as seen by a business, or null if it is neither global nor defined by the business
+   */
+  async getBusinessIntent(businessId, intentName) {
+    const intents = await this.getBusinessIntents(businessId);
+    return intents.find((intent) => intent.name === intentName) || null;
+  }
+
+  /**
+   * Create a business intent: a custom intent, or an override of the global intent with the same name
+   * Fields left out of an override are inherited from the global intent.
+   * @param {number} businessId - Business ID
+   * @param {Object} intentData - { name, description, confidence_threshold, active }
+   * @returns {Promise<Object>} Effective intent
+   */
+  async createBusinessIntent(businessId, { name, description = null, confidence_threshold = null, active = null }) {
+    try {
+      const global = await pool.query("SELECT id FROM intents WHERE name = $1 AND business_id IS NULL", [name]);
+      const isOverride = global.rows.length > 0;
+
+      await pool.query(
+        `INSERT INTO intents (business_id, name, description, confidence_threshold, active)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          businessId,
+          name,
+          description,
+          confidence_threshold ?? (isOverride ? null : 0.75),
+          active ?? (isOverride ? null : true),
+        ]
+      );
+
+      await this.clearBusinessCache(businessId);
+      console.log(`Created ${isOverride ? "override" : "custom intent"} ${name} for business ${businessId}`);
+      return this.getBusinessIntent(businessId, name);
+    } catch (error) {
+      console.error("Error creating business intent:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the business settings of an intent, creating the override of a global intent if needed
+   * @param {number} businessId - Business ID
+   * @param {string} intentName - Intent name
+   * @param {Object} updates - { description, confidence_threshold, active }; omitted fields are unchanged
+   * @returns {Promise<Object|null>} Effective intent, or null if the intent does not exist
+   */
+  async updateBusinessIntent(businessId, intentName, { description, confidence_threshold, active } = {}) {
+    try {
+      const existing = await this.getBusinessIntent(businessId, intentName);
+      if (!existing) {
+        return null;
+      }
+
+      if (!existing.businessIntentId) {
+        await this.createBusinessIntent(businessId, { name: intentName, description, confidence_threshold, active });
+        return this.getBusinessIntent(businessId, intentName);
+      }
+
+      await pool.query(
+        `UPDATE intents SET
+           description = COALESCE($3, description),
+           confidence_threshold = COALESCE($4, confidence_threshold),
+           active = COALESCE($5, active),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE business_id = $1 AND name = $2`,
+        [businessId, intentName, description ?? null, confidence_threshold ?? null, active ?? null]
+      );
+
+      await this.clearBusinessCache(businessId);
+      return this.getBusinessIntent(businessId, intentName);
+    } catch (error) {
+      console.error("Error updating business intent:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a business intent with its examples
+   * For an override this reverts the business to the global intent.
+   * @returns {Promise<Object|null>} Deleted row, or null if the business had no row for the intent
+   */
+  async deleteBusinessIntent(businessId, intentName) {
+    try {
+      const result = await pool.query("DELETE FROM intents WHERE business_id = $1 AND name = $2 RETURNING *", [
+        businessId,
+        intentName,
+      ]);
+
+      if (result.rows.length > 0) {
+        await this.clearBusinessCache(businessId);
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error deleting business intent:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the examples of an intent as seen by a business
+   * @returns {Promise<Array<Object>|null>} Examples with their source (global or business), or null if the intent does not exist
+   */
+  async getBusinessIntentExamples(businessId, intentName) {
+    try {
+      const result = await pool.query(
+        `SELECT ie.id, ie.text, ie.weight, ie.active, ie.created_at,
+                CASE WHEN i.business_id IS NULL THEN 'global' ELSE 'business' END AS source
+         FROM intents i
+         LEFT JOIN intent_examples ie ON ie.intent_id = i.id
+         WHERE i.name = $2 AND (i.business_id IS NULL OR i.business_id = $1)
+         ORDER BY i.business_id NULLS FIRST, ie.weight DESC, ie.text`,
+        [businessId, intentName]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return result.rows.filter((row) => row.id !== null);
+    } catch (error) {
+      console.error("Error getting business intent examples:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add business examples to an intent, creating the override of a global intent if needed
+   * @param {number} businessId - Business ID
+   * @param {string} intentName - Intent name
+   * @param {Array<Object>} examples - [{ text, weight }]
+   * @returns {Promise<Array<Object>|null>} Created examples, or null if the intent does not exist
+   */
+  async addBusinessIntentExamples(businessId, intentName, examples) {
+    try {
+      const intent = await this.getBusinessIntent(businessId, intentName);
+      if (!intent) {
+        return null;
+      }
+
+      let intentId = intent.businessIntentId;
+      if (!intentId) {
+        intentId = (await this.createBusinessIntent(businessId, { name: intentName })).businessIntentId;
+      }
+
+      const created = [];
+      for (const example of examples) {
+        const embedding = await this.generateEmbedding(example.text, { businessId });
+        const result = await pool.query(
+          `INSERT INTO intent_examples (intent_id, text, embedding, weight, active)
+           VALUES ($1, $2, $3, $4, true)
+           RETURNING id, text, weight, active, created_at`,
+          [intentId, example.text, JSON.stringify(embedding), example.weight || 1.0]
+        );
+        created.push({ ...result.rows[0], source: "business" });
+      }
+
+      await this.clearBusinessCache(businessId);
+      console.log(`Added ${created.length} example(s) to ${intentName} for business ${businessId}`);
+      return created;
+    } catch (error) {
+      console.error("Error adding business intent examples:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one of the business's own examples (global examples cannot be deleted per business)
+   * @returns {Promise<Object|null>} Deleted example or null if not found
+   */
+  async deleteBusinessIntentExample(businessId, intentName, exampleId) {
+    try {
+      const result = await pool.query(
+        `DELETE FROM intent_examples ie
+         USING intents i
+         WHERE ie.intent_id = i.id AND i.business_id = $1 AND i.name = $2 AND ie.id = $3
+         RETURNING ie.id, ie.text, ie.weight`,
+        [businessId, intentName, exampleId]
+      );
+
+      if (result.rows.length > 0) {
+        await this.clearBusinessCache(businessId);
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error deleting business intent example:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached classifications of a business after its catalog changed
+   */
+  async clearBusinessCache(businessId) {
+    for (const [key, value] of this.cache.entries()) {
+      if (String(value.businessId) === String(businessId)) {
+        this.cache.delete(key);
+      }
+    }
+
+    try {
+      await pool.query("DELETE FROM intent_cache WHERE business_id = $1", [businessId]);
+    } catch (error) {
+      console.error("Error clearing business intent cache:", error);
+    }
+  }
+
   /**
    * Get performance metrics
    */
   getPerformanceMetrics() {
+    const { provider, models, embeddingDimensions } = LLMService.getDefaultConfig();
+
     return {
       cacheSize: this.cache.size,
-      model: this.embeddingModel,
-      dimensions: this.dimensions,
-      chatModel: this.chatModel,
+      provider,
+      model: models.embedding,
+      dimensions: embeddingDimensions,
+      chatModel: models.fast,
     };
   }
 
@@ -0,0 +1,234 @@
+const crypto = require("crypto");
+const IntentDetectionService = require("./intent-detection");
+
+// Label used when no intent reaches its threshold (production would fall back to GPT)
+const NO_MATCH = "none";
+
+// Words the stub embedder ignores; they carry no intent
+const STOP_WORDS = new Set(
+  "a am an and are at be can could do does for i in is it me my of on or our please the this to we with you your".split(" ")
+);
+
+/**
+ * Runs labeled messages through embedding-based intent matching and reports how well it did
+ * Evaluation never reads or writes the intent cache and never calls the GPT fallback,
+ * so thresholds are measured for the embedding stage alone.
+ */
+class IntentEvaluationService {
+  constructor() {
+    this.candidateThresholds = [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95];
+  }
+
+  /**
+   * Deterministic embedding provider for offline runs
+   * Texts become bags of stemmed content words hashed into buckets, so messages sharing vocabulary
+   * with an intent's examples match it. A constant extra component maps cosine similarity s to (s + 1) / 2:
+   * unrelated texts score 0.5, like production embeddings, so the catalog's thresholds still apply.
+   * @param {number} dimensions - Number of hash buckets
+   * @returns {Function} async (text) => embedding
+   */
+  createStubEmbedder(dimensions = 512) {
+    const bucket = (word) => crypto.createHash("md5").update(word).digest().readUInt32BE(0) % dimensions;
+
+    return async (text) => {
+      const embedding = new Array(dimensions).fill(0);
+      String(text)
+        .toLowerCase()
+        .split(/[^a-z0-9@.]+/)
+        .filter((word) => word && !STOP_WORDS.has(word))
+        .forEach((word) => (embedding[bucket(word.replace(/(ing|ed|es|s)$/, ""))] += 1));
+
+      const norm = Math.hypot(...embedding) || 1;
+      return [...embedding.map((value) => value / norm), 1];
+    };
+  }
+
+  /**
+   * Build an intent map (as returned by IntentDetectionService.getIntentExamples) from a catalog definition
+   * @param {Array<Object>} catalog - [{ name, confidence_threshold, examples: [text | { text, weight }] }]
+   */
+  catalogToIntentMap(catalog) {
+    const intentMap = {};
+    for (const intent of catalog) {
+      if (intent.active === false) continue;
+
+      intentMap[intent.name] = {
+        threshold: parseFloat(intent.confidence_threshold ?? 0.75),
+        examples: (intent.examples || []).map((example) =>
+          typeof example === "string"
+            ? { text: example, embedding: null, weight: 1.0 }
+            : { text: example.text, embedding: null, weight: parseFloat(example.weight || 1.0) }
+        ),
+      };
+    }
+    return intentMap;
+  }
+
+  /**
+   * Evaluate intent matching against a labeled test set
+   * @param {Array<Object>} testCases - [{ text, intent }]; use intent "none" for messages that should not match
+   * @param {Object} options - Evaluation options
+   * @param {number} options.businessId - Evaluate this business's catalog (global catalog if omitted)
+   * @param {Array<Object>} options.catalog - Evaluate this catalog instead of the database one
+   * @param {Function} options.embed - Embedding provider; examples are re-embedded with it when given
+   * @returns {Promise<Object>} Report with accuracy, confusion matrix, per-intent metrics and threshold recommendations
+   */
+  async evaluate(testCases, { businessId = null, catalog = null, embed = null } = {}) {
+    try {
+      const startTime = Date.now();
+      const intentMap = catalog
+        ? this.catalogToIntentMap(catalog)
+        : await IntentDetectionService.getIntentExamples(businessId);
+
+      // Example embeddings from the database only compare with the production model's embeddings
+      let examplesWithoutEmbedding = 0;
+      for (const intentData of Object.values(intentMap)) {
+        for (const example of intentData.examples) {
+          if (embed) {
+            example.embedding = await embed(example.text);
+          } else if (!example.embedding) {
+            examplesWithoutEmbedding++;
+          }
+        }
+      }
+
+      const embedMessage = embed || ((text) => IntentDetectionService.generateEmbedding(text));
+      const results = [];
+      for (const testCase of testCases) {
+        const embedding = await embedMessage(testCase.text);
+        const match = IntentDetectionService.matchIntent(embedding, intentMap);
+        const predicted = match && match.confidence >= match.threshold ? match.intent : NO_MATCH;
+
+        results.push({
+          text: testCase.text,
+          expected: testCase.intent,
+          predicted,
+          bestMatch: match ? match.intent : null,
+          confidence: match ? parseFloat(match.confidence.toFixed(4)) : 0,
+        });
+      }
+
+      const labels = Array.from(
+        new Set([...Object.keys(intentMap), ...results.map((r) => r.expected), ...results.map((r) => r.predicted)])
+      ).sort((a, b) => (a === NO_MATCH) - (b === NO_MATCH) || a.localeCompare(b));
+
+      const perIntent = labels
+        .filter((label) => label !== NO_MATCH)
+        .map((label) => this.scoreIntent(label, results, (r) => r.predicted));
+      const scored = perIntent.filter((metrics) => metrics.support > 0 || metrics.falsePositives > 0);
+      const correct = results.filter((r) => r.expected === r.predicted).length;
+
+      return {
+        total: results.length,
+        accuracy: results.length ? this.round(correct / results.length) : 0,
+        macroPrecision: this.average(scored.map((m) => m.precision)),
+        macroRecall: this.average(scored.map((m) => m.recall)),
+        macroF1: this.average(scored.map((m) => m.f1)),
+        labels,
+        confusionMatrix: this.buildConfusionMatrix(labels, results),
+        perIntent,
+        thresholdRecommendations: this.recommendThresholds(intentMap, results),
+        misclassified: results.filter((r) => r.expected !== r.predicted),
+        examplesWithoutEmbedding,
+        evaluationTime: Date.now() - startTime,
+      };
+    } catch (error) {
+      console.error("Error evaluating intents:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confusion matrix as { expected: { predicted: count } }
+   */
+  buildConfusionMatrix(labels, results) {
+    const matrix = {};
+    for (const expected of labels) {
+      matrix[expected] = Object.fromEntries(labels.map((predicted) => [predicted, 0]));
+    }
+    for (const result of results) {
+      matrix[result.expected][result.predicted]++;
+    }
+    return matrix;
+  }
+
+  /**
+   * Precision, recall and F1 of one intent
+   * @param {Function} predict - (result) => predicted label
+   */
+  scoreIntent(intent, results, predict) {
+    let truePositives = 0;
+    let falsePositives = 0;
+    let falseNegatives = 0;
+
+    for (const result of results) {
+      const predicted = predict(result);
+      if (predicted === intent && result.expected === intent) truePositives++;
+      else if (predicted === intent) falsePositives++;
+      else if (result.expected === intent) falseNegatives++;
+    }
+
+    const precision = truePositives + falsePositives ? truePositives / (truePositives + falsePositives) : 0;
+    const recall = truePositives + falseNegatives ? truePositives / (truePositives + falseNegatives) : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+    return {
+      intent,
+      support: truePositives + falseNegatives,
+      truePositives,
+      falsePositives,
+      falseNegatives,
+      precision: this.round(precision),
+      recall: this.round(recall),
+      f1: this.round(f1),
+    };
+  }
+
+  /**
+   * Recommend a threshold per intent: the candidate with the best F1, preferring the higher
+   * threshold (fewer false positives) on ties. The current threshold is kept unless F1 improves.
+   */
+  recommendThresholds(intentMap, results) {
+    const recommendations = [];
+
+    for (const [intent, intentData] of Object.entries(intentMap)) {
+      const relevant = results.filter((r) => r.expected === intent || r.bestMatch === intent);
+      if (relevant.length === 0) continue;
+
+      const predictAt = (threshold) => (r) => (r.bestMatch === intent && r.confidence >= threshold ? intent : NO_MATCH);
+      const current = this.scoreIntent(intent, relevant, predictAt(intentData.threshold));
+
+      let candidate = null;
+      for (const threshold of this.candidateThresholds) {
+        const metrics = this.scoreIntent(intent, relevant, predictAt(threshold));
+        if (!candidate || metrics.f1 > candidate.f1 || (metrics.f1 === candidate.f1 && threshold > candidate.threshold)) {
+          candidate = { threshold, ...metrics };
+        }
+      }
+      const best = candidate.f1 > current.f1 ? candidate : { threshold: intentData.threshold, ...current };
+
+      recommendations.push({
+        intent,
+        currentThreshold: intentData.threshold,
+        recommendedThreshold: best.threshold,
+        currentF1: current.f1,
+        recommendedF1: best.f1,
+        precision: best.precision,
+        recall: best.recall,
+        change: best.threshold === intentData.threshold ? "keep" : best.threshold > intentData.threshold ? "raise" : "lower",
+      });
+    }
+
+    return recommendations;
+  }
+
+  average(values) {
+    return values.length ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length) : 0;
+  }
+
+  round(value) {
+    return Math.round(value * 1000) / 1000;
+  }
+}
+
+module.exports = new IntentEvaluationService();
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const path = require("path");
+
+/**
+ * Deterministic provider for tests and offline runs; it never touches the network
+ * Chat replies echo the latest user message, forced tool calls come back with empty arguments
+ * (so handlers ask for the missing details), transcriptions name the file, and embeddings hash
+ * words and word pairs into buckets so texts sharing vocabulary are similar.
+ */
+class FakeProvider {
+  constructor({ dimensions = 256 } = {}) {
+    this.type = "fake";
+    this.dimensions = dimensions;
+  }
+
+  async chat({ model, messages, tool_choice: toolChoice }) {
+    const promptTokens = this.countTokens(JSON.stringify(messages));
+
+    if (toolChoice && toolChoice.type === "function") {
+      const call = {
+        id: "fake_call_1",
+        type: "function",
+        function: { name: toolChoice.function.name, arguments: "{}" },
+      };
+      return {
+        message: { role: "assistant", content: null, tool_calls: [call] },
+        usage: { prompt_tokens: promptTokens, completion_tokens: 1, total_tokens: promptTokens + 1 },
+        model,
+      };
+    }
+
+    const latest = [...messages].reverse().find((message) => message.role === "user");
+    const text = Array.isArray(latest?.content)
+      ? latest.content
+          .filter((part) => part.type === "text")
+          .map((part) => part.text)
+          .join(" ")
+      : latest?.content || "";
+    const content = `[${model}] ${text}`.trim();
+    const completionTokens = this.countTokens(content);
+
+    return {
+      message: { role: "assistant", content },
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      },
+      model,
+    };
+  }
+
+  async transcribe({ model, file }) {
+    return { text: `[${model}] transcription of ${path.basename(file)}`, duration: null };
+  }
+
+  async embed({ input }) {
+    const texts = Array.isArray(input) ? input : [input];
+    const tokens = texts.reduce((sum, text) => sum + this.countTokens(text), 0);
+    return {
+      embeddings: texts.map((text) => this.embedText(text)),
+      usage: { prompt_tokens: tokens, total_tokens: tokens },
+    };
+  }
+
+  embedText(text) {
+    const bucket = (token) => crypto.createHash("md5").update(token).digest().readUInt32BE(0) % this.dimensions;
+    const embedding = new Array(this.dimensions).fill(0);
+    const words = String(text)
+      .toLowerCase()
+      .split(/[^a-z0-9@.]+/)
+      .filter(Boolean);
+
+    words.forEach((word, i) => {
+      embedding[bucket(word)] += 1;
+      if (i > 0) embedding[bucket(`${words[i - 1]} ${word}`)] += 0.5;
+    });
+
+    return embedding;
+  }
+
+  // Rough count (about four characters per token) so usage figures are plausible
+  countTokens(text) {
+    return Math.ceil(String(text || "").length / 4);
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,305 @@
+const pool = require("../../config/database");
+const OpenAIProvider = require("./openai-provider");
+const FakeProvider = require("./fake-provider");
+const UsageService = require("../usage");
+const SecretService = require("../secrets");
+
+const PROVIDERS = ["openai", "azure", "openai_compatible", "fake"];
+
+// Columns of business_llm_settings holding the model used for each purpose
+const MODEL_COLUMNS = {
+  chat: "chat_model",
+  fast: "fast_model",
+  vision: "vision_model",
+  transcription: "transcription_model",
+};
+
+/**
+ * Single entry point for model calls
+ * Chat, vision and transcription go to the provider and models a business chose in
+ * business_llm_settings, falling back to the LLM_* environment defaults. Embeddings always
+ * use the default provider: stored FAQ, example and document embeddings must come from one
+ * model to be comparable. LLM_PROVIDER=fake runs everything offline and deterministically.
+ * Every call is metered into llm_usage (see UsageService).
+ */
+class LLMService {
+  constructor() {
+    this.providers = PROVIDERS;
+    this.purposes = Object.keys(MODEL_COLUMNS);
+    this.configCache = new Map();
+    this.configTimeout = 60 * 1000; // Settings changed elsewhere apply within a minute
+    this.instances = new Map();
+  }
+
+  /**
+   * Deployment defaults from the environment
+   */
+  getDefaultConfig() {
+    const provider = PROVIDERS.includes(process.env.LLM_PROVIDER) ? process.env.LLM_PROVIDER : "openai";
+
+    return {
+      provider,
+      baseUrl: process.env.LLM_BASE_URL || null,
+      apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null,
+      apiVersion: process.env.LLM_API_VERSION || "2024-06-01",
+      models: {
+        chat: process.env.LLM_CHAT_MODEL || "gpt-4",
+        fast: process.env.LLM_FAST_MODEL || "gpt-3.5-turbo",
+        vision: process.env.LLM_VISION_MODEL || "gpt-4o",
+        transcription: process.env.LLM_TRANSCRIPTION_MODEL || "whisper-1",
+        embedding: process.env.LLM_EMBEDDING_MODEL || "text-embedding-3-small",
+      },
+      embeddingDimensions: parseInt(process.env.LLM_EMBEDDING_DIMENSIONS) || (provider === "openai" ? 1536 : null),
+    };
+  }
+
+  /**
+   * Effective configuration for a business (defaults when it has no settings)
+   * If the settings cannot be loaded the defaults are used, so model calls keep working.
+   */
+  async getConfig(businessId = null) {
+    const defaults = this.getDefaultConfig();
+    if (!businessId) {
+      return defaults;
+    }
+
+    const cached = this.configCache.get(String(businessId));
+    if (cached && Date.now() < cached.expires) {
+      return cached.config;
+    }
+
+    let config = defaults;
+    try {
+      const result = await pool.query("SELECT * FROM business_llm_settings WHERE business_id = $1", [businessId]);
+      if (result.rows.length > 0) {
+        config = this.mergeSettings(defaults, SecretService.decryptRow("business_llm_settings", result.rows[0]));
+      }
+    } catch (error) {
+      console.error("Error loading LLM settings:", error);
+      return defaults;
+    }
+
+    this.configCache.set(String(businessId), { config, expires: Date.now() + this.configTimeout });
+    return config;
+  }
+
+  mergeSettings(defaults, row) {
+    const sameProvider = row.provider === defaults.provider;
+    const models = { ...defaults.models };
+    for (const [purpose, column] of Object.entries(MODEL_COLUMNS)) {
+      models[purpose] = row[column] || models[purpose];
+    }
+
+    // Without a key of their own, settings use the deployment's key, but only on its endpoint
+    let apiKey = row.api_key || null;
+    if (!apiKey && this.usesDefaultEndpoint(defaults, row.provider, row.base_url)) {
+      apiKey = sameProvider ? defaults.apiKey : process.env.OPENAI_API_KEY || null;
+    }
+
+    return {
+      provider: row.provider,
+      baseUrl: row.base_url || (sameProvider ? defaults.baseUrl : null),
+      apiKey,
+      apiVersion: row.api_version || defaults.apiVersion,
+      models,
+      embeddingDimensions: defaults.embeddingDimensions,
+    };
+  }
+
+  /**
+   * Whether settings point at an endpoint the deployment's API key belongs to
+   * Only then may they use the default key; settings with another base URL need their own key,
+   * so the deployment key is never sent to a third-party endpoint.
+   */
+  usesDefaultEndpoint(defaults, provider, baseUrl) {
+    if (provider === defaults.provider) {
+      return !baseUrl || baseUrl === defaults.baseUrl;
+    }
+    return provider === "openai" && !baseUrl;
+  }
+
+  /**
+   * Provider instance for a configuration; instances are shared between businesses with the same connection
+   */
+  getProvider(config) {
+    const key = JSON.stringify([config.provider, config.baseUrl, config.apiKey, config.apiVersion]);
+
+    if (!this.instances.has(key)) {
+      const provider =
+        config.provider === "fake"
+          ? new FakeProvider({ dimensions: config.embeddingDimensions || 256 })
+          : new OpenAIProvider({
+              type: config.provider,
+              apiKey: config.apiKey,
+              baseURL: config.baseUrl,
+              apiVersion: config.apiVersion,
+            });
+      this.instances.set(key, provider);
+    }
+
+    return this.instances.get(key);
+  }
+
+  /**
+   * Chat completion with the business's provider
+   * @param {Object} params - Chat completions request; model defaults to the purpose's model
+   * @param {Object} options - { businessId, conversationId, purpose: chat | fast | vision, feature } (feature: see UsageService)
+   * @returns {Promise<Object>} { message, usage, model, provider }
+   */
+  async chat(params, { businessId = null, conversationId = null, purpose = "chat", feature = null } = {}) {
+    const config = await this.getConfig(businessId);
+    const model = params.model || config.models[purpose] || config.models.chat;
+    const result = await this.getProvider(config).chat({ ...params, model });
+
+    await UsageService.record({
+      businessId,
+      conversationId,
+      feature: feature || (purpose === "vision" ? "vision" : "chat"),
+      callType: "chat",
+      provider: config.provider,
+      model: result.model,
+      promptTokens: result.usage?.prompt_tokens || 0,
+      completionTokens: result.usage?.completion_tokens || 0,
+    });
+
+    return { ...result, provider: config.provider };
+  }
+
+  /**
+   * Transcribe an audio file with the business's provider
+   * @param {string} file - Path of the audio file
+   * @returns {Promise<Object>} { text, duration, model, provider }
+   */
+  async transcribe(file, { businessId = null, conversationId = null } = {}) {
+    const config = await this.getConfig(businessId);
+    const model = config.models.transcription;
+    const result = await this.getProvider(config).transcribe({ model, file });
+
+    await UsageService.record({
+      businessId,
+      conversationId,
+      feature: "transcription",
+      callType: "transcription",
+      provider: config.provider,
+      model,
+      audioSeconds: result.duration || 0,
+    });
+
+    return { ...result, model, provider: config.provider };
+  }
+
+  /**
+   * Embed texts with the default provider
+   * @param {string|Array<string>} input - Text or texts
+   * @param {Object} options - { businessId, conversationId, feature } for metering
+   * @returns {Promise<Array<Array<number>>>} One embedding per text
+   */
+  async embed(input, { businessId = null, conversationId = null, feature = "other" } = {}) {
+    const config = this.getDefaultConfig();
+    const result = await this.getProvider(config).embed({
+      model: config.models.embedding,
+      input,
+      dimensions: config.embeddingDimensions,
+    });
+
+    await UsageService.record({
+      businessId,
+      conversationId,
+      feature,
+      callType: "embedding",
+      provider: config.provider,
+      model: config.models.embedding,
+      promptTokens: result.usage?.prompt_tokens || 0,
+    });
+
+    return result.embeddings;
+  }
+
+  /**
+   * A business's stored settings and the configuration in effect (API key masked)
+   */
+  async getBusinessSettings(businessId) {
+    try {
+      const result = await pool.query("SELECT * FROM business_llm_settings WHERE business_id = $1", [businessId]);
+      const row = result.rows[0] || null;
+      const effective = row ? this.mergeSettings(this.getDefaultConfig(), row) : this.getDefaultConfig();
+
+      return {
+        settings: row ? this.formatSettings(row) : null,
+        effective: { provider: effective.provider, models: effective.models, baseUrl: effective.baseUrl },
+        providers: PROVIDERS,
+      };
+    } catch (error) {
+      console.error("Error getting LLM settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a business's settings
+   * Omitted fields are stored as null and use the defaults; apiKey undefined (or masked) keeps the stored key.
+   * The API key is stored encrypted (see SecretService).
+   */
+  async updateBusinessSettings(businessId, data) {
+    try {
+      const { provider, chatModel, fastModel, visionModel, transcriptionModel, baseUrl, apiVersion } = data;
+      const apiKey = SecretService.isMasked(data.apiKey) ? undefined : data.apiKey;
+      const result = await pool.query(
+        `INSERT INTO business_llm_settings
+           (business_id, provider, chat_model, fast_model, vision_model, transcription_model, base_url, api_key, api_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (business_id) DO UPDATE SET
+           provider = EXCLUDED.provider,
+           chat_model = EXCLUDED.chat_model,
+           fast_model = EXCLUDED.fast_model,
+           vision_model = EXCLUDED.vision_model,
+           transcription_model = EXCLUDED.transcription_model,
+           base_url = EXCLUDED.base_url,
+           api_key = CASE WHEN $10 THEN business_llm_settings.api_key ELSE EXCLUDED.api_key END,
+           api_version = EXCLUDED.api_version,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING *`,
+        [
+          businessId,
+          provider,
+          chatModel || null,
+          fastModel || null,
+          visionModel || null,
+          transcriptionModel || null,
+          baseUrl || null,
+          SecretService.encrypt(apiKey || null),
+          apiVersion || null,
+          apiKey === undefined,
+        ]
+      );
+
+      this.configCache.delete(String(businessId));
+      return this.formatSettings(result.rows[0]);
+    } catch (error) {
+      console.error("Error updating LLM settings:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a business's settings so it uses the defaults again
+   * @returns {Promise<boolean>} Whether settings existed
+   */
+  async deleteBusinessSettings(businessId) {
+    try {
+      const result = await pool.query("DELETE FROM business_llm_settings WHERE business_id = $1", [businessId]);
+      this.configCache.delete(String(businessId));
+      return result.rowCount > 0;
+    } catch (error) {
+      console.error("Error deleting LLM settings:", error);
+      throw error;
+    }
+  }
+
+  formatSettings(row) {
+    const { api_key: apiKey, ...settings } = row;
+    return { ...settings, has_api_key: Boolean(apiKey) };
+  }
+}
+
+module.exports = new LLMService();
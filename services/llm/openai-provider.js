@@ -0,0 +1,74 @@
+const fs = require("fs-extra");
+const { OpenAI, AzureOpenAI } = require("openai");
+
+/**
+ * Provider for the OpenAI API and APIs that implement it
+ * - openai: api.openai.com
+ * - azure: an Azure OpenAI resource; baseURL is the resource endpoint and models are deployment names
+ * - openai_compatible: any server exposing the OpenAI REST API at baseURL (Ollama, vLLM, LM Studio...)
+ */
+class OpenAIProvider {
+  constructor({ type = "openai", apiKey = null, baseURL = null, apiVersion = null } = {}) {
+    this.type = type;
+    this.options = { apiKey, baseURL, apiVersion };
+    this.client = null;
+  }
+
+  /**
+   * SDK client, created on first use so a missing key only fails the calls that need it
+   */
+  getClient() {
+    if (!this.client) {
+      const { apiKey, baseURL, apiVersion } = this.options;
+
+      if (this.type === "azure") {
+        this.client = new AzureOpenAI({ apiKey, endpoint: baseURL, apiVersion });
+      } else if (this.type === "openai_compatible") {
+        // Local servers usually ignore the key, but the SDK requires one
+        this.client = new OpenAI({ apiKey: apiKey || "not-needed", baseURL });
+      } else {
+        this.client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+      }
+    }
+    return this.client;
+  }
+
+  /**
+   * Chat completion (also used for vision with image_url content parts)
+   * @param {Object} params - Chat completions request (model, messages, tools, tool_choice, ...)
+   * @returns {Promise<Object>} { message, usage, model }
+   */
+  async chat(params) {
+    const response = await this.getClient().chat.completions.create(params);
+    return {
+      message: response.choices[0].message,
+      usage: response.usage || null,
+      model: response.model || params.model,
+    };
+  }
+
+  /**
+   * Transcribe an audio file
+   * verbose_json is requested for the audio duration, which transcription is billed by.
+   * @returns {Promise<Object>} { text, duration } (duration in seconds, null if not reported)
+   */
+  async transcribe({ model, file }) {
+    const response = await this.getClient().audio.transcriptions.create({
+      model,
+      file: fs.createReadStream(file),
+      response_format: "verbose_json",
+    });
+    return { text: response.text, duration: response.duration ?? null };
+  }
+
+  /**
+   * Embed one or more texts
+   * @returns {Promise<Object>} { embeddings, usage }
+   */
+  async embed({ model, input, dimensions = null }) {
+    const response = await this.getClient().embeddings.create({ model, input, ...(dimensions ? { dimensions } : {}) });
+    return { embeddings: response.data.map((item) => item.embedding), usage: response.usage || null };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,334 @@
+const IntentDetectionService = require("./intent-detection");
+const DialogStateService = require("./dialog-state");
+const CalendarHandler = require("./calendar-handler");
+const OpenAIService = require("./openai");
+const DatabaseService = require("./database");
+const BusinessService = require("./business");
+const AgentService = require("./agent");
+const handlers = require("./handlers");
+
+// Intents another integration can serve when the one they target is not connected
+const INTENT_ALTERNATIVES = {
+  odoo_customer_create: "hubspot_contact_create",
+  odoo_customer_search: "hubspot_contact_search",
+  hubspot_contact_create: "odoo_customer_create",
+  hubspot_contact_search: "odoo_customer_search",
+};
+
+// Names used when telling the AI which integration a request needed
+const INTEGRATION_LABELS = {
+  google: "Google Workspace (Gmail and Calendar)",
+  hubspot: "HubSpot CRM",
+  odoo: "Odoo",
+  airtable: "the FAQ knowledge base",
+};
+
+/**
+ * Routes a text message to exactly one handler
+ * 1. A multi-turn flow in progress gets the message first (or is aborted).
+ * 2. Businesses in agent mode let the agent answer with integration tools (see AgentService).
+ * 3. Otherwise intent detection runs once; the handler registered for the intent answers
+ *    if the intent is active for the business, the confidence reaches the business's
+ *    threshold for it and the business has connected the integration it needs (or an
+ *    equivalent intent of a connected integration).
+ * 4. Otherwise fallback handlers (intents: ["*"]) are tried in registration order.
+ */
+class MessageRouter {
+  constructor() {
+    this.handlers = [];
+    this.intentHandlers = new Map();
+    this.fallbackHandlers = [];
+
+    handlers.forEach((handler) => this.register(handler));
+  }
+
+  /**
+   * Register a handler
+   * @param {Object} handler - Handler module
+   * @param {string} handler.name - Name used in logs and as the reply source
+   * @param {Array<string>} handler.intents - Intent names handled, or ["*"] for a fallback handler
+   * @param {string|null} handler.integration - Integration the handler requires (google, hubspot, odoo, airtable)
+   * @param {Function} handler.handle - async (context) => reply or null to pass
+   */
+  register(handler) {
+    for (const intent of handler.intents) {
+      if (intent === "*") {
+        this.fallbackHandlers.push(handler);
+        continue;
+      }
+
+      const key = intent.toLowerCase();
+      if (this.intentHandlers.has(key)) {
+        throw new Error(`Intent "${intent}" is already handled by ${this.intentHandlers.get(key).name}`);
+      }
+      this.intentHandlers.set(key, handler);
+    }
+
+    this.handlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Get the handler registered for an intent
+   */
+  getHandlerForIntent(intent) {
+    return this.intentHandlers.get(String(intent || "").toLowerCase()) || null;
+  }
+
+  /**
+   * Describe the registered handlers
+   */
+  listHandlers() {
+    return this.handlers.map(({ name, intents, integration }) => ({ name, intents, integration }));
+  }
+
+  /**
+   * Route a message and produce a reply
+   * @param {Object} message - Message to route
+   * @param {number} message.businessId - Business ID
+   * @param {number} message.conversationId - Conversation ID
+   * @param {string} message.phoneNumber - Customer WhatsApp number
+   * @param {string} message.text - Text to route (typed text, transcript, caption...)
+   * @param {Object} message.messageData - Normalized message data
+   * @param {Object} message.businessTone - Business tone for AI replies
+   * @returns {Promise<Object|null>} { reply, handler, intent } (plus agentRunId from the agent, fallback: true from
+   *   fallback handlers) or null if no handler replied
+   */
+  async route(message) {
+    const context = this.createContext(message);
+
+    const flowResult = await this.continueActiveFlow(context);
+    if (flowResult) {
+      return flowResult;
+    }
+
+    const integrations = await this.getConnectedIntegrations(context.businessId);
+
+    const agentResult = await this.runAgent(context, integrations);
+    if (agentResult) {
+      return agentResult;
+    }
+
+    const detected = await IntentDetectionService.detectIntent(context.text, context.businessId);
+    context.intent = { ...detected, intent: String(detected?.intent || "general").toLowerCase() };
+    const threshold = await this.getIntentThreshold(context.businessId, context.intent.intent);
+
+    const resolved = this.resolveIntent(context.intent.intent, integrations);
+
+    if (resolved.status === "remapped") {
+      console.log(`Intent ${context.intent.intent} remapped to ${resolved.intent} (${resolved.integration} not connected)`);
+      context.intent = { ...context.intent, intent: resolved.intent, remappedFrom: context.intent.intent };
+    } else if (resolved.status === "unavailable") {
+      console.log(`Intent ${context.intent.intent} needs ${resolved.integration}, which is not connected`);
+      context.unavailableIntegration = INTEGRATION_LABELS[resolved.integration] || resolved.integration;
+    }
+
+    const handler = resolved.handler;
+
+    if (handler && threshold !== null && context.intent.confidence >= threshold) {
+      const reply = await this.runHandler(handler, context);
+      if (reply) {
+        return { reply, handler: handler.name, intent: context.intent };
+      }
+    } else if (handler) {
+      console.log(
+        threshold === null
+          ? `Intent ${context.intent.intent} is not active for business ${context.businessId}`
+          : `Intent ${context.intent.intent} (${context.intent.confidence.toFixed(3)}) below threshold ${threshold}`
+      );
+    }
+
+    for (const fallback of this.fallbackHandlers) {
+      const reply = await this.runHandler(fallback, context);
+      if (reply) {
+        return { reply, handler: fallback.name, intent: context.intent, fallback: true };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Confidence a detected intent needs before its handler runs
+   * Uses the business's effective threshold, so per-business overrides apply to routing as well as detection.
+   * @returns {Promise<number|null>} Threshold, or null if the intent is not active for the business
+   */
+  async getIntentThreshold(businessId, intent) {
+    try {
+      const intents = await IntentDetectionService.getEffectiveIntents(businessId);
+      const match = intents.find((candidate) => candidate.active && candidate.name.toLowerCase() === intent);
+      return match ? match.threshold : null;
+    } catch (error) {
+      console.error("Error getting intent threshold:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Let the agent answer when the business uses agent mode
+   * Returns null (intent routing continues) for other businesses, when no tool is usable or on errors.
+   */
+  async runAgent(context, integrations) {
+    try {
+      const settings = await BusinessService.getAgentSettings(context.businessId);
+      if (!settings || settings.mode !== "agent") {
+        return null;
+      }
+
+      const result = await AgentService.respond(context, settings, integrations);
+      if (result && result.reply) {
+        return { reply: result.reply, handler: "agent", intent: null, agentRunId: result.runId };
+      }
+    } catch (error) {
+      console.error("Error in agent mode:", error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Connected integrations of a business
+   * If they cannot be loaded every integration is assumed connected, so routing behaves as without gating.
+   */
+  async getConnectedIntegrations(businessId) {
+    try {
+      return await BusinessService.getConnectedIntegrations(businessId);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Decide which handler serves an intent given the connected integrations
+   * @param {string} intent - Detected intent name
+   * @param {Object|null} integrations - As returned by getConnectedIntegrations (null: all connected)
+   * @returns {Object} { status, intent, handler, integration }; status is live, remapped
+   *   (served by an equivalent intent), unavailable (integration missing) or fallback (no handler)
+   */
+  resolveIntent(intent, integrations) {
+    const isConnected = (handler) => !handler.integration || !integrations || Boolean(integrations[handler.integration]);
+    const handler = this.getHandlerForIntent(intent);
+
+    if (!handler) {
+      return { status: "fallback", intent, handler: null, integration: null };
+    }
+    if (isConnected(handler)) {
+      return { status: "live", intent, handler, integration: handler.integration };
+    }
+
+    const alternative = INTENT_ALTERNATIVES[intent];
+    const alternativeHandler = alternative && this.getHandlerForIntent(alternative);
+    if (alternativeHandler && isConnected(alternativeHandler)) {
+      return { status: "remapped", intent: alternative, handler: alternativeHandler, integration: handler.integration };
+    }
+
+    return { status: "unavailable", intent, handler: null, integration: handler.integration };
+  }
+
+  /**
+   * Describe how each active intent of a business is currently served
+   * @param {number} businessId - Business ID
+   * @returns {Promise<Object>} { integrations, intents: [{ name, source, threshold, status, handler, integration, remappedTo }] }
+   */
+  async getLiveIntents(businessId) {
+    const intents = await IntentDetectionService.getEffectiveIntents(businessId);
+    const integrations = await BusinessService.getConnectedIntegrations(businessId);
+
+    return {
+      integrations,
+      intents: intents.map(({ name, source, threshold, active }) => {
+        const resolved = this.resolveIntent(name, integrations);
+        const handler = this.getHandlerForIntent(name);
+
+        return {
+          name,
+          source,
+          threshold,
+          status: active ? resolved.status : "disabled",
+          handler: resolved.handler ? resolved.handler.name : null,
+          integration: handler ? handler.integration : null,
+          remappedTo: resolved.status === "remapped" ? resolved.intent : null,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Build the context passed to handlers
+   * Conversation history is loaded on first use and shared between handlers. It is the
+   * token-budgeted window before the message being routed, led by a summary of older turns.
+   */
+  createContext(message) {
+    let history = null;
+
+    return {
+      ...message,
+      intent: null,
+      unavailableIntegration: null,
+      getConversationHistory: async () => {
+        if (!history) {
+          history = await DatabaseService.getConversationHistoryForAI(message.businessId, message.phoneNumber, {
+            excludeMessageId: message.messageData?.messageId || null,
+            summarize: (previousSummary, messages) =>
+              OpenAIService.summarizeConversation(previousSummary, messages, { businessId: message.businessId }),
+          });
+        }
+        return history;
+      },
+    };
+  }
+
+  /**
+   * Give an active dialog flow the message, or abort it on request
+   */
+  async continueActiveFlow(context) {
+    const { businessId, phoneNumber, text, messageData } = context;
+
+    try {
+      const dialogState = await DialogStateService.get(businessId, phoneNumber);
+
+      // A booked appointment is kept only so "CANCEL" can remove it; the calendar flow owns that
+      if (dialogState && dialogState.flow !== "calendar_appointment") {
+        if (DialogStateService.isAbortMessage(text)) {
+          await DialogStateService.clear(businessId, phoneNumber);
+          return { reply: DialogStateService.getAbortMessage(dialogState.flow), handler: "dialog", intent: null };
+        }
+
+        const reply = await OpenAIService.continueDialogFlow(
+          dialogState,
+          businessId,
+          phoneNumber,
+          text,
+          await context.getConversationHistory()
+        );
+        if (reply) {
+          console.log(`Dialog flow "${dialogState.flow}" handled the message`);
+          return { reply, handler: "dialog", intent: null };
+        }
+      }
+
+      const calendarResult = await CalendarHandler.processFlowReply(businessId, text, phoneNumber, {
+        interactiveId: messageData?.messageType === "interactive" ? messageData.payload.id : null,
+      });
+      if (calendarResult) {
+        return { reply: calendarResult.reply || calendarResult.message, handler: "calendar", intent: null };
+      }
+    } catch (error) {
+      console.error("Error continuing dialog flow:", error);
+      // Continue with intent routing if the flow cannot be continued
+    }
+
+    return null;
+  }
+
+  async runHandler(handler, context) {
+    try {
+      return await handler.handle(context);
+    } catch (error) {
+      console.error(`Error in ${handler.name} handler:`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new MessageRouter();
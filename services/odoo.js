@@ -1,5 +1,6 @@
 const axios = require("axios");
 const pool = require("../config/database");
+const SecretService = require("./secrets");
 
 class OdooService {
   constructor() {
@@ -7,11 +8,13 @@ class OdooService {
   }
 
   // ---------- DATABASE ----------
+  // The password (API key) is encrypted at rest
   async saveIntegration(data) {
     const query = `
       INSERT INTO odoo_integrations
         (business_id, url, database, username, password, updated_at)
-      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      VALUES ($1, $2, $3, $4,
+        COALESCE($5, (SELECT password FROM odoo_integrations WHERE business_id = $1)), CURRENT_TIMESTAMP)
       ON CONFLICT (business_id)
       DO UPDATE SET
         url = EXCLUDED.url,
@@ -21,7 +24,9 @@ class OdooService {
         updated_at = CURRENT_TIMESTAMP
       RETURNING id;
     `;
-    const values = [data.business_id, data.url, data.database, data.username, data.password];
+    // A masked password (as returned by the API) keeps the stored one
+    const password = SecretService.isMasked(data.password) ? null : SecretService.encrypt(data.password);
+    const values = [data.business_id, data.url, data.database, data.username, password];
     const result = await pool.query(query, values);
     return result.rows[0];
   }
@@ -34,7 +39,7 @@ class OdooService {
       LIMIT 1
     `;
     const result = await pool.query(query, [businessId]);
-    return result.rows[0] || null;
+    return SecretService.decryptRow("odoo_integrations", result.rows[0]) || null;
   }
 
   async removeIntegration(businessId) {
@@ -1,5 +1,4 @@
 require("dotenv").config();
-const { OpenAI } = require("openai");
 const fs = require("fs-extra");
 const path = require("path");
 const ffmpeg = require("fluent-ffmpeg");
@@ -8,16 +7,12 @@ const OdooService = require("./odoo");
 const EmbeddingsService = require("./embeddings");
 const IntentDetectionService = require("./intent-detection");
 const HubSpotService = require("./hubspot");
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const DialogStateService = require("./dialog-state");
+const ToolSchemaService = require("./tool-schemas");
+const LLMService = require("./llm");
 
 class OpenAIService {
   constructor() {
-    this.model = "gpt-4";
-    this.chatModel = "gpt-4";
-    this.visionModel = "gpt-4o";
     this.embeddingsService = EmbeddingsService;
     this.intentDetectionService = IntentDetectionService;
   }
@@ -53,7 +48,7 @@ class OpenAIService {
       }
 
       // Fallback to general chat completion
-      return await this.generateGeneralResponse(messages, conversationHistory, businessTone);
+      return await this.generateGeneralResponse(messages, conversationHistory, businessTone, { businessId });
     } catch (error) {
       console.error("OpenAI chat completion error:", error.message);
       return "I apologize, but I am experiencing technical difficulties. Please try again later.";
@@ -69,7 +64,13 @@ class OpenAIService {
         case "faq":
           return await this.handleFAQIntent(businessId, latestMessage.content, conversationHistory, businessTone);
         case "gmail_send":
-          return await this.handleGmailSendIntent(businessId, latestMessage.content, conversationHistory, businessTone);
+          return await this.handleGmailSendIntent(
+            businessId,
+            latestMessage.content,
+            conversationHistory,
+            businessTone,
+            phoneNumber
+          );
         case "calendar_create":
         case "APPOINTMENT": // Handle both calendar_create and APPOINTMENT intents
           return await this.handleCalendarCreateIntent(
@@ -176,7 +177,8 @@ class OpenAIService {
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         case "odoo_invoice_create":
           return await this.handleOdooInvoiceCreateIntent(
@@ -197,42 +199,153 @@ class OpenAIService {
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         case "odoo_order_status":
           return await this.handleOdooOrderStatusIntent(
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         case "odoo_order_cancel":
           return await this.handleOdooOrderCancelIntent(
             businessId,
             latestMessage.content,
             conversationHistory,
-            businessTone
+            businessTone,
+            phoneNumber
           );
         default:
-          return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone);
+          return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone, { businessId });
       }
     } catch (error) {
       console.error("Error handling detected intent:", error.message);
-      return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone);
+      return await this.generateGeneralResponse([latestMessage], conversationHistory, businessTone, { businessId });
+    }
+  }
+
+  /**
+   * Continue the multi-turn flow active in the conversation
+   * Flows are started by their intent handler when details are missing and are named after the intent.
+   * @param {Object} dialogState - Active state from DialogStateService.get
+   * @param {number} businessId - Business ID
+   * @param {string} phoneNumber - Customer WhatsApp number
+   * @param {string} message - Latest user message
+   * @param {Array<Object>} conversationHistory - Prior turns as { role, content }
+   * @returns {Promise<string|Object|null>} Reply, or null if the flow is not handled here
+   */
+  async continueDialogFlow(dialogState, businessId, phoneNumber, message, conversationHistory = []) {
+    const slots = dialogState.slots || {};
+
+    switch (dialogState.flow) {
+      case "gmail_send":
+        return await this.handleEmailFollowUp(businessId, phoneNumber, message, slots, conversationHistory);
+      case "odoo_sale_order_create":
+        return await this.handleOrderFollowUp(businessId, phoneNumber, message, slots, conversationHistory);
+      case "odoo_lead_create":
+        return await this.handleLeadFollowUp(businessId, phoneNumber, message, slots, conversationHistory);
+      case "odoo_order_status":
+        return await this.handleOrderStatusFollowUp(businessId, phoneNumber, message);
+      case "odoo_order_cancel":
+        return await this.handleOrderCancelFollowUp(businessId, phoneNumber, message);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Extract the arguments of an action from a message with a forced tool call
+   * The model fills the action's JSON schema (see ToolSchemaService) instead of writing free-form JSON,
+   * and the arguments are validated before a handler uses them.
+   * @param {string} action - Tool schema name
+   * @param {string} message - Latest user message
+   * @param {Object} options - Extraction options
+   * @param {number} options.businessId - Business whose model provider is used
+   * @param {Object} options.collected - Values collected earlier in a multi-turn flow
+   * @param {Array<Object>} options.conversationHistory - Prior turns as { role, content }, used to resolve references
+   * @returns {Promise<Object>} Validation of the collected and extracted values ({ valid, args, missing, invalid })
+   *   plus provided: the valid values the message added or corrected
+   */
+  async extractToolArguments(action, message, { businessId = null, collected = {}, conversationHistory = [] } = {}) {
+    const recentTurns = conversationHistory
+      .slice(-6)
+      .map(
+        (msg) => `${msg.role === "user" ? "Customer" : msg.role === "system" ? "Context" : "Assistant"}: ${msg.content}`
+      )
+      .join("\n");
+
+    const prompt = `${recentTurns ? `Recent conversation:\n${recentTurns}\n\n` : ""}${
+      Object.keys(collected).length > 0 ? `Already collected: ${JSON.stringify(collected)}\n\n` : ""
+    }Latest message: "${message}"`;
+
+    const response = await LLMService.chat(
+      {
+        messages: [
+          {
+            role: "system",
+            content: `Call ${action} with the details of the customer's request. Include only values the latest message gives or corrects, or that it clearly refers to in the conversation. Leave out everything else and never invent values. Current date and time: ${new Date().toISOString()}.`,
+          },
+          { role: "user", content: prompt },
+        ],
+        tools: [ToolSchemaService.getToolDefinition(action)],
+        tool_choice: { type: "function", function: { name: action } },
+        temperature: 0.1,
+        max_tokens: 400,
+      },
+      { businessId, feature: "actions" }
+    );
+
+    // Unreadable arguments count as nothing extracted, so the customer is asked instead
+    const toolCall = response.message.tool_calls?.[0];
+    let extracted = {};
+    try {
+      const parsed = JSON.parse(toolCall?.function?.arguments || "{}");
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        extracted = parsed;
+      }
+    } catch (parseError) {
+      console.error(`Error parsing ${action} tool arguments:`, toolCall?.function?.arguments);
+    }
+
+    const validation = ToolSchemaService.validate(action, { ...collected, ...extracted });
+    const provided = Object.fromEntries(
+      Object.keys(extracted)
+        .filter((field) => validation.args[field] !== undefined)
+        .map((field) => [field, validation.args[field]])
+    );
+
+    console.log(`[TOOL_ARGUMENTS] ${action}:`, JSON.stringify({ ...validation, provided }));
+    return { ...validation, provided };
+  }
+
+  /**
+   * Reply for arguments that are not ready yet
+   * Invalid values get a clarifying question; missing ones the flow's own prompt when it has one.
+   * @param {string} action - Tool schema name
+   * @param {Object} extraction - Result of extractToolArguments
+   * @param {Function} askForMissing - (analysis) => prompt for missing fields; omit for single-message actions
+   */
+  async clarifyToolArguments(action, extraction, askForMissing = null) {
+    if (extraction.invalid.length > 0 || !askForMissing) {
+      return ToolSchemaService.buildClarifyingQuestion(action, extraction, { resend: !askForMissing });
     }
+    return await askForMissing({ ...extraction.args, missing_fields: extraction.missing });
   }
 
   /**
-   * Generate general response using OpenAI
+   * Generate general response using the business's chat model
    */
-  async generateGeneralResponse(messages, conversationHistory = [], businessTone = null) {
+  async generateGeneralResponse(messages, conversationHistory = [], businessTone = null, { businessId = null } = {}) {
     try {
       const systemPrompt = this.buildSystemPrompt(businessTone);
 
-      // Format conversation history properly for AI service
+      // Format conversation history properly for AI service (message rows or { role, content })
       const formattedHistory = conversationHistory
         .map((msg) => ({
-          role: msg.direction === "inbound" ? "user" : "assistant",
+          role: msg.role || (msg.direction === "inbound" ? "user" : "assistant"),
           content: msg.content || "",
         }))
         .filter((msg) => msg.content && msg.content.trim().length > 0);
@@ -252,14 +365,12 @@ class OpenAIService {
 
       const allMessages = [{ role: "system", content: systemPrompt }, ...formattedHistory, ...formattedMessages];
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: allMessages,
-        temperature: 0.7,
-        max_tokens: 500,
-      });
+      const response = await LLMService.chat(
+        { messages: allMessages, temperature: 0.7, max_tokens: 500 },
+        { businessId }
+      );
 
-      return response.choices[0].message.content.trim();
+      return response.message.content.trim();
     } catch (error) {
       console.error("Error generating general response:", error.message);
       return "I apologize, but I'm having trouble processing your request right now. Please try again.";
@@ -283,7 +394,7 @@ class OpenAIService {
   /**
    * Analyze image with context
    */
-  async analyzeImage(imagePath, userMessage = "", businessTone = null) {
+  async analyzeImage(imagePath, userMessage = "", businessTone = null, { businessId = null } = {}) {
     try {
       if (!fs.existsSync(imagePath)) {
         throw new Error(`Image file not found: ${imagePath}`);
@@ -295,30 +406,174 @@ class OpenAIService {
       const prompt = userMessage || "Please analyze this image and provide a helpful description.";
       const systemPrompt = this.buildSystemPrompt(businessTone);
 
-      const response = await openai.chat.completions.create({
-        model: this.visionModel,
+      const response = await LLMService.chat(
+        {
+          messages: [
+            { role: "system", content: systemPrompt },
+            {
+              role: "user",
+              content: [
+                { type: "text", text: prompt },
+                {
+                  type: "image_url",
+                  image_url: {
+                    url: `data:image/jpeg;base64,${base64Image}`,
+                  },
+                },
+              ],
+            },
+          ],
+          max_tokens: 500,
+        },
+        { businessId, purpose: "vision" }
+      );
+
+      return response.message.content.trim();
+    } catch (error) {
+      console.error("Error analyzing image:", error.message);
+      return "I apologize, but I could not analyze the image. Please try again or provide more details.";
+    }
+  }
+
+  /**
+   * Describe an image briefly so it can be combined with the user's caption for intent detection
+   * Unlike analyzeImage this throws on failure, since the result feeds the pipeline rather than the user.
+   * @param {string} imagePath - Absolute path to the image
+   * @param {string} caption - Caption the user sent with the image
+   * @returns {Promise<string>} Short description including identifying text
+   */
+  async describeImageForIntent(imagePath, caption = "", { businessId = null } = {}) {
+    const base64Image = (await fs.readFile(imagePath)).toString("base64");
+
+    const response = await LLMService.chat(
+      {
         messages: [
-          { role: "system", content: systemPrompt },
           {
             role: "user",
             content: [
-              { type: "text", text: prompt },
               {
-                type: "image_url",
-                image_url: {
-                  url: `data:image/jpeg;base64,${base64Image}`,
-                },
+                type: "text",
+                text:
+                  `A customer sent this image with the message: "${caption}".\n` +
+                  "In at most three sentences, describe what the image shows. Include any visible text that identifies " +
+                  "a product, brand, order, invoice or receipt (names, order numbers, amounts, dates). Do not answer the message.",
               },
+              { type: "image_url", image_url: { url: `data:image/jpeg;base64,${base64Image}` } },
             ],
           },
         ],
-        max_tokens: 500,
-      });
+        temperature: 0.1,
+        max_tokens: 200,
+      },
+      { businessId, purpose: "vision" }
+    );
+
+    return response.message.content.trim();
+  }
 
-      return response.choices[0].message.content.trim();
+  /**
+   * Fold older conversation messages into a rolling summary
+   * Throws on failure so the caller keeps the previous summary.
+   * @param {string|null} previousSummary - Summary of the messages before these
+   * @param {Array<Object>} messages - Messages as { role, content }, oldest first
+   * @returns {Promise<string>} Updated summary
+   */
+  async summarizeConversation(previousSummary, messages, { businessId = null } = {}) {
+    const transcript = messages
+      .map((msg) => `${msg.role === "user" ? "Customer" : "Assistant"}: ${msg.content}`)
+      .join("\n")
+      .substring(0, 12000);
+
+    const response = await LLMService.chat(
+      {
+        messages: [
+          {
+            role: "user",
+            content: `Update the summary of a WhatsApp conversation between a customer and a business assistant.
+Keep names, contact details, order numbers, dates, open requests and anything the customer still expects.
+Reply with the summary only, in at most 120 words.
+
+Current summary: ${previousSummary || "(none)"}
+
+New messages:
+${transcript}`,
+          },
+        ],
+        temperature: 0.2,
+        max_tokens: 250,
+      },
+      { businessId }
+    );
+
+    return response.message.content.trim();
+  }
+
+  /**
+   * Summarize the extracted text of a shared document
+   */
+  async summarizeDocument(text, fileName = "", businessTone = null, { businessId = null } = {}) {
+    try {
+      const systemPrompt = this.buildSystemPrompt(businessTone);
+      // Leave room for the prompt and the summary within the model context
+      const excerpt = text.substring(0, 12000);
+
+      const response = await LLMService.chat(
+        {
+          messages: [
+            { role: "system", content: systemPrompt },
+            {
+              role: "user",
+              content: `Summarize the following document${fileName ? ` "${fileName}"` : ""} in a few sentences for a WhatsApp reply:\n\n${excerpt}`,
+            },
+          ],
+          temperature: 0.3,
+          max_tokens: 300,
+        },
+        { businessId, feature: "documents" }
+      );
+
+      return response.message.content.trim();
     } catch (error) {
-      console.error("Error analyzing image:", error.message);
-      return "I apologize, but I could not analyze the image. Please try again or provide more details.";
+      console.error("Error summarizing document:", error.message);
+      return "I received your document but could not summarize it right now.";
+    }
+  }
+
+  /**
+   * Answer a question using only passages from documents shared in the conversation
+   * @param {string} question - User question
+   * @param {Array<Object>} chunks - Relevant passages from DocumentService.findRelevantChunks
+   */
+  async answerFromDocuments(question, chunks, businessTone = null, { businessId = null } = {}) {
+    try {
+      const systemPrompt =
+        this.buildSystemPrompt(businessTone) +
+        "\n\nAnswer the customer's question using only the document excerpts provided. " +
+        "If the excerpts do not contain the answer, say that the document does not mention it.";
+
+      const context = chunks
+        .map(
+          (chunk, index) =>
+            `[Excerpt ${index + 1}${chunk.documentName ? ` from ${chunk.documentName}` : ""}]\n${chunk.content}`
+        )
+        .join("\n\n");
+
+      const response = await LLMService.chat(
+        {
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: `Document excerpts:\n\n${context}\n\nQuestion: ${question}` },
+          ],
+          temperature: 0.2,
+          max_tokens: 500,
+        },
+        { businessId, feature: "documents" }
+      );
+
+      return response.message.content.trim();
+    } catch (error) {
+      console.error("Error answering from documents:", error.message);
+      return "I apologize, but I could not look that up in your document right now. Please try again.";
     }
   }
 
@@ -342,7 +597,7 @@ class OpenAIService {
   /**
    * Transcribe audio file with fallback handling
    */
-  async transcribeAudio(audioPath) {
+  async transcribeAudio(audioPath, { businessId = null } = {}) {
     try {
       console.log(`[DEBUG] Starting audio transcription for: ${audioPath}`);
 
@@ -373,11 +628,7 @@ class OpenAIService {
         await this.convertAudioToWav(audioPath, wavPath);
 
         // Use the converted WAV file for transcription
-        const audioFile = fs.createReadStream(wavPath);
-        const response = await openai.audio.transcriptions.create({
-          file: audioFile,
-          model: "whisper-1",
-        });
+        const response = await LLMService.transcribe(wavPath, { businessId });
 
         // Clean up the temporary WAV file
         fs.unlinkSync(wavPath);
@@ -386,11 +637,7 @@ class OpenAIService {
         return response.text;
       } else {
         console.log(`[DEBUG] Supported format ${fileExtension}, proceeding with transcription...`);
-        const audioFile = fs.createReadStream(audioPath);
-        const response = await openai.audio.transcriptions.create({
-          file: audioFile,
-          model: "whisper-1",
-        });
+        const response = await LLMService.transcribe(audioPath, { businessId });
 
         console.log(`[DEBUG] Transcription successful: ${response.text}`);
         return response.text;
@@ -470,13 +717,13 @@ class OpenAIService {
           if (!filePath) {
             throw new Error("Image file path is required for image analysis");
           }
-          return await this.analyzeImage(filePath, content, businessTone);
+          return await this.analyzeImage(filePath, content, businessTone, { businessId });
 
         case "audio":
           if (!filePath) {
             throw new Error("Audio file path is required for transcription");
           }
-          const transcription = await this.transcribeAudio(filePath);
+          const transcription = await this.transcribeAudio(filePath, { businessId });
           return await this.chatCompletion(
             [{ role: "user", content: transcription }],
             conversationHistory,
@@ -737,157 +984,62 @@ class OpenAIService {
       return await this.generateGeneralResponse(
         [{ role: "user", content: message }],
         conversationHistory,
-        businessTone
+        businessTone,
+        { businessId }
       );
     } catch (error) {
       console.error("Error handling FAQ intent:", error.message);
       return await this.generateGeneralResponse(
         [{ role: "user", content: message }],
         conversationHistory,
-        businessTone
+        businessTone,
+        { businessId }
       );
     }
   }
 
   // Gmail intent handlers
-  async handleGmailSendIntent(businessId, message, conversationHistory, businessTone) {
+  async handleGmailSendIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[GMAIL_SEND] Processing Gmail send request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous incomplete email request
-      const isFollowUp = this.isEmailFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleEmailFollowUp(businessId, message, conversationHistory, businessTone);
-      }
-
-      // Extract email details from the message using AI
-      const emailPrompt = `Analyze this email request: "${message}"
-
-Determine what information is provided and what is missing.
-
-Return JSON with this structure:
-{
-  "has_subject": true/false,
-  "has_body": true/false,
-  "subject": "email subject if provided",
-  "body": "email content if provided",
-  "is_complete": true/false,
-  "missing_fields": ["list of missing required fields"]
-}
-
-Required fields: subject, body
-Note: Email will be sent TO the business owner FROM the integrated Google Workspace account.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: emailPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
-      });
-
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        console.log("AI response for email analysis:", responseContent);
-
-        // Try to extract JSON from the response if it's wrapped in text
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing email analysis:", parseError);
-        console.log("Raw AI response:", response.choices[0].message.content);
-
-        // Fallback: manually analyze the message for common patterns
-        analysis = this.manualEmailAnalysis(message);
-      }
-
-      console.log("Email analysis:", analysis);
+      const extraction = await this.extractToolArguments("send_email", message, { businessId, conversationHistory });
 
-      if (analysis.is_complete) {
+      if (extraction.valid) {
         // All information provided, send the email
-        return await this.sendCompleteEmail(businessId, analysis, message);
-      } else {
-        // Missing information, ask for it
-        return await this.askForMissingEmailInfo(analysis, message);
+        return await this.sendCompleteEmail(businessId, extraction.args, message);
       }
+
+      // Remember what we have and ask for the rest
+      await DialogStateService.start(businessId, phoneNumber, "gmail_send", { slots: extraction.args });
+      return await this.clarifyToolArguments("send_email", extraction, (analysis) =>
+        this.askForMissingEmailInfo(analysis, message)
+      );
     } catch (error) {
       console.error("Error handling Gmail send intent:", error.message);
       return "I apologize, but I could not process your email request. Please try again.";
     }
   }
 
-  isEmailFollowUp(message, conversationHistory) {
-    // Check if the last few messages indicate we're in an email sending flow
-    const recentMessages = conversationHistory.slice(-5);
-
-    // Check if bot recently asked for email details
-    const botAskedForEmail = recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("What should the email subject be") ||
-          msg.content.includes("What should the email content be") ||
-          msg.content.includes("email subject") ||
-          msg.content.includes("email content") ||
-          msg.content.includes("email details") ||
-          msg.content.includes("To send your email, I need"))
-    );
-
-    // Check if current message looks like email details (Subject: ... Message: ...)
-    const messageHasEmailFormat =
-      message &&
-      (/subject\s*:\s*.+/i.test(message) ||
-        /message\s*:\s*.+/i.test(message) ||
-        (message.toLowerCase().includes("subject") && message.toLowerCase().includes("message")));
-
-    return botAskedForEmail || messageHasEmailFormat;
-  }
-
-  async handleEmailFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleEmailFollowUp(businessId, phoneNumber, message, slots, conversationHistory = []) {
     try {
-      // Get the context from recent conversation
-      const recentMessages = conversationHistory.slice(-5);
-      const contextPrompt = `Based on this conversation context, determine if we now have enough information to send an email:
-
-Recent conversation:
-${recentMessages.map((msg) => `${msg.direction}: ${msg.content}`).join("\n")}
-
-Latest message: "${message}"
-
-Return JSON:
-{
-  "has_all_info": true/false,
-  "subject": "email subject if provided",
-  "body": "email content if provided",
-  "missing": ["any still missing fields"]
-}`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contextPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("send_email", message, {
+        businessId,
+        collected: slots,
+        conversationHistory,
       });
 
-      let followUpAnalysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        followUpAnalysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        return "I'm having trouble understanding your email details. Could you please provide:\n� Email subject\n� Email message content";
-      }
-
-      if (followUpAnalysis.has_all_info) {
+      if (extraction.valid) {
         // We have all the information, send the email
-        return await this.sendCompleteEmail(businessId, followUpAnalysis, message);
-      } else {
-        // Still missing information
-        return this.askForMissingEmailInfo(followUpAnalysis, message);
+        await DialogStateService.clear(businessId, phoneNumber, "gmail_send");
+        return await this.sendCompleteEmail(businessId, extraction.args, message);
       }
+
+      // Still missing or invalid information
+      await DialogStateService.update(businessId, phoneNumber, { slots: extraction.provided });
+      return await this.clarifyToolArguments("send_email", extraction, (analysis) =>
+        this.askForMissingEmailInfo(analysis, message)
+      );
     } catch (error) {
       console.error("Error handling email follow-up:", error.message);
       return "I'm having trouble processing your email. Please provide:\n� Email subject\n� Email message content";
@@ -987,124 +1139,31 @@ Please check your email configuration or try again.`;
     return null;
   }
 
-  manualEmailAnalysis(message) {
-    const lowerMessage = message.toLowerCase();
-
-    // Check for subject patterns
-    const subjectPatterns = [
-      /(?:subject|title):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:about|regarding):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:re:|subject:)\s*([^,]+?)(?:\s|,|$)/i,
-    ];
-
-    let subject = null;
-    for (const pattern of subjectPatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        subject = match[1].trim();
-        break;
-      }
-    }
-
-    // Check for body/message patterns
-    const bodyPatterns = [
-      /(?:message|body|content):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:saying|tell them):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:write|send):\s*([^,]+?)(?:\s|,|$)/i,
-    ];
-
-    let body = null;
-    for (const pattern of bodyPatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        body = match[1].trim();
-        break;
-      }
-    }
-
-    const hasSubject = !!subject;
-    const hasBody = !!body;
-    const isComplete = hasSubject && hasBody;
-
-    const missingFields = [];
-    if (!hasSubject) missingFields.push("subject");
-    if (!hasBody) missingFields.push("body");
-
-    return {
-      has_subject: hasSubject,
-      has_body: hasBody,
-      subject: subject,
-      body: body,
-      is_complete: isComplete,
-      missing_fields: missingFields,
-    };
-  }
-
   // Calendar intent handlers
   // Calendar intent handlers
   async handleCalendarCreateIntent(businessId, message, conversationHistory, businessTone) {
     try {
       console.log(`[CALENDAR_CREATE] Processing calendar create request for business ${businessId}: ${message}`);
 
-      // Extract event details from the message using AI with improved prompt
-      const eventPrompt = `Extract calendar event details from this message: "${message}"
-  
-  You must respond with ONLY valid JSON in this exact format:
-  {
-    "title": "Meeting with John",
-    "start": "2024-01-20T15:00:00.000Z",
-    "end": "2024-01-20T16:00:00.000Z",
-    "description": "Meeting description"
-  }
-  
-  IMPORTANT:
-  - Use proper ISO 8601 format for dates (YYYY-MM-DDTHH:mm:ss.sssZ)
-  - If "tomorrow" is mentioned, calculate the actual date
-  - If time is mentioned (like "3 PM"), use 24-hour format (15:00)
-  - Default duration is 1 hour if not specified
-  - Extract attendee names from the message if mentioned
-  
-  Do not include any explanation or additional text, only the JSON.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [
-          {
-            role: "system",
-            content:
-              "You are a helpful assistant that extracts calendar event data and responds only with valid JSON. Never include explanatory text, only JSON.",
-          },
-          { role: "user", content: eventPrompt },
-        ],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("create_calendar_event", message, {
+        businessId,
+        conversationHistory,
       });
 
-      let eventData;
-      try {
-        const aiResponse = response.choices[0].message.content.trim();
-        console.log(`[CALENDAR_CREATE] AI Response: ${aiResponse}`);
-
-        // Try to extract JSON if it's wrapped in other text
-        const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : aiResponse;
-
-        eventData = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error(`[CALENDAR_CREATE] JSON Parse Error: ${parseError.message}`);
-        console.error(`[CALENDAR_CREATE] Raw AI Response: ${response.choices[0].message.content}`);
-        throw new Error("Failed to parse event data from message");
-      }
-
-      // Validate required fields
-      if (!eventData.title || !eventData.start || !eventData.end) {
-        throw new Error("Missing required event fields (title, start, end)");
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_calendar_event", extraction);
       }
 
+      const eventData = extraction.args;
       console.log(`[CALENDAR_CREATE] Extracted event data:`, eventData);
 
       // Create calendar event using Google Service
-      const result = await GoogleService.createCalendarEvent(businessId, eventData);
+      const result = await GoogleService.createCalendarEvent(businessId, {
+        title: eventData.title,
+        description: eventData.description,
+        startTime: eventData.start,
+        endTime: eventData.end,
+      });
 
       console.log(`[CALENDAR_CREATE] Google Service result:`, result);
 
@@ -1122,11 +1181,7 @@ Please check your email configuration or try again.`;
       console.error("Error handling calendar create intent:", error.message);
 
       // Provide more specific error messages
-      if (error.message.includes("Failed to parse event data")) {
-        return "? I couldn't understand the meeting details from your message. Please try rephrasing with clear date, time, and title information.";
-      } else if (error.message.includes("Missing required event fields")) {
-        return "? I need more information to create the calendar event. Please include the title, date, and time.";
-      } else if (error.message.includes("Failed to create calendar event")) {
+      if (error.message.includes("Failed to create calendar event")) {
         return "? I couldn't create the calendar event. Please check your Google Calendar integration is properly configured.";
       } else {
         return "? I apologize, but I encountered an error while trying to create your calendar event. Please try again or check your calendar configuration.";
@@ -1165,26 +1220,16 @@ Please check your email configuration or try again.`;
     try {
       console.log(`[CALENDAR_UPDATE] Processing calendar update request for business ${businessId}: ${message}`);
 
-      // Extract update details from the message using AI
-      const updatePrompt = `Extract calendar update details from this message: "${message}"
-      
-      Return JSON with:
-      - eventId: event ID to update (if mentioned)
-      - title: new event title
-      - start: new start date/time (ISO format)
-      - end: new end date/time (ISO format)
-      - description: new event description
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: updatePrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("update_calendar_event", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const updateData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("update_calendar_event", extraction);
+      }
+
+      const updateData = extraction.args;
 
       // Update calendar event using Google Service
       const result = await GoogleService.updateCalendarEvent(businessId, updateData.eventId, updateData);
@@ -1204,23 +1249,19 @@ Please check your email configuration or try again.`;
     try {
       console.log(`[CALENDAR_DELETE] Processing calendar delete request for business ${businessId}: ${message}`);
 
-      // Extract event ID from the message using AI
-      const deletePrompt = `Extract event ID or details from this message: "${message}"
-      
-      Return JSON with:
-      - eventId: event ID to delete (if mentioned)
-      - title: event title to search for
-      
-      If eventId is not provided, we'll search by title.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: deletePrompt }],
-        temperature: 0.1,
-        max_tokens: 100,
+      const extraction = await this.extractToolArguments("delete_calendar_event", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const deleteData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("delete_calendar_event", extraction);
+      }
+
+      const deleteData = extraction.args;
+      if (!deleteData.eventId && !deleteData.title) {
+        return await this.clarifyToolArguments("delete_calendar_event", { missing: ["title"], invalid: [] });
+      }
 
       // Delete calendar event using Google Service
       const result = await GoogleService.deleteCalendarEvent(businessId, deleteData.eventId || deleteData.title);
@@ -1243,26 +1284,16 @@ Please check your email configuration or try again.`;
         `[HUBSPOT_CONTACT_CREATE] Processing HubSpot contact create request for business ${businessId}: ${message}`
       );
 
-      // Extract contact details from the message using AI
-      const contactPrompt = `Extract contact details from this message: "${message}"
-      
-      Return JSON with:
-      - firstName: contact first name
-      - lastName: contact last name
-      - email: contact email address
-      - phone: contact phone number
-      - company: company name
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contactPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("create_hubspot_contact", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const contactData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_hubspot_contact", extraction);
+      }
+
+      const contactData = extraction.args;
 
       // Create contact using HubSpot Service
       const result = await HubSpotService.createContact(businessId, contactData);
@@ -1284,25 +1315,19 @@ Please check your email configuration or try again.`;
         `[HUBSPOT_CONTACT_SEARCH] Processing HubSpot contact search request for business ${businessId}: ${message}`
       );
 
-      // Extract search criteria from the message using AI
-      const searchPrompt = `Extract search criteria from this message: "${message}"
-      
-      Return JSON with:
-      - searchTerm: name, email, or phone to search for
-      
-      If searchTerm is not provided, use "all" to get recent contacts.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: searchPrompt }],
-        temperature: 0.1,
-        max_tokens: 100,
+      const extraction = await this.extractToolArguments("search_hubspot_contacts", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const searchData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("search_hubspot_contacts", extraction);
+      }
+
+      const searchData = extraction.args;
 
       // Search contacts using HubSpot Service
-      const result = await HubSpotService.searchContacts(businessId, searchData.searchTerm);
+      const result = await HubSpotService.searchContacts(businessId, searchData.searchTerm || "all");
 
       if (result.success && result.contacts.length > 0) {
         const contactsList = result.contacts
@@ -1340,25 +1365,16 @@ Please check your email configuration or try again.`;
         `[HUBSPOT_DEAL_CREATE] Processing HubSpot deal create request for business ${businessId}: ${message}`
       );
 
-      // Extract deal details from the message using AI
-      const dealPrompt = `Extract deal details from this message: "${message}"
-      
-      Return JSON with:
-      - name: name of the deal
-      - amount: deal amount (number)
-      - stage: deal stage
-      - closeDate: close date (ISO format)
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: dealPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("create_hubspot_deal", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const dealData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_hubspot_deal", extraction);
+      }
+
+      const dealData = extraction.args;
 
       // Create deal using HubSpot Service
       const result = await HubSpotService.createDeal(businessId, dealData);
@@ -1393,27 +1409,16 @@ Please check your email configuration or try again.`;
         `[HUBSPOT_COMPANY_CREATE] Processing HubSpot company create request for business ${businessId}: ${message}`
       );
 
-      // Extract company details from the message using AI
-      const companyPrompt = `Extract company details from this message: "${message}"
-      
-      Return JSON with:
-      - name: company name
-      - domain: company domain/website
-      - industry: company industry
-      - city: company city
-      - state: company state
-      - country: company country
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: companyPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("create_hubspot_company", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const companyData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_hubspot_company", extraction);
+      }
+
+      const companyData = extraction.args;
 
       // Create company using HubSpot Service
       const result = await HubSpotService.createCompany(businessId, companyData);
@@ -1449,27 +1454,16 @@ Please check your email configuration or try again.`;
         `[ODOO_CUSTOMER_CREATE] Processing Odoo customer create request for business ${businessId}: ${message}`
       );
 
-      // Extract customer details from the message using AI
-      const customerPrompt = `Extract customer details from this message: "${message}"
-      
-      Return JSON with:
-      - name: customer name
-      - email: customer email address
-      - phone: customer phone number
-      - street: customer street address
-      - city: customer city
-      - country: customer country
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: customerPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("create_odoo_customer", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const customerData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_odoo_customer", extraction);
+      }
+
+      const customerData = extraction.args;
 
       // Create customer using Odoo Service
       const result = await OdooService.createCustomer(businessId, customerData);
@@ -1491,25 +1485,19 @@ Please check your email configuration or try again.`;
         `[ODOO_CUSTOMER_SEARCH] Processing Odoo customer search request for business ${businessId}: ${message}`
       );
 
-      // Extract search criteria from the message using AI
-      const searchPrompt = `Extract search criteria from this message: "${message}"
-      
-      Return JSON with:
-      - searchTerm: name, email, or phone to search for
-      
-      If searchTerm is not provided, use "all" to get recent customers.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: searchPrompt }],
-        temperature: 0.1,
-        max_tokens: 100,
+      const extraction = await this.extractToolArguments("search_odoo_customers", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const searchData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("search_odoo_customers", extraction);
+      }
+
+      const searchData = extraction.args;
 
       // Search customers using Odoo Service
-      const result = await OdooService.searchCustomers(businessId, searchData.searchTerm);
+      const result = await OdooService.searchCustomers(businessId, searchData.searchTerm || "all");
 
       if (result.success && result.customers.length > 0) {
         const customersList = result.customers.map((customer) => `� ${customer.name} - ${customer.email}`).join("\n");
@@ -1532,26 +1520,16 @@ Please check your email configuration or try again.`;
         `[ODOO_PRODUCT_CREATE] Processing Odoo product create request for business ${businessId}: ${message}`
       );
 
-      // Extract product details from the message using AI
-      const productPrompt = `Extract product details from this message: "${message}"
-      
-      Return JSON with:
-      - name: product name
-      - type: product type (consu, service, product)
-      - list_price: product price
-      - standard_price: cost price
-      - description: product description
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: productPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("create_odoo_product", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const productData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_odoo_product", extraction);
+      }
+
+      const productData = extraction.args;
 
       // Create product using Odoo Service
       const result = await OdooService.createProduct(businessId, productData);
@@ -1567,139 +1545,70 @@ Please check your email configuration or try again.`;
     }
   }
 
-  async handleOdooSaleOrderCreateIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooSaleOrderCreateIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(
         `[ODOO_SALE_ORDER_CREATE] Processing Odoo sale order create request for business ${businessId}: ${message}`
       );
 
-      // Check if this is a follow-up to a previous incomplete order request
-      const isFollowUp = this.isOrderFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleOrderFollowUp(businessId, message, conversationHistory, businessTone);
-      }
-
-      // Extract order details from the message using AI
-      const orderPrompt = `You are a JSON parser. Analyze this order request: "${message}"
-
-IMPORTANT: Return ONLY valid JSON, no explanations or additional text.
-
-Return JSON with this exact structure:
-{
-  "has_customer": true,
-  "has_products": true,
-  "has_quantities": true,
-  "customer_info": "John Smith",
-  "products": [{"name": "laptop", "quantity": 2}],
-  "is_complete": true,
-  "missing_fields": []
-}
-
-Analyze the message and return the appropriate JSON. Required fields: customer, products, quantities.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("create_sale_order", message, {
+        businessId,
+        conversationHistory,
       });
 
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        console.log("AI response for order analysis:", responseContent);
-
-        // Try to extract JSON from the response if it's wrapped in text
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing order analysis:", parseError);
-        console.log("Raw AI response:", response.choices[0].message.content);
-
-        // Fallback: manually analyze the message for common patterns
-        analysis = this.manualOrderAnalysis(message);
-      }
-
-      console.log("Order analysis:", analysis);
-
-      if (analysis.is_complete) {
+      if (extraction.valid) {
         // All information provided, create the order
-        return await this.createCompleteOrder(businessId, analysis, message);
-      } else {
-        // Missing information, ask for it
-        return await this.askForMissingOrderInfo(analysis, message);
+        return await this.createCompleteOrder(businessId, extraction.args, message);
       }
+
+      // Remember what we have and ask for the rest
+      await DialogStateService.start(businessId, phoneNumber, "odoo_sale_order_create", { slots: extraction.args });
+      return await this.clarifyToolArguments("create_sale_order", extraction, (analysis) =>
+        this.askForMissingOrderInfo({ ...analysis, missing_fields: this.getMissingOrderFields(analysis) }, message)
+      );
     } catch (error) {
       console.error("Error handling Odoo sale order create intent:", error.message);
       return "I apologize, but I could not process your order request. Please try again.";
     }
   }
 
-  isOrderFollowUp(message, conversationHistory) {
-    // Check if the last few messages indicate we're in an order creation flow
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("What customer") ||
-          msg.content.includes("What product") ||
-          msg.content.includes("How many") ||
-          msg.content.includes("order details"))
-    );
-  }
-
-  async handleOrderFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleOrderFollowUp(businessId, phoneNumber, message, slots, conversationHistory = []) {
     try {
-      // Get the context from recent conversation
-      const recentMessages = conversationHistory.slice(-5);
-      const contextPrompt = `Based on this conversation context, determine if we now have enough information to create an order:
-
-Recent conversation:
-${recentMessages.map((msg) => `${msg.direction}: ${msg.content}`).join("\n")}
-
-Latest message: "${message}"
-
-Return JSON:
-{
-  "has_all_info": true/false,
-  "customer": "customer name if provided",
-  "products": [{"name": "product", "quantity": number}],
-  "missing": ["any still missing fields"]
-}`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contextPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("create_sale_order", message, {
+        businessId,
+        collected: slots,
+        conversationHistory,
       });
 
-      let followUpAnalysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        followUpAnalysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        return "I'm having trouble understanding your order details. Could you please provide:\n� Customer name\n� Product name\n� Quantity";
-      }
-
-      if (followUpAnalysis.has_all_info) {
+      if (extraction.valid) {
         // We have all the information, create the order
-        return await this.createCompleteOrder(businessId, followUpAnalysis, message);
-      } else {
-        // Still missing information
-        return this.askForMissingOrderInfo(followUpAnalysis, message);
+        await DialogStateService.clear(businessId, phoneNumber, "odoo_sale_order_create");
+        return await this.createCompleteOrder(businessId, extraction.args, message);
       }
+
+      // Still missing or invalid information
+      await DialogStateService.update(businessId, phoneNumber, { slots: extraction.provided });
+      return await this.clarifyToolArguments("create_sale_order", extraction, (analysis) =>
+        this.askForMissingOrderInfo({ ...analysis, missing_fields: this.getMissingOrderFields(analysis) }, message)
+      );
     } catch (error) {
       console.error("Error handling order follow-up:", error.message);
       return "I'm having trouble processing your order. Please provide:\n� Customer name\n� Product name\n� Quantity";
     }
   }
 
+  /**
+   * Order details still missing, as the names askForMissingOrderInfo understands
+   */
+  getMissingOrderFields(order) {
+    const products = Array.isArray(order.products) ? order.products : [];
+    const missing = [];
+    if (!order.customer_info) missing.push("customer");
+    if (products.length === 0) missing.push("products");
+    else if (products.some((product) => !product.quantity)) missing.push("quantities");
+    return missing;
+  }
+
   async askForMissingOrderInfo(analysis, originalMessage) {
     const missing = analysis.missing_fields || [];
 
@@ -1779,14 +1688,22 @@ Just need: **How many units of each product?**`;
         const customerName = analysis.customer || analysis.customer_info || "Customer";
         const productSummary = orderLines.map((line) => `${line.quantity} units`).join(", ");
 
-        return `? **Order Created Successfully!**
+        // Confirmation with quick actions for the new order
+        return {
+          type: "buttons",
+          body: `? **Order Created Successfully!**
 
 ?? **Order Details:**
 � Customer: ${customerName}
 � Products: ${productSummary}
 � Order ID: ${result.id}
 
-Your order has been created in Odoo and is ready for processing! ??`;
+Your order has been created in Odoo and is ready for processing! ??`,
+          buttons: [
+            { id: `order_status_${result.id}`, title: `Check status #${result.id}` },
+            { id: `order_cancel_${result.id}`, title: `Cancel order #${result.id}` },
+          ],
+        };
       } else {
         return `? Sorry, I couldn't create your order: ${result.error}`;
       }
@@ -1802,24 +1719,16 @@ Your order has been created in Odoo and is ready for processing! ??`;
         `[ODOO_INVOICE_CREATE] Processing Odoo invoice create request for business ${businessId}: ${message}`
       );
 
-      // Extract invoice details from the message using AI
-      const invoicePrompt = `Extract invoice details from this message: "${message}"
-      
-      Return JSON with:
-      - partner_id: customer ID or name
-      - invoice_line_ids: array of products with product_id, quantity, price_unit
-      - note: invoice notes
-      
-      If any field is missing, use reasonable defaults.`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: invoicePrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("create_odoo_invoice", message, {
+        businessId,
+        conversationHistory,
       });
 
-      const invoiceData = JSON.parse(response.choices[0].message.content);
+      if (!extraction.valid) {
+        return await this.clarifyToolArguments("create_odoo_invoice", extraction);
+      }
+
+      const invoiceData = extraction.args;
 
       // Create invoice using Odoo Service
       const result = await OdooService.createInvoice(businessId, invoiceData);
@@ -1861,163 +1770,50 @@ Your order has been created in Odoo and is ready for processing! ??`;
     }
   }
 
-  async handleOdooLeadCreateIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooLeadCreateIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[ODOO_LEAD_CREATE] Processing Odoo lead create request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous incomplete lead request
-      const isFollowUp = this.isLeadFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleLeadFollowUp(businessId, message, conversationHistory, businessTone);
-      }
-
-      // Extract lead details from the message using AI
-      const leadPrompt = `Analyze this lead creation request: "${message}"
-
-IMPORTANT: Parse the message carefully. Look for these specific patterns:
-- "Lead: [name]" = lead name
-- "Contact: [name]" = contact name  
-- "Email: [email]" = email address
-- "Phone: [phone]" = phone number
-- "Description: [text]" = description
-
-Return JSON with this structure:
-{
-  "has_name": true/false,
-  "has_contact_name": true/false,
-  "has_email": true/false,
-  "has_phone": true/false,
-  "has_description": true/false,
-  "name": "lead name if provided",
-  "contact_name": "contact name if provided",
-  "email": "contact email if provided",
-  "phone": "contact phone if provided",
-  "description": "lead description if provided",
-  "is_complete": true/false,
-  "missing_fields": ["list of missing required fields"]
-}
-
-Required fields: name, contact_name, email, phone, description
-
-Example parsing:
-Input: "Lead: New Customer Inquiry, Contact: John Smith, Email: john@example.com, Phone: 123-456-7890, Description: Interested in our services"
-Output: {
-  "has_name": true,
-  "has_contact_name": true,
-  "has_email": true,
-  "has_phone": true,
-  "has_description": true,
-  "name": "New Customer Inquiry",
-  "contact_name": "John Smith",
-  "email": "john@example.com",
-  "phone": "123-456-7890",
-  "description": "Interested in our services",
-  "is_complete": true,
-  "missing_fields": []
-}`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: leadPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("create_odoo_lead", message, {
+        businessId,
+        conversationHistory,
       });
 
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        console.log("AI response for lead analysis:", responseContent);
-
-        // Try to extract JSON from the response if it's wrapped in text
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing lead analysis:", parseError);
-        console.log("Raw AI response:", response.choices[0].message.content);
-
-        // Fallback: manually analyze the message for common patterns
-        analysis = this.manualLeadAnalysis(message);
-      }
-
-      console.log("Lead analysis:", analysis);
-
-      if (analysis.is_complete) {
+      if (extraction.valid) {
         // All information provided, create the lead
-        return await this.createCompleteLead(businessId, analysis, message);
-      } else {
-        // Missing information, ask for it
-        return await this.askForMissingLeadInfo(analysis, message);
+        return await this.createCompleteLead(businessId, extraction.args, message);
       }
+
+      // Remember what we have and ask for the rest
+      await DialogStateService.start(businessId, phoneNumber, "odoo_lead_create", { slots: extraction.args });
+      return await this.clarifyToolArguments("create_odoo_lead", extraction, (analysis) =>
+        this.askForMissingLeadInfo(analysis, message)
+      );
     } catch (error) {
       console.error("Error handling Odoo lead create intent:", error.message);
       return "I apologize, but I could not process your lead request. Please try again.";
     }
   }
 
-  isLeadFollowUp(message, conversationHistory) {
-    // Check if the last few messages indicate we're in a lead creation flow
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("What is the lead name") ||
-          msg.content.includes("What is the contact name") ||
-          msg.content.includes("What is the email") ||
-          msg.content.includes("What is the phone") ||
-          msg.content.includes("lead details") ||
-          msg.content.includes("contact information"))
-    );
-  }
-
-  async handleLeadFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleLeadFollowUp(businessId, phoneNumber, message, slots, conversationHistory = []) {
     try {
-      // Get the context from recent conversation
-      const recentMessages = conversationHistory.slice(-5);
-      const contextPrompt = `Based on this conversation context, determine if we now have enough information to create a lead:
-
-Recent conversation:
-${recentMessages.map((msg) => `${msg.direction}: ${msg.content}`).join("\n")}
-
-Latest message: "${message}"
-
-Return JSON:
-{
-  "has_all_info": true/false,
-  "name": "lead name if provided",
-  "contact_name": "contact name if provided",
-  "email": "contact email if provided",
-  "phone": "contact phone if provided",
-  "description": "lead description if provided",
-  "missing": ["any still missing fields"]
-}`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: contextPrompt }],
-        temperature: 0.1,
-        max_tokens: 300,
+      const extraction = await this.extractToolArguments("create_odoo_lead", message, {
+        businessId,
+        collected: slots,
+        conversationHistory,
       });
 
-      let followUpAnalysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        followUpAnalysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        return "I'm having trouble understanding your lead details. Could you please provide:\n� Lead name\n� Contact name\n� Email\n� Phone\n� Description";
-      }
-
-      if (followUpAnalysis.has_all_info) {
+      if (extraction.valid) {
         // We have all the information, create the lead
-        return await this.createCompleteLead(businessId, followUpAnalysis, message);
-      } else {
-        // Still missing information
-        return this.askForMissingLeadInfo(followUpAnalysis, message);
+        await DialogStateService.clear(businessId, phoneNumber, "odoo_lead_create");
+        return await this.createCompleteLead(businessId, extraction.args, message);
       }
+
+      // Still missing or invalid information
+      await DialogStateService.update(businessId, phoneNumber, { slots: extraction.provided });
+      return await this.clarifyToolArguments("create_odoo_lead", extraction, (analysis) =>
+        this.askForMissingLeadInfo(analysis, message)
+      );
     } catch (error) {
       console.error("Error handling lead follow-up:", error.message);
       return "I'm having trouble processing your lead. Please provide:\n� Lead name\n� Contact name\n� Email\n� Phone\n� Description";
@@ -2096,156 +1892,26 @@ Your lead has been created in Odoo and is ready for follow-up! ??`;
     }
   }
 
-  manualLeadAnalysis(message) {
-    const lowerMessage = message.toLowerCase();
-
-    // Check for lead name patterns
-    const namePatterns = [
-      /(?:lead|title):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:name):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:about):\s*([^,]+?)(?:\s|,|$)/i,
-    ];
-
-    let name = null;
-    for (const pattern of namePatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        name = match[1].trim();
-        break;
-      }
-    }
-
-    // Check for contact name patterns
-    const contactPatterns = [/(?:contact|person):\s*([^,]+?)(?:\s|,|$)/i, /(?:for|with)\s+([a-zA-Z\s]+?)(?:\s|,|$)/i];
-
-    let contactName = null;
-    for (const pattern of contactPatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        contactName = match[1].trim();
-        break;
-      }
-    }
-
-    // Check for email patterns
-    const emailPatterns = [/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/i];
-
-    let email = null;
-    for (const pattern of emailPatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        email = match[1].trim();
-        break;
-      }
-    }
-
-    // Check for phone patterns
-    const phonePatterns = [/(?:phone|tel):\s*([^,]+?)(?:\s|,|$)/i, /(\+?[\d\s\-\(\)]{10,})/i];
-
-    let phone = null;
-    for (const pattern of phonePatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        phone = match[1].trim();
-        break;
-      }
-    }
-
-    // Check for description patterns
-    const descriptionPatterns = [
-      /(?:description|about|details):\s*([^,]+?)(?:\s|,|$)/i,
-      /(?:interested in|looking for):\s*([^,]+?)(?:\s|,|$)/i,
-    ];
-
-    let description = null;
-    for (const pattern of descriptionPatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        description = match[1].trim();
-        break;
-      }
-    }
-
-    const hasName = !!name;
-    const hasContactName = !!contactName;
-    const hasEmail = !!email;
-    const hasPhone = !!phone;
-    const hasDescription = !!description;
-    const isComplete = hasName && hasContactName && hasEmail && hasPhone && hasDescription;
-
-    const missingFields = [];
-    if (!hasName) missingFields.push("name");
-    if (!hasContactName) missingFields.push("contact_name");
-    if (!hasEmail) missingFields.push("email");
-    if (!hasPhone) missingFields.push("phone");
-    if (!hasDescription) missingFields.push("description");
-
-    return {
-      has_name: hasName,
-      has_contact_name: hasContactName,
-      has_email: hasEmail,
-      has_phone: hasPhone,
-      has_description: hasDescription,
-      name: name,
-      contact_name: contactName,
-      email: email,
-      phone: phone,
-      description: description,
-      is_complete: isComplete,
-      missing_fields: missingFields,
-    };
-  }
-
   // New Odoo Order Management Intent Handlers
-  async handleOdooOrderStatusIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooOrderStatusIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[ODOO_ORDER_STATUS] Processing order status request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous order status request
-      const isFollowUp = this.isOrderStatusFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleOrderStatusFollowUp(businessId, message, conversationHistory, businessTone);
-      }
-
-      // Extract order identifier from the message
-      const orderPrompt = `Extract order identifier from this message: "${message}"
-
-Return JSON with this structure:
-{
-  "order_id": "order ID if provided",
-  "has_order_id": true/false
-}
-
-Look for patterns like:
-- "Order ID: 123"
-- "Check status of order 456"
-- "What's the status of order 789"`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
+      const extraction = await this.extractToolArguments("check_order_status", message, {
+        businessId,
+        conversationHistory,
       });
 
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing order status analysis:", parseError);
-        analysis = this.manualOrderStatusAnalysis(message);
-      }
-
-      if (analysis.has_order_id && analysis.order_id) {
+      if (extraction.valid) {
         // Order ID provided, get the status
-        const result = await OdooService.getOrderStatus(businessId, parseInt(analysis.order_id));
+        const result = await OdooService.getOrderStatus(businessId, extraction.args.order_id);
         return this.formatOrderStatusResponse(result);
+      } else if (extraction.invalid.length > 0) {
+        await DialogStateService.start(businessId, phoneNumber, "odoo_order_status");
+        return ToolSchemaService.buildClarifyingQuestion("check_order_status", extraction);
       } else {
         // No order ID provided, ask for it
+        await DialogStateService.start(businessId, phoneNumber, "odoo_order_status");
         return `I'd be happy to help you check an order status! ??
 
 To check an order status, I need the **Order ID** of the order you want to check.
@@ -2260,61 +1926,26 @@ For example: "Order ID: 123" or "Check status of order 456"`;
     }
   }
 
-  async handleOdooOrderCancelIntent(businessId, message, conversationHistory, businessTone) {
+  async handleOdooOrderCancelIntent(businessId, message, conversationHistory, businessTone, phoneNumber = null) {
     try {
       console.log(`[ODOO_ORDER_CANCEL] Processing order cancellation request for business ${businessId}: ${message}`);
 
-      // Check if this is a follow-up to a previous order cancellation request
-      const isFollowUp = this.isOrderCancelFollowUp(message, conversationHistory);
-
-      if (isFollowUp) {
-        return await this.handleOrderCancelFollowUp(businessId, message, conversationHistory, businessTone);
-      }
+      const extraction = await this.extractToolArguments("cancel_order", message, { businessId, conversationHistory });
 
-      // Extract order identifier from the message
-      const orderPrompt = `Extract order identifier from this message: "${message}"
-
-Return JSON with this structure:
-{
-  "order_id": "order ID if provided",
-  "has_order_id": true/false,
-  "confirmation": true/false
-}
-
-Look for patterns like:
-- "Cancel order 123"
-- "Cancel order 456"
-- "Yes, cancel order 789" (confirmation)
-- "No, don't cancel" (confirmation)`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
-      });
-
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing order cancel analysis:", parseError);
-        analysis = this.manualOrderCancelAnalysis(message);
-      }
-
-      if (analysis.has_order_id && analysis.order_id) {
-        if (analysis.confirmation === false) {
+      if (extraction.valid) {
+        if (extraction.args.confirmation === false) {
           return "Order cancellation cancelled. No changes were made.";
         }
 
         // Order ID provided, cancel the order
-        const result = await OdooService.cancelOrder(businessId, parseInt(analysis.order_id));
+        const result = await OdooService.cancelOrder(businessId, extraction.args.order_id);
         return this.formatOrderCancelResponse(result);
+      } else if (extraction.invalid.length > 0) {
+        await DialogStateService.start(businessId, phoneNumber, "odoo_order_cancel");
+        return ToolSchemaService.buildClarifyingQuestion("cancel_order", extraction);
       } else {
         // No order ID provided, ask for it
+        await DialogStateService.start(businessId, phoneNumber, "odoo_order_cancel");
         return `I'd be happy to help you cancel an order! ??
 
 To cancel an order, I need the **Order ID** of the order you want to cancel.
@@ -2331,67 +1962,6 @@ For example: "Cancel order 123" or "Cancel order 456"
     }
   }
 
-  // Updated follow-up detection methods with better pattern matching
-  isOrderStatusFollowUp(message, conversationHistory) {
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("check an order status") ||
-          msg.content.includes("I need the **Order ID**") ||
-          msg.content.includes("I need the Order ID") ||
-          msg.content.includes("Please provide the Order ID") ||
-          msg.content.includes("order status") ||
-          msg.content.includes("To check an order status"))
-    );
-  }
-
-  isOrderCancelFollowUp(message, conversationHistory) {
-    const recentMessages = conversationHistory.slice(-3);
-    return recentMessages.some(
-      (msg) =>
-        msg.content &&
-        (msg.content.includes("cancel an order") ||
-          msg.content.includes("I need the **Order ID**") ||
-          msg.content.includes("I need the Order ID") ||
-          msg.content.includes("Please provide the Order ID") ||
-          msg.content.includes("cancel order") ||
-          msg.content.includes("To cancel an order"))
-    );
-  }
-
-  // Updated manual analysis methods with better regex patterns
-  manualOrderStatusAnalysis(message) {
-    // Look for "Order ID: 5" or just "5" or "order 5" patterns
-    const orderIdMatch = message.match(/(?:order\s+id\s*:?\s*)?(\d+)/i);
-
-    return {
-      order_id: orderIdMatch ? orderIdMatch[1] : null,
-      has_order_id: !!orderIdMatch,
-    };
-  }
-
-  manualOrderCancelAnalysis(message) {
-    // Look for "Order ID: 5" or just "5" or "order 5" patterns
-    const orderIdMatch = message.match(/(?:order\s+id\s*:?\s*)?(\d+)/i);
-    const confirmationMatch = message.match(/(yes|no|confirm|cancel)/i);
-
-    return {
-      order_id: orderIdMatch ? orderIdMatch[1] : null,
-      has_order_id: !!orderIdMatch,
-      confirmation: confirmationMatch ? confirmationMatch[1].toLowerCase().includes("yes") : null,
-    };
-  }
-
-  manualOrderSearchAnalysis(message) {
-    const searchMatch = message.match(/(?:for|with|containing)\s+([^,]+?)(?:\s|$)/i);
-
-    return {
-      search_term: searchMatch ? searchMatch[1].trim() : null,
-      has_search_term: !!searchMatch,
-    };
-  }
-
   // Helper methods for formatting responses
   formatOrderStatusResponse(result) {
     if (!result.success) {
@@ -2491,49 +2061,24 @@ ${action === "cancel" ? "To cancel a specific order, please provide the Order ID
     return messages[state] || "";
   }
 
-  async handleOrderStatusFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleOrderStatusFollowUp(businessId, phoneNumber, message) {
     try {
       console.log(
         `[ODOO_ORDER_STATUS_FOLLOWUP] Processing order status follow-up for business ${businessId}: ${message}`
       );
 
-      // Extract order identifier from the follow-up message
-      const orderPrompt = `Extract order identifier from this follow-up message: "${message}"
-
-Return JSON with this structure:
-{
-  "order_id": "order ID if provided",
-  "has_order_id": true/false
-}
-
-Look for patterns like:
-- "Order ID: 123"
-- "5"
-- "SO001"`;
-
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
-      });
-
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing order status follow-up analysis:", parseError);
-        analysis = this.manualOrderStatusAnalysis(message);
-      }
+      const extraction = await this.extractToolArguments("check_order_status", message, { businessId });
 
-      if (analysis.has_order_id && analysis.order_id) {
+      if (extraction.valid) {
         // Order ID provided, get the status
-        const result = await OdooService.getOrderStatus(businessId, parseInt(analysis.order_id));
+        await DialogStateService.clear(businessId, phoneNumber, "odoo_order_status");
+        const result = await OdooService.getOrderStatus(businessId, extraction.args.order_id);
         return this.formatOrderStatusResponse(result);
+      } else if (extraction.invalid.length > 0) {
+        await DialogStateService.update(businessId, phoneNumber);
+        return ToolSchemaService.buildClarifyingQuestion("check_order_status", extraction);
       } else {
+        await DialogStateService.update(businessId, phoneNumber);
         return "I could not find an order ID in your message. Please provide the Order ID in the format: Order ID: 123";
       }
     } catch (error) {
@@ -2542,55 +2087,29 @@ Look for patterns like:
     }
   }
 
-  async handleOrderCancelFollowUp(businessId, message, conversationHistory, businessTone) {
+  async handleOrderCancelFollowUp(businessId, phoneNumber, message) {
     try {
       console.log(
         `[ODOO_ORDER_CANCEL_FOLLOWUP] Processing order cancel follow-up for business ${businessId}: ${message}`
       );
 
-      // Extract order identifier from the follow-up message
-      const orderPrompt = `Extract order identifier from this follow-up message: "${message}"
-
-Return JSON with this structure:
-{
-  "order_id": "order ID if provided",
-  "has_order_id": true/false,
-  "confirmation": true/false
-}
-
-Look for patterns like:
-- "Order ID: 123"
-- "Cancel order 456"
-- "Yes, cancel order 789"
-- "5"`;
+      const extraction = await this.extractToolArguments("cancel_order", message, { businessId });
 
-      const response = await openai.chat.completions.create({
-        model: this.chatModel,
-        messages: [{ role: "user", content: orderPrompt }],
-        temperature: 0.1,
-        max_tokens: 200,
-      });
-
-      let analysis;
-      try {
-        const responseContent = response.choices[0].message.content.trim();
-        const jsonMatch = responseContent.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : responseContent;
-        analysis = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.error("Error parsing order cancel follow-up analysis:", parseError);
-        analysis = this.manualOrderCancelAnalysis(message);
-      }
+      if (extraction.valid) {
+        await DialogStateService.clear(businessId, phoneNumber, "odoo_order_cancel");
 
-      if (analysis.has_order_id && analysis.order_id) {
-        if (analysis.confirmation === false) {
+        if (extraction.args.confirmation === false) {
           return "Order cancellation cancelled. No changes were made.";
         }
 
         // Order ID provided, cancel the order
-        const result = await OdooService.cancelOrder(businessId, parseInt(analysis.order_id));
+        const result = await OdooService.cancelOrder(businessId, extraction.args.order_id);
         return this.formatOrderCancelResponse(result);
+      } else if (extraction.invalid.length > 0) {
+        await DialogStateService.update(businessId, phoneNumber);
+        return ToolSchemaService.buildClarifyingQuestion("cancel_order", extraction);
       } else {
+        await DialogStateService.update(businessId, phoneNumber);
         return "I could not find an order ID in your message. Please provide the Order ID in the format: Order ID: 123";
       }
     } catch (error) {
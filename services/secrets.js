@@ -0,0 +1,221 @@
+const crypto = require("crypto");
+
+// Columns encrypted at rest, by table
+const ENCRYPTED_COLUMNS = {
+  whatsapp_configs: ["access_token", "app_secret"],
+  google_workspace_integrations: ["access_token", "refresh_token"],
+  hubspot_integrations: ["access_token", "refresh_token"],
+  odoo_integrations: ["password"],
+  airtable_integrations: ["access_token"],
+  business_llm_settings: ["api_key"],
+};
+
+const PREFIX = "enc:v1";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MASKED = /^\*{4}(.{4})?$/s;
+
+/**
+ * Envelope encryption of stored secrets
+ * Every value is encrypted with its own random data key; the data key is encrypted ("wrapped") with
+ * the master key from SECRETS_ENCRYPTION_KEY. Stored values look like enc:v1:<key id>:<wrapped key>:<data>,
+ * so rotating the master key only re-wraps data keys (scripts/rotate-secrets.js). Values without the
+ * prefix are legacy plaintext and are returned as-is until the rotation script encrypts them.
+ */
+class SecretService {
+  constructor() {
+    this.columns = ENCRYPTED_COLUMNS;
+    this.keys = null;
+  }
+
+  /**
+   * Parse a base64 (or 64-character hex) 32-byte key
+   */
+  parseKey(value, name) {
+    const trimmed = value.trim();
+    const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, "hex") : Buffer.from(trimmed, "base64");
+    if (key.length !== 32) {
+      throw new Error(`${name} must be a 32-byte key, base64 or hex encoded`);
+    }
+    return { id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 8), key };
+  }
+
+  /**
+   * Current master key and the previous keys still accepted for decryption
+   * Read lazily so the server starts without a key; storing or reading an encrypted secret needs one.
+   * @returns {Object} { current, all } where all maps key IDs to keys
+   */
+  getKeys() {
+    if (this.keys) {
+      return this.keys;
+    }
+
+    if (!process.env.SECRETS_ENCRYPTION_KEY) {
+      throw new Error("SECRETS_ENCRYPTION_KEY is not configured");
+    }
+
+    const current = this.parseKey(process.env.SECRETS_ENCRYPTION_KEY, "SECRETS_ENCRYPTION_KEY");
+    const previous = (process.env.SECRETS_ENCRYPTION_PREVIOUS_KEYS || "")
+      .split(",")
+      .filter((value) => value.trim())
+      .map((value) => this.parseKey(value, "SECRETS_ENCRYPTION_PREVIOUS_KEYS"));
+
+    const all = new Map([...previous, current].map(({ id, key }) => [id, key]));
+    this.keys = { current, all };
+    return this.keys;
+  }
+
+  seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString("base64");
+  }
+
+  open(key, sealed) {
+    const buffer = Buffer.from(sealed, "base64");
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, buffer.subarray(0, IV_LENGTH));
+    decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  isEncrypted(value) {
+    return typeof value === "string" && value.startsWith(`${PREFIX}:`);
+  }
+
+  /**
+   * Split a stored value into its key ID, wrapped data key and encrypted data
+   */
+  parse(value) {
+    const [, , keyId, wrappedKey, data] = value.split(":");
+    if (!keyId || !wrappedKey || !data) {
+      throw new Error("Malformed encrypted value");
+    }
+    return { keyId, wrappedKey, data };
+  }
+
+  unwrapDataKey(keyId, wrappedKey) {
+    const masterKey = this.getKeys().all.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Encryption key ${keyId} is not configured`);
+    }
+    return this.open(masterKey, wrappedKey);
+  }
+
+  /**
+   * Encrypt a secret for storage
+   * @param {string|null} plaintext - Secret; null and undefined are stored as-is
+   * @returns {string|null} Encrypted value
+   */
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || this.isEncrypted(plaintext)) {
+      return plaintext;
+    }
+
+    const { current } = this.getKeys();
+    const dataKey = crypto.randomBytes(32);
+    return [PREFIX, current.id, this.seal(current.key, dataKey), this.seal(dataKey, String(plaintext))].join(":");
+  }
+
+  /**
+   * Decrypt a stored secret; legacy plaintext values are returned unchanged
+   * @param {string|null} value - Stored value
+   * @returns {string|null} Plaintext secret
+   */
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const { keyId, wrappedKey, data } = this.parse(value);
+    return this.open(this.unwrapDataKey(keyId, wrappedKey), data).toString("utf8");
+  }
+
+  /**
+   * Re-wrap a stored secret's data key with the current master key
+   * Legacy plaintext values are encrypted; values already on the current key are returned unchanged.
+   * @returns {string|null} Value to store
+   */
+  rewrap(value) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    if (!this.isEncrypted(value)) {
+      return this.encrypt(value);
+    }
+
+    const { current } = this.getKeys();
+    const { keyId, wrappedKey, data } = this.parse(value);
+    if (keyId === current.id) {
+      return value;
+    }
+
+    const dataKey = this.unwrapDataKey(keyId, wrappedKey);
+    return [PREFIX, current.id, this.seal(current.key, dataKey), data].join(":");
+  }
+
+  /**
+   * Copy of a row with its encrypted columns encrypted
+   * Masked values (a client sending back what the API returned) are dropped, as if omitted,
+   * so callers keep the stored secret instead of overwriting it with the mask.
+   * @param {string} table - Table name (key of ENCRYPTED_COLUMNS)
+   * @param {Object|null} row - Row or values to store
+   */
+  encryptRow(table, row) {
+    if (!row) return row;
+    const copy = { ...row };
+    for (const column of this.columns[table]) {
+      if (this.isMasked(copy[column])) delete copy[column];
+      else if (column in copy) copy[column] = this.encrypt(copy[column]);
+    }
+    return copy;
+  }
+
+  /**
+   * Copy of a row read from the database with its encrypted columns decrypted
+   */
+  decryptRow(table, row) {
+    if (!row) return row;
+    const copy = { ...row };
+    for (const column of this.columns[table]) {
+      if (column in copy) copy[column] = this.decrypt(copy[column]);
+    }
+    return copy;
+  }
+
+  /**
+   * Mask a secret for display, keeping the last four characters of long values
+   */
+  mask(value) {
+    if (!value) {
+      return value;
+    }
+    const text = String(value);
+    return text.length >= 12 ? `****${text.slice(-4)}` : "****";
+  }
+
+  /**
+   * Whether a value is a mask produced by mask() or redact() rather than a secret
+   */
+  isMasked(value) {
+    return typeof value === "string" && MASKED.test(value);
+  }
+
+  /**
+   * Copy of a row safe to return from the API: every encrypted column is masked
+   * @param {string} table - Table name (key of ENCRYPTED_COLUMNS)
+   * @param {Object|null} row - Decrypted or stored row
+   */
+  redact(table, row) {
+    if (!row) return row;
+    const copy = { ...row };
+    for (const column of this.columns[table]) {
+      if (!copy[column]) continue;
+      copy[column] = this.isEncrypted(copy[column]) ? "****" : this.mask(copy[column]);
+    }
+    return copy;
+  }
+}
+
+module.exports = new SecretService();
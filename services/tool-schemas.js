@@ -0,0 +1,506 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+/**
+ * JSON schemas of the actions the AI extracts arguments for or calls as agent tools, one per action
+ * Each schema is offered to the model as a function (tool) definition. "required" lists what the
+ * action needs before it can run; the model is told to leave out anything the customer did not say,
+ * so a missing required field means "ask the customer", never "guess".
+ * Property titles name the field in clarifying questions, descriptions guide the model.
+ */
+const SCHEMAS = {
+  send_email: {
+    description: "Send an email to the business owner from the connected Google Workspace account",
+    parameters: {
+      type: "object",
+      properties: {
+        subject: { type: "string", minLength: 1, title: "Subject", description: "The email subject" },
+        body: { type: "string", minLength: 1, title: "Message", description: "The email message content" },
+      },
+      required: ["subject", "body"],
+    },
+  },
+
+  create_calendar_event: {
+    description: "Create a Google Calendar event",
+    parameters: {
+      type: "object",
+      properties: {
+        title: { type: "string", minLength: 1, title: "Title", description: "Event title" },
+        start: {
+          type: "string",
+          format: "date-time",
+          title: "Start time",
+          description: "Start date and time in ISO 8601 format, e.g. 2024-05-01T15:00:00Z",
+        },
+        end: {
+          type: "string",
+          format: "date-time",
+          title: "End time",
+          description: "End date and time in ISO 8601 format; one hour after the start if only a start is given",
+        },
+        description: { type: "string", title: "Description", description: "Event description" },
+      },
+      required: ["title", "start", "end"],
+    },
+    check: (args) =>
+      args.start && args.end && new Date(args.end) <= new Date(args.start)
+        ? [{ field: "end", message: "must be after the start time" }]
+        : [],
+  },
+
+  update_calendar_event: {
+    description: "Change an existing Google Calendar event",
+    parameters: {
+      type: "object",
+      properties: {
+        eventId: { type: "string", minLength: 1, title: "Event ID", description: "ID of the event to change" },
+        title: { type: "string", title: "Title", description: "New event title" },
+        start: { type: "string", format: "date-time", title: "Start time", description: "New start (ISO 8601)" },
+        end: { type: "string", format: "date-time", title: "End time", description: "New end (ISO 8601)" },
+        description: { type: "string", title: "Description", description: "New event description" },
+      },
+      required: ["eventId"],
+    },
+  },
+
+  delete_calendar_event: {
+    description: "Delete a Google Calendar event by ID or title",
+    parameters: {
+      type: "object",
+      properties: {
+        eventId: { type: "string", minLength: 1, title: "Event ID", description: "ID of the event to delete" },
+        title: { type: "string", minLength: 1, title: "Title", description: "Title of the event to delete" },
+      },
+      required: [],
+    },
+  },
+
+  create_hubspot_contact: {
+    description: "Create a contact in HubSpot",
+    parameters: {
+      type: "object",
+      properties: {
+        firstName: { type: "string", minLength: 1, title: "First name", description: "Contact first name" },
+        lastName: { type: "string", title: "Last name", description: "Contact last name" },
+        email: { type: "string", format: "email", title: "Email", description: "Contact email address" },
+        phone: { type: "string", title: "Phone", description: "Contact phone number" },
+        company: { type: "string", title: "Company", description: "Company the contact works for" },
+      },
+      required: ["firstName", "email"],
+    },
+  },
+
+  search_hubspot_contacts: {
+    description: "Search HubSpot contacts",
+    parameters: {
+      type: "object",
+      properties: {
+        searchTerm: {
+          type: "string",
+          title: "Search term",
+          description: "Name, email or phone to search for; omit to list recent contacts",
+        },
+      },
+      required: [],
+    },
+  },
+
+  create_hubspot_deal: {
+    description: "Create a deal in HubSpot",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, title: "Deal name", description: "Name of the deal" },
+        amount: { type: "number", minimum: 0, title: "Amount", description: "Deal amount" },
+        stage: { type: "string", title: "Stage", description: "Deal stage" },
+        closeDate: { type: "string", format: "date", title: "Close date", description: "Close date (YYYY-MM-DD)" },
+      },
+      required: ["name"],
+    },
+  },
+
+  create_hubspot_company: {
+    description: "Create a company in HubSpot",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, title: "Company name", description: "Company name" },
+        domain: {
+          type: "string",
+          format: "hostname",
+          title: "Website domain",
+          description: "Company website domain without protocol, e.g. example.com",
+        },
+        industry: { type: "string", title: "Industry", description: "Company industry" },
+        city: { type: "string", title: "City", description: "Company city" },
+        state: { type: "string", title: "State", description: "Company state or region" },
+        country: { type: "string", title: "Country", description: "Company country" },
+      },
+      required: ["name"],
+    },
+  },
+
+  create_odoo_customer: {
+    description: "Create a customer in Odoo",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, title: "Customer name", description: "Customer name" },
+        email: { type: "string", format: "email", title: "Email", description: "Customer email address" },
+        phone: { type: "string", title: "Phone", description: "Customer phone number" },
+        street: { type: "string", title: "Street", description: "Customer street address" },
+        city: { type: "string", title: "City", description: "Customer city" },
+        country: { type: "string", title: "Country", description: "Customer country" },
+      },
+      required: ["name"],
+    },
+  },
+
+  search_odoo_customers: {
+    description: "Search Odoo customers",
+    parameters: {
+      type: "object",
+      properties: {
+        searchTerm: {
+          type: "string",
+          title: "Search term",
+          description: "Name, email or phone to search for; omit to list recent customers",
+        },
+      },
+      required: [],
+    },
+  },
+
+  create_odoo_product: {
+    description: "Create a product in Odoo",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, title: "Product name", description: "Product name" },
+        type: {
+          type: "string",
+          enum: ["consu", "service", "product"],
+          title: "Product type",
+          description: "consu (consumable), service or product (storable)",
+        },
+        list_price: { type: "number", minimum: 0, title: "Sale price", description: "Sale price" },
+        standard_price: { type: "number", minimum: 0, title: "Cost", description: "Cost price" },
+        description: { type: "string", title: "Description", description: "Product description" },
+      },
+      required: ["name"],
+    },
+  },
+
+  create_sale_order: {
+    description: "Create a sale order in Odoo",
+    parameters: {
+      type: "object",
+      properties: {
+        customer_info: {
+          type: "string",
+          minLength: 1,
+          title: "Customer",
+          description: "Name of the customer the order is for",
+        },
+        products: {
+          type: "array",
+          minItems: 1,
+          title: "Products",
+          description: "Products ordered; leave out quantity when the customer did not give one",
+          items: {
+            type: "object",
+            properties: {
+              name: { type: "string", minLength: 1, title: "product name", description: "Product name" },
+              quantity: { type: "integer", minimum: 1, title: "quantity", description: "Number of units" },
+            },
+            required: ["name", "quantity"],
+          },
+        },
+      },
+      required: ["customer_info", "products"],
+    },
+  },
+
+  create_odoo_invoice: {
+    description: "Create a customer invoice in Odoo",
+    parameters: {
+      type: "object",
+      properties: {
+        partner_id: { type: "string", minLength: 1, title: "Customer", description: "Customer ID or name" },
+        invoice_line_ids: {
+          type: "array",
+          minItems: 1,
+          title: "Invoice lines",
+          description: "Invoiced products",
+          items: {
+            type: "object",
+            properties: {
+              product_id: { type: "string", minLength: 1, title: "product", description: "Product ID or name" },
+              quantity: { type: "number", exclusiveMinimum: 0, title: "quantity", description: "Quantity" },
+              price_unit: { type: "number", minimum: 0, title: "unit price", description: "Unit price" },
+            },
+            required: ["product_id", "quantity"],
+          },
+        },
+        note: { type: "string", title: "Note", description: "Invoice notes" },
+      },
+      required: ["partner_id", "invoice_line_ids"],
+    },
+  },
+
+  create_odoo_lead: {
+    description: "Create a CRM lead in Odoo",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, title: "Lead Name", description: "Lead title, e.g. 'Lead: ...'" },
+        contact_name: { type: "string", minLength: 1, title: "Contact Name", description: "Contact person" },
+        email: { type: "string", format: "email", title: "Email", description: "Contact email address" },
+        phone: { type: "string", minLength: 1, title: "Phone", description: "Contact phone number" },
+        description: { type: "string", minLength: 1, title: "Description", description: "What the lead is about" },
+      },
+      required: ["name", "contact_name", "email", "phone", "description"],
+    },
+  },
+
+  check_order_status: {
+    description: "Look up the status of an Odoo sale order",
+    parameters: {
+      type: "object",
+      properties: {
+        order_id: { type: "integer", minimum: 1, title: "Order ID", description: "Numeric ID of the order" },
+      },
+      required: ["order_id"],
+    },
+  },
+
+  cancel_order: {
+    description: "Cancel an Odoo sale order",
+    parameters: {
+      type: "object",
+      properties: {
+        order_id: { type: "integer", minimum: 1, title: "Order ID", description: "Numeric ID of the order" },
+        confirmation: {
+          type: "boolean",
+          title: "Confirmation",
+          description: "false if the customer says not to cancel after all; omit otherwise",
+        },
+      },
+      required: ["order_id"],
+    },
+  },
+
+  list_odoo_products: {
+    description: "List products that can be sold, with their sale price",
+    parameters: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 50, title: "Limit", description: "How many products to list" },
+      },
+      required: [],
+    },
+  },
+
+  check_odoo_inventory: {
+    description: "List products with the quantity in stock",
+    parameters: { type: "object", properties: {}, required: [] },
+  },
+
+  find_available_slots: {
+    description: "Find free time slots in the business calendar on a day, within working hours",
+    parameters: {
+      type: "object",
+      properties: {
+        date: { type: "string", format: "date", title: "Date", description: "Day to check (YYYY-MM-DD)" },
+        durationMinutes: {
+          type: "integer",
+          minimum: 15,
+          maximum: 480,
+          title: "Duration",
+          description: "Length of the slot in minutes (default 60)",
+        },
+      },
+      required: ["date"],
+    },
+  },
+
+  list_calendar_events: {
+    description: "List events in the business calendar",
+    parameters: {
+      type: "object",
+      properties: {
+        startDate: { type: "string", format: "date-time", title: "From", description: "Start of the range (ISO 8601), default now" },
+        endDate: { type: "string", format: "date-time", title: "To", description: "End of the range (ISO 8601)" },
+        limit: { type: "integer", minimum: 1, maximum: 25, title: "Limit", description: "How many events to list" },
+      },
+      required: [],
+    },
+  },
+};
+
+/**
+ * Tool definitions and argument validation for AI-extracted action arguments
+ */
+class ToolSchemaService {
+  constructor() {
+    this.schemas = SCHEMAS;
+    // Models often return numbers and booleans as strings; coercion accepts "5" for an integer
+    this.ajv = new Ajv({ allErrors: true, coerceTypes: true, verbose: true });
+    addFormats(this.ajv);
+    this.validators = Object.fromEntries(
+      Object.entries(SCHEMAS).map(([name, schema]) => [name, this.ajv.compile(schema.parameters)])
+    );
+  }
+
+  getSchema(action) {
+    const schema = this.schemas[action];
+    if (!schema) {
+      throw new Error(`Unknown tool schema: ${action}`);
+    }
+    return schema;
+  }
+
+  /**
+   * OpenAI tool definition of an action
+   */
+  getToolDefinition(action) {
+    const { description, parameters } = this.getSchema(action);
+    return { type: "function", function: { name: action, description, parameters } };
+  }
+
+  /**
+   * Validate arguments against an action's schema
+   * Empty values are treated as not provided. Fields with invalid values are dropped from args.
+   * @param {string} action - Schema name
+   * @param {Object} input - Arguments, e.g. parsed from a tool call
+   * @returns {Object} { valid, args, missing: [field], invalid: [{ field, label, message }] }
+   */
+  validate(action, input) {
+    const { parameters, check } = this.getSchema(action);
+    const args = this.removeEmpty(input);
+    const validator = this.validators[action];
+
+    const missing = new Set();
+    const invalid = [];
+
+    if (!validator(args)) {
+      for (const error of validator.errors) {
+        const path = error.instancePath.split("/").filter(Boolean);
+        const field = path[0] || error.params.missingProperty;
+
+        if (error.keyword === "required" && path.length === 0) {
+          missing.add(error.params.missingProperty);
+        } else if (error.keyword === "required") {
+          // A nested item lacking a required property, e.g. a product without a quantity
+          missing.add(field);
+        } else {
+          invalid.push({ field, ...this.describeError(parameters, path, error) });
+        }
+      }
+    }
+
+    if (check && invalid.length === 0) {
+      for (const problem of check(args)) {
+        invalid.push({ ...problem, label: parameters.properties[problem.field]?.title || problem.field });
+      }
+    }
+
+    for (const { field } of invalid) {
+      delete args[field];
+    }
+
+    return { valid: missing.size === 0 && invalid.length === 0, args, missing: Array.from(missing), invalid };
+  }
+
+  /**
+   * Drop null, undefined and blank values (also inside array items)
+   */
+  removeEmpty(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.removeEmpty(item));
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([, v]) => v !== null && v !== undefined && !(typeof v === "string" && v.trim() === ""))
+          .map(([k, v]) => [k, this.removeEmpty(v)])
+      );
+    }
+    return typeof value === "string" ? value.trim() : value;
+  }
+
+  /**
+   * Customer-facing label and message of a schema validation error
+   */
+  describeError(parameters, path, error) {
+    const property = parameters.properties[path[0]] || {};
+    const label = property.title || path[0] || "Details";
+    const nested = path.length > 1 ? error.parentSchema.title || path[path.length - 1] : null;
+    const value = error.data;
+
+    let message;
+    switch (error.keyword) {
+      case "format":
+        message =
+          error.params.format === "email"
+            ? `"${value}" is not a valid email address`
+            : error.params.format === "hostname"
+              ? `"${value}" is not a valid domain`
+              : `I couldn't work out the date${error.params.format === "date-time" ? " and time" : ""} from "${value}"`;
+        break;
+      case "type":
+        message = ["number", "integer"].includes(error.params.type) ? `"${value}" is not a number` : "is not valid";
+        break;
+      case "minimum":
+        message = `must be ${error.params.limit} or more`;
+        break;
+      case "exclusiveMinimum":
+        message = `must be more than ${error.params.limit}`;
+        break;
+      case "enum":
+        message = `must be one of: ${error.params.allowedValues.join(", ")}`;
+        break;
+      case "minItems":
+        message = "needs at least one item";
+        break;
+      case "minLength":
+        message = "cannot be empty";
+        break;
+      default:
+        message = "is not valid";
+    }
+
+    return { label, message: nested ? `${nested} ${message}` : message };
+  }
+
+  /**
+   * Question asking the customer to fix invalid values and give missing ones
+   * @param {string} action - Schema name
+   * @param {Object} validation - Result of validate
+   * @param {Object} options
+   * @param {boolean} options.resend - Ask for the whole request again (no flow keeps the other details)
+   */
+  buildClarifyingQuestion(action, { missing = [], invalid = [] }, { resend = false } = {}) {
+    const { description, parameters } = this.getSchema(action);
+    const lines = [];
+
+    for (const { label, message } of invalid) {
+      lines.push(`• **${label}:** ${message}`);
+    }
+    for (const field of missing) {
+      lines.push(`• **${parameters.properties[field]?.title || field}:** ${parameters.properties[field]?.description || "required"}`);
+    }
+
+    const intro = invalid.length
+      ? "I want to make sure I get this right. Could you check these details?"
+      : `I need a bit more information to ${description.charAt(0).toLowerCase()}${description.slice(1)}:`;
+    const outro = resend
+      ? "Please send the full request again with these details."
+      : "Just reply with the corrected details.";
+
+    return `${intro}\n\n${lines.join("\n")}\n\n${outro}`;
+  }
+}
+
+module.exports = new ToolSchemaService();
@@ -0,0 +1,188 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const pool = require("../config/database");
+
+// Features model calls are reported under
+const FEATURES = ["intent_detection", "faq", "vision", "transcription", "chat", "documents", "actions", "agent", "other"];
+
+/**
+ * Estimated USD prices: per million input/output tokens, or per audio minute
+ * Matched on the longest model-name prefix, so dated versions (gpt-4o-2024-08-06) use their family's price.
+ * Models without a price (e.g. local models) and fake provider calls cost 0. LLM_PRICES adds or overrides entries.
+ */
+const DEFAULT_PRICES = {
+  "gpt-4": { input: 30, output: 60 },
+  "gpt-4-turbo": { input: 10, output: 30 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-3.5-turbo": { input: 0.5, output: 1.5 },
+  "text-embedding-3-small": { input: 0.02 },
+  "text-embedding-3-large": { input: 0.13 },
+  "text-embedding-ada-002": { input: 0.1 },
+  "whisper-1": { perMinute: 0.006 },
+};
+
+/**
+ * Meters model calls into llm_usage and reports usage per business
+ * Message processing runs inside a usage scope holding the business and conversation, so calls
+ * made deep inside handlers are attributed without passing the conversation through every method.
+ */
+class UsageService {
+  constructor() {
+    this.features = FEATURES;
+    this.scope = new AsyncLocalStorage();
+    this.prices = this.loadPrices();
+  }
+
+  loadPrices() {
+    try {
+      return { ...DEFAULT_PRICES, ...JSON.parse(process.env.LLM_PRICES || "{}") };
+    } catch (error) {
+      console.error("Invalid LLM_PRICES, using default prices:", error.message);
+      return { ...DEFAULT_PRICES };
+    }
+  }
+
+  /**
+   * Run fn in a usage scope; model calls inside it are attributed to the scope's business and conversation
+   * @param {Function} fn - async () => result
+   */
+  runInScope(fn) {
+    return this.scope.run({ businessId: null, conversationId: null }, fn);
+  }
+
+  /**
+   * Set the business and conversation of the current usage scope (no-op outside a scope)
+   */
+  setScope({ businessId = null, conversationId = null }) {
+    const store = this.scope.getStore();
+    if (store) {
+      store.businessId = businessId;
+      store.conversationId = conversationId;
+    }
+  }
+
+  getPrice(model) {
+    const name = String(model || "").toLowerCase();
+    const match = Object.keys(this.prices)
+      .filter((prefix) => name === prefix || name.startsWith(`${prefix}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? this.prices[match] : null;
+  }
+
+  /**
+   * Estimated cost of one call in USD
+   */
+  estimateCost(model, { promptTokens = 0, completionTokens = 0, audioSeconds = 0 } = {}) {
+    const price = this.getPrice(model);
+    if (!price) {
+      return 0;
+    }
+
+    return (
+      (promptTokens * (price.input || 0)) / 1e6 +
+      (completionTokens * (price.output || 0)) / 1e6 +
+      (audioSeconds / 60) * (price.perMinute || 0)
+    );
+  }
+
+  /**
+   * Record one model call
+   * The business and conversation default to the current usage scope. A failed write is logged
+   * and does not fail the call being metered.
+   */
+  async record({
+    businessId = null,
+    conversationId = null,
+    feature,
+    callType,
+    provider,
+    model,
+    promptTokens = 0,
+    completionTokens = 0,
+    audioSeconds = 0,
+  }) {
+    const scope = this.scope.getStore() || {};
+    const metered = { promptTokens, completionTokens, audioSeconds };
+
+    try {
+      await pool.query(
+        `INSERT INTO llm_usage
+           (business_id, conversation_id, feature, call_type, provider, model,
+            prompt_tokens, completion_tokens, audio_seconds, estimated_cost)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        [
+          businessId || scope.businessId || null,
+          conversationId || scope.conversationId || null,
+          FEATURES.includes(feature) ? feature : "other",
+          callType,
+          provider,
+          String(model || "unknown").slice(0, 100),
+          promptTokens,
+          completionTokens,
+          audioSeconds,
+          provider === "fake" ? 0 : this.estimateCost(model, metered),
+        ]
+      );
+    } catch (error) {
+      console.error("Error recording model usage:", error);
+    }
+  }
+
+  /**
+   * Usage of a business by day and by feature
+   * @param {number} businessId - Business ID
+   * @param {Object} range - { from, to } as dates (inclusive); defaults to the last 30 days
+   * @returns {Promise<Object>} { from, to, totals, byDay, byFeature, byDayAndFeature }
+   */
+  async getUsageReport(businessId, { from = null, to = null } = {}) {
+    try {
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - 29 * 24 * 60 * 60 * 1000);
+      const params = [businessId, start.toISOString().slice(0, 10), end.toISOString().slice(0, 10)];
+      const where = "business_id = $1 AND created_at >= $2::date AND created_at < $3::date + 1";
+      const totals = `COUNT(*)::integer AS calls,
+        COALESCE(SUM(prompt_tokens), 0)::integer AS prompt_tokens,
+        COALESCE(SUM(completion_tokens), 0)::integer AS completion_tokens,
+        COALESCE(SUM(audio_seconds), 0)::float AS audio_seconds,
+        COALESCE(SUM(estimated_cost), 0)::float AS estimated_cost`;
+
+      const [total, byDay, byFeature, byDayAndFeature] = await Promise.all([
+        pool.query(`SELECT ${totals} FROM llm_usage WHERE ${where}`, params),
+        pool.query(
+          `SELECT to_char(created_at::date, 'YYYY-MM-DD') AS day, ${totals}
+           FROM llm_usage WHERE ${where}
+           GROUP BY created_at::date ORDER BY created_at::date`,
+          params
+        ),
+        pool.query(
+          `SELECT feature, ${totals}
+           FROM llm_usage WHERE ${where}
+           GROUP BY feature ORDER BY estimated_cost DESC`,
+          params
+        ),
+        pool.query(
+          `SELECT to_char(created_at::date, 'YYYY-MM-DD') AS day, feature, ${totals}
+           FROM llm_usage WHERE ${where}
+           GROUP BY created_at::date, feature ORDER BY created_at::date, feature`,
+          params
+        ),
+      ]);
+
+      return {
+        from: params[1],
+        to: params[2],
+        totals: total.rows[0],
+        byDay: byDay.rows,
+        byFeature: byFeature.rows,
+        byDayAndFeature: byDayAndFeature.rows,
+      };
+    } catch (error) {
+      console.error("Error getting usage report:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,372 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const AuthService = require("./auth");
+
+// Owners and admins work on every business; agents and viewers only on the businesses they are members of.
+// Viewers have read-only access; agents can also answer and manage conversations.
+const ROLES = ["owner", "admin", "agent", "viewer"];
+const ACCOUNT_WIDE_ROLES = ["owner", "admin"];
+
+// The owner is the account created at signup and cannot be invited
+const INVITABLE_ROLES = ["admin", "agent", "viewer"];
+
+const USER_COLUMNS = "u.id, u.username, u.email, u.role, u.status, u.created_at, u.updated_at";
+
+/**
+ * Users, business memberships and invitations
+ */
+class UserService {
+  constructor() {
+    this.roles = ROLES;
+    this.invitableRoles = INVITABLE_ROLES;
+    this.invitationTtlMs = (parseInt(process.env.INVITATION_TTL_HOURS) || 72) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Whether a role has access to every business
+   */
+  isAccountWide(role) {
+    return ACCOUNT_WIDE_ROLES.includes(role);
+  }
+
+  /**
+   * All users with the IDs of the businesses they are members of
+   */
+  async listUsers() {
+    try {
+      const result = await pool.query(
+        `SELECT ${USER_COLUMNS},
+           COALESCE(json_agg(bm.business_id ORDER BY bm.business_id) FILTER (WHERE bm.business_id IS NOT NULL), '[]') AS business_ids
+         FROM users u
+         LEFT JOIN business_members bm ON bm.user_id = u.id
+         GROUP BY u.id
+         ORDER BY u.created_at`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error listing users:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * A user with the IDs of the businesses they are members of
+   * @returns {Promise<Object|null>} User or null if not found
+   */
+  async getUser(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT ${USER_COLUMNS},
+           COALESCE(json_agg(bm.business_id ORDER BY bm.business_id) FILTER (WHERE bm.business_id IS NOT NULL), '[]') AS business_ids
+         FROM users u
+         LEFT JOIN business_members bm ON bm.user_id = u.id
+         WHERE u.id = $1
+         GROUP BY u.id`,
+        [userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting user:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the role or status of a user; omitted fields are kept
+   * @returns {Promise<Object|null>} Updated user or null if not found
+   */
+  async updateUser(userId, { role, status }) {
+    try {
+      const result = await pool.query(
+        `UPDATE users
+         SET role = COALESCE($2, role), status = COALESCE($3, status), updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id`,
+        [userId, role || null, status || null]
+      );
+      return result.rows.length > 0 ? await this.getUser(userId) : null;
+    } catch (error) {
+      console.error("Error updating user:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user; their memberships are removed with them
+   * @returns {Promise<Object|null>} Deleted user or null if not found
+   */
+  async deleteUser(userId) {
+    try {
+      const result = await pool.query("DELETE FROM users WHERE id = $1 RETURNING id, username, email, role", [userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error deleting user:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current role and status of a user
+   * @returns {Promise<Object|null>} { role, status } or null if the user no longer exists
+   */
+  async getAccount(userId) {
+    try {
+      const result = await pool.query("SELECT role, status FROM users WHERE id = $1", [userId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting account:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current role and status of a user and whether they may access a business
+   * Read from the database on every check, so role changes and removed memberships apply
+   * immediately rather than when the user's token expires.
+   * @returns {Promise<Object|null>} { role, status, allowed } or null if the user no longer exists
+   */
+  async getBusinessAccess(userId, businessId) {
+    try {
+      const result = await pool.query(
+        `SELECT u.role, u.status,
+           EXISTS (SELECT 1 FROM business_members WHERE user_id = u.id AND business_id = $2) AS member
+         FROM users u
+         WHERE u.id = $1`,
+        [userId, businessId]
+      );
+      if (result.rows.length === 0) return null;
+
+      const { role, status, member } = result.rows[0];
+      return { role, status, allowed: status === "active" && (this.isAccountWide(role) || member) };
+    } catch (error) {
+      console.error("Error checking business access:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * IDs of the businesses a user may access
+   * @returns {Promise<Array<number>|null>} Business IDs, or null when the user may access every business
+   */
+  async getAccessibleBusinessIds(userId) {
+    try {
+      const result = await pool.query(
+        `SELECT u.role, u.status,
+           COALESCE(array_agg(bm.business_id) FILTER (WHERE bm.business_id IS NOT NULL), '{}') AS business_ids
+         FROM users u
+         LEFT JOIN business_members bm ON bm.user_id = u.id
+         WHERE u.id = $1
+         GROUP BY u.id`,
+        [userId]
+      );
+
+      const user = result.rows[0];
+      if (!user || user.status !== "active") return [];
+      return this.isAccountWide(user.role) ? null : user.business_ids;
+    } catch (error) {
+      console.error("Error getting accessible businesses:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Business a conversation belongs to
+   * @returns {Promise<number|null>} Business ID or null if the conversation does not exist
+   */
+  async getConversationBusinessId(conversationId) {
+    try {
+      const result = await pool.query("SELECT business_id FROM conversations WHERE id = $1", [conversationId]);
+      return result.rows[0]?.business_id || null;
+    } catch (error) {
+      console.error("Error getting conversation business:", error);
+      throw error;
+    }
+  }
+
+  // Business Membership Management
+  async listBusinessMembers(businessId) {
+    try {
+      const result = await pool.query(
+        `SELECT ${USER_COLUMNS}, bm.created_at AS member_since
+         FROM business_members bm
+         JOIN users u ON u.id = bm.user_id
+         WHERE bm.business_id = $1
+         ORDER BY u.username`,
+        [businessId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error listing business members:", error);
+      throw error;
+    }
+  }
+
+  async addBusinessMember(businessId, userId) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO business_members (business_id, user_id) VALUES ($1, $2)
+         ON CONFLICT (business_id, user_id) DO UPDATE SET business_id = EXCLUDED.business_id
+         RETURNING *`,
+        [businessId, userId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error("Error adding business member:", error);
+      throw error;
+    }
+  }
+
+  async removeBusinessMember(businessId, userId) {
+    try {
+      const result = await pool.query(
+        "DELETE FROM business_members WHERE business_id = $1 AND user_id = $2 RETURNING *",
+        [businessId, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error removing business member:", error);
+      throw error;
+    }
+  }
+
+  // Invitation Management
+  hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Invite someone by email
+   * Only a hash of the token is stored; the token itself is returned once, for the invite link.
+   * @param {Object} invitation - { email, role, businessIds, invitedBy }
+   * @returns {Promise<Object>} { invitation, token }
+   */
+  async createInvitation({ email, role, businessIds = [], invitedBy }) {
+    try {
+      const token = crypto.randomBytes(32).toString("hex");
+      const result = await pool.query(
+        `INSERT INTO user_invitations (email, role, business_ids, token_hash, invited_by, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, email, role, business_ids, invited_by, expires_at, created_at`,
+        [
+          email.toLowerCase(),
+          role,
+          JSON.stringify(businessIds),
+          this.hashToken(token),
+          invitedBy,
+          new Date(Date.now() + this.invitationTtlMs),
+        ]
+      );
+      return { invitation: result.rows[0], token };
+    } catch (error) {
+      console.error("Error creating invitation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invitations that have not been accepted and have not expired
+   */
+  async listPendingInvitations() {
+    try {
+      const result = await pool.query(
+        `SELECT id, email, role, business_ids, invited_by, expires_at, created_at
+         FROM user_invitations
+         WHERE accepted_at IS NULL AND expires_at > NOW()
+         ORDER BY created_at DESC`
+      );
+      return result.rows;
+    } catch (error) {
+      console.error("Error listing invitations:", error);
+      throw error;
+    }
+  }
+
+  async revokeInvitation(invitationId) {
+    try {
+      const result = await pool.query(
+        "DELETE FROM user_invitations WHERE id = $1 AND accepted_at IS NULL RETURNING id, email, role",
+        [invitationId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error revoking invitation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pending invitation for a token
+   * @returns {Promise<Object|null>} Invitation or null if the token is unknown, used or expired
+   */
+  async getInvitationByToken(token) {
+    try {
+      const result = await pool.query(
+        `SELECT id, email, role, business_ids, expires_at
+         FROM user_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > NOW()`,
+        [this.hashToken(token)]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting invitation:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the invited user with the invitation's role and memberships
+   * Businesses deleted since the invitation was sent are skipped.
+   * @param {string} token - Invitation token
+   * @param {Object} account - { username, password }
+   * @returns {Promise<Object|null>} Created user (without password) or null if the invitation is not valid
+   */
+  async acceptInvitation(token, { username, password }) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+
+      const invitation = await client.query(
+        `SELECT * FROM user_invitations
+         WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [this.hashToken(token)]
+      );
+      if (invitation.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return null;
+      }
+
+      const { id, email, role, business_ids: businessIds } = invitation.rows[0];
+      const passwordHash = await AuthService.hashPassword(password);
+      const user = await client.query(
+        `INSERT INTO users (username, email, password_hash, role, status)
+         VALUES ($1, $2, $3, $4, 'active')
+         RETURNING id, username, email, role, status, created_at, updated_at`,
+        [username, email, passwordHash, role]
+      );
+
+      await client.query(
+        `INSERT INTO business_members (business_id, user_id)
+         SELECT b.id, $2 FROM businesses b WHERE b.id = ANY($1::int[])
+         ON CONFLICT (business_id, user_id) DO NOTHING`,
+        [(businessIds || []).map(Number), user.rows[0].id]
+      );
+
+      await client.query("UPDATE user_invitations SET accepted_at = NOW(), accepted_user_id = $2 WHERE id = $1", [
+        id,
+        user.rows[0].id,
+      ]);
+
+      await client.query("COMMIT");
+      return user.rows[0];
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error accepting invitation:", error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,763 @@
+const WhatsAppService = require("./whatsapp");
+const OpenAIService = require("./openai");
+const DatabaseService = require("./database");
+const BusinessService = require("./business");
+const DocumentService = require("./document");
+const MessageRouter = require("./message-router");
+const UsageService = require("./usage");
+const HandoffService = require("./handoff");
+const EventBus = require("./events");
+const pool = require("../config/database");
+const path = require("path");
+const fs = require("fs-extra");
+
+class WebhookProcessor {
+  /**
+   * Process a queued WhatsApp webhook event
+   * Handles every message and status update in the payload. Each message runs on its
+   * own tenant and conversation, so one failing message does not stop the others.
+   * Throws on failure so the queue can retry the job.
+   * @param {Object} body - Raw webhook payload as received from Meta
+   * @param {Object} options - Processing options
+   * @param {number} options.attempt - Current attempt number of the queue job
+   * @returns {Promise<void>}
+   */
+  async processEvent(body, { attempt = 1 } = {}) {
+    const startTime = Date.now();
+    console.log("=== WEBHOOK EVENT PROCESSING ===");
+
+    const messages = await WhatsAppService.processIncomingMessage(body);
+    const statusUpdates = WhatsAppService.getStatusUpdates(body);
+    const errors = [];
+
+    for (const { phoneNumberId, status } of statusUpdates) {
+      try {
+        await this.processStatusUpdate(phoneNumberId, status);
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    for (const messageData of messages) {
+      try {
+        // Model calls made while processing the message are metered to its business and conversation
+        await UsageService.runInScope(() => this.processMessage(messageData, { attempt }));
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+
+    console.log(
+      `Webhook event with ${messages.length} message(s) and ${statusUpdates.length} status update(s) processed in ${
+        Date.now() - startTime
+      }ms`
+    );
+
+    if (errors.length > 0) {
+      throw errors[0];
+    }
+  }
+
+  /**
+   * Handle a message status update
+   * Records the delivery receipt on the outbound message, publishes it to dashboard
+   * streams and notifies the user when their media could not be downloaded by WhatsApp.
+   * @param {string} phoneNumberId - Business phone number ID the status belongs to
+   * @param {Object} status - Status object from the webhook
+   */
+  async processStatusUpdate(phoneNumberId, status) {
+    const updatedMessage = await DatabaseService.updateMessageStatus(status.id, {
+      status: status.status,
+      timestamp: status.timestamp,
+      error: status.errors?.[0],
+    });
+
+    if (!updatedMessage) {
+      console.log(`Status "${status.status}" received for unknown message ${status.id}`);
+    } else {
+      EventBus.publish("message.status", updatedMessage.business_id, {
+        id: updatedMessage.id,
+        conversationId: updatedMessage.conversation_id,
+        messageId: updatedMessage.message_id,
+        status: updatedMessage.status,
+        errorCode: updatedMessage.error_code,
+        errorMessage: updatedMessage.error_message,
+      });
+    }
+
+    if (status.status !== "failed" || !status.errors) {
+      return;
+    }
+
+    console.log("Media download failed:", {
+      messageId: status.id,
+      recipientId: status.recipient_id,
+      errors: status.errors,
+    });
+
+    // Check if this is a media download error
+    const mediaError = status.errors.find((error) => error.code === 131052);
+    if (!mediaError) {
+      return;
+    }
+
+    console.log("Sending media download failure notification to user");
+
+    try {
+      // Get WhatsApp configuration for this business
+      const whatsappConfig = await BusinessService.getWhatsAppConfigByPhoneNumber(phoneNumberId);
+      if (whatsappConfig) {
+        const whatsapp = WhatsAppService.forBusiness(whatsappConfig);
+
+        // Send a helpful message to the user about the failed media
+        await whatsapp.sendMessage(
+          status.recipient_id,
+          "I'm sorry, but I couldn't process your voice message due to a technical issue. " +
+            "This sometimes happens with voice notes. Please try sending your message again, " +
+            "or you can type your message instead. I'm here to help! ��"
+        );
+        console.log("Media download failure notification sent successfully");
+      } else {
+        console.error("No WhatsApp configuration found for phone number:", phoneNumberId);
+      }
+    } catch (error) {
+      console.error("Failed to send media download failure notification:", error);
+    }
+  }
+
+  /**
+   * Text form of an incoming message for the intent pipeline
+   * Interactive replies, locations and shared contacts are turned into sentences the
+   * intent detection understands. Returns null when the message carries no request.
+   * @param {Object} messageData - Normalized message data from WhatsAppService.parseMessage
+   * @returns {string|null} Text to run through the pipeline
+   */
+  getPipelineText(messageData) {
+    const { messageType, content, payload } = messageData;
+
+    switch (messageType) {
+      case "text":
+      case "button":
+      case "video":
+        return content || null;
+
+      case "interactive": {
+        // Quick actions attached to order confirmations
+        const orderAction = /^order_(status|cancel)_(\d+)$/.exec(payload?.id || "");
+        if (orderAction) {
+          return orderAction[1] === "status"
+            ? `What is the status of order ${orderAction[2]}?`
+            : `Please cancel order ${orderAction[2]}`;
+        }
+        return payload?.title || content || null;
+      }
+
+      case "location": {
+        const place = [payload.name, payload.address].filter(Boolean).join(", ");
+        return `Here is my location: ${place ? `${place} ` : ""}(latitude ${payload.latitude}, longitude ${
+          payload.longitude
+        })`;
+      }
+
+      case "contacts":
+        return `I'm sharing a contact: ${payload.contacts
+          .map((contact) => {
+            const phone = contact.phones?.[0]?.phone;
+            return `${contact.name?.formatted_name || "Unknown"}${phone ? ` (${phone})` : ""}`;
+          })
+          .join(", ")}`;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Send a reply and store it under the WAMID returned by WhatsApp
+   * Replies may be plain text or structured ({ type: "buttons" | "list" | ... }).
+   * Status webhooks later update the stored row by that ID. A failed send is still
+   * stored, with a local ID and the failure recorded on the row; transient failures (network,
+   * throttling, 5xx) are then rethrown so the queue retries the job. The row's context_message_id
+   * is the incoming message it answers, so retried jobs can tell it was already answered.
+   * @param {Object} whatsapp - WhatsApp client for the business
+   * @param {Object} reply - Reply details
+   * @param {number} reply.businessId - Business ID
+   * @param {number} reply.conversationId - Conversation ID
+   * @param {Object} reply.messageData - Incoming message being answered
+   * @param {string|Object} reply.content - Reply text or structured reply
+   * @param {string} reply.source - Pipeline stage producing the reply (used for fallback IDs)
+   * @returns {Promise<Object>} Saved message row
+   */
+  async sendReply(whatsapp, { businessId, conversationId, messageData, content, source }) {
+    let messageId = `${source}_${Date.now()}`;
+    let status = "accepted";
+    let sendError = null;
+
+    try {
+      const response = await whatsapp.sendReply(messageData.from, content);
+      messageId = response?.messages?.[0]?.id || messageId;
+      console.log(`${source} response sent successfully: ${messageId}`);
+    } catch (whatsappError) {
+      console.error(`Error sending ${source} response:`, whatsappError);
+      status = "failed";
+      sendError = whatsappError;
+    }
+
+    const saved = await DatabaseService.saveMessage({
+      businessId,
+      conversationId,
+      messageId,
+      fromNumber: messageData.to, // From business
+      toNumber: messageData.from, // To user
+      messageType: typeof content === "string" ? "text" : content.type,
+      content: WhatsAppService.getReplyText(content),
+      mediaUrl: null,
+      localFilePath: null,
+      isFromUser: false,
+      status,
+      errorCode: sendError?.code || null,
+      errorMessage: sendError?.message || null,
+      contextMessageId: messageData.messageId,
+    });
+
+    // Transient failures fail the job so the queue retries it; the failed row does not count as an answer
+    if (sendError?.retryable) {
+      throw sendError;
+    }
+
+    return saved;
+  }
+
+  /**
+   * Switch a conversation to human mode and tell the customer a person will reply
+   * @param {Object} whatsapp - WhatsApp client for the business
+   * @param {Object} handoff - { businessId, conversationId, messageData, reason }
+   */
+  async handOff(whatsapp, { businessId, conversationId, messageData, reason }) {
+    await HandoffService.handOff(conversationId, { reason });
+    await this.sendReply(whatsapp, {
+      businessId,
+      conversationId,
+      messageData,
+      content: HandoffService.handoffMessage,
+      source: "handoff",
+    });
+  }
+
+  /**
+   * Download, extract and index a shared document
+   * The reply answers the caption against the document when one is given, otherwise
+   * it summarizes the document and invites follow-up questions.
+   * @param {Object} whatsapp - WhatsApp client for the business
+   * @param {Object} context - Message context
+   * @param {number} context.businessId - Business ID
+   * @param {number} context.conversationId - Conversation ID
+   * @param {Object} context.savedMessage - Stored inbound message row
+   * @param {Object} context.messageData - Normalized message data
+   * @param {Object} context.businessTone - Business tone for AI replies
+   */
+  async processDocumentMessage(whatsapp, { businessId, conversationId, savedMessage, messageData, businessTone }) {
+    const { payload } = messageData;
+    const originalName = payload.filename || null;
+    const extension = DocumentService.getExtension(payload.mimeType, originalName);
+
+    if (!extension) {
+      console.log(`Unsupported document type: ${payload.mimeType} (${originalName})`);
+      await this.sendReply(whatsapp, {
+        businessId,
+        conversationId,
+        messageData,
+        content: "Thanks for the file! I can read PDF, Word (DOCX), text and CSV documents. Could you send it in one of those formats?",
+        source: "document_unsupported",
+      });
+      return;
+    }
+
+    let file;
+    try {
+      const mediaData = await whatsapp.downloadMedia(messageData.mediaId);
+      file = await DocumentService.saveStream(mediaData.stream, {
+        businessId,
+        messageId: messageData.messageId,
+        extension,
+      });
+      console.log(`Document saved to: ${file.absolutePath}`);
+    } catch (downloadError) {
+      console.error("Error downloading document:", downloadError);
+      await this.sendReply(whatsapp, {
+        businessId,
+        conversationId,
+        messageData,
+        content: "I received your document, but I couldn't download it. Please try sending it again.",
+        source: "document_error",
+      });
+      return;
+    }
+
+    let text = "";
+    try {
+      ({ text } = await DocumentService.extractText(file.absolutePath, extension));
+    } catch (extractError) {
+      // Keep the file and record it; the reply below explains the problem
+      console.error(`Could not extract text from ${file.fileName}:`, extractError.message);
+    }
+
+    const mediaFile = await DatabaseService.saveMediaFile({
+      businessId,
+      messageId: savedMessage.id,
+      fileName: file.fileName,
+      filePath: file.relativePath,
+      fileType: "document",
+      fileSize: fs.statSync(file.absolutePath).size,
+      mimeType: payload.mimeType,
+      originalName,
+      extractedText: text || null,
+    });
+
+    await DatabaseService.updateMessageLocalFilePath(messageData.messageId, file.relativePath);
+
+    if (!text) {
+      await this.sendReply(whatsapp, {
+        businessId,
+        conversationId,
+        messageData,
+        content:
+          "I received your document, but I couldn't find any readable text in it. If it's a scanned document, please send the pages as images instead.",
+        source: "document_empty",
+      });
+      return;
+    }
+
+    await DocumentService.indexDocument({ businessId, conversationId, mediaFileId: mediaFile.id, text });
+
+    const caption = messageData.content?.trim();
+    const documentName = originalName || "your document";
+    let reply;
+
+    if (caption) {
+      reply = await DocumentService.answerQuestion(conversationId, caption, businessTone, {
+        businessId,
+        mediaFileId: mediaFile.id,
+      });
+    } else {
+      const summary = await OpenAIService.summarizeDocument(text, originalName, businessTone, { businessId });
+      reply = `📄 **${documentName}**\n\n${summary}\n\nFeel free to ask me any questions about this document.`;
+    }
+
+    await this.sendReply(whatsapp, {
+      businessId,
+      conversationId,
+      messageData,
+      content: reply,
+      source: "document",
+    });
+  }
+
+  /**
+   * Run the reply pipeline for a single incoming message
+   * @param {Object} messageData - Normalized message data from WhatsAppService.parseMessage
+   * @param {Object} options - Processing options
+   * @param {number} options.attempt - Current attempt number of the queue job
+   * @returns {Promise<void>}
+   */
+  async processMessage(messageData, { attempt = 1 } = {}) {
+    const startTime = Date.now();
+
+    try {
+      // Check if we've already processed this message (optimized query).
+      // Retries skip this check because the failed attempt may already have saved the inbound message;
+      // they check for a reply instead, so a failure after the reply went out does not send it twice.
+      if (attempt <= 1) {
+        try {
+          const existingMessage = await pool.query("SELECT id, created_at FROM messages WHERE message_id = $1 LIMIT 1", [
+            messageData.messageId,
+          ]);
+
+          if (existingMessage.rows.length > 0) {
+            return;
+          }
+        } catch (checkError) {
+          console.error("Error checking for duplicate message:", checkError);
+          // Continue processing even if check fails
+        }
+      } else {
+        try {
+          const existingReply = await pool.query(
+            `SELECT id FROM messages
+             WHERE context_message_id = $1 AND direction = 'outbound' AND status <> 'failed'
+             LIMIT 1`,
+            [messageData.messageId]
+          );
+
+          if (existingReply.rows.length > 0) {
+            console.log(`Message ${messageData.messageId} was already answered; not replying again on retry`);
+            return;
+          }
+        } catch (checkError) {
+          console.error("Error checking for an existing reply:", checkError);
+        }
+      }
+
+      // Identify the business from the phone number ID
+      const whatsappConfig = await BusinessService.getWhatsAppConfigByPhoneNumber(messageData.to);
+      if (!whatsappConfig) {
+        console.error("No WhatsApp configuration found for phone number:", messageData.to);
+        return;
+      }
+
+      const businessId = whatsappConfig.business_id;
+      console.log(`Processing message for business ID: ${businessId}`);
+
+      // Check if business is active before processing
+      const business = await BusinessService.getBusinessById(businessId);
+      if (!business) {
+        console.error(`Business not found for ID: ${businessId}`);
+        return;
+      }
+
+      if (business.status === "inactive") {
+        console.log(`Business ${businessId} (${business.name}) is inactive. Skipping response.`);
+        return;
+      }
+
+      // WhatsApp client bound to this business's number
+      const whatsapp = WhatsAppService.forBusiness(whatsappConfig);
+
+      // Get business tone for AI responses
+      const businessTone = await BusinessService.getBusinessTone(businessId);
+      console.log(`Using business tone: ${businessTone ? businessTone.name : "default"}`);
+
+      // Create or get conversation
+      const conversation = await DatabaseService.createOrGetConversation(businessId, messageData.from);
+      UsageService.setScope({ businessId, conversationId: conversation.id });
+
+      // Save the incoming message
+      const savedMessage = await DatabaseService.saveMessage({
+        businessId: businessId,
+        conversationId: conversation.id,
+        messageId: messageData.messageId,
+        fromNumber: messageData.from,
+        toNumber: messageData.to,
+        messageType: messageData.messageType,
+        content: messageData.content,
+        mediaUrl: messageData.mediaUrl,
+        localFilePath: null,
+        isFromUser: true,
+        payload: messageData.payload,
+        contextMessageId: messageData.contextMessageId,
+      });
+
+      // A human agent owns the conversation: store the message and stay silent
+      if (conversation.mode === "human") {
+        console.log(`Conversation ${conversation.id} is handled by a human, skipping bot reply`);
+        return;
+      }
+
+      // Reactions and stickers are stored but need no reply
+      if (messageData.messageType === "reaction" || messageData.messageType === "sticker") {
+        console.log(`Stored ${messageData.messageType} message ${messageData.messageId} without reply`);
+        return;
+      }
+
+      // Text the intent pipeline works on: typed text, or the meaning of an interactive/location/contacts message
+      // Voice notes replace this with their transcript once transcribed.
+      let textContent = this.getPipelineText(messageData);
+
+      // Documents are extracted and indexed for follow-up questions
+      if (messageData.messageType === "document") {
+        await this.processDocumentMessage(whatsapp, {
+          businessId,
+          conversationId: conversation.id,
+          savedMessage,
+          messageData,
+          businessTone,
+        });
+        return;
+      }
+
+      // Handle media files if present
+      let localFilePath = null;
+      let aiResponse = "";
+
+      // Handle different message types
+      if (messageData.messageType === "image" || messageData.messageType === "audio") {
+        try {
+          console.log(`Processing ${messageData.messageType} message...`);
+          console.log(`Media ID: ${messageData.mediaId}`);
+
+          // Download media file with MIME type information and retry logic
+          const mediaData = await whatsapp.downloadMedia(messageData.mediaId);
+          const mediaStream = mediaData.stream;
+          const mimeType = mediaData.mimeType;
+          const fileSize = mediaData.fileSize;
+
+          console.log(`Media MIME type: ${mimeType}`);
+          console.log(`Media file size: ${fileSize} bytes`);
+
+          // Determine file extension based on MIME type
+          let fileExtension;
+          if (messageData.messageType === "image") {
+            fileExtension = mimeType === "image/png" ? ".png" : ".jpg";
+          } else if (messageData.messageType === "audio") {
+            // Map MIME types to file extensions for audio
+            switch (mimeType) {
+              case "audio/aac":
+                fileExtension = ".aac";
+                break;
+              case "audio/mp4":
+                fileExtension = ".m4a";
+                break;
+              case "audio/mpeg":
+                fileExtension = ".mp3";
+                break;
+              case "audio/ogg":
+                fileExtension = ".ogg";
+                break;
+              case "audio/wav":
+                fileExtension = ".wav";
+                break;
+              default:
+                fileExtension = ".aac"; // Default fallback
+            }
+          }
+
+          // Create filename with timestamp and extension
+          const timestamp = Date.now();
+          const fileName = `${businessId}_${messageData.messageId}_${timestamp}${fileExtension}`;
+          const uploadDir = messageData.messageType === "image" ? "uploads/images" : "uploads/audio";
+
+          // Use absolute path for AI processing
+          localFilePath = path.resolve(__dirname, "..", uploadDir, fileName);
+
+          console.log(`Saving media to: ${localFilePath}`);
+          console.log(`File extension: ${fileExtension}`);
+
+          // Ensure directory exists before saving file
+          await fs.ensureDir(path.dirname(localFilePath));
+
+          // Save file with proper error handling
+          const writeStream = fs.createWriteStream(localFilePath);
+          mediaStream.pipe(writeStream);
+
+          await new Promise((resolve, reject) => {
+            writeStream.on("finish", resolve);
+            writeStream.on("error", (error) => {
+              console.error("Error writing file:", error);
+              reject(error);
+            });
+            mediaStream.on("error", (error) => {
+              console.error("Error reading media stream:", error);
+              reject(error);
+            });
+          });
+
+          // Verify file was saved
+          if (fs.existsSync(localFilePath)) {
+            const fileStats = fs.statSync(localFilePath);
+            console.log(`Media file saved successfully: ${localFilePath} (${fileStats.size} bytes)`);
+
+            // Verify file size matches expected size
+            if (fileSize && fileStats.size !== fileSize) {
+              console.warn(`File size mismatch: expected ${fileSize} bytes, got ${fileStats.size} bytes`);
+            }
+          } else {
+            console.error(`Media file was not saved: ${localFilePath}`);
+            throw new Error("Media file was not saved");
+          }
+
+          // Save media file info to database (use relative path for database)
+          const relativePath = path.join(uploadDir, fileName);
+          const fileStats = fs.statSync(localFilePath);
+          await DatabaseService.saveMediaFile({
+            businessId: businessId,
+            messageId: savedMessage.id,
+            fileName: fileName,
+            filePath: relativePath, // Store relative path in database
+            fileType: messageData.messageType,
+            fileSize: fileStats.size,
+          });
+
+          // Update message with local file path (this will update the media_files table)
+          await DatabaseService.updateMessageLocalFilePath(messageData.messageId, relativePath);
+
+          console.log(`Media file info saved to database with path: ${relativePath}`);
+
+          // Uncaptioned images get a direct analysis; voice notes and captioned images continue to the intent pipeline
+          try {
+            const caption = messageData.content?.trim();
+
+            if (messageData.messageType === "image" && caption) {
+              // Combine the caption with what the image shows and let the intent pipeline decide
+              console.log("Processing captioned image for intent routing...");
+              const imageDescription = await OpenAIService.describeImageForIntent(localFilePath, caption, { businessId });
+              await DatabaseService.updateMediaExtractedText(messageData.messageId, imageDescription);
+              textContent = `${caption}\n\n(Attached image: ${imageDescription})`;
+
+              console.log(`Captioned image described, continuing with intent pipeline: "${imageDescription.substring(0, 100)}"`);
+            } else if (messageData.messageType === "image") {
+              console.log("Processing image with OCR/vision analysis...");
+              // Use the highest OCR model features as per user preference
+              const imageAnalysis = await OpenAIService.analyzeImage(
+                localFilePath, 
+                "Please analyze this image thoroughly. Extract all text using OCR, describe the visual content, identify any objects, text, or important details. Provide a comprehensive analysis.",
+                businessTone,
+                { businessId }
+              );
+            
+              aiResponse = `📸 **Image Analysis:**\n\n${imageAnalysis}`;
+
+              console.log("Media processing completed successfully");
+
+              // Send the reply and store it under its WhatsApp message ID
+              await this.sendReply(whatsapp, {
+                businessId,
+                conversationId: conversation.id,
+                messageData,
+                content: aiResponse,
+                source: "media",
+              });
+
+              return;
+            }
+
+            if (messageData.messageType === "audio") {
+              console.log("Processing audio/voice note with transcription...");
+              // Transcribe the audio using OpenAI Whisper
+              const transcription = (await OpenAIService.transcribeAudio(localFilePath, { businessId }))?.trim();
+
+              if (!transcription) {
+                await this.sendReply(whatsapp, {
+                  businessId,
+                  conversationId: conversation.id,
+                  messageData,
+                  content: "I couldn't make out any words in your voice message. Could you try again or type your message instead?",
+                  source: "media",
+                });
+                return;
+              }
+
+              // Keep the transcript with the audio message, then treat it as if the user had typed it
+              await DatabaseService.saveMessageTranscription(messageData.messageId, transcription);
+              textContent = transcription;
+
+              console.log(`Voice note transcribed, continuing with intent pipeline: "${transcription.substring(0, 100)}"`);
+            }
+          } catch (mediaProcessingError) {
+            // A reply that failed to send is retried with the job rather than answered with an error
+            if (mediaProcessingError.retryable) throw mediaProcessingError;
+            console.error("Error processing media:", mediaProcessingError);
+            aiResponse = `I received your ${messageData.messageType} message, but I encountered an error while processing it. Please try again or send a different file.`;
+          
+            // Send the reply and store it under its WhatsApp message ID
+            await this.sendReply(whatsapp, {
+              businessId,
+              conversationId: conversation.id,
+              messageData,
+              content: aiResponse,
+              source: "media_error",
+            });
+            return;
+          }
+
+        } catch (mediaError) {
+          if (mediaError.retryable) throw mediaError;
+          console.error(`Error processing ${messageData.messageType} media:`, mediaError);
+
+          // Continue processing even if media handling fails; the user is told the media could not be processed
+          localFilePath = null;
+        }
+      }
+
+      // Messages without text: media that could not be processed, captionless videos, unsupported types
+      if (!textContent) {
+        let fallbackReply;
+        if (messageData.messageType === "video") {
+          fallbackReply =
+            "Thanks for the video! I can't watch videos yet, so could you tell me in a message what you'd like help with?";
+        } else if (messageData.messageType === "image" || messageData.messageType === "audio") {
+          fallbackReply = `I received your ${messageData.messageType} message, but I'm having trouble processing it right now. Please try sending it again or describe what you'd like help with.`;
+        } else {
+          fallbackReply = "Sorry, I can't handle this type of message yet. Could you send your request as text?";
+        }
+
+        await this.sendReply(whatsapp, {
+          businessId,
+          conversationId: conversation.id,
+          messageData,
+          content: fallbackReply,
+          source: "unsupported",
+        });
+        return;
+      }
+
+      // Hand the conversation to a human when the customer asks for one or uses a handoff keyword
+      const handoffSettings = await BusinessService.getHandoffSettings(businessId);
+      const trigger = HandoffService.detectTrigger(textContent, handoffSettings);
+      if (trigger) {
+        console.log(`Handoff requested (${trigger.reason}${trigger.keyword ? `: ${trigger.keyword}` : ""})`);
+        await this.handOff(whatsapp, { businessId, conversationId: conversation.id, messageData, reason: trigger.reason });
+        return;
+      }
+
+      // One routing pass: active dialog flow, then the handler for the detected intent, then fallbacks
+      let routed = null;
+      try {
+        routed = await MessageRouter.route({
+          businessId,
+          conversationId: conversation.id,
+          phoneNumber: messageData.from,
+          text: textContent,
+          messageData,
+          businessTone,
+        });
+      } catch (routeError) {
+        console.error("Error routing message:", routeError);
+      }
+
+      if (routed) {
+        console.log(
+          `Reply from ${routed.handler} handler${routed.intent ? ` (intent: ${routed.intent.intent})` : ""}:`,
+          WhatsAppService.getReplyText(routed.reply).substring(0, 100) + "..."
+        );
+      }
+
+      // Repeated low-confidence answers hand the conversation to a human instead of replying again
+      const lowConfidenceCount = await HandoffService.recordAnswer(
+        conversation.id,
+        HandoffService.isLowConfidence(routed)
+      );
+      const lowConfidenceLimit = handoffSettings?.lowConfidenceLimit || 0;
+      if (lowConfidenceLimit > 0 && lowConfidenceCount >= lowConfidenceLimit) {
+        console.log(`${lowConfidenceCount} low-confidence answers in a row, handing off`);
+        await this.handOff(whatsapp, { businessId, conversationId: conversation.id, messageData, reason: "low_confidence" });
+        return;
+      }
+
+      // Send the reply and store it under its WhatsApp message ID
+      await this.sendReply(whatsapp, {
+        businessId,
+        conversationId: conversation.id,
+        messageData,
+        content: routed?.reply || "Sorry, I encountered an error processing your message. Please try again.",
+        source: routed?.handler || "error",
+      });
+
+      // Log processing time for performance monitoring
+      const processingTime = Date.now() - startTime;
+      console.log(`Message ${messageData.messageId} processed in ${processingTime}ms`);
+
+      return;
+    } catch (error) {
+      console.error(`Error processing message ${messageData.messageId}:`, error);
+
+      // Log processing time even for errors
+      const processingTime = Date.now() - startTime;
+      console.log(`Message processing failed after ${processingTime}ms`);
+
+      // Let the queue worker retry the job
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookProcessor();
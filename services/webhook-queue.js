@@ -0,0 +1,360 @@
+const crypto = require("crypto");
+const os = require("os");
+const pool = require("../config/database");
+const WebhookProcessor = require("./webhook-processor");
+const WhatsAppService = require("./whatsapp");
+
+class WebhookQueueService {
+  constructor() {
+    this.concurrency = parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 4;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS) || 5;
+    this.pollInterval = parseInt(process.env.WEBHOOK_WORKER_POLL_INTERVAL) || 1000;
+    this.baseBackoffMs = 5000;
+    this.maxBackoffMs = 15 * 60 * 1000;
+    this.staleLockMs = 5 * 60 * 1000; // Reclaim jobs whose worker died mid-processing
+    this.heartbeatMs = 30 * 1000; // Refresh locked_at of running jobs so long jobs are not reclaimed
+    this.workerId = `${os.hostname()}_${process.pid}`;
+    this.running = false;
+    this.workers = [];
+    this.staleLockTimer = null;
+  }
+
+  /**
+   * Derive the ordering key for a webhook event
+   * Jobs sharing a key (same business number and customer) are processed strictly in order.
+   * @param {Object} body - Raw webhook payload
+   * @returns {string} Ordering key
+   */
+  getOrderingKey(body) {
+    const value = body?.entry?.[0]?.changes?.[0]?.value;
+    const phoneNumberId = value?.metadata?.phone_number_id || "unknown";
+    const customer = value?.messages?.[0]?.from || value?.statuses?.[0]?.recipient_id || "unknown";
+    return `${phoneNumberId}:${customer}`;
+  }
+
+  /**
+   * Persist a raw webhook event as a pending job
+   * @param {Object} body - Raw webhook payload
+   * @param {Object} options - Job options
+   * @param {number|null} options.businessId - Business the event belongs to, if known
+   * @returns {Promise<Object|null>} Created job, or null if this exact event was already queued
+   */
+  async enqueue(body, { businessId = null } = {}) {
+    try {
+      const payload = JSON.stringify(body);
+      const dedupeKey = crypto.createHash("sha256").update(payload).digest("hex");
+
+      const result = await pool.query(
+        `INSERT INTO webhook_jobs (business_id, ordering_key, dedupe_key, payload, max_attempts)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (dedupe_key) DO NOTHING
+         RETURNING id, business_id, ordering_key, status, created_at`,
+        [businessId, this.getOrderingKey(body), dedupeKey, payload, this.maxAttempts]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error enqueueing webhook job:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split a batched webhook payload into one job per message or status update
+   * Each job is attributed to the business owning its phone number and ordered by its own conversation.
+   * @param {Object} body - Raw webhook payload
+   * @param {Array<Object>} configs - Verified WhatsApp configs for the phone numbers in the payload
+   * @returns {Promise<Object>} Created jobs and the number of duplicate events skipped
+   */
+  async enqueueEvents(body, configs = []) {
+    const businessIds = new Map(configs.map((config) => [config.phone_number_id, config.business_id]));
+    const jobs = [];
+    let duplicates = 0;
+
+    for (const event of WhatsAppService.splitWebhookEvents(body)) {
+      const phoneNumberId = event.entry[0].changes[0].value.metadata.phone_number_id;
+      const job = await this.enqueue(event, { businessId: businessIds.get(phoneNumberId) || null });
+
+      if (job) {
+        jobs.push(job);
+      } else {
+        duplicates++;
+      }
+    }
+
+    return { jobs, duplicates };
+  }
+
+  /**
+   * Claim the next runnable job
+   * A job is runnable when it is due and no earlier job with the same ordering key is still pending or processing.
+   * @returns {Promise<Object|null>} Claimed job or null if none is available
+   */
+  async claimNextJob() {
+    const result = await pool.query(
+      `UPDATE webhook_jobs
+       SET status = 'processing', attempts = attempts + 1, locked_at = NOW(), locked_by = $1, updated_at = NOW()
+       WHERE id = (
+         SELECT j.id FROM webhook_jobs j
+         WHERE j.status = 'pending' AND j.next_run_at <= NOW()
+           AND NOT EXISTS (
+             SELECT 1 FROM webhook_jobs earlier
+             WHERE earlier.ordering_key = j.ordering_key
+               AND earlier.id < j.id
+               AND earlier.status IN ('pending', 'processing')
+           )
+         ORDER BY j.id
+         FOR UPDATE SKIP LOCKED
+         LIMIT 1
+       )
+       RETURNING *`,
+      [this.workerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Calculate exponential backoff delay for a given attempt
+   */
+  getBackoffDelay(attempts) {
+    return Math.min(this.baseBackoffMs * Math.pow(2, attempts - 1), this.maxBackoffMs);
+  }
+
+  async markCompleted(jobId) {
+    await pool.query(
+      `UPDATE webhook_jobs
+       SET status = 'completed', completed_at = NOW(), locked_at = NULL, locked_by = NULL, last_error = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [jobId]
+    );
+  }
+
+  /**
+   * Record a failed attempt, scheduling a retry or dead-lettering the job
+   */
+  async markFailed(job, error) {
+    const errorMessage = error?.stack || error?.message || String(error);
+
+    if (job.attempts >= job.max_attempts) {
+      await pool.query(
+        `UPDATE webhook_jobs
+         SET status = 'dead', last_error = $1, locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE id = $2`,
+        [errorMessage, job.id]
+      );
+      console.error(`Webhook job ${job.id} dead-lettered after ${job.attempts} attempts`);
+      return;
+    }
+
+    const delayMs = this.getBackoffDelay(job.attempts);
+    await pool.query(
+      `UPDATE webhook_jobs
+       SET status = 'pending', last_error = $1, next_run_at = NOW() + ($2 || ' milliseconds')::INTERVAL,
+         locked_at = NULL, locked_by = NULL, updated_at = NOW()
+       WHERE id = $3`,
+      [errorMessage, delayMs, job.id]
+    );
+    console.warn(`Webhook job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delayMs}ms`);
+  }
+
+  /**
+   * Keep a running job's lock fresh
+   * Only jobs whose worker stopped sending heartbeats look stale to recoverStaleJobs.
+   */
+  async heartbeat(jobId) {
+    try {
+      await pool.query(
+        `UPDATE webhook_jobs SET locked_at = NOW()
+         WHERE id = $1 AND status = 'processing' AND locked_by = $2`,
+        [jobId, this.workerId]
+      );
+    } catch (error) {
+      console.error(`Error refreshing lock of webhook job ${jobId}:`, error.message);
+    }
+  }
+
+  /**
+   * Process a single claimed job
+   */
+  async runJob(job) {
+    const startTime = Date.now();
+    const heartbeatTimer = setInterval(() => this.heartbeat(job.id), this.heartbeatMs);
+
+    try {
+      await WebhookProcessor.processEvent(job.payload, { attempt: job.attempts });
+      await this.markCompleted(job.id);
+      console.log(`Webhook job ${job.id} completed in ${Date.now() - startTime}ms`);
+    } catch (error) {
+      console.error(`Webhook job ${job.id} failed:`, error.message);
+      await this.markFailed(job, error);
+    } finally {
+      clearInterval(heartbeatTimer);
+    }
+  }
+
+  /**
+   * Worker loop: drain jobs until none are runnable, then poll
+   */
+  async workerLoop(index) {
+    while (this.running) {
+      try {
+        const job = await this.claimNextJob();
+
+        if (job) {
+          await this.runJob(job);
+          continue;
+        }
+      } catch (error) {
+        console.error(`Webhook worker ${index} error:`, error.message);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Return jobs stuck in processing (e.g. after a crash) to the pending state
+   * Running jobs refresh locked_at every heartbeatMs, so only jobs of dead workers go stale.
+   */
+  async recoverStaleJobs() {
+    try {
+      const result = await pool.query(
+        `UPDATE webhook_jobs
+         SET status = 'pending', locked_at = NULL, locked_by = NULL, updated_at = NOW()
+         WHERE status = 'processing' AND locked_at < NOW() - ($1 || ' milliseconds')::INTERVAL
+         RETURNING id`,
+        [this.staleLockMs]
+      );
+
+      if (result.rows.length > 0) {
+        console.warn(`Recovered ${result.rows.length} stale webhook job(s)`);
+      }
+    } catch (error) {
+      console.error("Error recovering stale webhook jobs:", error);
+    }
+  }
+
+  /**
+   * Start the worker pool
+   */
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.recoverStaleJobs();
+    this.staleLockTimer = setInterval(() => this.recoverStaleJobs(), this.staleLockMs);
+
+    for (let i = 0; i < this.concurrency; i++) {
+      this.workers.push(this.workerLoop(i));
+    }
+
+    console.log(`Webhook worker pool started with ${this.concurrency} worker(s)`);
+  }
+
+  /**
+   * Stop the worker pool, waiting for in-flight jobs to finish
+   */
+  async stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearInterval(this.staleLockTimer);
+    await Promise.all(this.workers);
+    this.workers = [];
+    console.log("Webhook worker pool stopped");
+  }
+
+  // Admin operations
+
+  async listJobs({ status = "dead", businessId = null, page = 1, limit = 20 } = {}) {
+    try {
+      const conditions = ["status = $1"];
+      const values = [status];
+
+      if (businessId) {
+        values.push(businessId);
+        conditions.push(`business_id = $${values.length}`);
+      }
+
+      const where = conditions.join(" AND ");
+      const countResult = await pool.query(`SELECT COUNT(*) FROM webhook_jobs WHERE ${where}`, values);
+
+      values.push(limit, (page - 1) * limit);
+      const result = await pool.query(
+        `SELECT id, business_id, ordering_key, status, attempts, max_attempts, last_error,
+           next_run_at, created_at, updated_at, completed_at
+         FROM webhook_jobs
+         WHERE ${where}
+         ORDER BY id DESC
+         LIMIT $${values.length - 1} OFFSET $${values.length}`,
+        values
+      );
+
+      return { jobs: result.rows, total: parseInt(countResult.rows[0].count) };
+    } catch (error) {
+      console.error("Error listing webhook jobs:", error);
+      throw error;
+    }
+  }
+
+  async getJob(jobId) {
+    try {
+      const result = await pool.query("SELECT * FROM webhook_jobs WHERE id = $1", [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error getting webhook job:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Requeue a failed or dead-lettered job with a fresh attempt budget
+   */
+  async retryJob(jobId) {
+    try {
+      const result = await pool.query(
+        `UPDATE webhook_jobs
+         SET status = 'pending', attempts = 0, next_run_at = NOW(), last_error = NULL, updated_at = NOW()
+         WHERE id = $1 AND status IN ('dead', 'discarded')
+         RETURNING *`,
+        [jobId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error retrying webhook job:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Discard a job so it is never processed again
+   */
+  async discardJob(jobId) {
+    try {
+      const result = await pool.query(
+        `UPDATE webhook_jobs
+         SET status = 'discarded', updated_at = NOW()
+         WHERE id = $1 AND status IN ('pending', 'dead')
+         RETURNING *`,
+        [jobId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error("Error discarding webhook job:", error);
+      throw error;
+    }
+  }
+
+  async getQueueStats() {
+    try {
+      const result = await pool.query("SELECT status, COUNT(*) AS count FROM webhook_jobs GROUP BY status");
+      return result.rows.reduce((stats, row) => ({ ...stats, [row.status]: parseInt(row.count) }), {});
+    } catch (error) {
+      console.error("Error getting webhook queue stats:", error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookQueueService();
@@ -2,48 +2,95 @@
 const axios = require("axios");
 const fs = require("fs");
 
-class WhatsAppService {
-  constructor() {
-    this.baseURL = "https://graph.facebook.com/v18.0";
+const WHATSAPP_API_BASE_URL = "https://graph.facebook.com/v18.0";
+
+/**
+ * Sanitize and validate access token
+ * @param {string} token - The access token to sanitize
+ * @returns {string} Sanitized token
+ */
+const sanitizeAccessToken = (token) => {
+  if (!token) {
+    throw new Error("Access token is required");
   }
 
-  /**
-   * Sanitize and validate access token
-   * @param {string} token - The access token to sanitize
-   * @returns {string} Sanitized token
-   */
-  sanitizeAccessToken(token) {
-    if (!token) {
-      throw new Error("Access token is required");
-    }
-    
-    // Remove any whitespace, newlines, or control characters
-    const sanitized = token.toString().trim().replace(/[\r\n\t\f\v]/g, '');
-    
-    // Validate token format (should be alphanumeric with some special chars)
-    if (!/^[A-Za-z0-9\-_\.]+$/.test(sanitized)) {
-      console.warn("Access token contains unexpected characters, attempting to clean...");
-      // Remove any non-printable characters except valid token characters
-      return sanitized.replace(/[^\x20-\x7E]/g, '');
-    }
-    
-    return sanitized;
+  // Remove any whitespace, newlines, or control characters
+  const sanitized = token.toString().trim().replace(/[\r\n\t\f\v]/g, "");
+
+  // Validate token format (should be alphanumeric with some special chars)
+  if (!/^[A-Za-z0-9\-_\.]+$/.test(sanitized)) {
+    console.warn("Access token contains unexpected characters, attempting to clean...");
+    // Remove any non-printable characters except valid token characters
+    return sanitized.replace(/[^\x20-\x7E]/g, "");
   }
 
+  return sanitized;
+};
+
+// Cloud API limits for message fields
+const LIMITS = {
+  textBody: 4096,
+  interactiveBody: 1024,
+  header: 60,
+  footer: 60,
+  buttons: 3,
+  buttonTitle: 20,
+  listRows: 10,
+  sectionTitle: 24,
+  rowTitle: 24,
+  rowDescription: 72,
+};
+
+const truncate = (text, maxLength) => {
+  const value = String(text ?? "");
+  return value.length > maxLength ? `${value.substring(0, maxLength - 1)}…` : value;
+};
+
+/**
+ * Build the body/header/footer part shared by interactive messages
+ */
+const buildInteractiveFrame = (body, { header, footer } = {}) => ({
+  ...(header && { header: { type: "text", text: truncate(header, LIMITS.header) } }),
+  body: { text: truncate(body, LIMITS.interactiveBody) },
+  ...(footer && { footer: { text: truncate(footer, LIMITS.footer) } }),
+});
+
+/**
+ * Build a media object referencing either an uploaded media ID or a public link
+ */
+const buildMediaObject = ({ id, link, caption }) => {
+  if (!id && !link) {
+    throw new Error("Media messages require a media id or link");
+  }
+
+  return {
+    ...(id ? { id } : { link }),
+    ...(caption && { caption }),
+  };
+};
+
+/**
+ * WhatsApp Cloud API client bound to a single business number
+ * Instances are immutable, so concurrent webhooks for different tenants never share credentials.
+ * Obtain one through WhatsAppService.forBusiness(config).
+ */
+class WhatsAppClient {
   /**
-   * Set configuration for a specific business
    * @param {Object} config - Business WhatsApp configuration
    * @param {string} config.phone_number_id - WhatsApp phone number ID
    * @param {string} config.access_token - WhatsApp access token
-   * @param {string} config.verify_token - Webhook verification token
+   * @param {number} config.business_id - Owning business ID
    */
-  setBusinessConfig(config) {
+  constructor(config) {
+    if (!config?.phone_number_id) {
+      throw new Error("WhatsApp phone number ID is required");
+    }
+
+    this.baseURL = WHATSAPP_API_BASE_URL;
+    this.businessId = config.business_id;
     this.phoneNumberId = config.phone_number_id;
-    this.accessToken = this.sanitizeAccessToken(config.access_token);
-    this.verifyToken = config.verify_token;
-    
-    // Log token info for debugging (without exposing the actual token)
-    console.log(`WhatsApp config set - Phone ID: ${this.phoneNumberId}, Token length: ${this.accessToken.length}`);
+    this.accessToken = sanitizeAccessToken(config.access_token);
+    Object.freeze(this);
   }
 
   /**
@@ -62,33 +109,36 @@ class WhatsAppService {
   }
 
   /**
-   * Send a text message via WhatsApp
+   * Check if a failed request may succeed when retried
+   * @param {Error} error - Axios error
+   * @returns {boolean} True for network errors, throttling (429) and server errors (5xx)
+   */
+  isRetryableError(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * Send any message type via the Cloud API messages endpoint
    * @param {string} to - Recipient phone number
-   * @param {string} text - Message text
+   * @param {string} type - WhatsApp message type (text, template, interactive, image, ...)
+   * @param {Object} payload - Type-specific message object
    * @returns {Promise<Object>} WhatsApp API response
    */
-  async sendTextMessage(to, text) {
+  async postMessage(to, type, payload) {
     try {
-      if (!this.phoneNumberId || !this.accessToken) {
-        throw new Error("WhatsApp configuration not set. Please set business config first.");
-      }
-
-      // Ensure token is still sanitized
-      const cleanToken = this.sanitizeAccessToken(this.accessToken);
-
       const response = await axios.post(
         `${this.baseURL}/${this.phoneNumberId}/messages`,
         {
           messaging_product: "whatsapp",
+          recipient_type: "individual",
           to: to,
-          type: "text",
-          text: {
-            body: text,
-          },
+          type: type,
+          [type]: payload,
         },
         {
           headers: {
-            Authorization: `Bearer ${cleanToken}`,
+            Authorization: `Bearer ${this.accessToken}`,
             "Content-Type": "application/json",
           },
         }
@@ -96,16 +146,209 @@ class WhatsAppService {
 
       return response.data;
     } catch (error) {
-      console.error("Error sending text message:", error.response?.data || error.message);
+      console.error(`Error sending ${type} message:`, error.response?.data || error.message);
 
       if (this.isTokenExpiredError(error)) {
         console.error(" WHATSAPP ACCESS TOKEN HAS EXPIRED! ");
         console.error("Please update the access token in your WhatsApp configuration.");
         console.error("You can get a new token from: https://developers.facebook.com/apps/");
-        throw new Error("WhatsApp access token has expired. Please update the token in your business configuration.");
+        const expiredError = new Error(
+          "WhatsApp access token has expired. Please update the token in your business configuration."
+        );
+        expiredError.code = error.response.data.error.code;
+        throw expiredError;
       }
 
-      throw new Error("Failed to send WhatsApp message");
+      const sendError = new Error("Failed to send WhatsApp message");
+      sendError.code = error.response?.data?.error?.code;
+      sendError.retryable = this.isRetryableError(error);
+      throw sendError;
+    }
+  }
+
+  /**
+   * Send a text message via WhatsApp
+   * @param {string} to - Recipient phone number
+   * @param {string} text - Message text
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendTextMessage(to, text) {
+    return this.postMessage(to, "text", { body: truncate(text, LIMITS.textBody) });
+  }
+
+  /**
+   * Send an approved template message
+   * @param {string} to - Recipient phone number
+   * @param {string} name - Template name as approved in WhatsApp Manager
+   * @param {Object} options - Template options
+   * @param {string} options.languageCode - Template language code
+   * @param {Array<Object>} options.components - Header/body/button components with parameters
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendTemplateMessage(to, name, { languageCode = "en_US", components = [] } = {}) {
+    return this.postMessage(to, "template", {
+      name,
+      language: { code: languageCode },
+      ...(components.length > 0 && { components }),
+    });
+  }
+
+  /**
+   * Send an interactive message with up to three reply buttons
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message body
+   * @param {Array<{id: string, title: string}>} buttons - Reply buttons
+   * @param {Object} options - Optional header and footer text
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendButtonMessage(to, body, buttons, { header, footer } = {}) {
+    if (!buttons?.length || buttons.length > LIMITS.buttons) {
+      throw new Error(`Button messages require between 1 and ${LIMITS.buttons} buttons`);
+    }
+
+    return this.postMessage(to, "interactive", {
+      type: "button",
+      ...buildInteractiveFrame(body, { header, footer }),
+      action: {
+        buttons: buttons.map((button) => ({
+          type: "reply",
+          reply: { id: String(button.id), title: truncate(button.title, LIMITS.buttonTitle) },
+        })),
+      },
+    });
+  }
+
+  /**
+   * Send an interactive list message
+   * @param {string} to - Recipient phone number
+   * @param {string} body - Message body
+   * @param {string} buttonText - Label of the button that opens the list
+   * @param {Array<{title: string, rows: Array<{id: string, title: string, description?: string}>}>} sections
+   * @param {Object} options - Optional header and footer text
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendListMessage(to, body, buttonText, sections, { header, footer } = {}) {
+    const rowCount = (sections || []).reduce((count, section) => count + (section.rows?.length || 0), 0);
+    if (rowCount === 0 || rowCount > LIMITS.listRows) {
+      throw new Error(`List messages require between 1 and ${LIMITS.listRows} rows`);
+    }
+
+    return this.postMessage(to, "interactive", {
+      type: "list",
+      ...buildInteractiveFrame(body, { header, footer }),
+      action: {
+        button: truncate(buttonText, LIMITS.buttonTitle),
+        sections: sections.map((section) => ({
+          ...(section.title && { title: truncate(section.title, LIMITS.sectionTitle) }),
+          rows: section.rows.map((row) => ({
+            id: String(row.id),
+            title: truncate(row.title, LIMITS.rowTitle),
+            ...(row.description && { description: truncate(row.description, LIMITS.rowDescription) }),
+          })),
+        })),
+      },
+    });
+  }
+
+  /**
+   * Send an image by media ID or public link
+   * @param {string} to - Recipient phone number
+   * @param {Object} image - { id } or { link }, with optional caption
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendImage(to, { id, link, caption }) {
+    return this.postMessage(to, "image", buildMediaObject({ id, link, caption }));
+  }
+
+  /**
+   * Send a document by media ID or public link
+   * @param {string} to - Recipient phone number
+   * @param {Object} document - { id } or { link }, with optional filename and caption
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendDocument(to, { id, link, filename, caption }) {
+    return this.postMessage(to, "document", {
+      ...buildMediaObject({ id, link, caption }),
+      ...(filename && { filename }),
+    });
+  }
+
+  /**
+   * Send an audio file by media ID or public link
+   * @param {string} to - Recipient phone number
+   * @param {Object} audio - { id } or { link }
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendAudio(to, { id, link }) {
+    return this.postMessage(to, "audio", buildMediaObject({ id, link }));
+  }
+
+  /**
+   * Send a location pin
+   * @param {string} to - Recipient phone number
+   * @param {Object} location - latitude, longitude and optional name/address
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendLocation(to, { latitude, longitude, name, address }) {
+    if (latitude === undefined || longitude === undefined) {
+      throw new Error("Location messages require latitude and longitude");
+    }
+
+    return this.postMessage(to, "location", {
+      latitude,
+      longitude,
+      ...(name && { name }),
+      ...(address && { address }),
+    });
+  }
+
+  /**
+   * Send one or more contact cards
+   * @param {string} to - Recipient phone number
+   * @param {Array<Object>} contacts - Contact objects in WhatsApp format ({ name: { formatted_name }, phones, ... })
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendContacts(to, contacts) {
+    if (!contacts?.length) {
+      throw new Error("Contact messages require at least one contact");
+    }
+
+    return this.postMessage(to, "contacts", contacts);
+  }
+
+  /**
+   * Render a reply returned by a handler
+   * Plain strings are sent as text; structured replies ({ type, ... }) use the matching sender.
+   * @param {string} to - Recipient phone number
+   * @param {string|Object} reply - Text or structured reply
+   * @returns {Promise<Object>} WhatsApp API response
+   */
+  async sendReply(to, reply) {
+    if (typeof reply === "string") {
+      return this.sendTextMessage(to, reply);
+    }
+
+    switch (reply?.type) {
+      case "text":
+        return this.sendTextMessage(to, reply.text);
+      case "template":
+        return this.sendTemplateMessage(to, reply.name, reply);
+      case "buttons":
+        return this.sendButtonMessage(to, reply.body, reply.buttons, reply);
+      case "list":
+        return this.sendListMessage(to, reply.body, reply.button, reply.sections, reply);
+      case "image":
+        return this.sendImage(to, reply);
+      case "document":
+        return this.sendDocument(to, reply);
+      case "audio":
+        return this.sendAudio(to, reply);
+      case "location":
+        return this.sendLocation(to, reply);
+      case "contacts":
+        return this.sendContacts(to, reply.contacts);
+      default:
+        throw new Error(`Unsupported reply type: ${reply?.type}`);
     }
   }
 
@@ -130,11 +373,6 @@ class WhatsAppService {
     try {
       console.log(`[DEBUG] Starting media download for ID: ${mediaId}`);
 
-      if (!this.accessToken) {
-        console.error("[DEBUG] No access token available");
-        throw new Error("WhatsApp configuration not set. Please set business config first.");
-      }
-
       console.log(`[DEBUG] Getting media URL from: ${this.baseURL}/${mediaId}`);
 
       // Get media URL from WhatsApp
@@ -191,92 +429,267 @@ class WhatsAppService {
       throw new Error("Failed to download media from WhatsApp");
     }
   }
+}
+
+class WhatsAppService {
+  constructor() {
+    this.baseURL = WHATSAPP_API_BASE_URL;
+  }
 
   /**
-   * Process incoming webhook message from WhatsApp
-   * @param {Object} body - Webhook request body
-   * @returns {Promise<Object|null>} Processed message data or null if no message
+   * Create a WhatsApp client for a specific business
+   * @param {Object} config - Business WhatsApp configuration (row from whatsapp_configs)
+   * @returns {WhatsAppClient} Client that sends from this business's number
    */
-  async processIncomingMessage(body) {
-    try {
-      console.log("Processing webhook body:", JSON.stringify(body, null, 2));
+  forBusiness(config) {
+    return new WhatsAppClient(config);
+  }
+
+  /**
+   * Plain-text representation of a reply, used for storage and conversation history
+   * @param {string|Object} reply - Text or structured reply
+   * @returns {string} Text describing what was sent
+   */
+  getReplyText(reply) {
+    if (typeof reply === "string") {
+      return reply;
+    }
 
-      // Check if this is a valid WhatsApp Business Account webhook
-      if (body.object !== "whatsapp_business_account") {
-        throw new Error("Invalid webhook structure: not a WhatsApp Business Account webhook");
+    switch (reply?.type) {
+      case "text":
+        return reply.text;
+      case "template":
+        return `[Template: ${reply.name}]`;
+      case "buttons":
+        return `${reply.body}\n\n${reply.buttons.map((button) => `[${button.title}]`).join(" ")}`;
+      case "list": {
+        const rows = reply.sections.flatMap((section) => section.rows);
+        return `${reply.body}\n\n${rows.map((row) => `• ${row.title}`).join("\n")}`;
       }
+      case "image":
+      case "document":
+      case "audio":
+        return reply.caption || `[${reply.type}${reply.filename ? `: ${reply.filename}` : ""}]`;
+      case "location":
+        return `📍 ${[reply.name, reply.address].filter(Boolean).join(", ") || `${reply.latitude}, ${reply.longitude}`}`;
+      case "contacts":
+        return `👤 ${reply.contacts.map((contact) => contact.name?.formatted_name).join(", ")}`;
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Whether a webhook payload carries WhatsApp Business Account events
+   * Meta sends other objects (e.g. "page") to the same URL when an app subscribes to more products.
+   */
+  isBusinessAccountWebhook(body) {
+    return body?.object === "whatsapp_business_account";
+  }
 
-      const entry = body.entry?.[0];
-      if (!entry) {
-        throw new Error("No entry found in webhook body");
+  /**
+   * Iterate over every change in a webhook payload
+   * @param {Object} body - Raw webhook payload
+   * @returns {Array<Object>} Changes with their entry and phone number ID
+   */
+  getWebhookChanges(body) {
+    if (!this.isBusinessAccountWebhook(body)) {
+      throw new Error("Invalid webhook structure: not a WhatsApp Business Account webhook");
+    }
+
+    const changes = [];
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        if (!change?.value) {
+          console.warn(`Skipping webhook change without value in entry ${entry.id}`);
+          continue;
+        }
+
+        const phoneNumberId = change.value.metadata?.phone_number_id;
+        if (!phoneNumberId) {
+          console.warn(`Skipping webhook change without phone number ID in entry ${entry.id}`);
+          continue;
+        }
+
+        changes.push({ entry, change, phoneNumberId });
       }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Split a (possibly batched) webhook payload into single-event payloads
+   * Each returned payload carries exactly one message or one status update, keeping
+   * the original entry/change envelope so it can be processed and retried on its own.
+   * @param {Object} body - Raw webhook payload
+   * @returns {Array<Object>} Single-event webhook payloads
+   */
+  splitWebhookEvents(body) {
+    const events = [];
+
+    for (const { entry, change } of this.getWebhookChanges(body)) {
+      const { messages = [], statuses = [], ...value } = change.value;
+      const wrap = (eventValue) => ({
+        object: body.object,
+        entry: [{ id: entry.id, changes: [{ field: change.field, value: { ...value, ...eventValue } }] }],
+      });
 
-      const changes = entry.changes?.[0];
-      if (!changes || !changes.value) {
-        throw new Error("Invalid webhook structure: no changes or value found");
+      for (const message of messages) {
+        events.push(wrap({ messages: [message] }));
       }
 
-      // Extract phone number ID from webhook metadata
-      const phoneNumberId = changes.value.metadata?.phone_number_id;
-      if (!phoneNumberId) {
-        throw new Error("No phone number ID found in webhook metadata");
+      for (const status of statuses) {
+        events.push(wrap({ statuses: [status] }));
       }
+    }
 
-      const messages = changes.value.messages;
-      if (!messages || messages.length === 0) {
-        console.log("No messages found in webhook, this might be a status update");
-        return null; // No messages to process
+    return events;
+  }
+
+  /**
+   * Extract message data from a single WhatsApp message object
+   * Non-text messages keep their type-specific details in `payload`; `content` holds a
+   * readable text form used for storage and conversation history.
+   * @param {Object} message - Message object from the webhook
+   * @param {string} phoneNumberId - Business phone number ID that received the message
+   * @returns {Object} Normalized message data
+   */
+  parseMessage(message, phoneNumberId) {
+    let messageType = "text";
+    let content = "";
+    let mediaUrl = null;
+    let mediaId = null;
+    let payload = null;
+
+    // Determine message type and extract content
+    if (message.text) {
+      messageType = "text";
+      content = message.text.body;
+    } else if (message.image) {
+      messageType = "image";
+      content = message.image.caption || "";
+      mediaId = message.image.id;
+      // For images, we don't get a direct URL - we need to download using the media ID
+      mediaUrl = null;
+    } else if (message.audio) {
+      messageType = "audio";
+      mediaId = message.audio.id;
+      mediaUrl = message.audio.url;
+      payload = { voice: !!message.audio.voice, mimeType: message.audio.mime_type };
+    } else if (message.document) {
+      messageType = "document";
+      content = message.document.caption || "";
+      mediaId = message.document.id;
+      mediaUrl = message.document.url;
+      payload = { filename: message.document.filename, mimeType: message.document.mime_type };
+    } else if (message.video) {
+      messageType = "video";
+      content = message.video.caption || "";
+      mediaId = message.video.id;
+      payload = { mimeType: message.video.mime_type };
+    } else if (message.sticker) {
+      messageType = "sticker";
+      mediaId = message.sticker.id;
+      payload = { animated: !!message.sticker.animated, mimeType: message.sticker.mime_type };
+    } else if (message.interactive) {
+      // Reply to one of our button or list messages
+      const interactiveType = message.interactive.type;
+      const selection = message.interactive[interactiveType] || {};
+      messageType = "interactive";
+      content = selection.title || "";
+      payload = {
+        interactiveType,
+        id: selection.id,
+        title: selection.title,
+        description: selection.description || null,
+      };
+    } else if (message.button) {
+      // Quick-reply button on a template message
+      messageType = "button";
+      content = message.button.text;
+      payload = { id: message.button.payload, title: message.button.text };
+    } else if (message.location) {
+      const { latitude, longitude, name, address, url } = message.location;
+      messageType = "location";
+      content = `📍 ${[name, address].filter(Boolean).join(", ") || `${latitude}, ${longitude}`}`;
+      payload = { latitude, longitude, name: name || null, address: address || null, url: url || null };
+    } else if (message.contacts) {
+      messageType = "contacts";
+      content = message.contacts
+        .map((contact) => {
+          const phone = contact.phones?.[0]?.phone;
+          return `👤 ${contact.name?.formatted_name || "Unknown"}${phone ? ` (${phone})` : ""}`;
+        })
+        .join("\n");
+      payload = { contacts: message.contacts };
+    } else if (message.reaction) {
+      messageType = "reaction";
+      content = message.reaction.emoji || "";
+      // An empty emoji means the user removed their reaction
+      payload = { messageId: message.reaction.message_id, emoji: message.reaction.emoji || null };
+    } else {
+      messageType = "unknown";
+      content = "Unsupported message type";
+    }
+
+    return {
+      from: message.from,
+      to: phoneNumberId, // Use the phone number ID from webhook metadata
+      messageId: message.id,
+      messageType,
+      content,
+      mediaId,
+      mediaUrl,
+      payload,
+      // Message this one replies to (swipe-reply or interactive reply)
+      contextMessageId: message.context?.id || null,
+      timestamp: message.timestamp,
+    };
+  }
+
+  /**
+   * Process incoming webhook payload
+   * Returns every message across all entries and changes, in delivery order.
+   * @param {Object} body - Raw webhook payload
+   * @returns {Array<Object>} Normalized message data (empty for status-only payloads)
+   */
+  async processIncomingMessage(body) {
+    try {
+      console.log("Processing webhook body:", JSON.stringify(body, null, 2));
+
+      const messages = [];
+      for (const { change, phoneNumberId } of this.getWebhookChanges(body)) {
+        for (const message of change.value.messages || []) {
+          messages.push(this.parseMessage(message, phoneNumberId));
+        }
       }
 
-      const message = messages[0];
-      const from = message.from;
-      const timestamp = message.timestamp;
-      const messageId = message.id;
-
-      let messageType = "text";
-      let content = "";
-      let mediaUrl = null;
-      let mediaId = null;
-
-      // Determine message type and extract content
-      if (message.text) {
-        messageType = "text";
-        content = message.text.body;
-      } else if (message.image) {
-        messageType = "image";
-        content = message.image.caption || "";
-        mediaId = message.image.id;
-        // For images, we don't get a direct URL - we need to download using the media ID
-        mediaUrl = null;
-      } else if (message.audio) {
-        messageType = "audio";
-        mediaId = message.audio.id;
-        mediaUrl = message.audio.url;
-      } else if (message.document) {
-        messageType = "document";
-        content = message.document.caption || "";
-        mediaId = message.document.id;
-        mediaUrl = message.document.url;
-      } else {
-        messageType = "unknown";
-        content = "Unsupported message type";
+      if (messages.length === 0) {
+        console.log("No messages found in webhook, this might be a status update");
       }
 
-      return {
-        from,
-        to: phoneNumberId, // Use the phone number ID from webhook metadata
-        messageId,
-        messageType,
-        content,
-        mediaId,
-        mediaUrl,
-        timestamp,
-      };
+      return messages;
     } catch (error) {
       console.error("Error processing incoming message:", error);
       throw error;
     }
   }
+
+  /**
+   * Extract every status update from a webhook payload
+   * @param {Object} body - Raw webhook payload
+   * @returns {Array<Object>} Status updates with the phone number ID they belong to
+   */
+  getStatusUpdates(body) {
+    const statuses = [];
+    for (const { change, phoneNumberId } of this.getWebhookChanges(body)) {
+      for (const status of change.value.statuses || []) {
+        statuses.push({ phoneNumberId, status });
+      }
+    }
+    return statuses;
+  }
 }
 
 module.exports = new WhatsAppService();
@@ -0,0 +1,112 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("./helpers/database");
+const authService = require("../services/auth");
+const { authMiddleware, accountMiddleware, adminMiddleware } = require("../middleware/auth");
+const businessRoutes = require("../routes/business");
+const { response, runRoute } = require("./helpers/express");
+
+// Run the middleware chain of an admin route; resolves with the response and whether the route ran
+const runAdminRoute = async (user) => {
+  const req = { user: { ...user } };
+  const res = response();
+  let reached = false;
+
+  await accountMiddleware(req, res, () => adminMiddleware(req, res, () => (reached = true)));
+  return { req, res, reached };
+};
+
+describe("account middleware", () => {
+  let account;
+
+  beforeEach(() => {
+    pool.reset();
+    account = null;
+    pool.onQuery((sql) => (sql.includes("FROM users") && account ? { rows: [account] } : { rows: [] }));
+  });
+
+  test("uses the role stored for the user, not the one in the token", async () => {
+    account = { role: "viewer", status: "active" };
+
+    const { req, res, reached } = await runAdminRoute({ id: 5, role: "admin" });
+
+    assert.equal(reached, false);
+    assert.equal(res.statusCode, 403);
+    assert.equal(req.user.role, "viewer");
+  });
+
+  test("lets a promoted user in before their token is renewed", async () => {
+    account = { role: "admin", status: "active" };
+
+    const { reached } = await runAdminRoute({ id: 5, role: "agent" });
+
+    assert.equal(reached, true);
+  });
+
+  test("rejects inactive accounts", async () => {
+    account = { role: "admin", status: "disabled" };
+
+    const { res, reached } = await runAdminRoute({ id: 5, role: "admin" });
+
+    assert.equal(reached, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "Account not found or inactive");
+  });
+
+  test("rejects removed accounts", async () => {
+    const { res, reached } = await runAdminRoute({ id: 5, role: "owner" });
+
+    assert.equal(reached, false);
+    assert.equal(res.statusCode, 401);
+  });
+});
+
+describe("account-wide admin routes", () => {
+  beforeEach(() => pool.reset());
+
+  test("an admin demoted in the database cannot create businesses", async () => {
+    pool.onQuery((sql) =>
+      sql.includes("FROM users") ? { rows: [{ role: "agent", status: "active" }] } : { rows: [] }
+    );
+    const token = authService.generateToken({ id: 5, username: "ana", email: "ana@example.com", role: "admin" });
+
+    const res = await runRoute(businessRoutes, "post", "/businesses", {
+      headers: { authorization: `Bearer ${token}` },
+      body: { name: "Second shop" },
+    });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.code, "AUTHORIZATION_ERROR");
+    assert.ok(!pool.queries.some(({ sql }) => sql.includes("INSERT INTO businesses")));
+  });
+});
+
+describe("auth middleware", () => {
+  const authenticate = (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = response();
+    let reached = false;
+
+    authMiddleware(req, res, () => (reached = true));
+    return { req, res, reached };
+  };
+
+  test("accepts access tokens", () => {
+    const token = authService.generateToken({ id: 5, username: "ana", email: "ana@example.com", role: "admin" });
+
+    const { req, reached } = authenticate(token);
+
+    assert.equal(reached, true);
+    assert.equal(req.user.id, 5);
+  });
+
+  test("rejects OAuth state values used as bearer tokens", () => {
+    const state = authService.createOAuthState("hubspot", { businessId: 1, userId: 5 });
+
+    const { res, reached } = authenticate(state);
+
+    assert.equal(reached, false);
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(authService.verifyOAuthState("hubspot", state), { businessId: 1, userId: 5 });
+  });
+});
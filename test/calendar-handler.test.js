@@ -0,0 +1,182 @@
+const { describe, test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("./helpers/database");
+const CalendarHandler = require("../services/calendar-handler");
+
+const BUSINESS_ID = 1;
+const CUSTOMER = "16505551234";
+
+const slots = [
+  { start: "2025-09-19T09:00:00", end: "2025-09-19T10:00:00", duration: 60 },
+  { start: "2025-09-19T14:00:00", end: "2025-09-19T15:00:00", duration: 60 },
+];
+
+// Dialog flows started through DialogStateService, as [flow, slots]
+const startedFlows = () =>
+  pool.queries
+    .filter(({ sql }) => sql.includes("INSERT INTO dialog_states"))
+    .map(({ params }) => [params[2], JSON.parse(params[4])]);
+
+describe("calendar availability replies", () => {
+  beforeEach(() => pool.reset());
+  afterEach(() => mock.restoreAll());
+
+  test("offers the free slots of a day as a list", async () => {
+    mock.method(CalendarHandler.googleService, "findAvailableSlots", async () => slots);
+
+    const result = await CalendarHandler.handleAvailabilityCheck(BUSINESS_ID, { date: "2025-09-19" }, CUSTOMER);
+
+    assert.equal(result.success, true);
+    assert.match(result.message, /Available time slots for 2025-09-19/);
+    assert.match(result.message, /Reply with the number \(1-2\)/);
+    assert.deepEqual(
+      result.reply.sections[0].rows.map(({ id }) => id),
+      ["slot_1", "slot_2"]
+    );
+    assert.deepEqual(startedFlows(), [["calendar_slot_selection", { data: { date: "2025-09-19" }, slots }]]);
+  });
+
+  test("reports a fully booked day without a list", async () => {
+    mock.method(CalendarHandler.googleService, "findAvailableSlots", async () => []);
+
+    const result = await CalendarHandler.handleAvailabilityCheck(BUSINESS_ID, { date: "2025-09-19" }, CUSTOMER);
+
+    assert.match(result.message, /No available slots found for 2025-09-19/);
+    assert.equal(result.reply, null);
+    assert.deepEqual(startedFlows(), []);
+  });
+
+  test("offers the next free slot when no date is given", async () => {
+    mock.method(CalendarHandler.googleService, "getNextAvailableSlot", async () => ({
+      date: "2025-09-19",
+      slot: slots[0],
+      allSlots: slots,
+    }));
+
+    const result = await CalendarHandler.handleAvailabilityCheck(BUSINESS_ID, {}, CUSTOMER);
+
+    assert.match(result.message, /Next Available Appointment/);
+    assert.match(result.message, /Duration: 60 minutes/);
+    assert.equal(result.reply.type, "buttons");
+  });
+
+  test("reports when there is no free slot in the next 30 days", async () => {
+    mock.method(CalendarHandler.googleService, "getNextAvailableSlot", async () => null);
+
+    const result = await CalendarHandler.handleAvailabilityCheck(BUSINESS_ID, {}, CUSTOMER);
+
+    assert.equal(result.success, true);
+    assert.equal(result.message, "❌ No available slots found in the next 30 days.");
+    assert.equal(result.reply, null);
+  });
+});
+
+describe("calendar Yes/No follow-ups", () => {
+  let state;
+
+  beforeEach(() => {
+    pool.reset();
+    state = null;
+    // One conversation's dialog state, kept the way DialogStateService reads and writes it
+    pool.onQuery((sql, params) => {
+      if (sql.includes("INSERT INTO dialog_states")) {
+        state = { flow: params[2], slots: JSON.parse(params[4]), expired: false };
+        return { rows: [state] };
+      }
+      if (sql.includes("DELETE FROM dialog_states")) {
+        state = null;
+      }
+      if (sql.includes("FROM dialog_states") && state) {
+        return { rows: [state] };
+      }
+      return { rows: [] };
+    });
+
+    mock.method(CalendarHandler.googleService, "createCalendarEvent", async (businessId, eventData) => ({
+      id: "event-1",
+      summary: eventData.title,
+      start: { dateTime: eventData.startTime },
+    }));
+  });
+  afterEach(() => mock.restoreAll());
+
+  test("YES to a taken time lists the free slots of that day", async () => {
+    const checkAvailability = mock.method(CalendarHandler.googleService, "checkAvailability", async () => ({
+      isAvailable: false,
+      conflictingEvents: [{ id: "busy" }],
+    }));
+    mock.method(CalendarHandler.googleService, "findAvailableSlots", async () => slots);
+
+    const offer = await CalendarHandler.handleBookingRequest(
+      BUSINESS_ID,
+      { date: "2025-09-19", time: "11:00", title: "Haircut" },
+      CUSTOMER
+    );
+    assert.equal(offer.reply.type, "buttons");
+    assert.equal(state.flow, "calendar_availability");
+
+    const result = await CalendarHandler.processFlowReply(BUSINESS_ID, "Yes", CUSTOMER, { interactiveId: "yes" });
+
+    assert.match(result.message, /Available time slots for 2025-09-19/);
+    assert.equal(result.reply.type, "list");
+    assert.equal(state.flow, "calendar_slot_selection");
+    assert.deepEqual(state.slots.data, { date: "2025-09-19", title: "Haircut" });
+    assert.equal(checkAvailability.mock.callCount(), 1);
+  });
+
+  test("YES to a free time books it", async () => {
+    mock.method(CalendarHandler.googleService, "checkAvailability", async () => ({
+      isAvailable: true,
+      conflictingEvents: [],
+    }));
+
+    const offer = await CalendarHandler.handleAvailabilityCheck(
+      BUSINESS_ID,
+      { date: "2025-09-19", time: "09:00" },
+      CUSTOMER
+    );
+    assert.equal(offer.reply.type, "buttons");
+
+    const result = await CalendarHandler.processFlowReply(BUSINESS_ID, "yes", CUSTOMER);
+
+    assert.match(result.message, /Appointment Confirmed/);
+    assert.deepEqual(state.slots, { eventId: "event-1" });
+  });
+
+  test("YES to the next available slot books that slot", async () => {
+    mock.method(CalendarHandler.googleService, "getNextAvailableSlot", async () => ({
+      date: "2025-09-19",
+      slot: slots[1],
+      allSlots: slots,
+    }));
+    mock.method(CalendarHandler.googleService, "checkAvailability", async () => ({
+      isAvailable: true,
+      conflictingEvents: [],
+    }));
+
+    const offer = await CalendarHandler.handleAvailabilityCheck(BUSINESS_ID, {}, CUSTOMER);
+    assert.equal(offer.reply.type, "buttons");
+    assert.deepEqual(state.slots.data, { date: "2025-09-19", time: "14:00", duration: 60 });
+
+    const result = await CalendarHandler.processFlowReply(BUSINESS_ID, "Yes", CUSTOMER, { interactiveId: "yes" });
+
+    assert.match(result.message, /Appointment Confirmed/);
+    const [, eventData] = CalendarHandler.googleService.createCalendarEvent.mock.calls[0].arguments;
+    assert.equal(eventData.startTime, new Date("2025-09-19T14:00:00").toISOString());
+    assert.equal(eventData.endTime, new Date("2025-09-19T15:00:00").toISOString());
+  });
+
+  test("NO clears the pending proposal", async () => {
+    mock.method(CalendarHandler.googleService, "getNextAvailableSlot", async () => ({
+      date: "2025-09-19",
+      slot: slots[0],
+      allSlots: slots,
+    }));
+
+    await CalendarHandler.handleAvailabilityCheck(BUSINESS_ID, {}, CUSTOMER);
+    const result = await CalendarHandler.processFlowReply(BUSINESS_ID, "No", CUSTOMER, { interactiveId: "no" });
+
+    assert.match(result.message, /No problem/);
+    assert.equal(state, null);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("./helpers/database");
+const authService = require("../services/auth");
+const EventBus = require("../services/events");
+const { streamAuthMiddleware, businessAccessMiddleware } = require("../middleware/auth");
+const businessRoutes = require("../routes/business");
+const { response, runRoute } = require("./helpers/express");
+
+const BUSINESS_ID = 3;
+const user = { id: 5, username: "ana", email: "ana@example.com", role: "agent" };
+
+describe("event stream authentication", () => {
+  beforeEach(() => {
+    pool.reset();
+    pool.onQuery((sql) =>
+      sql.includes("FROM users") ? { rows: [{ role: "agent", status: "active", member: true }] } : { rows: [] }
+    );
+  });
+
+  // Run the stream route's authentication; resolves with the response and whether the stream would open
+  const openStream = async (query, headers = {}, businessId = BUSINESS_ID) => {
+    const req = { query, headers, params: { businessId: String(businessId) } };
+    const res = response();
+    let authenticated = false;
+    let opened = false;
+
+    streamAuthMiddleware(req, res, () => (authenticated = true));
+    if (authenticated) {
+      await businessAccessMiddleware(req, res, () => (opened = true));
+    }
+    return { req, res, opened };
+  };
+
+  test("issues stream tokens that open the business's stream", async () => {
+    const res = await runRoute(businessRoutes, "post", "/businesses/:businessId/events/token", {
+      headers: { authorization: `Bearer ${authService.generateToken(user)}` },
+      params: { businessId: String(BUSINESS_ID) },
+    });
+
+    const { req, opened } = await openStream({ stream_token: res.body.data.token });
+
+    assert.equal(opened, true);
+    assert.equal(req.user.id, user.id);
+    assert.equal(req.user.role, "agent");
+    assert.equal(res.body.data.expiresIn, authService.streamTokenExpiry);
+  });
+
+  test("do not accept access tokens in the query string", async () => {
+    const { res, opened } = await openStream({ access_token: authService.generateToken(user) });
+
+    assert.equal(opened, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  test("still accept access tokens in the Authorization header", async () => {
+    const { opened } = await openStream({}, { authorization: `Bearer ${authService.generateToken(user)}` });
+
+    assert.equal(opened, true);
+  });
+
+  test("reject stream tokens of another business", async () => {
+    const { res, opened } = await openStream({ stream_token: authService.createStreamToken(user.id, 4) });
+
+    assert.equal(opened, false);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.error, "Invalid or expired stream token");
+  });
+
+  test("stream tokens are not access tokens", () => {
+    assert.throws(() => authService.verifyToken(authService.createStreamToken(user.id, BUSINESS_ID)));
+  });
+});
+
+describe("event IDs", () => {
+  test("keep increasing across a restart", async () => {
+    const before = EventBus.publish("message.created", BUSINESS_ID, { id: 1 });
+    await new Promise((resolve) => setTimeout(resolve, 2));
+    const restarted = new EventBus.constructor();
+
+    const first = restarted.publish("message.created", BUSINESS_ID, { id: 2 });
+    const second = restarted.publish("message.created", BUSINESS_ID, { id: 3 });
+
+    assert.ok(first.id > before.id);
+    assert.ok(second.id > first.id);
+    assert.deepEqual(
+      restarted.getEventsSince(BUSINESS_ID, before.id).map(({ data }) => data.id),
+      [2, 3]
+    );
+  });
+});
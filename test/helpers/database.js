@@ -0,0 +1,35 @@
+/**
+ * In-memory stand-in for config/database
+ * Require this before any service so services get the fake pool and tests run without Postgres.
+ * Every query is recorded; the handler set with onQuery decides the result ({ rows: [] } by default).
+ */
+const databasePath = require.resolve("../../config/database");
+
+const pool = {
+  queries: [],
+  handler: () => ({ rows: [] }),
+
+  onQuery(handler) {
+    this.handler = handler;
+  },
+
+  reset() {
+    this.queries = [];
+    this.handler = () => ({ rows: [] });
+  },
+
+  async query(sql, params = []) {
+    this.queries.push({ sql, params });
+    return (await this.handler(sql, params)) || { rows: [] };
+  },
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release() {} };
+  },
+
+  on() {},
+};
+
+require.cache[databasePath] = { id: databasePath, filename: databasePath, loaded: true, exports: pool };
+
+module.exports = pool;
@@ -0,0 +1,49 @@
+/**
+ * Minimal Express stand-ins for running route handlers without an HTTP server
+ */
+
+// Response that records the status code and body
+const response = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+// Run every handler of a router's route in order, as Express would
+// Resolves once a response is sent: asyncHandler does not return its promise, so it cannot be awaited
+const runRoute = (router, method, path, req) =>
+  new Promise((resolve, reject) => {
+    const layer = router.stack.find(({ route }) => route && route.path === path && route.methods[method]);
+    const handlers = layer.route.stack.map(({ handle }) => handle);
+    const res = response();
+    for (const method of ["json", "send"]) {
+      const send = res[method];
+      res[method] = (body) => {
+        send.call(res, body);
+        resolve(res);
+        return res;
+      };
+    }
+
+    let index = 0;
+    const next = (error) => {
+      if (error) return reject(error);
+      const handler = handlers[index++];
+      if (!handler) return resolve(res);
+      Promise.resolve(handler(req, res, next)).catch(reject);
+    };
+    next();
+  });
+
+module.exports = { response, runRoute };
@@ -0,0 +1,122 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+
+process.env.LLM_PROVIDER = "fake";
+
+require("./helpers/database");
+const IntentEvaluationService = require("../services/intent-evaluation");
+const IntentDetectionService = require("../services/intent-detection");
+const catalog = require("./fixtures/intents/catalog.json");
+const testSet = require("./fixtures/intents/test-set.json");
+
+const script = path.join(__dirname, "../scripts/evaluate-intents.js");
+const catalogFile = path.join(__dirname, "fixtures/intents/catalog.json");
+const testSetFile = path.join(__dirname, "fixtures/intents/test-set.json");
+
+// Run the CLI and parse its --json report (printed after the one-line summary)
+const runScript = async (args) => {
+  const { stdout } = await promisify(execFile)(process.execPath, [script, ...args, "--json"], {
+    env: { ...process.env, LLM_PROVIDER: "openai" },
+    timeout: 30000,
+  });
+  return JSON.parse(stdout.slice(stdout.indexOf("{")));
+};
+
+describe("intent evaluation with stub embeddings", () => {
+  const evaluate = () =>
+    IntentEvaluationService.evaluate(testSet, { catalog, embed: IntentEvaluationService.createStubEmbedder() });
+
+  test("builds the confusion matrix", async () => {
+    const report = await evaluate();
+
+    assert.equal(report.total, 8);
+    assert.equal(report.accuracy, 0.625);
+    assert.deepEqual(report.labels, ["calendar_create", "faq", "gmail_send", "none"]);
+    assert.deepEqual(report.confusionMatrix, {
+      calendar_create: { calendar_create: 1, faq: 0, gmail_send: 0, none: 1 },
+      faq: { calendar_create: 0, faq: 2, gmail_send: 0, none: 0 },
+      gmail_send: { calendar_create: 1, faq: 0, gmail_send: 1, none: 1 },
+      none: { calendar_create: 0, faq: 0, gmail_send: 0, none: 1 },
+    });
+    assert.deepEqual(
+      report.misclassified.map(({ text, predicted }) => [text, predicted]),
+      [
+        ["Email the invoice to my accountant", "none"],
+        ["Schedule a call with the supplier", "none"],
+        ["Email the client to book an appointment for tomorrow", "calendar_create"],
+      ]
+    );
+  });
+
+  test("scores precision and recall per intent", async () => {
+    const report = await evaluate();
+
+    assert.deepEqual(
+      report.perIntent.map(({ intent, support, precision, recall, f1 }) => ({
+        intent,
+        support,
+        precision,
+        recall,
+        f1,
+      })),
+      [
+        { intent: "calendar_create", support: 2, precision: 0.5, recall: 0.5, f1: 0.5 },
+        { intent: "faq", support: 2, precision: 1, recall: 1, f1: 1 },
+        { intent: "gmail_send", support: 3, precision: 1, recall: 0.333, f1: 0.5 },
+      ]
+    );
+    assert.equal(report.macroPrecision, 0.833);
+    assert.equal(report.macroRecall, 0.611);
+  });
+
+  test("recommends thresholds with the best F1", async () => {
+    const report = await evaluate();
+
+    assert.deepEqual(
+      report.thresholdRecommendations.map(({ intent, recommendedThreshold, recommendedF1, change }) => ({
+        intent,
+        recommendedThreshold,
+        recommendedF1,
+        change,
+      })),
+      [
+        { intent: "gmail_send", recommendedThreshold: 0.65, recommendedF1: 0.8, change: "lower" },
+        { intent: "calendar_create", recommendedThreshold: 0.65, recommendedF1: 0.8, change: "lower" },
+        { intent: "faq", recommendedThreshold: 0.7, recommendedF1: 1, change: "keep" },
+      ]
+    );
+  });
+
+  test("the stub embedder is deterministic and scores unrelated texts at 0.5", async () => {
+    const embed = IntentEvaluationService.createStubEmbedder();
+    const similarity = async (a, b) => IntentDetectionService.calculateCosineSimilarity(await embed(a), await embed(b));
+
+    assert.deepEqual(await embed("Send an email"), await embed("Send an email"));
+    assert.ok((await similarity("Send the emails", "Send an email")) > 0.99);
+    assert.equal(await similarity("Send an email", "What are your opening hours?"), 0.5);
+  });
+});
+
+describe("evaluate-intents script", () => {
+  test("--stub evaluates a catalog file without calling a provider", async () => {
+    const report = await runScript(["--stub", "--catalog", catalogFile, "--test-set", testSetFile]);
+    const expected = await IntentEvaluationService.evaluate(testSet, {
+      catalog,
+      embed: IntentEvaluationService.createStubEmbedder(),
+    });
+
+    assert.deepEqual(report.confusionMatrix, expected.confusionMatrix);
+    assert.deepEqual(report.thresholdRecommendations, expected.thresholdRecommendations);
+  });
+
+  test("--stub matches most of the bundled test set against the seed catalog", async () => {
+    const report = await runScript(["--stub"]);
+    const unmatched = report.labels.reduce((sum, label) => sum + report.confusionMatrix[label].none, 0);
+
+    assert.ok(report.accuracy > 0.5);
+    assert.ok(unmatched < report.total / 2);
+  });
+});
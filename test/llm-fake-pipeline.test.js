@@ -0,0 +1,119 @@
+const { describe, test, before, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LLM_PROVIDER = "fake";
+process.env.LLM_EMBEDDING_DIMENSIONS = "256";
+
+const pool = require("./helpers/database");
+const LLMService = require("../services/llm");
+const IntentDetectionService = require("../services/intent-detection");
+const MessageRouter = require("../services/message-router");
+
+const BUSINESS_ID = 3;
+
+const intents = [
+  {
+    id: 1,
+    business_id: null,
+    name: "calendar_create",
+    description: "Book an appointment",
+    confidence_threshold: "0.6",
+  },
+  { id: 2, business_id: null, name: "faq", description: "Business questions", confidence_threshold: "0.6" },
+  { id: 3, business_id: null, name: "gmail_send", description: "Send an email", confidence_threshold: "0.6" },
+  { id: 4, business_id: BUSINESS_ID, name: "gmail_send", description: null, confidence_threshold: null, active: false },
+].map((intent) => ({ active: true, ...intent }));
+
+const examples = [
+  { intent_id: 1, text: "book an appointment for tomorrow at 3 pm" },
+  { intent_id: 2, text: "what are your opening hours" },
+  { intent_id: 3, text: "send an email to the supplier" },
+];
+
+// Catalog rows for intent detection; every other query finds nothing
+const handleQuery = (sql, params) => {
+  if (sql.includes("FROM intents")) return { rows: intents };
+  if (sql.includes("FROM intent_examples")) {
+    return { rows: examples.filter((example) => params[0].includes(example.intent_id)) };
+  }
+  return { rows: [] };
+};
+
+const usageRows = () =>
+  pool.queries.filter(({ sql }) => sql.includes("INSERT INTO llm_usage")).map(({ params }) => params);
+
+describe("pipeline with LLM_PROVIDER=fake", () => {
+  before(async () => {
+    const embeddings = await LLMService.embed(examples.map(({ text }) => text));
+    examples.forEach((example, index) => {
+      example.embedding = embeddings[index];
+      example.weight = "1.0";
+    });
+  });
+
+  beforeEach(() => {
+    pool.reset();
+    pool.onQuery(handleQuery);
+  });
+
+  test("uses the fake provider without an API key", async () => {
+    const config = await LLMService.getConfig();
+    assert.equal(config.provider, "fake");
+
+    const result = await LLMService.chat({ messages: [{ role: "user", content: "Hello there" }] });
+
+    assert.equal(result.message.content, "[gpt-4] Hello there");
+    assert.equal(result.provider, "fake");
+  });
+
+  test("meters every call under the fake provider", async () => {
+    await LLMService.chat(
+      { messages: [{ role: "user", content: "Hi" }] },
+      { businessId: BUSINESS_ID, purpose: "fast" }
+    );
+    await LLMService.embed("Hi", { businessId: BUSINESS_ID, feature: "faq" });
+
+    const [chat, embedding] = usageRows();
+    assert.deepEqual(chat.slice(0, 6), [BUSINESS_ID, null, "chat", "chat", "fake", "gpt-3.5-turbo"]);
+    assert.deepEqual(embedding.slice(0, 6), [BUSINESS_ID, null, "faq", "embedding", "fake", "text-embedding-3-small"]);
+  });
+
+  test("detects intents from example embeddings", async () => {
+    const result = await IntentDetectionService.detectIntent("What are your opening hours on Sunday?", BUSINESS_ID);
+
+    assert.equal(result.intent, "faq");
+    assert.equal(result.method, "embedding");
+    assert.ok(result.confidence >= 0.6);
+  });
+
+  test("ignores examples of intents the business disabled", async () => {
+    const result = await IntentDetectionService.detectIntent("Send an email to the supplier", BUSINESS_ID);
+
+    const exampleQuery = pool.queries.find(({ sql }) => sql.includes("FROM intent_examples"));
+    assert.deepEqual(exampleQuery.params[0].sort(), [1, 2]);
+    assert.equal(result.intent, "general");
+  });
+
+  test("falls back to general when the classifier reply is not JSON", async () => {
+    const result = await IntentDetectionService.detectIntent("Thanks, that's all", BUSINESS_ID);
+
+    assert.equal(result.intent, "general");
+    assert.equal(result.method, "gpt-fallback-error");
+  });
+
+  test("routes a message to the general AI answer", async () => {
+    const result = await MessageRouter.route({
+      businessId: BUSINESS_ID,
+      phoneNumber: "16505551234",
+      text: "Thanks, see you soon",
+      messageData: { messageId: "wamid.fake", from: "16505551234", messageType: "text" },
+      businessTone: null,
+    });
+
+    assert.equal(result.handler, "ai");
+    assert.equal(result.fallback, true);
+    assert.equal(result.intent.intent, "general");
+    assert.match(result.reply, /Thanks, see you soon/);
+    assert.ok(usageRows().every((params) => params[4] === "fake"));
+  });
+});
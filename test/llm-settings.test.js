@@ -0,0 +1,127 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const pool = require("./helpers/database");
+const LLMService = require("../services/llm");
+
+process.env.SECRETS_ENCRYPTION_KEY = crypto.randomBytes(32).toString("base64");
+
+const defaults = {
+  provider: "openai",
+  baseUrl: null,
+  apiKey: "sk-deployment-key",
+  apiVersion: "2024-06-01",
+  models: { chat: "gpt-4", fast: "gpt-3.5-turbo" },
+  embeddingDimensions: 1536,
+};
+
+describe("business LLM settings", () => {
+  test("use the deployment key on the default endpoint", () => {
+    const config = LLMService.mergeSettings(defaults, { provider: "openai", chat_model: "gpt-4o" });
+
+    assert.equal(config.apiKey, "sk-deployment-key");
+    assert.equal(config.models.chat, "gpt-4o");
+    assert.equal(config.models.fast, "gpt-3.5-turbo");
+  });
+
+  test("do not send the deployment key to another base URL", () => {
+    const config = LLMService.mergeSettings(defaults, { provider: "openai", base_url: "https://llm.example.com/v1" });
+
+    assert.equal(config.baseUrl, "https://llm.example.com/v1");
+    assert.equal(config.apiKey, null);
+  });
+
+  test("do not lend the deployment key to another provider", () => {
+    const config = LLMService.mergeSettings(defaults, {
+      provider: "openai_compatible",
+      base_url: "https://llm.example.com/v1",
+    });
+
+    assert.equal(config.apiKey, null);
+  });
+
+  test("prefer the business's own key", () => {
+    const config = LLMService.mergeSettings(defaults, {
+      provider: "openai",
+      base_url: "https://llm.example.com/v1",
+      api_key: "sk-business-key",
+    });
+
+    assert.equal(config.apiKey, "sk-business-key");
+  });
+
+  test("treat the default base URL as the default endpoint", () => {
+    const azure = { ...defaults, provider: "azure", baseUrl: "https://deployment.openai.azure.com" };
+
+    assert.equal(LLMService.usesDefaultEndpoint(azure, "azure", "https://deployment.openai.azure.com"), true);
+    assert.equal(LLMService.usesDefaultEndpoint(azure, "azure", null), true);
+    assert.equal(LLMService.usesDefaultEndpoint(azure, "azure", "https://other.openai.azure.com"), false);
+    assert.equal(LLMService.usesDefaultEndpoint(azure, "openai", null), true);
+  });
+});
+
+describe("business LLM API keys", () => {
+  let stored;
+
+  beforeEach(() => {
+    pool.reset();
+    LLMService.configCache.clear();
+    stored = null;
+    pool.onQuery((sql, params) => {
+      if (sql.includes("INSERT INTO business_llm_settings")) {
+        stored = { id: 1, business_id: params[0], provider: params[1], base_url: params[6], api_key: params[7] };
+        return { rows: [stored] };
+      }
+      return { rows: stored ? [stored] : [] };
+    });
+  });
+
+  test("are stored encrypted and never returned", async () => {
+    const settings = await LLMService.updateBusinessSettings(7, {
+      provider: "openai_compatible",
+      baseUrl: "https://llm.example.com/v1",
+      apiKey: "sk-business-key",
+    });
+
+    assert.match(stored.api_key, /^enc:v1:/);
+    assert.ok(!stored.api_key.includes("sk-business-key"));
+    assert.equal(settings.api_key, undefined);
+    assert.equal(settings.has_api_key, true);
+  });
+
+  test("are decrypted for model calls", async () => {
+    await LLMService.updateBusinessSettings(7, {
+      provider: "openai_compatible",
+      baseUrl: "https://llm.example.com/v1",
+      apiKey: "sk-business-key",
+    });
+
+    const config = await LLMService.getConfig(7);
+    assert.equal(config.provider, "openai_compatible");
+    assert.equal(config.apiKey, "sk-business-key");
+  });
+
+  test("are kept when the client sends a mask back", async () => {
+    await LLMService.updateBusinessSettings(7, {
+      provider: "openai_compatible",
+      baseUrl: "https://llm.example.com/v1",
+      apiKey: "****-key",
+    });
+
+    const [{ params }] = pool.queries;
+    assert.equal(params[7], null);
+    assert.equal(params[9], true);
+  });
+
+  test("stored before encryption are still read", async () => {
+    stored = {
+      id: 1,
+      business_id: 7,
+      provider: "openai_compatible",
+      base_url: "https://llm.example.com/v1",
+      api_key: "sk-legacy",
+    };
+
+    assert.equal((await LLMService.getConfig(7)).apiKey, "sk-legacy");
+  });
+});
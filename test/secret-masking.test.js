@@ -0,0 +1,86 @@
+const { describe, test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const pool = require("./helpers/database");
+const authService = require("../services/auth");
+const SecretService = require("../services/secrets");
+const AirtableService = require("../services/airtable");
+const businessRoutes = require("../routes/business");
+const { runRoute } = require("./helpers/express");
+
+process.env.SECRETS_ENCRYPTION_KEY = crypto.randomBytes(32).toString("base64");
+
+const BUSINESS_ID = 4;
+const ACCESS_TOKEN = "EAAGm0PX4ZCpsBAKcUQkZBZAW1example";
+
+describe("masked secrets sent back by clients", () => {
+  let stored;
+
+  beforeEach(() => {
+    pool.reset();
+    stored = {
+      id: 1,
+      business_id: BUSINESS_ID,
+      phone_number_id: "106540352242922",
+      access_token: SecretService.encrypt(ACCESS_TOKEN),
+      verify_token: "verify-me",
+      webhook_url: null,
+      app_secret: SecretService.encrypt("app-secret-value"),
+    };
+    // One admin and one WhatsApp config; the UPDATE applies its COALESCEs like Postgres would
+    pool.onQuery((sql, params) => {
+      if (sql.includes("FROM users")) return { rows: [{ role: "admin", status: "active", member: true }] };
+      if (sql.includes("UPDATE whatsapp_configs")) {
+        const [phone_number_id, access_token, verify_token, webhook_url, app_secret] = params;
+        stored = {
+          ...stored,
+          phone_number_id,
+          access_token: access_token ?? stored.access_token,
+          verify_token,
+          webhook_url,
+          app_secret: app_secret ?? stored.app_secret,
+        };
+        return { rows: [stored] };
+      }
+      if (sql.includes("FROM whatsapp_configs")) return { rows: [stored] };
+      return { rows: [] };
+    });
+  });
+
+  test("saving the WhatsApp config as it was read keeps the stored secrets", async () => {
+    const token = authService.generateToken({ id: 5, username: "ana", email: "ana@example.com", role: "admin" });
+    const request = (body) => ({
+      headers: { authorization: `Bearer ${token}` },
+      params: { businessId: String(BUSINESS_ID) },
+      body,
+    });
+
+    const read = await runRoute(businessRoutes, "get", "/businesses/:businessId/whatsapp", request());
+    assert.equal(read.body.data.access_token, "****mple");
+
+    const saved = await runRoute(businessRoutes, "put", "/businesses/:businessId/whatsapp", request(read.body.data));
+
+    assert.equal(saved.statusCode, 200);
+    const update = pool.queries.find(({ sql }) => sql.includes("UPDATE whatsapp_configs"));
+    assert.equal(update.params[1], null);
+    assert.equal(update.params[4], null);
+    assert.equal(SecretService.decrypt(stored.access_token), ACCESS_TOKEN);
+    assert.equal(SecretService.decrypt(stored.app_secret), "app-secret-value");
+  });
+
+  test("a masked Airtable token keeps the stored one", async () => {
+    await AirtableService.saveConfig(BUSINESS_ID, { access_token: "****mple", base_id: "app1", table_name: "FAQ" });
+
+    const [{ sql, params }] = pool.queries;
+    assert.match(sql, /COALESCE\(\$2, \(SELECT access_token FROM airtable_integrations WHERE business_id = \$1\)\)/);
+    assert.equal(params[1], null);
+  });
+
+  test("only masks are treated as omitted", () => {
+    assert.equal(SecretService.isMasked("****"), true);
+    assert.equal(SecretService.isMasked(SecretService.mask(ACCESS_TOKEN)), true);
+    assert.equal(SecretService.isMasked(ACCESS_TOKEN), false);
+    assert.equal(SecretService.isMasked("*****"), false);
+    assert.equal(SecretService.isMasked(null), false);
+  });
+});
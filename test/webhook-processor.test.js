@@ -0,0 +1,106 @@
+const { describe, test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const pool = require("./helpers/database");
+const BusinessService = require("../services/business");
+const WhatsAppService = require("../services/whatsapp");
+const WebhookProcessor = require("../services/webhook-processor");
+
+const messageData = {
+  messageId: "wamid.HBgLMTY1MDU1NTEyMzQVAgASGBQzQTdCNUI2RjU0QjM2QjYwQjE2OAA=",
+  from: "16505551234",
+  to: "106540352242922",
+  messageType: "text",
+  content: "What are your opening hours?",
+};
+
+describe("webhook processor retries", () => {
+  let getConfig;
+
+  beforeEach(() => {
+    pool.reset();
+    // Stop right after the duplicate checks: no business owns the number
+    getConfig = mock.method(BusinessService, "getWhatsAppConfigByPhoneNumber", async () => null);
+  });
+  afterEach(() => mock.restoreAll());
+
+  test("a retry does not answer a message that was already answered", async () => {
+    pool.onQuery((sql) => (sql.includes("context_message_id = $1") ? { rows: [{ id: 42 }] } : { rows: [] }));
+
+    await WebhookProcessor.processMessage(messageData, { attempt: 2 });
+
+    assert.equal(pool.queries.length, 1);
+    assert.deepEqual(pool.queries[0].params, [messageData.messageId]);
+    assert.match(pool.queries[0].sql, /direction = 'outbound' AND status <> 'failed'/);
+    assert.equal(getConfig.mock.callCount(), 0);
+  });
+
+  test("a retry without a reply processes the message again", async () => {
+    await WebhookProcessor.processMessage(messageData, { attempt: 2 });
+
+    assert.equal(getConfig.mock.callCount(), 1);
+    assert.ok(!pool.queries.some(({ sql }) => sql.includes("WHERE message_id = $1")));
+  });
+
+  test("a first attempt skips messages that were already saved", async () => {
+    pool.onQuery((sql) => (sql.includes("WHERE message_id = $1") ? { rows: [{ id: 7 }] } : { rows: [] }));
+
+    await WebhookProcessor.processMessage(messageData);
+
+    assert.equal(getConfig.mock.callCount(), 0);
+  });
+
+  test("replies are stored with the message they answer", async () => {
+    pool.onQuery((sql, params) => ({ rows: [{ id: 43, business_id: params[0] }] }));
+    const whatsapp = { sendReply: async () => ({ messages: [{ id: "wamid.reply" }] }) };
+
+    await WebhookProcessor.sendReply(whatsapp, {
+      businessId: 1,
+      conversationId: 9,
+      messageData,
+      content: "We are open from 9 to 5.",
+      source: "faq",
+    });
+
+    const [insert] = pool.queries.filter(({ sql }) => sql.includes("INSERT INTO messages"));
+    assert.equal(insert.params[2], "wamid.reply");
+    assert.equal(insert.params[8], "outbound");
+    assert.equal(insert.params[14], messageData.messageId);
+  });
+
+  describe("replies that fail to send", () => {
+    const whatsapp = WhatsAppService.forBusiness({
+      business_id: 1,
+      phone_number_id: messageData.to,
+      access_token: "EAAGtenantOneToken000000000001",
+    });
+    const reply = { businessId: 1, conversationId: 9, messageData, content: "We are open from 9 to 5.", source: "faq" };
+    const failWith = (status) =>
+      mock.method(axios, "post", async () => {
+        throw Object.assign(new Error(`Request failed with status code ${status}`), {
+          response: { status, data: { error: { code: status === 400 ? 131026 : 2 } } },
+        });
+      });
+    const savedStatuses = () =>
+      pool.queries.filter(({ sql }) => sql.includes("INSERT INTO messages")).map(({ params }) => params[9]);
+
+    beforeEach(() => pool.onQuery((sql, params) => ({ rows: [{ id: 44, business_id: params[0] }] })));
+
+    test("are stored as failed and retried on server errors", async () => {
+      failWith(503);
+
+      await assert.rejects(WebhookProcessor.sendReply(whatsapp, reply), { retryable: true });
+
+      assert.deepEqual(savedStatuses(), ["failed"]);
+    });
+
+    test("are stored as failed without a retry when WhatsApp rejects them", async () => {
+      failWith(400);
+
+      const saved = await WebhookProcessor.sendReply(whatsapp, reply);
+
+      assert.equal(saved.id, 44);
+      assert.deepEqual(savedStatuses(), ["failed"]);
+    });
+  });
+});
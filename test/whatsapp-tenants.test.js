@@ -0,0 +1,129 @@
+const { describe, test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const WhatsAppService = require("../services/whatsapp");
+
+const tenants = [
+  {
+    business_id: 1,
+    phone_number_id: "106540352242922",
+    access_token: "EAAGtenantOneToken000000000001",
+    customer: "16505551234",
+  },
+  {
+    business_id: 2,
+    phone_number_id: "209811493023456",
+    access_token: "EAAGtenantTwoToken000000000002",
+    customer: "447700900123",
+  },
+];
+
+const tenantForCustomer = (customer) => tenants.find((tenant) => tenant.customer === customer);
+
+// Hold every request until all have been issued, then answer them in reverse order,
+// so the two tenants' calls are in flight together and complete interleaved
+const holdRequests = (method, expected, respond) => {
+  const pending = [];
+  mock.method(axios, method, (url, ...args) => new Promise((resolve) => pending.push({ url, args, resolve })));
+
+  return async () => {
+    while (pending.length < expected) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    [...pending].reverse().forEach((request, index) => request.resolve(respond(request, index)));
+    return pending;
+  };
+};
+
+describe("per-business WhatsApp clients", () => {
+  afterEach(() => mock.restoreAll());
+
+  test("clients are bound to one business and cannot be changed", () => {
+    const [one, two] = tenants.map((tenant) => WhatsAppService.forBusiness(tenant));
+
+    assert.notEqual(one, two);
+    assert.equal(one.phoneNumberId, tenants[0].phone_number_id);
+    assert.equal(two.phoneNumberId, tenants[1].phone_number_id);
+    assert.ok(Object.isFrozen(one));
+    assert.throws(() => {
+      "use strict";
+      one.accessToken = tenants[1].access_token;
+    }, TypeError);
+    assert.equal(one.accessToken, tenants[0].access_token);
+  });
+
+  test("interleaved sends of two businesses each use their own number and token", async () => {
+    const rounds = 5;
+    const release = holdRequests("post", tenants.length * rounds * 2, (request, index) => ({
+      data: { messages: [{ id: `wamid.${request.args[0].to}.${index}` }] },
+    }));
+
+    const sends = [];
+    for (let round = 0; round < rounds; round++) {
+      for (const tenant of tenants) {
+        // A fresh client per webhook, as the processor creates them
+        const client = WhatsAppService.forBusiness(tenant);
+        sends.push(client.sendTextMessage(tenant.customer, `Reply ${round} from ${tenant.business_id}`));
+        sends.push(
+          client.sendReply(tenant.customer, {
+            type: "buttons",
+            body: "Confirm?",
+            buttons: [{ id: "yes", title: "Yes" }],
+          })
+        );
+      }
+    }
+
+    const requests = await release();
+    const responses = await Promise.all(sends);
+
+    assert.equal(requests.length, tenants.length * rounds * 2);
+    for (const { url, args } of requests) {
+      const [body, config] = args;
+      const tenant = tenantForCustomer(body.to);
+
+      assert.equal(url, `https://graph.facebook.com/v18.0/${tenant.phone_number_id}/messages`);
+      assert.equal(config.headers.Authorization, `Bearer ${tenant.access_token}`);
+      if (body.type === "text") {
+        assert.match(body.text.body, new RegExp(`from ${tenant.business_id}$`));
+      }
+    }
+
+    // Every send resolved with the response to its own request
+    sends.forEach((_, index) => {
+      const customer = tenants[Math.floor(index / 2) % tenants.length].customer;
+      assert.match(responses[index].messages[0].id, new RegExp(`^wamid\\.${customer}\\.`));
+    });
+  });
+
+  test("interleaved media downloads each use their own token", async () => {
+    const requests = [];
+    mock.method(axios, "get", async (url, config) => {
+      requests.push({ url, authorization: config.headers.Authorization });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const mediaId = url.split("/").pop();
+      return url.startsWith("https://lookaside.fbsbx.com/")
+        ? { data: `stream of ${mediaId}`, headers: { "content-type": "image/jpeg" } }
+        : { data: { url: `https://lookaside.fbsbx.com/${mediaId}` } };
+    });
+
+    const media = await Promise.all(
+      tenants.map((tenant) => WhatsAppService.forBusiness(tenant).downloadMedia(`media-of-${tenant.business_id}`, 0))
+    );
+
+    // Metadata lookups of both businesses are issued before either download
+    assert.deepEqual(
+      requests.map(({ url }) => url.split("/").slice(2, 3)[0]),
+      ["graph.facebook.com", "graph.facebook.com", "lookaside.fbsbx.com", "lookaside.fbsbx.com"]
+    );
+    for (const { url, authorization } of requests) {
+      const tenant = tenants.find((candidate) => url.endsWith(`media-of-${candidate.business_id}`));
+      assert.equal(authorization, `Bearer ${tenant.access_token}`);
+    }
+    assert.deepEqual(
+      media.map(({ stream }) => stream),
+      ["stream of media-of-1", "stream of media-of-2"]
+    );
+  });
+});
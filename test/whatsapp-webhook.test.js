@@ -0,0 +1,245 @@
+const { describe, test, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pool = require("./helpers/database");
+const WhatsAppService = require("../services/whatsapp");
+const WebhookProcessor = require("../services/webhook-processor");
+const WebhookQueueService = require("../services/webhook-queue");
+const whatsappRoutes = require("../routes/whatsapp");
+const { computeSignature } = require("../middleware/webhook-signature");
+const { runRoute } = require("./helpers/express");
+const batched = require("./fixtures/webhooks/batched.json");
+
+const FIRST_NUMBER = "106540352242922";
+const SECOND_NUMBER = "209811493023456";
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe("batched webhook parsing", () => {
+  test("returns every message across entries and changes in delivery order", async () => {
+    const messages = await WhatsAppService.processIncomingMessage(clone(batched));
+
+    assert.deepEqual(
+      messages.map(({ from, to, messageType }) => ({ from, to, messageType })),
+      [
+        { from: "16505551234", to: FIRST_NUMBER, messageType: "text" },
+        { from: "16505554321", to: FIRST_NUMBER, messageType: "image" },
+        { from: "447700900123", to: SECOND_NUMBER, messageType: "interactive" },
+      ]
+    );
+    assert.equal(messages[0].content, "Does it come in another color?");
+    assert.equal(messages[1].mediaId, "1003383421387256");
+    assert.equal(messages[2].payload.id, "slot_1");
+    assert.equal(messages[2].contextMessageId, "wamid.HBgMNDQ3NzAwOTAwMTIzFQIAERgSOUE2MkI1MDQ1NTNBMEQ1QzQA");
+  });
+
+  test("returns every status update with the phone number it belongs to", () => {
+    const statuses = WhatsAppService.getStatusUpdates(clone(batched));
+
+    assert.deepEqual(
+      statuses.map(({ phoneNumberId, status }) => [phoneNumberId, status.status, status.recipient_id]),
+      [
+        [FIRST_NUMBER, "delivered", "16505551234"],
+        [FIRST_NUMBER, "read", "16505551234"],
+        [FIRST_NUMBER, "failed", "16505554321"],
+        [SECOND_NUMBER, "sent", "447700900123"],
+      ]
+    );
+    assert.equal(statuses[2].status.errors[0].code, 131047);
+  });
+
+  test("returns nothing for a status-only payload", async () => {
+    const body = clone(batched);
+    body.entry = [body.entry[0]];
+    body.entry[0].changes = [body.entry[0].changes[1]];
+
+    assert.deepEqual(await WhatsAppService.processIncomingMessage(body), []);
+    assert.equal(WhatsAppService.getStatusUpdates(body).length, 2);
+  });
+
+  test("skips changes without a value or phone number ID", async () => {
+    const body = clone(batched);
+    body.entry[0].changes.push({ field: "messages" });
+    body.entry[1].changes.push({
+      field: "messages",
+      value: { messages: [{ from: "1", id: "x", text: { body: "lost" } }] },
+    });
+
+    assert.equal((await WhatsAppService.processIncomingMessage(body)).length, 3);
+    assert.equal(WhatsAppService.getStatusUpdates(body).length, 4);
+  });
+
+  test("rejects payloads that are not WhatsApp Business Account webhooks", () => {
+    assert.throws(() => WhatsAppService.getStatusUpdates({ object: "page", entry: [] }), /not a WhatsApp Business/);
+  });
+});
+
+describe("splitWebhookEvents", () => {
+  test("splits a batch into one payload per message and status", () => {
+    const events = WhatsAppService.splitWebhookEvents(clone(batched));
+
+    assert.equal(events.length, 7);
+    for (const event of events) {
+      assert.equal(event.object, "whatsapp_business_account");
+      assert.equal(event.entry.length, 1);
+      assert.equal(event.entry[0].changes.length, 1);
+
+      const { value } = event.entry[0].changes[0];
+      assert.equal((value.messages || []).length + (value.statuses || []).length, 1);
+    }
+  });
+
+  test("keeps each event's own entry, field, metadata and contacts", () => {
+    const events = WhatsAppService.splitWebhookEvents(clone(batched));
+    const last = events[events.length - 1].entry[0];
+
+    assert.equal(events[0].entry[0].id, "102290129340398");
+    assert.equal(events[0].entry[0].changes[0].field, "messages");
+    assert.equal(events[0].entry[0].changes[0].value.contacts.length, 2);
+    assert.equal(last.id, "208710237745312");
+    assert.equal(last.changes[0].value.metadata.phone_number_id, SECOND_NUMBER);
+    assert.equal(last.changes[0].value.contacts[0].wa_id, "447700900123");
+  });
+
+  test("split events parse to the same messages and statuses as the batch", async () => {
+    const body = clone(batched);
+    const events = WhatsAppService.splitWebhookEvents(body);
+
+    const messages = [];
+    const statuses = [];
+    for (const event of events) {
+      messages.push(...(await WhatsAppService.processIncomingMessage(event)));
+      statuses.push(...WhatsAppService.getStatusUpdates(event));
+    }
+
+    assert.deepEqual(messages, await WhatsAppService.processIncomingMessage(body));
+    assert.deepEqual(
+      statuses.map(({ status }) => status.id + status.status).sort(),
+      WhatsAppService.getStatusUpdates(body)
+        .map(({ status }) => status.id + status.status)
+        .sort()
+    );
+  });
+
+  test("does not modify the original payload", () => {
+    const body = clone(batched);
+    WhatsAppService.splitWebhookEvents(body);
+    assert.deepEqual(body, batched);
+  });
+});
+
+describe("webhook queue", () => {
+  const configs = [
+    { phone_number_id: FIRST_NUMBER, business_id: 1 },
+    { phone_number_id: SECOND_NUMBER, business_id: 2 },
+  ];
+  let seen;
+
+  beforeEach(() => {
+    pool.reset();
+    seen = new Set();
+    pool.onQuery((sql, params) => {
+      if (!sql.includes("INSERT INTO webhook_jobs")) return { rows: [] };
+
+      const [businessId, orderingKey, dedupeKey] = params;
+      if (seen.has(dedupeKey)) return { rows: [] };
+      seen.add(dedupeKey);
+      return { rows: [{ id: seen.size, business_id: businessId, ordering_key: orderingKey, status: "pending" }] };
+    });
+  });
+
+  test("queues one job per event on its own business and conversation", async () => {
+    const { jobs, duplicates } = await WebhookQueueService.enqueueEvents(clone(batched), configs);
+
+    assert.equal(duplicates, 0);
+    assert.deepEqual(
+      jobs.map(({ business_id, ordering_key }) => [business_id, ordering_key]),
+      [
+        [1, `${FIRST_NUMBER}:16505551234`],
+        [1, `${FIRST_NUMBER}:16505554321`],
+        [1, `${FIRST_NUMBER}:16505551234`],
+        [1, `${FIRST_NUMBER}:16505551234`],
+        [1, `${FIRST_NUMBER}:16505554321`],
+        [2, `${SECOND_NUMBER}:447700900123`],
+        [2, `${SECOND_NUMBER}:447700900123`],
+      ]
+    );
+  });
+
+  test("skips events that were already queued when Meta redelivers a batch", async () => {
+    await WebhookQueueService.enqueueEvents(clone(batched), configs);
+    const { jobs, duplicates } = await WebhookQueueService.enqueueEvents(clone(batched), configs);
+
+    assert.equal(jobs.length, 0);
+    assert.equal(duplicates, 7);
+  });
+});
+
+describe("webhook queue workers", () => {
+  const job = { id: 12, payload: clone(batched), attempts: 1, max_attempts: 5 };
+
+  beforeEach(() => {
+    pool.reset();
+    mock.timers.enable({ apis: ["setInterval"] });
+  });
+  afterEach(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  const heartbeats = () => pool.queries.filter(({ sql }) => sql.includes("SET locked_at = NOW()"));
+
+  test("keep the lock of a running job fresh so it is not reclaimed", async () => {
+    let finish;
+    mock.method(WebhookProcessor, "processEvent", () => new Promise((resolve) => (finish = resolve)));
+
+    const running = WebhookQueueService.runJob(job);
+    mock.timers.tick(WebhookQueueService.heartbeatMs * 3);
+    finish();
+    await running;
+    mock.timers.tick(WebhookQueueService.heartbeatMs * 3);
+
+    assert.equal(heartbeats().length, 3);
+    assert.deepEqual(heartbeats()[0].params, [job.id, WebhookQueueService.workerId]);
+    assert.ok(WebhookQueueService.heartbeatMs < WebhookQueueService.staleLockMs);
+  });
+});
+
+describe("webhook endpoint", () => {
+  const APP_SECRET = "app-secret-value";
+
+  // A delivery signed with the app secret of the business owning FIRST_NUMBER
+  const delivery = (body) => {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const headers = { "x-hub-signature-256": computeSignature(rawBody, APP_SECRET) };
+    return { body, rawBody, get: (name) => headers[name.toLowerCase()] };
+  };
+
+  beforeEach(() => pool.reset());
+
+  test("acknowledges signed deliveries for other objects without queueing them", async () => {
+    pool.onQuery((sql) =>
+      sql.includes("FROM whatsapp_configs")
+        ? { rows: [{ business_id: 1, phone_number_id: FIRST_NUMBER, app_secret: APP_SECRET }] }
+        : { rows: [] }
+    );
+    const body = { ...batched, object: "page", entry: [batched.entry[0]] };
+
+    const res = await runRoute(whatsappRoutes, "post", "/webhook", delivery(body));
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(!pool.queries.some(({ sql }) => sql.includes("INSERT INTO webhook_jobs")));
+  });
+
+  test("asks Meta to redeliver when events cannot be persisted", async () => {
+    pool.onQuery((sql) => {
+      if (sql.includes("INSERT INTO webhook_jobs")) throw new Error("connection terminated");
+      return sql.includes("FROM whatsapp_configs")
+        ? { rows: [{ business_id: 1, phone_number_id: FIRST_NUMBER, app_secret: APP_SECRET }] }
+        : { rows: [] };
+    });
+
+    const res = await runRoute(whatsappRoutes, "post", "/webhook", delivery({ ...batched, entry: [batched.entry[0]] }));
+
+    assert.equal(res.statusCode, 500);
+  });
+});